@@ -48,14 +48,28 @@ import checkpointSnapshotRouter from './routes/checkpointSnapshot.js';
 import authenticationLogRouter from './routes/authenticationLog.js';
 import crashLogRouter from './routes/crashLog.js';
 import fareConfigRouter from './routes/fareConfig.js';
+import fareZoneRouter from './routes/fareZone.js';
+import surgeRouter from './routes/surge.js';
+import promotionRouter from './routes/promotion.js';
+import dispatchConfigRouter from './routes/dispatchConfig.js';
 import adminLoginAttemptRouter from './routes/adminLoginAttempt.js';
+import walletRouter from './routes/wallet.js';
+import earningsRouter from './routes/earnings.js';
+import penaltyRuleRouter from './routes/penaltyRule.js';
+import notificationRouter from './routes/notification.js';
 
 // Import socket handler
 import handleSocketConnection from './controllers/sockets.js';
+import { attachNotificationSocket } from './utils/notificationService.js';
+import presenceStore, { PRESENCE_CONFIG } from './utils/presenceStore.js';
 
 // Import scheduled jobs
 import { initAutoApprovalJob } from './jobs/autoApprovalJob.js';
 import { initAutoCancelRideJob } from './jobs/autoCancelRideJob.js';
+import { initScheduledRideJob } from './jobs/scheduledRideJob.js';
+import { initPenaltyRulesJob } from './jobs/penaltyRulesJob.js';
+import { initSurgePricingJob } from './jobs/surgePricingJob.js';
+import { resumeRideSearches } from './utils/dispatchEngine.js';
 
 EventEmitter.defaultMaxListeners = 20;
 
@@ -80,7 +94,8 @@ app.use((req, res, next) => {
 
 // Debug endpoint to check server status
 app.get('/debug/status', async (req, res) => {
-  const onDutyRidersCount = req.io.sockets.adapter.rooms.get('onDuty')?.size || 0;
+  // On-duty riders come from the presence store so the count is shared across instances
+  const onDutyRiders = await presenceStore.getOnDutyRiders();
   const connectedSockets = req.io.sockets.sockets.size;
   
   // Get all connected sockets
@@ -100,9 +115,20 @@ app.get('/debug/status', async (req, res) => {
     timestamp: new Date().toISOString(),
     socketStats: {
       connectedSockets,
-      onDutyRiders: onDutyRidersCount,
+      onDutyRiders: onDutyRiders.length,
       sockets: socketDetails
     },
+    presence: {
+      store: presenceStore.name,
+      ttlSeconds: PRESENCE_CONFIG.TTL_SECONDS,
+      riders: onDutyRiders.map(rider => ({
+        riderId: rider.riderId,
+        name: rider.name,
+        vehicleType: rider.vehicleType,
+        coords: rider.coords,
+        lastSeenAt: rider.lastSeenAt
+      }))
+    },
     environment: process.env.NODE_ENV || 'development'
   });
 });
@@ -216,6 +242,8 @@ app.use((req, res, next) => {
 
 // Initialize the WebSocket handling logic
 handleSocketConnection(io);
+// New inbox notifications are announced over the same socket server
+attachNotificationSocket(io);
 
 // Routes
 app.use("/api/auth", authRouter);
@@ -230,7 +258,15 @@ app.use("/api/checkpoints", checkpointSnapshotRouter);
 app.use("/api/authentication-logs", authenticationLogRouter);
 app.use("/api/crash-logs", crashLogRouter);
 app.use("/api/fare-config", fareConfigRouter);
+app.use("/api/fare-zones", fareZoneRouter);
+app.use("/api/surge", surgeRouter);
+app.use("/api/promotions", promotionRouter);
+app.use("/api/dispatch-config", dispatchConfigRouter);
 app.use("/api/admin-login-attempts", adminLoginAttemptRouter);
+app.use("/api/wallet", walletRouter);
+app.use("/api/earnings", earningsRouter);
+app.use("/api/penalty-rules", penaltyRuleRouter);
+app.use("/api/notifications", notificationRouter);
 
 // Middleware
 app.use(notFoundMiddleware);
@@ -244,6 +280,10 @@ const start = async () => {
     console.log('🔧 Initializing scheduled jobs...');
     initAutoApprovalJob(60); // Run every 60 minutes
     initAutoCancelRideJob(15); // Run every 15 minutes - auto-cancel stale rides
+    initScheduledRideJob(io, 1); // Run every minute - release scheduled rides into dispatch
+    initPenaltyRulesJob(30); // Run every 30 minutes - apply automatic penalties
+    initSurgePricingJob(1); // Run every minute - update zone surge multipliers
+    resumeRideSearches(io); // Pick up rider searches left running before a restart
     
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, "0.0.0.0", () =>
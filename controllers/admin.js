@@ -4,6 +4,17 @@ import { StatusCodes } from 'http-status-codes';
 import { BadRequestError, NotFoundError } from '../errors/index.js';
 import { logActivity } from './adminManagement.js';
 import { sendApprovalEmail, sendDisapprovalEmail } from '../utils/emailService.js';
+import { createNotification } from '../utils/notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { findRidePage, buildRideRoleFilter, buildDateRangeFilter, RIDE_SUMMARY_FIELDS } from '../utils/ridePagination.js';
+
+// Case-insensitive "contains" match for admin search boxes. The text is
+// escaped so it is matched literally (a search like "(((" or ".*" can't be
+// used as a costly or broken regular expression).
+const searchPattern = (search) => ({
+  $regex: String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+  $options: 'i',
+});
 
 // Get all users
 export const getAllUsers = async (req, res) => {
@@ -59,10 +70,10 @@ export const getAllUsers = async (req, res) => {
       // If we already have $or or $and, we need to use $and to combine with search
       const searchCondition = {
         $or: [
-          { firstName: { $regex: search, $options: 'i' } },
-          { lastName: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } },
-          { phone: { $regex: search, $options: 'i' } }
+          { firstName: searchPattern(search) },
+          { lastName: searchPattern(search) },
+          { email: searchPattern(search) },
+          { phone: searchPattern(search) }
         ]
       };
       
@@ -145,7 +156,12 @@ export const approveUser = async (req, res) => {
       throw new NotFoundError(`No user found with id ${id}`);
     }
     
+    // Approving overrides any penalty still in place
     user.status = "approved";
+    user.disapprovalReason = '';
+    user.rejectionDeadline = null;
+    user.penaltyComment = '';
+    user.penaltyLiftDate = null;
     await user.save();
     
     const updatedUser = await User.findById(id).select('-password');
@@ -175,6 +191,14 @@ export const approveUser = async (req, res) => {
       }
     }
     
+    await createNotification(user._id, {
+      type: NOTIFICATION_TYPES.ACCOUNT_APPROVED,
+      title: 'Account approved',
+      body: user.role === 'rider'
+        ? 'Your account has been approved. You can now go on duty and accept rides.'
+        : 'Your account has been approved. You can now book rides.',
+    });
+    
     res.status(StatusCodes.OK).json({
       message: 'User approved successfully',
       user: updatedUser
@@ -244,6 +268,13 @@ export const disapproveUser = async (req, res) => {
       }
     }
     
+    await createNotification(user._id, {
+      type: NOTIFICATION_TYPES.ACCOUNT_DISAPPROVED,
+      title: 'Account disapproved',
+      body: `Your account has been disapproved. Reason: ${user.disapprovalReason}`,
+      data: { reason: user.disapprovalReason, rejectionDeadline: user.rejectionDeadline || null },
+    });
+    
     res.status(StatusCodes.OK).json({
       message: 'User disapproved successfully',
       user: updatedUser
@@ -421,12 +452,21 @@ export const addPenaltyComment = async (req, res) => {
     
     if (isRemoval) {
       // Remove penalty
+      const hadPenalty = Boolean(user.penaltyComment || user.penaltyLiftDate);
       user.penaltyComment = '';
       user.penaltyLiftDate = null;
       await user.save();
       
       const updatedUser = await User.findById(id).select('-password');
       
+      if (hadPenalty) {
+        await createNotification(user._id, {
+          type: NOTIFICATION_TYPES.PENALTY_REMOVED,
+          title: 'Penalty removed',
+          body: 'The penalty on your account has been removed.',
+        });
+      }
+      
       return res.status(StatusCodes.OK).json({
         message: 'Penalty removed successfully',
         user: updatedUser
@@ -466,6 +506,13 @@ export const addPenaltyComment = async (req, res) => {
       req.ip
     );
     
+    await createNotification(user._id, {
+      type: NOTIFICATION_TYPES.PENALTY_ADDED,
+      title: 'Penalty added to your account',
+      body: `Reason: ${penaltyComment} (until ${user.penaltyLiftDate.toLocaleString('en-PH', { timeZone: 'Asia/Manila' })})`,
+      data: { penaltyComment, penaltyLiftDate: user.penaltyLiftDate },
+    });
+    
     res.status(StatusCodes.OK).json({
       message: 'Penalty added successfully',
       user: updatedUser
@@ -545,7 +592,7 @@ export const deleteUser = async (req, res) => {
 // Get all rides for admin
 export const getAllRides = async (req, res) => {
   try {
-    const { status, vehicle, search, startDate, endDate } = req.query;
+    const { status, vehicle, search, startDate, endDate, userId, role, cursor, limit, view } = req.query;
     const queryObject = {};
     
     // Filter by status
@@ -558,52 +605,59 @@ export const getAllRides = async (req, res) => {
       queryObject.vehicle = vehicle;
     }
     
-    // Filter by date range
-    if (startDate || endDate) {
-      queryObject.createdAt = {};
-      if (startDate) {
-        queryObject.createdAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        queryObject.createdAt.$lte = new Date(endDate);
-      }
-    }
-    
-    console.log('Fetching rides with query:', JSON.stringify(queryObject, null, 2));
-    
-    // Fetch rides with populated customer and rider data
-    let rides = await Ride.find(queryObject)
-      .populate('customer', 'firstName lastName phone email')
-      .populate('rider', 'firstName lastName phone email vehicleType')
-      .sort({ createdAt: -1 });
-    
     // Apply search filter if provided (search in customer/rider names, OTP, addresses)
+    let searchFilter = null;
     if (search) {
-      const searchLower = search.toLowerCase();
-      rides = rides.filter(ride => {
-        const customerName = `${ride.customer?.firstName || ''} ${ride.customer?.lastName || ''}`.toLowerCase();
-        const riderName = `${ride.rider?.firstName || ''} ${ride.rider?.lastName || ''}`.toLowerCase();
-        const otp = ride.otp || '';
-        const pickupAddress = ride.pickup?.address?.toLowerCase() || '';
-        const dropAddress = ride.drop?.address?.toLowerCase() || '';
-        
-        return customerName.includes(searchLower) ||
-               riderName.includes(searchLower) ||
-               otp.includes(searchLower) ||
-               pickupAddress.includes(searchLower) ||
-               dropAddress.includes(searchLower);
-      });
+      const pattern = searchPattern(search);
+      const matchingUsers = await User.find({
+        $or: [{ firstName: pattern }, { lastName: pattern }],
+      }).select('_id');
+      const matchingUserIds = matchingUsers.map(user => user._id);
+
+      searchFilter = {
+        $or: [
+          { customer: { $in: matchingUserIds } },
+          { rider: { $in: matchingUserIds } },
+          { otp: String(search).trim() },
+          { 'pickup.address': pattern },
+          { 'drop.address': pattern },
+        ],
+      };
     }
     
-    console.log(`Found ${rides.length} rides`);
+    const conditions = [
+      queryObject,
+      // Filter by date range
+      buildDateRangeFilter(startDate, endDate),
+      // Filter to one user's rides (optionally as customer, rider or joined passenger)
+      userId ? buildRideRoleFilter(userId, role) : null,
+      searchFilter,
+    ];
+    
+    console.log('Fetching rides with query:', JSON.stringify({ ...queryObject, startDate, endDate, userId, role, search }, null, 2));
+    
+    // Fetch one page of rides with populated customer and rider data
+    const summary = view === 'summary';
+    const page = await findRidePage(conditions, {
+      cursor,
+      limit,
+      select: summary ? `${RIDE_SUMMARY_FIELDS} otp` : "+otp",
+      populate: summary
+        ? [['customer', 'firstName lastName'], ['rider', 'firstName lastName vehicleType']]
+        : [['customer', 'firstName lastName phone email'], ['rider', 'firstName lastName phone email vehicleType']],
+    });
+    
+    console.log(`Found ${page.rides.length} rides`);
     
     res.status(StatusCodes.OK).json({
-      count: rides.length,
-      rides
+      count: page.rides.length,
+      rides: page.rides,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
     });
   } catch (error) {
     console.error('Error fetching rides:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ 
+    res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({ 
       message: 'Error fetching rides',
       error: error.message
     });
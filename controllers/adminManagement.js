@@ -25,6 +25,26 @@ export const logActivity = async (adminId, adminName, action, targetType, target
   }
 };
 
+// Helper function to log an automatic change made by the system (no admin involved)
+export const logSystemActivity = async (action, targetType, targetId, targetName, description, metadata = {}) => {
+  try {
+    await ActivityLog.create({
+      performedBy: 'system',
+      admin: null,
+      adminName: 'System',
+      action,
+      targetType,
+      targetId,
+      targetName,
+      description,
+      metadata
+    });
+    console.log(`📝 Activity logged: System - ${action} - ${targetName}`);
+  } catch (error) {
+    console.error('Error logging system activity:', error);
+  }
+};
+
 // Get all admins (super-admin only)
 export const getAllAdmins = async (req, res) => {
   try {
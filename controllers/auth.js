@@ -5,6 +5,14 @@ import jwt from "jsonwebtoken";
 import { generateVerificationCode, sendVerificationEmail } from "../utils/emailService.js";
 import { upload } from "../utils/cloudinary.js";
 import { logAuthEvent } from "./authenticationLog.js";
+import { liftExpiredPenalty, ELIGIBILITY_REASONS } from "../utils/userEligibility.js";
+import {
+  CODE_CHANNELS,
+  maskPhoneNumber,
+  sendPasswordResetSms,
+  sendPhoneVerificationCode,
+  verifyPhoneCode,
+} from "../utils/smsService.js";
 
 // Simple test endpoint
 export const testAuth = async (req, res) => {
@@ -68,6 +76,9 @@ export const login = async (req, res) => {
 
     // Check if user is approved (skip for admin users)
     if (role !== 'admin') {
+      // A penalty whose lift date has passed no longer blocks the login
+      await liftExpiredPenalty(user);
+
       if (user.status === "disapproved") {
         console.log("User is disapproved");
         // Log blocked login attempt
@@ -91,6 +102,7 @@ export const login = async (req, res) => {
             message: "Your account has been disapproved.",
             status: "disapproved",
             isApproved: false,
+            reasonCode: isPenaltyActive ? ELIGIBILITY_REASONS.PENALTY_ACTIVE : ELIGIBILITY_REASONS.ACCOUNT_DISAPPROVED,
             hasPenalty: true,
             disapprovalReason: user.disapprovalReason || "No reason provided",
             penaltyComment: user.penaltyComment || "No reason provided",
@@ -102,6 +114,7 @@ export const login = async (req, res) => {
             message: "Your account has been disapproved.",
             status: "disapproved",
             isApproved: false,
+            reasonCode: ELIGIBILITY_REASONS.ACCOUNT_DISAPPROVED,
             hasPenalty: false,
             disapprovalReason: user.disapprovalReason || "No reason provided"
           });
@@ -121,7 +134,8 @@ export const login = async (req, res) => {
         return res.status(StatusCodes.FORBIDDEN).json({
           message: "Your account is pending approval. Please wait for an administrator to approve your account.",
           status: "pending",
-          isApproved: false
+          isApproved: false,
+          reasonCode: ELIGIBILITY_REASONS.ACCOUNT_PENDING
         });
       }
     }
@@ -247,6 +261,16 @@ export const register = async (req, res) => {
 
     await user.save();
 
+    // Text a code to confirm the phone number (registration goes through even if it fails)
+    let phoneVerificationSent = false;
+    if (phone) {
+      try {
+        ({ sent: phoneVerificationSent } = await sendPhoneVerificationCode(user._id));
+      } catch (smsError) {
+        console.log(`⚠️ Phone verification code not sent for ${user._id}: ${smsError.message}`);
+      }
+    }
+
     // Generate tokens but inform user that approval is pending
     const accessToken = user.createAccessToken();
     const refreshToken = user.createRefreshToken();
@@ -257,7 +281,8 @@ export const register = async (req, res) => {
       access_token: accessToken,
       refresh_token: refreshToken,
       isApproved: false,
-      status: "pending"
+      status: "pending",
+      phoneVerificationSent
     });
   } catch (error) {
     console.error(error);
@@ -284,6 +309,9 @@ export const auth = async (req, res) => {
     if (user) {
       // User exists with this phone and role combination
 
+      // A penalty whose lift date has passed no longer blocks the login
+      await liftExpiredPenalty(user);
+
       // Check if user is approved
       if (user.status === "disapproved") {
         console.log("User is disapproved");
@@ -298,6 +326,7 @@ export const auth = async (req, res) => {
             message: "Your account has been disapproved.",
             status: "disapproved",
             isApproved: false,
+            reasonCode: isPenaltyActive ? ELIGIBILITY_REASONS.PENALTY_ACTIVE : ELIGIBILITY_REASONS.ACCOUNT_DISAPPROVED,
             hasPenalty: true,
             penaltyComment: user.penaltyComment || "No reason provided",
             penaltyLiftDate: user.penaltyLiftDate,
@@ -308,6 +337,7 @@ export const auth = async (req, res) => {
             message: "Your account has been disapproved. Please contact support for assistance.",
             status: "disapproved",
             isApproved: false,
+            reasonCode: ELIGIBILITY_REASONS.ACCOUNT_DISAPPROVED,
             hasPenalty: false
           });
         }
@@ -316,7 +346,8 @@ export const auth = async (req, res) => {
         return res.status(StatusCodes.FORBIDDEN).json({
           message: "Your account is pending approval. Please wait for an administrator to approve your account.",
           status: "pending",
-          isApproved: false
+          isApproved: false,
+          reasonCode: ELIGIBILITY_REASONS.ACCOUNT_PENDING
         });
       }
 
@@ -439,7 +470,7 @@ export const getUserProfile = async (req, res) => {
 
 // Update user profile information
 export const updateUserProfile = async (req, res) => {
-  const { name, firstName, middleName, lastName, phone, schoolId, licenseId, email, sex, vehicleType } = req.body;
+  const { name, firstName, middleName, lastName, phone, schoolId, licenseId, email, sex, vehicleType, emailRideReceipts } = req.body;
 
   try {
     // Check if req.user exists
@@ -457,6 +488,8 @@ export const updateUserProfile = async (req, res) => {
       });
     }
 
+    let phoneChanged = false;
+
     // Handle single name field (split into firstName and lastName)
     if (name) {
       const nameParts = name.trim().split(/\s+/);
@@ -490,6 +523,14 @@ export const updateUserProfile = async (req, res) => {
       if (existingPhoneUser) {
         throw new BadRequestError(`Phone number already in use by another ${user.role}`);
       }
+      // A new number has to be verified again
+      if (phone !== user.phone) {
+        phoneChanged = true;
+        user.phoneVerified = false;
+        user.phoneVerifiedAt = null;
+        user.notificationPreferences.smsRideAlerts = false;
+        user.notificationPreferences.resetCodeChannel = 'email';
+      }
       user.phone = phone;
     }
     if (schoolId !== undefined) user.schoolId = schoolId;
@@ -523,8 +564,21 @@ export const updateUserProfile = async (req, res) => {
       console.log(`✅ Updated vehicle type for rider ${user._id} to: ${vehicleType}`);
     }
 
+    // Opt in/out of emailed ride receipts
+    if (emailRideReceipts !== undefined) {
+      user.emailRideReceipts = emailRideReceipts === true || emailRideReceipts === 'true';
+    }
+
     await user.save();
 
+    if (phoneChanged) {
+      try {
+        await sendPhoneVerificationCode(user._id);
+      } catch (smsError) {
+        console.log(`⚠️ Phone verification code not sent for ${user._id}: ${smsError.message}`);
+      }
+    }
+
     // Return user without password
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -559,7 +613,7 @@ export const updateUserProfile = async (req, res) => {
 
 // Send password reset verification code
 export const forgotPassword = async (req, res) => {
-  const { email, role } = req.body;
+  const { email, role, channel } = req.body;
 
   if (!email || !role) {
     throw new BadRequestError("Please provide email and role");
@@ -569,6 +623,10 @@ export const forgotPassword = async (req, res) => {
     throw new BadRequestError("Valid role is required (customer or rider)");
   }
 
+  if (channel !== undefined && !CODE_CHANNELS.includes(channel)) {
+    throw new BadRequestError(`Channel must be one of: ${CODE_CHANNELS.join(", ")}`);
+  }
+
   try {
     // Find user by email and role
     const user = await User.findOne({ email, role });
@@ -580,6 +638,10 @@ export const forgotPassword = async (req, res) => {
       });
     }
 
+    // SMS if asked for (or preferred) and the phone number is verified, email otherwise
+    const useSms = (channel || user.notificationPreferences?.resetCodeChannel) === "sms" && user.phoneVerified;
+    const destination = useSms ? maskPhoneNumber(user.phone) : email;
+
     // Generate verification code
     const verificationCode = generateVerificationCode();
     const expirationTime = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
@@ -589,10 +651,12 @@ export const forgotPassword = async (req, res) => {
     user.resetPasswordExpires = expirationTime;
     await user.save();
 
-    // Send verification email
-    const emailSent = await sendVerificationEmail(email, verificationCode);
+    // Send the verification code
+    const codeSent = useSms
+      ? await sendPasswordResetSms(user.phone, verificationCode)
+      : await sendVerificationEmail(email, verificationCode);
     
-    if (!emailSent) {
+    if (!codeSent) {
       // Log failed OTP send
       await logAuthEvent({
         user: user._id,
@@ -600,10 +664,10 @@ export const forgotPassword = async (req, res) => {
         userRole: role,
         eventType: 'OTP_SENT',
         success: false,
-        failureReason: 'Failed to send verification email',
-        description: `Failed to send password reset OTP to ${email}`
+        failureReason: useSms ? 'Failed to send verification SMS' : 'Failed to send verification email',
+        description: `Failed to send password reset OTP to ${destination}`
       }, req);
-      throw new Error("Failed to send verification email");
+      throw new Error(useSms ? "Failed to send verification SMS" : "Failed to send verification email");
     }
 
     // Log successful OTP send
@@ -613,7 +677,8 @@ export const forgotPassword = async (req, res) => {
       userRole: role,
       eventType: 'OTP_SENT',
       success: true,
-      description: `Password reset OTP sent to ${email}`
+      description: `Password reset OTP sent to ${destination}`,
+      metadata: { channel: useSms ? "sms" : "email" }
     }, req);
 
     // Log password reset request
@@ -626,10 +691,13 @@ export const forgotPassword = async (req, res) => {
       description: `Password reset requested for ${email}`
     }, req);
 
-    console.log(`Password reset code sent to ${email}`);
+    console.log(`Password reset code sent to ${destination}`);
     
     res.status(StatusCodes.OK).json({
-      message: "Verification code sent to your email address"
+      message: useSms
+        ? `Verification code sent to your phone number ending in ${user.phone.slice(-4)}`
+        : "Verification code sent to your email address",
+      channel: useSms ? "sms" : "email"
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -657,12 +725,7 @@ export const verifyCode = async (req, res) => {
       throw new BadRequestError("Invalid verification code or user not found");
     }
 
-    // Check if verification code is valid and not expired
-    console.log("Verification code validation:");
-    console.log(`Stored code: ${user.resetPasswordCode} ${typeof user.resetPasswordCode}`);
-    console.log(`Received code: ${verificationCode} ${typeof verificationCode}`);
-    console.log(`Match? ${user.resetPasswordCode === verificationCode}`);
-    
+    // Check if verification code is valid and not expired (the codes themselves are never logged)
     if (!user.resetPasswordCode || user.resetPasswordCode !== verificationCode) {
       // Log failed OTP verification
       await logAuthEvent({
@@ -798,6 +861,60 @@ export const resetPassword = async (req, res) => {
   }
 };
 
+// Text a verification code to the current user's phone number
+export const sendPhoneCode = async (req, res) => {
+  const { sent, phone, expiresAt } = await sendPhoneVerificationCode(req.user.id);
+
+  await logAuthEvent({
+    user: req.user.id,
+    email: req.user.email,
+    userRole: req.user.role,
+    eventType: 'PHONE_VERIFICATION_SENT',
+    success: sent,
+    failureReason: sent ? null : 'Failed to send verification SMS',
+    description: `Phone verification code ${sent ? 'sent' : 'could not be sent'} to ${phone}`
+  }, req);
+
+  if (!sent) {
+    throw new BadRequestError("Failed to send the verification code. Please try again.");
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: `Verification code sent to your phone number ending in ${phone.slice(-4)}`,
+    expiresAt
+  });
+};
+
+// Confirm the current user's phone number with the texted code
+export const verifyPhone = async (req, res) => {
+  const { verificationCode } = req.body;
+
+  if (!verificationCode) {
+    throw new BadRequestError("Verification code is required");
+  }
+
+  const result = await verifyPhoneCode(req.user.id, verificationCode);
+
+  await logAuthEvent({
+    user: req.user.id,
+    email: req.user.email,
+    userRole: req.user.role,
+    eventType: result.verified ? 'PHONE_VERIFIED' : 'PHONE_VERIFICATION_FAILED',
+    success: result.verified,
+    failureReason: result.verified ? null : result.message,
+    description: result.verified ? 'Phone number verified' : `Phone verification failed: ${result.message}`
+  }, req);
+
+  if (!result.verified) {
+    throw new BadRequestError(result.message);
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: result.message,
+    phoneVerified: true
+  });
+};
+
 // Upload documents for verification
 export const uploadDocuments = async (req, res) => {
   try {
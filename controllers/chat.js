@@ -4,6 +4,7 @@ import Message from "../models/Message.js";
 import User from "../models/User.js";
 import { BadRequestError, NotFoundError } from "../errors/index.js";
 import cloudinary from "../utils/cloudinary.js";
+import { sendChatPushNotification } from "../utils/notificationService.js";
 
 // Get or create a chat between two users
 export const getOrCreateChat = async (req, res) => {
@@ -231,6 +232,13 @@ export const sendMessage = async (req, res) => {
     "firstName lastName photo"
   );
 
+  // Push to the recipient in case their app is in the background
+  const recipient = chat.participants.find(p => p.userId.toString() !== userId);
+  if (recipient) {
+    const sender = populatedMessage.sender.userId;
+    sendChatPushNotification(recipient.userId, message, `${sender?.firstName || ""} ${sender?.lastName || ""}`.trim());
+  }
+
   console.log(`✅ Message sent: ${message._id}`);
 
   res.status(StatusCodes.CREATED).json({ message: populatedMessage });
@@ -508,6 +516,13 @@ export const uploadChatImage = async (req, res) => {
       }
     }
 
+    // Push to the recipient in case their app is in the background
+    const recipient = chat.participants.find(p => p.userId.toString() !== userId);
+    if (recipient) {
+      const sender = populatedMessage.sender.userId;
+      sendChatPushNotification(recipient.userId, message, `${sender?.firstName || ""} ${sender?.lastName || ""}`.trim());
+    }
+
     console.log(`✅ Image uploaded and message created: ${message._id}`);
 
     res.status(StatusCodes.CREATED).json({ 
@@ -0,0 +1,185 @@
+import { StatusCodes } from 'http-status-codes';
+import DispatchConfig, { DEFAULT_DISPATCH_RADIUS, resolveSearchRadius } from '../models/DispatchConfig.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+
+const validVehicleTypes = ['Tricycle', 'Single Motorcycle', 'Cab'];
+
+// Get all dispatch radius configurations
+export const getAllDispatchConfigs = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    const dispatchConfigs = await DispatchConfig.find(query)
+      .populate('lastUpdatedBy', 'name username')
+      .sort({ vehicleType: 1 });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: dispatchConfigs.length,
+      defaults: DEFAULT_DISPATCH_RADIUS,
+      dispatchConfigs,
+    });
+  } catch (error) {
+    console.error('Error fetching dispatch configs:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch dispatch configurations',
+      error: error.message,
+    });
+  }
+};
+
+// Get dispatch config by vehicle type
+export const getDispatchConfigByVehicle = async (req, res) => {
+  try {
+    const { vehicleType } = req.params;
+
+    const dispatchConfig = await DispatchConfig.findOne({ vehicleType })
+      .populate('lastUpdatedBy', 'name username');
+
+    if (!dispatchConfig) {
+      throw new NotFoundError(`No dispatch configuration found for ${vehicleType}`);
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      dispatchConfig,
+    });
+  } catch (error) {
+    console.error('Error fetching dispatch config:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to fetch dispatch configuration',
+      error: error.message,
+    });
+  }
+};
+
+// Create or update dispatch configuration
+export const upsertDispatchConfig = async (req, res) => {
+  try {
+    const {
+      vehicleType,
+      initialRadiusKm,
+      radiusStepKm,
+      maxRadiusKm,
+      retriesPerStep,
+      timeOfDayRules,
+      isActive,
+      description,
+    } = req.body;
+
+    if (!vehicleType) {
+      throw new BadRequestError('Vehicle type is required');
+    }
+
+    if (!validVehicleTypes.includes(vehicleType)) {
+      throw new BadRequestError(`Invalid vehicle type. Must be one of: ${validVehicleTypes.join(', ')}`);
+    }
+
+    const initial = initialRadiusKm ?? DEFAULT_DISPATCH_RADIUS.initialRadiusKm;
+    const max = maxRadiusKm ?? DEFAULT_DISPATCH_RADIUS.maxRadiusKm;
+    if (max < initial) {
+      throw new BadRequestError('Maximum radius cannot be smaller than the initial radius');
+    }
+
+    // Prepare update data
+    const updateData = {
+      vehicleType,
+      initialRadiusKm: initial,
+      radiusStepKm: radiusStepKm ?? DEFAULT_DISPATCH_RADIUS.radiusStepKm,
+      maxRadiusKm: max,
+      retriesPerStep: retriesPerStep || DEFAULT_DISPATCH_RADIUS.retriesPerStep,
+      timeOfDayRules: timeOfDayRules || [],
+      isActive: isActive !== undefined ? isActive : true,
+      description: description || '',
+      lastUpdatedBy: req.admin?._id || req.admin?.id,
+    };
+
+    // Upsert (update if exists, create if not)
+    const dispatchConfig = await DispatchConfig.findOneAndUpdate(
+      { vehicleType },
+      updateData,
+      { new: true, upsert: true, runValidators: true }
+    ).populate('lastUpdatedBy', 'name username');
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Dispatch configuration for ${vehicleType} saved successfully`,
+      dispatchConfig,
+    });
+  } catch (error) {
+    console.error('Error saving dispatch config:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to save dispatch configuration',
+      error: error.message,
+    });
+  }
+};
+
+// Delete dispatch configuration (vehicle falls back to the defaults)
+export const deleteDispatchConfig = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const dispatchConfig = await DispatchConfig.findByIdAndDelete(id);
+
+    if (!dispatchConfig) {
+      throw new NotFoundError('Dispatch configuration not found');
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Dispatch configuration for ${dispatchConfig.vehicleType} deleted successfully`,
+    });
+  } catch (error) {
+    console.error('Error deleting dispatch config:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete dispatch configuration',
+      error: error.message,
+    });
+  }
+};
+
+// Preview the radius schedule a search would use (for the admin dashboard)
+export const previewSearchRadius = async (req, res) => {
+  try {
+    const { vehicleType, time, retries } = req.query;
+
+    if (!vehicleType) {
+      throw new BadRequestError('Vehicle type is required');
+    }
+
+    const searchTime = time ? new Date(time) : new Date();
+    const totalRetries = parseInt(retries) || 60;
+
+    const config = await DispatchConfig.findOne({ vehicleType, isActive: true });
+
+    const schedule = [];
+    let previousRadius = null;
+    for (let retry = 0; retry <= totalRetries; retry++) {
+      const { radiusKm, source } = resolveSearchRadius(config, retry, searchTime);
+      if (radiusKm !== previousRadius) {
+        schedule.push({ fromRetry: retry, radiusKm, source });
+        previousRadius = radiusKm;
+      }
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      vehicleType,
+      searchTime,
+      schedule,
+    });
+  } catch (error) {
+    console.error('Error previewing search radius:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to preview search radius',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,193 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import PayoutStatement from '../models/PayoutStatement.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import {
+  getEarningsSummary,
+  closePayoutPeriod,
+  markStatementPaid,
+  statementToCsv,
+} from '../utils/riderEarnings.js';
+import { findRidePage, buildDateRangeFilter } from '../utils/ridePagination.js';
+
+const EARNINGS_RIDE_FIELDS = 'vehicle fare distance finalDistance earnings payment.status payment.cashAmount payment.walletAmount pickup.address drop.address tripLogs.endTime createdAt';
+
+const assertRider = (req) => {
+  if (req.user.role !== 'rider') {
+    throw new BadRequestError('Only riders have earnings');
+  }
+};
+
+const findStatement = async (statementId, filter = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(statementId)) {
+    throw new BadRequestError('Invalid statement ID');
+  }
+
+  const statement = await PayoutStatement.findOne({ _id: statementId, ...filter })
+    .populate('rider', 'firstName lastName phone vehicleType');
+  if (!statement) {
+    throw new NotFoundError('Payout statement not found');
+  }
+  return statement;
+};
+
+const sendStatementCsv = (res, statement) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="pedismart-payout-${statement.statementNumber}.csv"`,
+  });
+  res.status(StatusCodes.OK).send(statementToCsv(statement));
+};
+
+// ============================================
+// RIDER ENDPOINTS
+// ============================================
+
+// Earnings totals per day/week/month (?period=daily|weekly|monthly&startDate=&endDate=)
+export const getMyEarningsSummary = async (req, res) => {
+  assertRider(req);
+  const { period, startDate, endDate } = req.query;
+
+  const summary = await getEarningsSummary(req.user.id, { period, startDate, endDate });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    ...summary,
+  });
+};
+
+// Per-ride earnings, newest first (?cursor=&limit=&startDate=&endDate=)
+export const getMyRideEarnings = async (req, res) => {
+  assertRider(req);
+  const { cursor, limit, startDate, endDate } = req.query;
+
+  const page = await findRidePage(
+    [
+      { rider: new mongoose.Types.ObjectId(req.user.id), status: 'COMPLETED' },
+      buildDateRangeFilter(startDate, endDate),
+    ],
+    { cursor, limit, select: EARNINGS_RIDE_FIELDS }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: page.rides.length,
+    rides: page.rides,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+  });
+};
+
+// The rider's payout statements (without the per-ride lines)
+export const getMyStatements = async (req, res) => {
+  assertRider(req);
+
+  const statements = await PayoutStatement.find({ rider: req.user.id })
+    .select('-rides')
+    .sort({ periodEnd: -1 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: statements.length,
+    statements,
+  });
+};
+
+// One of the rider's payout statements (?format=csv to download)
+export const getMyStatement = async (req, res) => {
+  assertRider(req);
+  const statement = await findStatement(req.params.statementId, { rider: req.user.id });
+
+  if (req.query.format === 'csv') {
+    return sendStatementCsv(res, statement);
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    statement,
+  });
+};
+
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
+
+// Close a payout period into statements ({ periodStart, periodEnd, riderId? })
+export const closePayoutPeriodStatements = async (req, res) => {
+  const { periodStart, periodEnd, riderId } = req.body;
+
+  if (!periodStart || !periodEnd) {
+    throw new BadRequestError('Period start and end are required');
+  }
+
+  const statements = await closePayoutPeriod({
+    periodStart,
+    periodEnd,
+    riderId,
+    closedBy: req.admin._id,
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: statements.length > 0
+      ? `Closed ${statements.length} payout statement(s)`
+      : 'No unclosed rides in this period',
+    count: statements.length,
+    statements,
+  });
+};
+
+// List payout statements (?riderId=&status=CLOSED|PAID)
+export const getAllStatements = async (req, res) => {
+  const { riderId, status } = req.query;
+
+  const query = {};
+  if (riderId) {
+    if (!mongoose.Types.ObjectId.isValid(riderId)) {
+      throw new BadRequestError('Invalid rider ID');
+    }
+    query.rider = riderId;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const statements = await PayoutStatement.find(query)
+    .select('-rides')
+    .populate('rider', 'firstName lastName phone vehicleType')
+    .sort({ periodEnd: -1, createdAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: statements.length,
+    statements,
+  });
+};
+
+// One payout statement (?format=csv to download)
+export const getStatementById = async (req, res) => {
+  const statement = await findStatement(req.params.statementId);
+
+  if (req.query.format === 'csv') {
+    return sendStatementCsv(res, statement);
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    statement,
+  });
+};
+
+// Record the payout of a statement ({ reference })
+export const payStatement = async (req, res) => {
+  const statement = await markStatementPaid(req.params.statementId, {
+    reference: req.body.reference,
+    paidBy: req.admin._id,
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Statement ${statement.statementNumber} marked as paid`,
+    statement,
+  });
+};
@@ -1,200 +1,296 @@
 import { StatusCodes } from 'http-status-codes';
 import FareConfig from '../models/FareConfig.js';
 import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { createFareQuoteToken, FARE_QUOTE_CONFIG } from '../utils/fareQuote.js';
+import { toGeoPoint } from '../utils/mapUtils.js';
 
-// Get all fare configurations
+const VEHICLE_TYPES = FareConfig.schema.path('vehicleType').enumValues;
+
+// Fields an admin sets on a version; anything left out is carried over from the latest version
+const VERSION_FIELDS = [
+  'baseFare',
+  'perKmRate',
+  'minimumFare',
+  'baseDistanceKm',
+  'platformCommissionPercent',
+  'isActive',
+  'description',
+];
+const NESTED_VERSION_FIELDS = ['additionalCharges', 'cancellationPolicy'];
+
+// Attempts at taking the next version number when two admins save at once
+const MAX_VERSION_ATTEMPTS = 3;
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+const validateVehicleType = (vehicleType) => {
+  if (!vehicleType) {
+    throw new BadRequestError('Vehicle type is required');
+  }
+  if (!VEHICLE_TYPES.includes(vehicleType)) {
+    throw new BadRequestError(`Invalid vehicle type. Must be one of: ${VEHICLE_TYPES.join(', ')}`);
+  }
+};
+
+/**
+ * Save the next version of a vehicle type's fares
+ * @param {string} vehicleType
+ * @param {Object} changes - Fields to change; the rest come from the latest version
+ * @param {Object} options - { effectiveDate, adminId }
+ */
+const createNextVersion = async (vehicleType, changes, { effectiveDate, adminId }) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await FareConfig.getLatestVersion(vehicleType);
+    const inherited = latest ? latest.toObject() : {};
+
+    const fields = Object.fromEntries(
+      VERSION_FIELDS
+        .map(field => [field, changes[field] !== undefined ? changes[field] : inherited[field]])
+        .filter(([, value]) => value !== undefined)
+    );
+    NESTED_VERSION_FIELDS.forEach(field => {
+      fields[field] = { ...(inherited[field] || {}), ...(changes[field] || {}) };
+    });
+
+    try {
+      return await FareConfig.create({
+        ...fields,
+        vehicleType,
+        version: (latest?.version || 0) + 1,
+        effectiveDate,
+        lastUpdatedBy: adminId,
+      });
+    } catch (error) {
+      // Someone else took this version number - read the latest again
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Get the fare configuration in force for each vehicle type, plus scheduled versions
 export const getAllFareConfigs = async (req, res) => {
   try {
     const { includeInactive } = req.query;
+    const now = new Date();
     
-    const query = includeInactive === 'true' ? {} : { isActive: true };
-    const fareConfigs = await FareConfig.find(query)
+    const inForce = await Promise.all(VEHICLE_TYPES.map(async vehicleType => {
+      const config = await FareConfig.getVersionInForce(vehicleType, now);
+      return config?.populate('lastUpdatedBy', 'name username');
+    }));
+    const fareConfigs = inForce.filter(config => config && (includeInactive === 'true' || config.isActive));
+    
+    const scheduled = await FareConfig.find({ effectiveDate: { $gt: now } })
       .populate('lastUpdatedBy', 'name username')
-      .sort({ vehicleType: 1 });
+      .sort({ vehicleType: 1, effectiveDate: 1 });
     
     res.status(StatusCodes.OK).json({
       success: true,
       count: fareConfigs.length,
       fareConfigs,
+      scheduled,
     });
   } catch (error) {
-    console.error('Error fetching fare configs:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to fetch fare configurations',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to fetch fare configurations');
   }
 };
 
-// Get fare config by vehicle type
+// Get the fare config version in force for a vehicle type (now, or ?at= a given time)
 export const getFareConfigByVehicle = async (req, res) => {
   try {
     const { vehicleType } = req.params;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    
+    if (Number.isNaN(at.getTime())) {
+      throw new BadRequestError('Invalid date');
+    }
     
-    const fareConfig = await FareConfig.findOne({ vehicleType, isActive: true })
-      .populate('lastUpdatedBy', 'name username');
+    const fareConfig = await FareConfig.getVersionInForce(vehicleType, at);
     
     if (!fareConfig) {
       throw new NotFoundError(`No fare configuration found for ${vehicleType}`);
     }
+    await fareConfig.populate('lastUpdatedBy', 'name username');
     
     res.status(StatusCodes.OK).json({
       success: true,
       fareConfig,
     });
   } catch (error) {
-    console.error('Error fetching fare config:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to fetch fare configuration',
-      error: error.message,
+    sendError(res, error, 'Failed to fetch fare configuration');
+  }
+};
+
+// Get every version of a vehicle type's fares, newest first
+export const getFareConfigVersions = async (req, res) => {
+  try {
+    const { vehicleType } = req.params;
+    validateVehicleType(vehicleType);
+    
+    const [versions, inForce] = await Promise.all([
+      FareConfig.find({ vehicleType })
+        .populate('lastUpdatedBy', 'name username')
+        .sort({ version: -1 }),
+      FareConfig.getVersionInForce(vehicleType),
+    ]);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: versions.length,
+      versionInForce: inForce?.version ?? null,
+      versions,
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch fare configuration versions');
   }
 };
 
-// Create or update fare configuration
-export const upsertFareConfig = async (req, res) => {
+// Create a new fare configuration version (effective now or at a future date)
+export const createFareConfigVersion = async (req, res) => {
   try {
-    const {
-      vehicleType,
-      baseFare,
-      perKmRate,
-      minimumFare,
-      baseDistanceKm,
-      additionalCharges,
-      isActive,
-      description,
-    } = req.body;
+    const { vehicleType, effectiveDate } = req.body;
     
-    if (!vehicleType) {
-      throw new BadRequestError('Vehicle type is required');
-    }
+    validateVehicleType(vehicleType);
     
-    // Validate vehicle type
-    const validVehicleTypes = ['Tricycle', 'Single Motorcycle', 'Cab'];
-    if (!validVehicleTypes.includes(vehicleType)) {
-      throw new BadRequestError(`Invalid vehicle type. Must be one of: ${validVehicleTypes.join(', ')}`);
+    const now = new Date();
+    const effectiveFrom = effectiveDate ? new Date(effectiveDate) : now;
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      throw new BadRequestError('Invalid effective date');
+    }
+    if (effectiveFrom < now) {
+      throw new BadRequestError('Effective date cannot be in the past');
     }
     
-    // Prepare update data
-    const updateData = {
-      vehicleType,
-      baseFare: baseFare || 20,
-      perKmRate: perKmRate || 2.8,
-      minimumFare: minimumFare || 20,
-      baseDistanceKm: baseDistanceKm || 1,
-      additionalCharges: additionalCharges || {},
-      isActive: isActive !== undefined ? isActive : true,
-      description: description || '',
-      lastUpdatedBy: req.admin?._id || req.admin?.id,
-      effectiveDate: new Date(),
-    };
+    const fareConfig = await createNextVersion(vehicleType, req.body, {
+      effectiveDate: effectiveFrom,
+      adminId: req.admin?._id || req.admin?.id,
+    });
+    await fareConfig.populate('lastUpdatedBy', 'name username');
     
-    // Upsert (update if exists, create if not)
-    const fareConfig = await FareConfig.findOneAndUpdate(
-      { vehicleType },
-      updateData,
-      { new: true, upsert: true, runValidators: true }
-    ).populate('lastUpdatedBy', 'name username');
+    const scheduled = effectiveFrom > now;
+    console.log(`💰 Fare config ${vehicleType} v${fareConfig.version} ${scheduled ? `scheduled for ${effectiveFrom.toISOString()}` : 'in force now'}`);
     
-    res.status(StatusCodes.OK).json({
+    res.status(StatusCodes.CREATED).json({
       success: true,
-      message: `Fare configuration for ${vehicleType} saved successfully`,
+      message: scheduled
+        ? `Fare configuration v${fareConfig.version} for ${vehicleType} scheduled for ${effectiveFrom.toISOString()}`
+        : `Fare configuration v${fareConfig.version} for ${vehicleType} is now in force`,
       fareConfig,
     });
   } catch (error) {
-    console.error('Error saving fare config:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to save fare configuration',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to save fare configuration');
   }
 };
 
-// Delete fare configuration
+// Delete a scheduled fare configuration version (versions already in effect are kept)
 export const deleteFareConfig = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const fareConfig = await FareConfig.findByIdAndDelete(id);
+    const fareConfig = await FareConfig.findById(id);
     
     if (!fareConfig) {
       throw new NotFoundError('Fare configuration not found');
     }
+    if (fareConfig.effectiveDate <= new Date()) {
+      throw new BadRequestError('Only scheduled versions can be deleted - this version has already taken effect');
+    }
+    
+    await fareConfig.deleteOne();
     
     res.status(StatusCodes.OK).json({
       success: true,
-      message: `Fare configuration for ${fareConfig.vehicleType} deleted successfully`,
+      message: `Scheduled fare configuration v${fareConfig.version} for ${fareConfig.vehicleType} deleted successfully`,
     });
   } catch (error) {
-    console.error('Error deleting fare config:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to delete fare configuration',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to delete fare configuration');
   }
 };
 
-// Toggle fare config active status
+// Toggle a vehicle type's active status (saved as a new version, effective now)
 export const toggleFareConfigStatus = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const fareConfig = await FareConfig.findById(id);
+    const current = await FareConfig.findById(id);
     
-    if (!fareConfig) {
+    if (!current) {
       throw new NotFoundError('Fare configuration not found');
     }
     
-    fareConfig.isActive = !fareConfig.isActive;
-    fareConfig.lastUpdatedBy = req.admin?._id || req.admin?.id;
-    await fareConfig.save();
+    const inForce = await FareConfig.getVersionInForce(current.vehicleType);
+    if (!inForce?._id.equals(current._id)) {
+      throw new BadRequestError('Only the version currently in force can be toggled');
+    }
+    
+    const fareConfig = await createNextVersion(current.vehicleType, { isActive: !current.isActive }, {
+      effectiveDate: new Date(),
+      adminId: req.admin?._id || req.admin?.id,
+    });
     
     res.status(StatusCodes.OK).json({
       success: true,
-      message: `Fare configuration for ${fareConfig.vehicleType} ${fareConfig.isActive ? 'activated' : 'deactivated'}`,
+      message: `Fare configuration for ${fareConfig.vehicleType} ${fareConfig.isActive ? 'activated' : 'deactivated'} (v${fareConfig.version})`,
       fareConfig,
     });
   } catch (error) {
-    console.error('Error toggling fare config status:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to toggle fare configuration status',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to toggle fare configuration status');
   }
 };
 
 // Calculate fare estimate (public endpoint for mobile app)
 export const calculateFareEstimate = async (req, res) => {
   try {
-    const { vehicleType, distanceKm, passengerCount, bookingTime } = req.body;
+    const { vehicleType, distanceKm, passengerCount, bookingTime, pickup, drop, promoCode } = req.body;
     
     if (!vehicleType || distanceKm === undefined) {
       throw new BadRequestError('Vehicle type and distance are required');
     }
+    if ([pickup, drop].some(location => location && !toGeoPoint(location.latitude, location.longitude))) {
+      throw new BadRequestError('Pickup and drop need a valid latitude and longitude');
+    }
     
+    // pickup/drop ({ latitude, longitude }) are optional - with them, fare zones apply,
+    // and for a ride wanted now, the pickup zone's current surge. A promo code is
+    // applied if given; a signed-in customer otherwise gets their best campaign.
     const fareEstimate = await FareConfig.calculateFare(
       vehicleType,
       parseFloat(distanceKm),
       parseInt(passengerCount) || 1,
-      bookingTime ? new Date(bookingTime) : new Date()
+      bookingTime ? new Date(bookingTime) : new Date(),
+      { pickup, drop, surge: !bookingTime, customerId: req.user?.id || null, promoCode }
     );
     
+    // A quote token lets the customer book at this price for a few minutes
+    // (only for a specific trip, so pickup and drop are needed)
+    const quote = pickup && drop
+      ? createFareQuoteToken(fareEstimate, {
+          vehicleType,
+          distanceKm: parseFloat(distanceKm),
+          passengerCount: parseInt(passengerCount) || 1,
+          pickup,
+          drop,
+          scheduledFor: bookingTime ? new Date(bookingTime) : null,
+        })
+      : null;
+    
     res.status(StatusCodes.OK).json({
       success: true,
       fareEstimate,
+      quoteToken: quote?.quoteToken || null,
+      quoteExpiresAt: quote?.expiresAt || null,
+      quoteValidMinutes: FARE_QUOTE_CONFIG.TTL_MINUTES,
     });
   } catch (error) {
-    console.error('Error calculating fare estimate:', error);
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to calculate fare estimate',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to calculate fare estimate');
   }
 };
 
@@ -206,6 +302,7 @@ export const getPublicFareConfigs = async (req, res) => {
     // Return simplified config for mobile app
     const configs = fareConfigs.map(config => ({
       vehicleType: config.vehicleType,
+      version: config.version,
       baseFare: config.baseFare,
       perKmRate: config.perKmRate,
       minimumFare: config.minimumFare,
@@ -299,8 +396,10 @@ export const initializeDefaultFareConfigs = async (req, res) => {
     for (const config of defaultConfigs) {
       const existing = await FareConfig.findOne({ vehicleType: config.vehicleType });
       if (!existing) {
-        const newConfig = await FareConfig.create({
+        await FareConfig.create({
           ...config,
+          version: 1,
+          effectiveDate: new Date(),
           lastUpdatedBy: req.admin?._id || req.admin?.id,
         });
         results.push({ vehicleType: config.vehicleType, status: 'created' });
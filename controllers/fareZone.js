@@ -0,0 +1,228 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import FareZone, { toGeoPolygon } from '../models/FareZone.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+
+const ZONE_FIELDS = [
+  'name',
+  'description',
+  'vehicleTypes',
+  'priority',
+  'fareOverrides',
+  'pickupSurcharge',
+  'dropSurcharge',
+  'surgeEnabled',
+  'maxSurgeMultiplier',
+  'isActive',
+];
+
+const pickZoneFields = (body) => Object.fromEntries(
+  ZONE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+/**
+ * Turn the request's boundary and flat fares into zone fields
+ * @param {Object} body - { boundary: [{ latitude, longitude }], flatFares: [{ toZone, amount }] }
+ * @param {string} zoneId - Zone being updated (a zone may have a flat fare to itself)
+ */
+const buildGeoFields = async (body, zoneId = null) => {
+  const data = {};
+
+  if (body.boundary !== undefined) {
+    data.area = toGeoPolygon(body.boundary);
+    if (!data.area) {
+      throw new BadRequestError('Boundary must be at least 3 points with valid latitude and longitude');
+    }
+  }
+
+  if (body.flatFares !== undefined) {
+    if (!Array.isArray(body.flatFares)) {
+      throw new BadRequestError('Flat fares must be a list of { toZone, amount }');
+    }
+    const toZoneIds = body.flatFares.map(entry => entry?.toZone);
+    if (toZoneIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw new BadRequestError('Each flat fare needs a valid toZone');
+    }
+    const otherZoneIds = [...new Set(toZoneIds.map(String))].filter(id => id !== String(zoneId));
+    const found = await FareZone.countDocuments({ _id: { $in: otherZoneIds } });
+    if (found !== otherZoneIds.length) {
+      throw new BadRequestError('A flat fare points to a zone that does not exist');
+    }
+    data.flatFares = body.flatFares.map(({ toZone, amount }) => ({ toZone, amount }));
+  }
+
+  return data;
+};
+
+// Get all fare zones
+export const getAllFareZones = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    const fareZones = await FareZone.find(query)
+      .populate('flatFares.toZone', 'name')
+      .populate('lastUpdatedBy', 'name username')
+      .sort({ priority: -1, name: 1 });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: fareZones.length,
+      fareZones,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch fare zones');
+  }
+};
+
+// Get a fare zone
+export const getFareZone = async (req, res) => {
+  try {
+    const fareZone = await FareZone.findById(req.params.id)
+      .populate('flatFares.toZone', 'name')
+      .populate('lastUpdatedBy', 'name username');
+
+    if (!fareZone) {
+      throw new NotFoundError('Fare zone not found');
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      fareZone,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch fare zone');
+  }
+};
+
+// Which zones price a trip (admin check while drawing zones)
+export const lookupFareZones = async (req, res) => {
+  try {
+    const { vehicleType = 'Tricycle', pickup, drop } = req.body;
+
+    if (!pickup && !drop) {
+      throw new BadRequestError('Pickup or drop coordinates are required');
+    }
+
+    const zonePricing = await FareZone.resolveZonePricing(vehicleType, pickup, drop);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      zonePricing,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to look up fare zones');
+  }
+};
+
+// Create a fare zone
+export const createFareZone = async (req, res) => {
+  try {
+    const data = pickZoneFields(req.body);
+
+    if (!data.name || req.body.boundary === undefined) {
+      throw new BadRequestError('Name and boundary are required');
+    }
+
+    const fareZone = await FareZone.create({
+      ...data,
+      ...(await buildGeoFields(req.body)),
+      lastUpdatedBy: req.admin?._id,
+    });
+
+    console.log(`🗺️ Fare zone "${fareZone.name}" created`);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: `Fare zone "${fareZone.name}" created successfully`,
+      fareZone,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create fare zone');
+  }
+};
+
+// Update a fare zone (rides already booked keep the terms they were priced with)
+export const updateFareZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const fareZone = await FareZone.findByIdAndUpdate(
+      id,
+      {
+        ...pickZoneFields(req.body),
+        ...(await buildGeoFields(req.body, id)),
+        lastUpdatedBy: req.admin?._id,
+      },
+      { new: true, runValidators: true }
+    )
+      .populate('flatFares.toZone', 'name')
+      .populate('lastUpdatedBy', 'name username');
+
+    if (!fareZone) {
+      throw new NotFoundError('Fare zone not found');
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Fare zone "${fareZone.name}" updated successfully`,
+      fareZone,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update fare zone');
+  }
+};
+
+// Toggle fare zone active status
+export const toggleFareZoneStatus = async (req, res) => {
+  try {
+    const fareZone = await FareZone.findById(req.params.id);
+
+    if (!fareZone) {
+      throw new NotFoundError('Fare zone not found');
+    }
+
+    fareZone.isActive = !fareZone.isActive;
+    fareZone.lastUpdatedBy = req.admin?._id;
+    await fareZone.save();
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Fare zone "${fareZone.name}" ${fareZone.isActive ? 'activated' : 'deactivated'}`,
+      fareZone,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to toggle fare zone status');
+  }
+};
+
+// Delete a fare zone (and the flat fares other zones have to it)
+export const deleteFareZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const fareZone = await FareZone.findByIdAndDelete(id);
+
+    if (!fareZone) {
+      throw new NotFoundError('Fare zone not found');
+    }
+
+    await FareZone.updateMany({ 'flatFares.toZone': fareZone._id }, { $pull: { flatFares: { toZone: fareZone._id } } });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Fare zone "${fareZone.name}" deleted successfully`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete fare zone');
+  }
+};
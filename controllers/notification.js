@@ -0,0 +1,235 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import DeviceToken, { DEVICE_PLATFORMS } from '../models/DeviceToken.js';
+import Notification from '../models/Notification.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import {
+  NOTIFICATION_CATEGORIES,
+  getNotificationPreferences,
+  isValidQuietHoursTime,
+  registerDeviceToken,
+  removeDeviceToken,
+  countUnreadNotifications,
+} from '../utils/notificationService.js';
+import { CODE_CHANNELS } from '../utils/smsService.js';
+
+// Category switches sent in a preferences update
+const pickCategories = (body) => Object.fromEntries(
+  Object.values(NOTIFICATION_CATEGORIES).map(category => [category, body[category]])
+);
+
+// ============================================
+// INBOX
+// ============================================
+
+// Get the current user's notifications, newest first (?limit=&before=<ISO date>&unread=true)
+export const getMyNotifications = async (req, res) => {
+  const { limit, before, unread } = req.query;
+
+  if (before && Number.isNaN(new Date(before).getTime())) {
+    throw new BadRequestError('Invalid "before" date');
+  }
+
+  const query = { user: req.user.id };
+  if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+  if (unread === 'true') {
+    query.readAt = null;
+  }
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200));
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: notifications.length,
+    unreadCount: await countUnreadNotifications(req.user.id),
+    notifications,
+    nextBefore: notifications.length > 0 ? notifications[notifications.length - 1].createdAt : null,
+  });
+};
+
+// Number of unread notifications (for the badge)
+export const getUnreadNotificationCount = async (req, res) => {
+  res.status(StatusCodes.OK).json({
+    success: true,
+    unreadCount: await countUnreadNotifications(req.user.id),
+  });
+};
+
+// Mark one notification as read
+export const markNotificationRead = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid notification ID');
+  }
+
+  const notification = await Notification.findOne({ _id: id, user: req.user.id });
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    notification,
+    unreadCount: await countUnreadNotifications(req.user.id),
+  });
+};
+
+// Mark all of the current user's notifications as read
+export const markAllNotificationsRead = async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user.id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked as read`,
+    unreadCount: 0,
+  });
+};
+
+// ============================================
+// DEVICES
+// ============================================
+
+// Register (or refresh) this device's push token
+export const registerDevice = async (req, res) => {
+  const { token, platform, appVersion } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    throw new BadRequestError('Device token is required');
+  }
+  if (!DEVICE_PLATFORMS.includes(platform)) {
+    throw new BadRequestError(`Invalid platform. Must be one of: ${DEVICE_PLATFORMS.join(', ')}`);
+  }
+
+  const device = await registerDeviceToken(req.user.id, { token, platform, appVersion });
+  console.log(`📲 Device registered for user ${req.user.id} (${platform})`);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    device: {
+      token: device.token,
+      platform: device.platform,
+      appVersion: device.appVersion,
+      lastSeenAt: device.lastSeenAt,
+    },
+  });
+};
+
+// Remove a push token (call on logout)
+export const unregisterDevice = async (req, res) => {
+  const { token } = req.params;
+
+  const removed = await removeDeviceToken(req.user.id, token);
+  if (!removed) {
+    throw new NotFoundError('Device token not found');
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Device unregistered',
+  });
+};
+
+// Devices registered to the current user
+export const getMyDevices = async (req, res) => {
+  const devices = await DeviceToken.find({ user: req.user.id })
+    .select('token platform appVersion lastSeenAt')
+    .sort({ lastSeenAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: devices.length,
+    devices,
+  });
+};
+
+// ============================================
+// PREFERENCES
+// ============================================
+
+// Get the current user's notification preferences
+export const getMyNotificationPreferences = async (req, res) => {
+  const user = await User.findById(req.user.id).select('notificationPreferences');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    preferences: getNotificationPreferences(user),
+  });
+};
+
+// Update the current user's notification preferences (only the fields sent)
+export const updateMyNotificationPreferences = async (req, res) => {
+  const { pushEnabled, smsRideAlerts, resetCodeChannel, quietHours } = req.body;
+  const updates = {};
+
+  for (const [field, value] of Object.entries({ pushEnabled, smsRideAlerts, ...pickCategories(req.body) })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') {
+      throw new BadRequestError(`${field} must be true or false`);
+    }
+    updates[`notificationPreferences.${field}`] = value;
+  }
+
+  if (resetCodeChannel !== undefined) {
+    if (!CODE_CHANNELS.includes(resetCodeChannel)) {
+      throw new BadRequestError(`resetCodeChannel must be one of: ${CODE_CHANNELS.join(', ')}`);
+    }
+    updates['notificationPreferences.resetCodeChannel'] = resetCodeChannel;
+  }
+
+  // SMS goes only to verified numbers
+  if (smsRideAlerts === true || resetCodeChannel === 'sms') {
+    const user = await User.findById(req.user.id).select('phoneVerified');
+    if (!user?.phoneVerified) {
+      throw new BadRequestError('Verify your phone number before turning on SMS');
+    }
+  }
+
+  if (quietHours !== undefined) {
+    const { enabled, start, end } = quietHours || {};
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        throw new BadRequestError('quietHours.enabled must be true or false');
+      }
+      updates['notificationPreferences.quietHours.enabled'] = enabled;
+    }
+    for (const [field, value] of Object.entries({ start, end })) {
+      if (value === undefined) continue;
+      if (!isValidQuietHoursTime(value)) {
+        throw new BadRequestError(`quietHours.${field} must be a time in HH:mm format`);
+      }
+      updates[`notificationPreferences.quietHours.${field}`] = value;
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new BadRequestError('No preferences to update');
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true })
+    .select('notificationPreferences');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Notification preferences updated',
+    preferences: getNotificationPreferences(user),
+  });
+};
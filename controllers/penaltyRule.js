@@ -0,0 +1,129 @@
+import { StatusCodes } from 'http-status-codes';
+import PenaltyRule, { PENALTY_RULE_TYPES, PENALTY_RULE_ROLES } from '../models/PenaltyRule.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { runPenaltyRules } from '../utils/penaltyEngine.js';
+
+const RULE_FIELDS = ['name', 'type', 'threshold', 'windowDays', 'minimumSamples', 'penaltyHours', 'isActive', 'description'];
+
+const pickRuleFields = (body) => Object.fromEntries(
+  RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+// Get all penalty rules
+export const getAllPenaltyRules = async (req, res) => {
+  try {
+    const penaltyRules = await PenaltyRule.find()
+      .populate('lastUpdatedBy', 'name username')
+      .sort({ type: 1, createdAt: 1 });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: penaltyRules.length,
+      types: Object.values(PENALTY_RULE_TYPES).map(type => ({ type, appliesTo: PENALTY_RULE_ROLES[type] })),
+      penaltyRules,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch penalty rules');
+  }
+};
+
+// Create a penalty rule
+export const createPenaltyRule = async (req, res) => {
+  try {
+    const data = pickRuleFields(req.body);
+
+    if (!data.name || !data.type || data.threshold === undefined) {
+      throw new BadRequestError('Name, type and threshold are required');
+    }
+    if (!Object.values(PENALTY_RULE_TYPES).includes(data.type)) {
+      throw new BadRequestError(`Invalid rule type. Must be one of: ${Object.values(PENALTY_RULE_TYPES).join(', ')}`);
+    }
+
+    const penaltyRule = await PenaltyRule.create({
+      ...data,
+      lastUpdatedBy: req.admin?._id,
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: `Penalty rule "${penaltyRule.name}" created successfully`,
+      penaltyRule,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create penalty rule');
+  }
+};
+
+// Update a penalty rule
+export const updatePenaltyRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const data = pickRuleFields(req.body);
+
+    if (data.type && !Object.values(PENALTY_RULE_TYPES).includes(data.type)) {
+      throw new BadRequestError(`Invalid rule type. Must be one of: ${Object.values(PENALTY_RULE_TYPES).join(', ')}`);
+    }
+
+    const penaltyRule = await PenaltyRule.findByIdAndUpdate(
+      id,
+      { ...data, lastUpdatedBy: req.admin?._id },
+      { new: true, runValidators: true }
+    ).populate('lastUpdatedBy', 'name username');
+
+    if (!penaltyRule) {
+      throw new NotFoundError('Penalty rule not found');
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Penalty rule "${penaltyRule.name}" updated successfully`,
+      penaltyRule,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update penalty rule');
+  }
+};
+
+// Delete a penalty rule
+export const deletePenaltyRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const penaltyRule = await PenaltyRule.findByIdAndDelete(id);
+
+    if (!penaltyRule) {
+      throw new NotFoundError('Penalty rule not found');
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Penalty rule "${penaltyRule.name}" deleted successfully`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete penalty rule');
+  }
+};
+
+// Evaluate all active rules now instead of waiting for the next job run
+export const runPenaltyRulesNow = async (req, res) => {
+  try {
+    const result = await runPenaltyRules();
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `${result.rulesEvaluated} rule(s) evaluated, ${result.penalized.length} user(s) penalized`,
+      ...result,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to run penalty rules');
+  }
+};
@@ -0,0 +1,210 @@
+import { StatusCodes } from 'http-status-codes';
+import Promotion from '../models/Promotion.js';
+import { countPromotionUses, getPromotionUsage, getAvailableCampaigns } from '../utils/promotions.js';
+import { BadRequestError, NotFoundError, ConflictError } from '../errors/index.js';
+
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'code',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minimumFare',
+  'startsAt',
+  'endsAt',
+  'usageLimit',
+  'perUserLimit',
+  'isActive',
+];
+const ELIGIBILITY_FIELDS = ['studentsOnly', 'firstRideOnly', 'vehicleTypes'];
+
+// Eligibility rules are set one by one, so an update only changes the rules it sends
+const pickPromotionFields = (body) => Object.fromEntries([
+  ...PROMOTION_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]),
+  ...ELIGIBILITY_FIELDS.filter(field => body.eligibility?.[field] !== undefined)
+    .map(field => [`eligibility.${field}`, body.eligibility[field]]),
+]);
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+// Save a promotion, reporting validation errors and taken codes as the client's to fix
+const savePromotion = async (promotion) => {
+  try {
+    return await promotion.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`Promo code ${promotion.code} is already in use`);
+    }
+    if (error.name === 'ValidationError') {
+      throw new BadRequestError(Object.values(error.errors).map(e => e.message).join(', '));
+    }
+    throw error;
+  }
+};
+
+const withUsage = (promotion, usage) => ({
+  ...promotion.toObject(),
+  usage: usage.get(promotion._id.toString()) || { uses: 0, customers: 0, totalDiscount: 0 },
+});
+
+// Get all promotions with how much they have been used (?type=code|campaign, ?includeInactive=true)
+export const getAllPromotions = async (req, res) => {
+  try {
+    const { type, includeInactive } = req.query;
+
+    const query = {
+      ...(includeInactive === 'true' ? {} : { isActive: true }),
+      ...(type ? { type } : {}),
+    };
+    const promotions = await Promotion.find(query)
+      .populate('lastUpdatedBy', 'name username')
+      .sort({ createdAt: -1 });
+    const usage = await getPromotionUsage(promotions.map(promotion => promotion._id));
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: promotions.length,
+      promotions: promotions.map(promotion => withUsage(promotion, usage)),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch promotions');
+  }
+};
+
+// Get a promotion with how much it has been used
+export const getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('lastUpdatedBy', 'name username');
+
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    const usage = await getPromotionUsage([promotion._id]);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      promotion: withUsage(promotion, usage),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch promotion');
+  }
+};
+
+// Create a promo code or campaign
+export const createPromotion = async (req, res) => {
+  try {
+    const data = pickPromotionFields(req.body);
+
+    if (!data.name || !data.type || !data.discountType || data.discountValue === undefined) {
+      throw new BadRequestError('Name, type, discount type and discount value are required');
+    }
+
+    const promotion = new Promotion({ lastUpdatedBy: req.admin?._id });
+    promotion.set(data);
+    await savePromotion(promotion);
+
+    console.log(`🎟️ Promotion "${promotion.name}"${promotion.code ? ` (${promotion.code})` : ''} created`);
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: `Promotion "${promotion.name}" created successfully`,
+      promotion,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create promotion');
+  }
+};
+
+// Update a promotion (rides already booked keep the terms they were priced with)
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    promotion.set({ ...pickPromotionFields(req.body), lastUpdatedBy: req.admin?._id });
+    await savePromotion(promotion);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Promotion "${promotion.name}" updated successfully`,
+      promotion,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update promotion');
+  }
+};
+
+// Toggle promotion active status
+export const togglePromotionStatus = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    promotion.isActive = !promotion.isActive;
+    promotion.lastUpdatedBy = req.admin?._id;
+    await savePromotion(promotion);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Promotion "${promotion.name}" ${promotion.isActive ? 'activated' : 'deactivated'}`,
+      promotion,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to toggle promotion status');
+  }
+};
+
+// Delete a promotion that was never used (used ones are deactivated instead)
+export const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+    if (await countPromotionUses(promotion._id) > 0) {
+      throw new BadRequestError('This promotion has been used on rides - deactivate it instead');
+    }
+
+    await promotion.deleteOne();
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Promotion "${promotion.name}" deleted successfully`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete promotion');
+  }
+};
+
+// Campaigns the signed-in customer currently gets (promo codes stay hidden)
+export const getMyAvailablePromotions = async (req, res) => {
+  try {
+    const promotions = await getAvailableCampaigns(req.user.id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: promotions.length,
+      promotions,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch promotions');
+  }
+};
@@ -1,20 +1,88 @@
+import mongoose from "mongoose";
 import Ride from "../models/Ride.js";
 import CheckpointSnapshot from "../models/CheckpointSnapshot.js";
-import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { BadRequestError, NotFoundError, ConflictError } from "../errors/index.js";
 import { StatusCodes } from "http-status-codes";
 // COMMENTED OUT: Payment/Fare - Driver handles pricing manually
 import {
   calculateDistance,
   // calculateFare,
   generateOTP,
+  toGeoPoint,
   MAX_DISTANCE_KM,
 } from "../utils/mapUtils.js";
-import { broadcastNewRideRequest, broadcastRideAccepted } from "./sockets.js";
+import { dispatchNewRideRequest, declineRideOfferForRider, broadcastRideAccepted, notifyRideAlreadyTaken } from "./sockets.js";
+import { settleRideOffers, canRiderAcceptRide, getOfferedRidesForRider } from "../utils/dispatchEngine.js";
+import presenceStore from "../utils/presenceStore.js";
+import { SCHEDULED_RIDE_CONFIG } from "../jobs/scheduledRideJob.js";
+import {
+  canTransition,
+  transitionRide,
+  transitionRideAtomic,
+  actorTypeForRole,
+  buildStatusHistoryEntry,
+} from "../utils/rideStateMachine.js";
+import {
+  getRouteDistanceKm,
+  getOrderedStops,
+  insertStop,
+  addJoinedPassenger,
+  markPassengerBoarded,
+  markPassengerDropped,
+  settlePassengerFares,
+} from "../utils/stopUtils.js";
 import {
   createAcceptedCheckpoint,
   createPickupCheckpoint,
   createDropoffCheckpoint,
 } from "../utils/checkpointUtils.js";
+import { settleRideFare, buildQuotedFare } from "../utils/fareSettlement.js";
+import { verifyFareQuoteToken, assertQuoteMatchesBooking } from "../utils/fareQuote.js";
+import { assertQuotedPromotionUsable, reservePromotionUse, returnPromotionUse, releasePromotionUse } from "../utils/promotions.js";
+import { checkUserEligibility, eligibilityErrorBody, ELIGIBILITY_ACTIONS } from "../utils/userEligibility.js";
+import { sendRidePushNotification, createNotification } from "../utils/notificationService.js";
+import { NOTIFICATION_TYPES } from "../models/Notification.js";
+import { sendRideSmsAlert } from "../utils/smsService.js";
+import {
+  RIDE_PAYMENT_METHODS,
+  getUserWallet,
+  holdRideFare,
+  refundRideHold,
+  returnFareHold,
+  adjustRideHold,
+  settleRidePayments,
+} from "../utils/ledger.js";
+import {
+  buildRideReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  emailRideReceipts,
+} from "../utils/receiptUtils.js";
+import { recordRideEarnings } from "../utils/riderEarnings.js";
+import {
+  getCancellationPolicy,
+  assessCancellation,
+  applyCancellationPolicy,
+  checkNoShowAllowed,
+  checkArrivalAtPickup,
+  CANCELLATION_OUTCOME,
+} from "../utils/cancellationPolicy.js";
+import {
+  findRidePage,
+  buildRideRoleFilter,
+  buildDateRangeFilter,
+  RIDE_SUMMARY_FIELDS,
+} from "../utils/ridePagination.js";
+import {
+  verifyRideOtp,
+  describeOtpResult,
+  isRideOtpVerified,
+  withoutOtp,
+  withCustomerOtp,
+  withCustomerOtps,
+  getRideOtp,
+  OTP_RESULT,
+} from "../utils/otpVerification.js";
 
 // Route deviation threshold (percentage)
 const ROUTE_DEVIATION_THRESHOLD = 20; // Flag if route is 20% longer than estimated
@@ -28,6 +96,12 @@ export const acceptRide = async (req, res) => {
     throw new BadRequestError("Ride ID is required");
   }
 
+  // Disapproved or penalized riders can't take new rides
+  const eligibility = await checkUserEligibility(riderId, ELIGIBILITY_ACTIONS.ACCEPT_RIDE);
+  if (!eligibility.eligible) {
+    return res.status(StatusCodes.FORBIDDEN).json(eligibilityErrorBody(eligibility));
+  }
+
   try {
     let ride = await Ride.findById(rideId).populate("customer", "firstName lastName phone");
 
@@ -35,10 +109,21 @@ export const acceptRide = async (req, res) => {
       throw new NotFoundError("Ride not found");
     }
 
-    if (ride.status !== "SEARCHING_FOR_RIDER") {
+    // Another rider already has it
+    if (ride.rider) {
+      notifyRideAlreadyTaken(req.io, rideId, riderId);
+      throw new ConflictError("This ride has already been accepted by another rider");
+    }
+
+    if (!canTransition(ride.status, "START")) {
       throw new BadRequestError("Ride is no longer available for assignment");
     }
 
+    // Under sequential dispatch only the rider(s) holding the current offer may accept
+    if (!canRiderAcceptRide(ride, riderId)) {
+      throw new BadRequestError("This ride is currently offered to another rider");
+    }
+
     // Get rider details to check vehicle type
     const User = (await import('../models/User.js')).default;
     const rider = await User.findById(riderId);
@@ -57,55 +142,73 @@ export const acceptRide = async (req, res) => {
 
     // ============================================
     // Check MAX_DISTANCE if enabled (optional validation)
-    // Note: This is a server-side safety check. The main filtering happens in socket broadcasts.
+    // Note: This is a server-side safety check. The main filtering happens in dispatch.
+    // Uses the rider's last location from the presence store.
     // ============================================
-    if (MAX_DISTANCE_KM && rider.location && ride.pickup) {
+    const riderLocation = (await presenceStore.get(riderId))?.coords;
+    const maxDistanceKm = ride.tripLogs?.searchRadiusKm || MAX_DISTANCE_KM;
+    if (maxDistanceKm && riderLocation?.latitude != null && riderLocation?.longitude != null && ride.pickup) {
       const distance = calculateDistance(
-        rider.location.latitude,
-        rider.location.longitude,
+        riderLocation.latitude,
+        riderLocation.longitude,
         ride.pickup.latitude,
         ride.pickup.longitude
       );
       
-      if (distance > MAX_DISTANCE_KM) {
-        console.log(`❌ Distance check failed: Rider is ${distance.toFixed(2)}km away (max: ${MAX_DISTANCE_KM}km)`);
-        throw new BadRequestError(`This ride is too far away (${distance.toFixed(1)}km). Maximum distance is ${MAX_DISTANCE_KM}km.`);
+      if (distance > maxDistanceKm) {
+        console.log(`❌ Distance check failed: Rider is ${distance.toFixed(2)}km away (max: ${maxDistanceKm}km)`);
+        throw new BadRequestError(`This ride is too far away (${distance.toFixed(1)}km). Maximum distance is ${maxDistanceKm}km.`);
       }
       
-      console.log(`✅ Distance check passed: Rider is ${distance.toFixed(2)}km away (within ${MAX_DISTANCE_KM}km limit)`);
+      console.log(`✅ Distance check passed: Rider is ${distance.toFixed(2)}km away (within ${maxDistanceKm}km limit)`);
     }
     // ============================================
 
-    ride.rider = riderId;
-    ride.status = "START";
-    
-    // ============================================
-    // TRIP LOG: Record accept time and start time
     // ============================================
-    if (!ride.tripLogs) {
-      ride.tripLogs = {};
-    }
-    ride.tripLogs.acceptTime = new Date();
-    ride.tripLogs.startTime = new Date();
-    console.log(`📊 Trip Log: Ride ${rideId} accepted at ${ride.tripLogs.acceptTime}`);
-    // ============================================
-    
+    // ATOMIC CLAIM: The ride is only assigned if it is still searching and
+    // has no rider, so simultaneous accepts resolve to a single winner.
+    // TRIP LOG: Record accept time and start time in the same update
     // ============================================
+    const acceptedAt = new Date();
+    const claimUpdate = {
+      rider: riderId,
+      "tripLogs.acceptTime": acceptedAt,
+      "tripLogs.startTime": acceptedAt,
+    };
+
     // RIDER LOCATION: Store rider's location for distance calculation
-    // ============================================
     const riderLocationFromBody = req.body.location;
     if (riderLocationFromBody && riderLocationFromBody.latitude && riderLocationFromBody.longitude) {
-      ride.riderLocation = {
+      claimUpdate.riderLocation = {
         latitude: riderLocationFromBody.latitude,
         longitude: riderLocationFromBody.longitude,
         heading: riderLocationFromBody.heading || null,
-        updatedAt: new Date(),
+        updatedAt: acceptedAt,
       };
       console.log(`📍 Rider location stored: ${riderLocationFromBody.latitude}, ${riderLocationFromBody.longitude}`);
     }
+
+    const claimedRide = await transitionRideAtomic(rideId, "SEARCHING_FOR_RIDER", "START", {
+      actorType: "rider",
+      actorId: riderId,
+      reason: "Rider accepted the ride",
+      filter: { rider: null },
+      update: claimUpdate,
+    });
+
+    if (!claimedRide) {
+      console.log(`🔒 Ride ${rideId} was taken before rider ${riderId} could accept it`);
+      notifyRideAlreadyTaken(req.io, rideId, riderId);
+      throw new ConflictError("This ride has already been accepted by another rider");
+    }
+
+    console.log(`📊 Trip Log: Ride ${rideId} accepted at ${acceptedAt}`);
     // ============================================
-    
+
+    ride = claimedRide;
+    settleRideOffers(ride, riderId);
     await ride.save();
+    await ride.populate("customer", "firstName lastName phone");
 
     // ============================================
     // CHECKPOINT SNAPSHOT: Record ACCEPTED checkpoint
@@ -136,33 +239,34 @@ export const acceptRide = async (req, res) => {
     // Broadcast to the specific ride room
     if (req.io) {
       console.log(`Broadcasting ride acceptance for ride ${rideId}`);
-      console.log(`Ride status: ${ride.status}, OTP: ${ride.otp}`);
+      console.log(`Ride status: ${ride.status}`);
       console.log(`Customer ID: ${ride.customer}, Rider ID: ${riderId}`);
       
       // Send updated ride data to the ride room
       req.io.to(`ride_${rideId}`).emit("rideUpdate", ride);
       req.io.to(`ride_${rideId}`).emit("rideAccepted", ride);
       
-      // Also try to find and directly notify the customer
+      // Also try to find and directly notify the customer (the only payload with the OTP)
       const customerSocket = [...req.io.sockets.sockets.values()].find(
         socket => socket.user?.id === ride.customer.toString()
       );
       if (customerSocket) {
         console.log(`Found customer socket, directly notifying customer ${ride.customer}`);
-        customerSocket.emit("rideUpdate", ride);
-        customerSocket.emit("rideAccepted", ride);
-        customerSocket.emit("rideData", ride); // Also send as rideData to force update
+        const customerRide = await withCustomerOtp(ride);
+        customerSocket.emit("rideUpdate", customerRide);
+        customerSocket.emit("rideAccepted", customerRide);
+        customerSocket.emit("rideData", customerRide); // Also send as rideData to force update
       } else {
         console.log(`Customer socket not found for customer ${ride.customer}`);
       }
       
-      // Send ride data with OTP to the rider who accepted
+      // Send ride data to the rider who accepted (without the OTP - the passenger reads it out)
       const riderSocket = [...req.io.sockets.sockets.values()].find(
         socket => socket.user?.id === riderId
       );
       if (riderSocket) {
         console.log(`Found rider socket, notifying rider ${riderId}`);
-        riderSocket.emit("rideAccepted", ride);
+        riderSocket.emit("rideAccepted", withoutOtp(ride));
       } else {
         console.log(`Rider socket not found for rider ${riderId}`);
       }
@@ -173,19 +277,70 @@ export const acceptRide = async (req, res) => {
       console.log(`Ride ${rideId} acceptance broadcast completed`);
     }
 
+    // Push to the customer in case their app is in the background (and text the OTP if they opted in)
+    const riderName = `${ride.rider.firstName || ""} ${ride.rider.lastName || ""}`.trim();
+    sendRidePushNotification(ride.customer, "rideAccepted", ride, { riderName });
+    sendRideSmsAlert(ride.customer, "rideAccepted", { riderName, otp: await getRideOtp(rideId) });
+
     res.status(StatusCodes.OK).json({
       message: "Ride accepted successfully",
-      ride,
+      ride: withoutOtp(ride),
     });
   } catch (error) {
     console.error("Error accepting ride:", error);
+    // Losing an accept race is a 409 the client handles, not a generic failure
+    if (error instanceof ConflictError) {
+      throw error;
+    }
     throw new BadRequestError("Failed to accept ride");
   }
 };
 
+// Rider enters the code the passenger reads out; required before the trip can start
+export const verifyOtp = async (req, res) => {
+  const riderId = req.user.id;
+  const { rideId } = req.params;
+  const { otp } = req.body;
+
+  if (!rideId) {
+    throw new BadRequestError("Ride ID is required");
+  }
+
+  try {
+    const outcome = await verifyRideOtp(rideId, riderId, otp, { source: "http" });
+    const message = describeOtpResult(outcome);
+
+    if (outcome.result === OTP_RESULT.LOCKED) {
+      return res.status(StatusCodes.TOO_MANY_REQUESTS).json({
+        message,
+        lockedUntil: outcome.lockedUntil,
+      });
+    }
+
+    if (outcome.result === OTP_RESULT.INVALID) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        message,
+        attemptsRemaining: outcome.attemptsRemaining,
+      });
+    }
+
+    if (outcome.result === OTP_RESULT.VERIFIED && req.io) {
+      req.io.to(`ride_${rideId}`).emit("rideOtpVerified", { rideId, verifiedAt: outcome.ride.otpVerification.verifiedAt });
+    }
+
+    res.status(StatusCodes.OK).json({
+      message,
+      ride: withoutOtp(outcome.ride),
+    });
+  } catch (error) {
+    console.error("Error verifying ride OTP:", error);
+    throw new BadRequestError(error.message || "Failed to verify OTP");
+  }
+};
+
 export const updateRideStatus = async (req, res) => {
   const { rideId } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   if (!rideId || !status) {
     throw new BadRequestError("Ride ID and status are required");
@@ -202,23 +357,32 @@ export const updateRideStatus = async (req, res) => {
       throw new BadRequestError("Invalid ride status");
     }
     
-    // CRITICAL: Never allow changing status of a COMPLETED ride
-    if (ride.status === "COMPLETED") {
-      console.log(`🔒 Protected: Ride ${rideId} is already COMPLETED - status change to ${status} rejected`);
-      
-      // Return the ride without changing it
+    // Repeated update (e.g. client retry) - return the ride unchanged
+    if (ride.status === status) {
       return res.status(StatusCodes.OK).json({
-        message: `Ride is already completed and cannot be changed`,
+        message: `Ride is already ${status}`,
         ride,
       });
     }
     
     // Log the status change with detailed information
     console.log(`📝 Ride ${rideId} status change: ${ride.status} → ${status}`);
-    console.log(`📍 Ride details: Customer=${ride.customer._id}, Rider=${ride.rider?._id || 'None'}, OTP=${ride.otp}`);
+    console.log(`📍 Ride details: Customer=${ride.customer._id}, Rider=${ride.rider?._id || 'None'}`);
+    
+    // The trip can only start once the rider has entered the passenger's OTP
+    if (status === "ARRIVED" && ride.status === "START" && !await isRideOtpVerified(ride)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        message: "Verify the passenger's OTP before starting the trip",
+        otpRequired: true,
+      });
+    }
     
-    // Update the status
-    ride.status = status;
+    // Update the status (rejects illegal transitions, e.g. changing a COMPLETED ride)
+    transitionRide(ride, status, {
+      actorType: actorTypeForRole(req.user.role),
+      actorId: req.user.id,
+      reason: reason || null,
+    });
     
     // ============================================
     // TRIP LOG: Record timestamps for each status change
@@ -298,9 +462,7 @@ export const updateRideStatus = async (req, res) => {
         ride.passengers.forEach(passenger => {
           if (passenger.status === "WAITING") {
             passenger.status = "ONBOARD";
-            if (!passenger.boardedAt) {
-              passenger.boardedAt = new Date();
-            }
+            markPassengerBoarded(passenger, ride.pickup);
             updatedCount++;
           }
         });
@@ -308,26 +470,53 @@ export const updateRideStatus = async (req, res) => {
           console.log(`👥 Auto-updated ${updatedCount} passengers to ONBOARD (ride ARRIVED)`);
         }
       } else if (status === "COMPLETED") {
-        // When ride completes, all ONBOARD passengers become DROPPED
-        let updatedCount = 0;
-        ride.passengers.forEach(passenger => {
-          if (passenger.status === "ONBOARD" || passenger.status === "WAITING") {
-            passenger.status = "DROPPED";
-            updatedCount++;
-          }
-        });
+        // When ride completes, all ONBOARD passengers become DROPPED at the final drop
+        // and the fare is split by the distance each passenger travelled
+        const updatedCount = ride.passengers.filter(p => p.status !== "DROPPED").length;
+        await settlePassengerFares(ride, req.body.location || ride.drop);
         if (updatedCount > 0) {
           console.log(`👥 Auto-updated ${updatedCount} passengers to DROPPED (ride COMPLETED)`);
         }
       }
     }
     // ============================================
+
+    // ============================================
+    // FARE SETTLEMENT: Re-price from the GPS route distance
+    // ============================================
+    if (status === "COMPLETED") {
+      await settleRideFare(ride);
+      ride.finalDistance = ride.settledFare.distanceKm;
+      await recordRideEarnings(ride);
+
+      // PAYMENT: Collect the fares and pay the rider (never blocks completion)
+      try {
+        await settleRidePayments(ride, { createdBy: { actorType: actorTypeForRole(req.user.role), actorId: req.user.id } });
+      } catch (paymentError) {
+        console.error(`⚠️ Failed to settle payments for ride ${rideId}:`, paymentError);
+      }
+    }
+    // ============================================
     
     await ride.save();
     
     // Log confirmation of successful update
     console.log(`✅ Ride ${rideId} status successfully updated to ${status}`);
 
+    // Email receipts to passengers who opted in (in the background)
+    if (status === "COMPLETED") {
+      emailRideReceipts(rideId);
+    }
+
+    // Push the trip start / completion to everyone on board
+    if (status === "ARRIVED" || status === "COMPLETED") {
+      sendRidePushNotification(
+        [ride.customer, ...(ride.passengers || []).map(passenger => passenger.userId)],
+        status === "ARRIVED" ? "rideStarted" : "rideCompleted",
+        ride
+      );
+    }
+
     // ============================================
     // CHECKPOINT SNAPSHOT: Record status-based checkpoints
     // ============================================
@@ -430,7 +619,7 @@ export const updateRideStatus = async (req, res) => {
     });
   } catch (error) {
     console.error("Error updating ride status:", error);
-    throw new BadRequestError("Failed to update ride status");
+    throw new BadRequestError(error.message || "Failed to update ride status");
   }
 };
 
@@ -457,18 +646,16 @@ export const cancelRide = async (req, res) => {
       throw new BadRequestError("You are not authorized to cancel this ride");
     }
 
-    // CRITICAL: Never allow cancellation of a COMPLETED ride
-    if (ride.status === "COMPLETED") {
-      console.log(`🔒 Protected: Ride ${rideId} is already COMPLETED - cancellation rejected`);
+    // Only allow cancellation while the state machine permits it (never once COMPLETED)
+    // Scheduled rides are cancelled through cancelScheduledRide
+    if (ride.status === "SCHEDULED" || !canTransition(ride.status, "CANCELLED")) {
+      console.log(`🔒 Protected: Ride ${rideId} is ${ride.status} - cancellation rejected`);
       return res.status(StatusCodes.BAD_REQUEST).json({
-        message: "Ride is already completed and cannot be cancelled",
+        message: ride.status === "COMPLETED"
+          ? "Ride is already completed and cannot be cancelled"
+          : "Ride cannot be cancelled at this stage",
       });
     }
-    
-    // Only allow cancellation if ride is still searching or just started
-    if (!["SEARCHING_FOR_RIDER", "START", "ARRIVED"].includes(ride.status)) {
-      throw new BadRequestError("Ride cannot be cancelled at this stage");
-    }
 
     // Determine who cancelled the ride
     const cancelledBy = ride.customer._id.toString() === userId ? "customer" : "rider";
@@ -476,6 +663,9 @@ export const cancelRide = async (req, res) => {
       ? `${ride.customer.firstName} ${ride.customer.lastName}` 
       : `${ride.rider?.firstName} ${ride.rider?.lastName}`;
 
+    // Assess the fee before the status changes (it depends on how far the ride got)
+    const assessment = assessCancellation(ride, cancelledBy, await getCancellationPolicy(ride));
+
     // If rider cancelled, add them to blacklist so they never see this ride again
     if (cancelledBy === "rider") {
       if (!ride.blacklistedRiders) {
@@ -492,10 +682,11 @@ export const cancelRide = async (req, res) => {
         console.log(`♻️ Ride ${rideId} reset to SEARCHING_FOR_RIDER for other riders (excluding blacklisted rider ${userId})`);
       } else {
         // If ride was already accepted (START/ARRIVED), mark as CANCELLED
-        ride.status = "CANCELLED";
+        transitionRide(ride, "CANCELLED", { actorType: "rider", actorId: userId, reason: reason || "Cancelled by rider" });
         ride.cancelledBy = cancelledBy;
         ride.cancelledAt = new Date();
         ride.cancellationReason = reason || null; // Save cancellation reason
+        settleRideOffers(ride);
         console.log(`🚫 Ride ${rideId} marked as CANCELLED by rider ${userId}`);
         if (reason) {
           console.log(`📝 Cancellation reason: ${reason}`);
@@ -503,10 +694,11 @@ export const cancelRide = async (req, res) => {
       }
     } else {
       // Customer cancelled - mark ride as CANCELLED
-      ride.status = "CANCELLED";
+      transitionRide(ride, "CANCELLED", { actorType: "customer", actorId: userId, reason: reason || "Cancelled by customer" });
       ride.cancelledBy = cancelledBy;
       ride.cancelledAt = new Date();
       ride.cancellationReason = reason || null; // Save cancellation reason
+      settleRideOffers(ride);
       console.log(`🚫 Ride ${rideId} cancelled by customer ${userId}, status updated to CANCELLED`);
       if (reason) {
         console.log(`📝 Cancellation reason: ${reason}`);
@@ -515,6 +707,21 @@ export const cancelRide = async (req, res) => {
     
     await ride.save();
 
+    // Give a wallet booking hold back to the customer, then charge any cancellation fee
+    if (ride.status === "CANCELLED") {
+      await refundRideHold(ride, {
+        reason: reason || `Cancelled by ${cancelledBy}`,
+        createdBy: { actorType: cancelledBy, actorId: userId },
+      });
+      await releasePromotionUse(ride);
+      await applyCancellationPolicy(ride, { cancelledBy, actorId: userId, assessment });
+    }
+
+    // A rider backing out of a ride that is still searching counts as declining its offer
+    if (cancelledBy === "rider" && ride.status === "SEARCHING_FOR_RIDER" && req.io) {
+      await declineRideOfferForRider(req.io, rideId, userId);
+    }
+
     // Broadcast cancellation to all relevant parties
     if (req.io) {
       console.log(`📢 Broadcasting cancellation for ride ${rideId} to all connected parties`);
@@ -595,10 +802,23 @@ export const cancelRide = async (req, res) => {
       console.log(`📢 Broadcasted ride ${rideId} cancellation to all relevant parties`);
     }
 
+    // Push to the other side of the ride
+    if (cancelledBy === "customer" && ride.rider && ride.status !== "SEARCHING_FOR_RIDER") {
+      sendRidePushNotification(ride.rider, "rideCanceled", ride, { cancellerName });
+    }
+    if (cancelledBy === "rider" && ride.customer) {
+      const reason = ride.status === "SEARCHING_FOR_RIDER"
+        ? `${cancellerName} cancelled - we're finding you another rider`
+        : `${cancellerName} has cancelled the ride`;
+      sendRidePushNotification(ride.customer, "rideCanceled", ride, { reason });
+      sendRideSmsAlert(ride.customer, "rideCanceled", { reason: `${reason}.` });
+    }
+
     res.status(StatusCodes.OK).json({
       message: "Ride cancelled successfully",
       ride: ride,
-      cancelledBy: cancelledBy
+      cancelledBy: cancelledBy,
+      cancellation: ride.status === "CANCELLED" ? ride.cancellation : null,
     });
   } catch (error) {
     console.error("Error cancelling ride:", error);
@@ -606,38 +826,235 @@ export const cancelRide = async (req, res) => {
   }
 };
 
+// What cancelling the ride right now would cost the caller
+export const getCancellationFee = async (req, res) => {
+  const { rideId } = req.params;
+  const userId = req.user.id;
+
+  const ride = await Ride.findById(rideId).select("customer rider status vehicle tripLogs");
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  const isCustomer = ride.customer?.toString() === userId;
+  if (!isCustomer && ride.rider?.toString() !== userId) {
+    throw new BadRequestError("You are not authorized to view this ride");
+  }
+
+  const policy = await getCancellationPolicy(ride);
+  const assessment = assessCancellation(ride, isCustomer ? "customer" : "rider", policy);
+
+  res.status(StatusCodes.OK).json({
+    rideId,
+    status: ride.status,
+    outcome: assessment.outcome,
+    fee: ride.rider ? assessment.fee : 0,
+    freeUntil: assessment.freeUntil,
+    policy,
+  });
+};
+
+// Rider reports arriving at the pickup point - starts the no-show wait
+export const reportArrivalAtPickup = async (req, res) => {
+  const { rideId } = req.params;
+  const riderId = req.user.id;
+
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+  if (ride.rider?.toString() !== riderId) {
+    throw new BadRequestError("Only the assigned rider can report arrival");
+  }
+  if (ride.status !== "START") {
+    throw new BadRequestError("Arrival can only be reported while heading to the pickup");
+  }
+
+  const policy = await getCancellationPolicy(ride);
+
+  if (!ride.tripLogs) {
+    ride.tripLogs = {};
+  }
+  if (!ride.tripLogs.arrivedAtPickupTime) {
+    // Arrival starts the no-show wait and the arrived fee, so check the rider
+    // is really at the pickup - last known location first, then the request's
+    const location = (await presenceStore.get(riderId))?.coords || req.body?.location;
+    const arrival = checkArrivalAtPickup(ride, location, policy);
+    if (!arrival.allowed) {
+      throw new BadRequestError(arrival.message);
+    }
+
+    ride.tripLogs.arrivedAtPickupTime = new Date();
+    await ride.save();
+    console.log(`📍 Rider ${riderId} arrived at pickup for ride ${rideId} (${Math.round(arrival.distanceMeters)}m away)`);
+  }
+
+  const noShowAvailableAt = new Date(ride.tripLogs.arrivedAtPickupTime.getTime() + policy.noShowWaitMinutes * 60 * 1000);
+
+  if (req.io) {
+    req.io.to(`ride_${rideId}`).emit("riderArrivedAtPickup", {
+      rideId,
+      arrivedAt: ride.tripLogs.arrivedAtPickupTime,
+      noShowWaitMinutes: policy.noShowWaitMinutes,
+      noShowFee: policy.noShowFee,
+    });
+  }
+  sendRidePushNotification(ride.customer, "riderArrivedAtPickup", ride);
+  sendRideSmsAlert(ride.customer, "riderArrivedAtPickup");
+
+  res.status(StatusCodes.OK).json({
+    message: "Arrival at pickup recorded",
+    arrivedAt: ride.tripLogs.arrivedAtPickupTime,
+    noShowAvailableAt,
+  });
+};
+
+// Rider marks the passenger as a no-show after waiting at the pickup
+export const markNoShow = async (req, res) => {
+  const { rideId } = req.params;
+  const riderId = req.user.id;
+
+  const ride = await Ride.findById(rideId)
+    .populate("customer", "firstName lastName phone")
+    .populate("rider", "firstName lastName phone");
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+  if (ride.rider?._id.toString() !== riderId) {
+    throw new BadRequestError("Only the assigned rider can report a no-show");
+  }
+
+  const policy = await getCancellationPolicy(ride);
+  const check = checkNoShowAllowed(ride, policy);
+  if (!check.allowed) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: check.message,
+      noShowAvailableAt: check.availableAt || null,
+    });
+  }
+
+  const reason = `Passenger no-show after waiting ${Math.floor(check.waitedMinutes)} minute(s)`;
+  transitionRide(ride, "CANCELLED", { actorType: "rider", actorId: riderId, reason });
+  ride.cancelledBy = "rider";
+  ride.cancelledAt = new Date();
+  ride.cancellationReason = reason;
+  settleRideOffers(ride);
+  await ride.save();
+
+  await refundRideHold(ride, { reason, createdBy: { actorType: "rider", actorId: riderId } });
+  await releasePromotionUse(ride);
+  await applyCancellationPolicy(ride, {
+    cancelledBy: "rider",
+    actorId: riderId,
+    assessment: { outcome: CANCELLATION_OUTCOME.NO_SHOW, fee: policy.noShowFee },
+  });
+
+  console.log(`🚷 Ride ${rideId} cancelled as a passenger no-show by rider ${riderId}`);
+
+  if (req.io) {
+    req.io.to(`ride_${rideId}`).emit("rideCanceled", {
+      message: "Ride cancelled - passenger did not show up",
+      ride,
+      cancelledBy: "rider",
+      noShow: true,
+    });
+  }
+  sendRidePushNotification(ride.customer, "rideCanceled", ride, {
+    reason: "Your ride was cancelled because you didn't show up at the pickup",
+  });
+
+  res.status(StatusCodes.OK).json({
+    message: "Passenger marked as a no-show and the ride was cancelled",
+    ride,
+    cancellation: ride.cancellation,
+  });
+};
+
 export const getMyRides = async (req, res) => {
   const userId = req.user.id;
-  const { status } = req.query;
+  const { status, role, startDate, endDate, cursor, limit, view } = req.query;
 
   try {
-    const query = {
-      $or: [
-        { customer: userId }, 
-        { rider: userId },
-        { "passengers.userId": userId } // Include rides where user is a passenger
+    const summary = view === "summary";
+    const page = await findRidePage(
+      [
+        buildRideRoleFilter(userId, role),
+        status ? { status } : null,
+        buildDateRangeFilter(startDate, endDate),
       ],
-    };
-
-    if (status) {
-      query.status = status;
-    }
+      {
+        cursor,
+        limit,
+        select: summary ? RIDE_SUMMARY_FIELDS : null,
+        populate: summary
+          ? [["customer", "firstName lastName"], ["rider", "firstName lastName vehicleType"]]
+          : [
+              ["customer", "firstName lastName phone email"],
+              ["rider", "firstName lastName phone email vehicleType"],
+              ["passengers.userId", "firstName lastName phone email"], // Populate passenger details
+            ],
+      }
+    );
 
-    const rides = await Ride.find(query)
-      .populate("customer", "firstName lastName phone email")
-      .populate("rider", "firstName lastName phone email vehicleType")
-      .populate("passengers.userId", "firstName lastName phone email") // Populate passenger details
-      .sort({ createdAt: -1 });
+    // The OTP is only shown on rides the user booked
+    const rides = summary ? page.rides : await withCustomerOtps(page.rides, userId);
 
     res.status(StatusCodes.OK).json({
       message: "Rides retrieved successfully",
       count: rides.length,
       rides,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
     });
   } catch (error) {
     console.error("Error retrieving rides:", error);
-    throw new BadRequestError("Failed to retrieve rides");
+    throw new BadRequestError(error.message || "Failed to retrieve rides");
+  }
+};
+
+// Receipt for a completed ride (?format=html|pdf)
+export const getRideReceipt = async (req, res) => {
+  const userId = req.user.id;
+  const { rideId } = req.params;
+  const format = (req.query.format || "html").toLowerCase();
+
+  if (!["html", "pdf"].includes(format)) {
+    throw new BadRequestError("Receipt format must be html or pdf");
+  }
+
+  const ride = await Ride.findById(rideId)
+    .populate("customer", "firstName lastName")
+    .populate("rider", "firstName lastName");
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  // Only people on the ride (or an admin) can see its receipt
+  const isParticipant = ride.customer?._id.toString() === userId ||
+    ride.rider?._id.toString() === userId ||
+    ride.passengers.some(p => p.userId.toString() === userId);
+  if (!isParticipant && req.user.role !== "admin" && !req.user.isAdmin) {
+    throw new BadRequestError("You are not authorized to view this receipt");
+  }
+
+  if (ride.status !== "COMPLETED") {
+    throw new BadRequestError("Receipts are only available for completed rides");
+  }
+
+  const receipt = buildRideReceipt(ride);
+
+  if (format === "pdf") {
+    const pdf = await renderReceiptPdf(receipt);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="pedismart-receipt-${receipt.receiptNumber}.pdf"`,
+    });
+    return res.status(StatusCodes.OK).send(pdf);
   }
+
+  res.set("Content-Type", "text/html; charset=utf-8");
+  res.status(StatusCodes.OK).send(renderReceiptHtml(receipt));
 };
 
 export const getSearchingRides = async (req, res) => {
@@ -649,13 +1066,10 @@ export const getSearchingRides = async (req, res) => {
     const rider = await User.findById(riderId).select('vehicleType');
     const riderVehicleType = rider?.vehicleType || "Unknown";
     
-    // Return ALL searching rides (client will handle visual feedback for mismatched rides)
-    // Only rides with SEARCHING_FOR_RIDER status (cancelled/timeout rides have different status)
-    const allRides = await Ride.find({ 
-      status: "SEARCHING_FOR_RIDER"
-    }).populate("customer", "firstName lastName phone");
+    // Under sequential dispatch a rider only sees the rides currently offered to them
+    const allRides = await getOfferedRidesForRider(riderId);
     
-    console.log(`API: Found ${allRides.length} searching rides (ALL vehicle types) for rider ${riderId} (vehicle: ${riderVehicleType})`);
+    console.log(`API: Found ${allRides.length} rides offered to rider ${riderId} (vehicle: ${riderVehicleType})`);
     
     // Log vehicle type breakdown
     if (allRides.length > 0) {
@@ -667,7 +1081,7 @@ export const getSearchingRides = async (req, res) => {
     }
     
     res.status(StatusCodes.OK).json({
-      message: "Searching rides retrieved successfully (ALL vehicle types)",
+      message: "Offered rides retrieved successfully",
       count: allRides.length,
       rides: allRides,
       riderVehicleType: riderVehicleType,
@@ -678,12 +1092,35 @@ export const getSearchingRides = async (req, res) => {
   }
 };
 
+// Decline a ride offered to the rider by the dispatch engine
+export const declineRide = async (req, res) => {
+  const riderId = req.user.id;
+  const { rideId } = req.params;
+
+  if (!rideId) {
+    throw new BadRequestError("Ride ID is required");
+  }
+
+  const declined = await declineRideOfferForRider(req.io, rideId, riderId);
+
+  if (!declined) {
+    throw new BadRequestError("No pending offer for this ride");
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: "Ride offer declined",
+    rideId,
+  });
+};
+
 // ============================================
 // MULTI-PASSENGER FEATURE - Passenger Management
 // ============================================
 
 // Join an existing ride as a passenger
 export const joinRide = async (req, res) => {
+  // Optional drop-off for this passenger ({ address, latitude, longitude })
+  const { drop } = req.body || {};
   const { rideId } = req.params;
   const userId = req.user.id;
 
@@ -691,6 +1128,11 @@ export const joinRide = async (req, res) => {
     throw new BadRequestError("Ride ID is required");
   }
 
+  const eligibility = await checkUserEligibility(userId, ELIGIBILITY_ACTIONS.BOOK_RIDE);
+  if (!eligibility.eligible) {
+    return res.status(StatusCodes.FORBIDDEN).json(eligibilityErrorBody(eligibility));
+  }
+
   try {
     const ride = await Ride.findById(rideId).populate("customer", "firstName lastName phone");
 
@@ -743,6 +1185,7 @@ export const joinRide = async (req, res) => {
             phone: user.phone,
             email: user.email || '',
             photo: user.photo || null,
+            drop: drop || null,
           },
           ride: {
             pickup: ride.pickup,
@@ -772,7 +1215,7 @@ export const joinRide = async (req, res) => {
 // Approve passenger join request (rider only)
 export const approvePassengerJoinRequest = async (req, res) => {
   const { rideId } = req.params;
-  const { passengerId } = req.body;
+  const { passengerId, drop } = req.body; // drop: passenger's own drop-off from the join request
   const riderId = req.user.id;
 
   if (!rideId || !passengerId) {
@@ -812,18 +1255,8 @@ export const approvePassengerJoinRequest = async (req, res) => {
       throw new NotFoundError("Passenger not found");
     }
 
-    // Add passenger to ride
-    ride.passengers.push({
-      userId: passengerId,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      phone: user.phone,
-      status: ride.status === "ARRIVED" ? "ONBOARD" : "WAITING",
-      isOriginalBooker: false,
-      joinedAt: new Date(),
-    });
-
-    ride.currentPassengerCount = ride.passengers.length;
+    // Passenger's own drop-off becomes a stop on the route
+    addJoinedPassenger(ride, user, drop);
     await ride.save();
 
     console.log(`✅ Rider approved: Passenger ${user.firstName} ${user.lastName} joined ride ${rideId}`);
@@ -939,9 +1372,15 @@ export const updatePassengerStatus = async (req, res) => {
       throw new NotFoundError("Passenger not found in this ride");
     }
 
+    // Where it happened: explicit location, else the rider's last known location
+    const currentLocation = req.body.location || (ride.riderLocation?.latitude != null ? ride.riderLocation : null);
+
     passenger.status = status;
-    if (status === "ONBOARD" && !passenger.boardedAt) {
-      passenger.boardedAt = new Date();
+    if (status === "ONBOARD") {
+      markPassengerBoarded(passenger, currentLocation || ride.pickup);
+    } else if (status === "DROPPED") {
+      const dropStop = passenger.dropStop && ride.stops.id(passenger.dropStop);
+      markPassengerDropped(ride, passenger, currentLocation || dropStop || ride.drop);
     }
 
     await ride.save();
@@ -1055,8 +1494,11 @@ export const removePassenger = async (req, res) => {
 };
 
 // Get available rides that can accept new passengers
+// Optional ?latitude=&longitude=&radiusKm= narrows the list to rides whose pickup is nearby,
+// nearest first (indexed $geoNear on pickup.location)
 export const getAvailableRidesForJoining = async (req, res) => {
   const userId = req.user.id;
+  const { latitude, longitude, radiusKm } = req.query;
 
   try {
     // Find rides that are:
@@ -1064,15 +1506,41 @@ export const getAvailableRidesForJoining = async (req, res) => {
     // 2. Accepting new passengers
     // 3. Not full
     // 4. User is not already in
-    const availableRides = await Ride.find({
+    const filter = {
       status: { $in: ["SEARCHING_FOR_RIDER", "START", "ARRIVED"] },
       acceptingNewPassengers: true,
       currentPassengerCount: { $lt: 6 },
-      "passengers.userId": { $ne: userId }
-    })
-    .populate("customer", "firstName lastName phone")
-    .populate("rider", "firstName lastName phone vehicleType")
-    .sort({ createdAt: -1 });
+      "passengers.userId": { $ne: new mongoose.Types.ObjectId(userId) }
+    };
+
+    let availableRides;
+    const near = toGeoPoint(latitude, longitude);
+
+    if (near) {
+      const maxDistanceKm = parseFloat(radiusKm) || MAX_DISTANCE_KM;
+      const geoNear = {
+        near,
+        key: "pickup.location",
+        distanceField: "distanceFromYouKm",
+        distanceMultiplier: 0.001,
+        spherical: true,
+        query: filter,
+      };
+      if (maxDistanceKm) {
+        geoNear.maxDistance = maxDistanceKm * 1000;
+      }
+
+      const nearbyRides = await Ride.aggregate([{ $geoNear: geoNear }]);
+      availableRides = await Ride.populate(nearbyRides, [
+        { path: "customer", select: "firstName lastName phone" },
+        { path: "rider", select: "firstName lastName phone vehicleType" },
+      ]);
+    } else {
+      availableRides = await Ride.find(filter)
+        .populate("customer", "firstName lastName phone")
+        .populate("rider", "firstName lastName phone vehicleType")
+        .sort({ createdAt: -1 });
+    }
 
     console.log(`🔍 Found ${availableRides.length} available rides for user ${userId} to join`);
 
@@ -1135,6 +1603,156 @@ export const toggleAcceptingPassengers = async (req, res) => {
   }
 };
 
+// ============================================
+// MULTI-STOP FEATURE - Ordered drop-off stops per passenger
+// ============================================
+
+// Set or change the calling passenger's drop-off stop
+export const setPassengerDropStop = async (req, res) => {
+  const { rideId } = req.params;
+  const { drop } = req.body;
+  const userId = req.user.id;
+
+  if (!rideId) {
+    throw new BadRequestError("Ride ID is required");
+  }
+
+  if (!drop || drop.latitude == null || drop.longitude == null) {
+    throw new BadRequestError("Drop-off location with latitude and longitude is required");
+  }
+
+  try {
+    const ride = await Ride.findById(rideId)
+      .populate("customer", "firstName lastName phone")
+      .populate("rider", "firstName lastName phone vehicleType");
+
+    if (!ride) {
+      throw new NotFoundError("Ride not found");
+    }
+
+    if (!["SEARCHING_FOR_RIDER", "START", "ARRIVED"].includes(ride.status)) {
+      throw new BadRequestError("Drop-off stops can only be changed on an active ride");
+    }
+
+    const passenger = ride.passengers.find(p => p.userId.toString() === userId);
+    if (!passenger) {
+      throw new NotFoundError("You are not a passenger on this ride");
+    }
+
+    if (passenger.status === "DROPPED") {
+      throw new BadRequestError("You have already been dropped off");
+    }
+
+    // Replace the passenger's previous stop if nobody else is getting off there
+    const previousStop = passenger.dropStop && ride.stops.id(passenger.dropStop);
+    if (previousStop && previousStop.status === "PENDING") {
+      const sharedWithOthers = ride.passengers.some(
+        p => p !== passenger && p.dropStop?.toString() === previousStop._id.toString()
+      );
+      if (!sharedWithOthers) {
+        ride.stops.pull(previousStop._id);
+      }
+    }
+
+    const stop = insertStop(ride, { ...drop, addedBy: userId });
+    passenger.dropStop = stop._id;
+    await ride.save();
+
+    console.log(`📍 Passenger ${passenger.firstName} ${passenger.lastName} will get off at stop #${stop.order + 1} on ride ${rideId}`);
+
+    if (req.io) {
+      req.io.to(`ride_${rideId}`).emit("stopsUpdated", { rideId, stops: ride.stops, ride });
+    }
+
+    res.status(StatusCodes.OK).json({
+      message: "Drop-off stop saved",
+      stop,
+      ride,
+    });
+  } catch (error) {
+    console.error("Error setting drop-off stop:", error);
+    throw new BadRequestError(error.message || "Failed to set drop-off stop");
+  }
+};
+
+// Mark a stop as reached (rider only) - passengers getting off there are dropped
+export const markStopReached = async (req, res) => {
+  const { rideId, stopId } = req.params;
+  const { location } = req.body || {};
+  const riderId = req.user.id;
+
+  if (!rideId || !stopId) {
+    throw new BadRequestError("Ride ID and stop ID are required");
+  }
+
+  try {
+    const ride = await Ride.findById(rideId)
+      .populate("customer", "firstName lastName phone")
+      .populate("rider", "firstName lastName phone vehicleType");
+
+    if (!ride) {
+      throw new NotFoundError("Ride not found");
+    }
+
+    // Verify that the requester is the assigned rider
+    if (!ride.rider || ride.rider._id.toString() !== riderId) {
+      throw new BadRequestError("Only the assigned rider can mark stops as reached");
+    }
+
+    if (ride.status !== "ARRIVED") {
+      throw new BadRequestError("Stops can only be reached while the trip is in progress");
+    }
+
+    const stop = ride.stops.id(stopId);
+    if (!stop) {
+      throw new NotFoundError("Stop not found on this ride");
+    }
+
+    if (stop.status === "REACHED") {
+      throw new BadRequestError("This stop has already been reached");
+    }
+
+    const now = new Date();
+    stop.status = "REACHED";
+    stop.reachedAt = now;
+
+    // Drop the passengers whose destination is this stop
+    const droppedPassengers = ride.passengers.filter(
+      p => p.dropStop?.toString() === stop._id.toString() && p.status !== "DROPPED"
+    );
+    droppedPassengers.forEach(passenger => {
+      markPassengerDropped(ride, passenger, location || stop, now);
+    });
+
+    await ride.save();
+
+    console.log(`🚏 Ride ${rideId} reached stop #${stop.order + 1} (${stop.address || 'no address'}) - ${droppedPassengers.length} passenger(s) dropped`);
+
+    if (req.io) {
+      req.io.to(`ride_${rideId}`).emit("stopReached", { rideId, stop, ride });
+      req.io.to(`ride_${rideId}`).emit("passengerUpdate", ride);
+
+      // Notify each dropped passenger
+      droppedPassengers.forEach(passenger => {
+        req.io.to(`user_${passenger.userId}`).emit("yourStatusUpdated", {
+          status: passenger.status,
+          ride,
+        });
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      message: "Stop marked as reached",
+      stop,
+      droppedPassengers: droppedPassengers.map(p => p.userId),
+      ride,
+    });
+  } catch (error) {
+    console.error("Error marking stop reached:", error);
+    throw new BadRequestError(error.message || "Failed to mark stop as reached");
+  }
+};
+
 // ============================================
 // EARLY STOP FEATURE - Complete ride before reaching drop-off
 // ============================================
@@ -1214,7 +1832,7 @@ export const requestEarlyStop = async (req, res) => {
     ride.routeLogs.actualDistance = actualDistanceTraveled;
 
     // Mark ride as completed
-    ride.status = "COMPLETED";
+    transitionRide(ride, "COMPLETED", { actorType: requestedBy, actorId: userId, reason: "Early stop" });
     
     // Update trip logs
     if (!ride.tripLogs) {
@@ -1224,18 +1842,29 @@ export const requestEarlyStop = async (req, res) => {
     ride.tripLogs.endTime = new Date();
     ride.finalDistance = actualDistanceTraveled;
 
-    // Update all passengers to DROPPED
+    // Update all passengers to DROPPED at the early stop and split the fare
     if (ride.passengers && ride.passengers.length > 0) {
-      ride.passengers.forEach(passenger => {
-        if (passenger.status === "ONBOARD" || passenger.status === "WAITING") {
-          passenger.status = "DROPPED";
-        }
-      });
+      await settlePassengerFares(ride, location);
+    }
+
+    // Re-price from the distance actually driven before the early stop
+    await settleRideFare(ride);
+    await recordRideEarnings(ride);
+    try {
+      await settleRidePayments(ride, { createdBy: { actorType: requestedBy, actorId: userId } });
+    } catch (paymentError) {
+      console.error(`⚠️ Failed to settle payments for ride ${rideId}:`, paymentError);
     }
 
     await ride.save();
 
     console.log(`🛑 Early stop completed for ride ${rideId}`);
+    emailRideReceipts(rideId);
+    sendRidePushNotification(
+      [ride.customer, ...(ride.passengers || []).map(passenger => passenger.userId)],
+      "rideCompleted",
+      ride
+    );
     console.log(`   Requested by: ${requestedBy}`);
     console.log(`   Location: ${earlyStopAddress}`);
     console.log(`   Distance traveled: ${actualDistanceTraveled.toFixed(2)} km`);
@@ -1367,21 +1996,39 @@ export const respondToEarlyStopRequest = async (req, res) => {
         stopLocation.longitude
       );
 
-      ride.status = "COMPLETED";
+      transitionRide(ride, "COMPLETED", { actorType: "rider", actorId: riderId, reason: "Early stop confirmed by rider" });
       if (!ride.tripLogs) ride.tripLogs = {};
       ride.tripLogs.dropoffTime = new Date();
       ride.tripLogs.endTime = new Date();
       ride.finalDistance = actualDistanceTraveled;
 
-      if (ride.passengers) {
-        ride.passengers.forEach(p => {
-          if (p.status === "ONBOARD" || p.status === "WAITING") {
-            p.status = "DROPPED";
-          }
-        });
+      if (ride.passengers && ride.passengers.length > 0) {
+        await settlePassengerFares(ride, stopLocation);
+      }
+
+      await settleRideFare(ride);
+      await recordRideEarnings(ride);
+      try {
+        await settleRidePayments(ride, { createdBy: { actorType: "rider", actorId: riderId } });
+      } catch (paymentError) {
+        console.error(`⚠️ Failed to settle payments for ride ${rideId}:`, paymentError);
       }
 
       await ride.save();
+      emailRideReceipts(rideId);
+      sendRidePushNotification(
+        [ride.customer, ...(ride.passengers || []).map(passenger => passenger.userId)],
+        "rideCompleted",
+        ride
+      );
+
+      // Already pushed as a completed ride - inbox only
+      await createNotification(ride.customer, {
+        type: NOTIFICATION_TYPES.EARLY_STOP_CONFIRMED,
+        title: 'Early stop confirmed',
+        body: `Your rider confirmed the early stop at ${earlyStopAddress}. Your ride is complete.`,
+        data: { rideId: ride._id.toString(), earlyStop: ride.earlyStop },
+      }, { push: false });
 
       // Broadcast completion
       if (req.io) {
@@ -1408,6 +2055,13 @@ export const respondToEarlyStopRequest = async (req, res) => {
         }
       }
 
+      await createNotification(ride.customer, {
+        type: NOTIFICATION_TYPES.EARLY_STOP_DECLINED,
+        title: 'Early stop declined',
+        body: "The rider has chosen to continue to the original drop-off location",
+        data: { rideId: ride._id.toString() },
+      });
+
       res.status(StatusCodes.OK).json({
         message: "Early stop request declined. Continuing to original drop-off.",
         ride,
@@ -1421,58 +2075,203 @@ export const respondToEarlyStopRequest = async (req, res) => {
 
 // ============================================
 
+// Validate an advance-booking pickup time against SCHEDULED_RIDE_CONFIG
+const parseScheduledFor = (scheduledFor) => {
+  const scheduledTime = new Date(scheduledFor);
+  if (Number.isNaN(scheduledTime.getTime())) {
+    throw new BadRequestError("Invalid scheduled pickup time");
+  }
+
+  const minutesAhead = (scheduledTime.getTime() - Date.now()) / (1000 * 60);
+  if (minutesAhead < SCHEDULED_RIDE_CONFIG.MIN_ADVANCE_MINUTES) {
+    throw new BadRequestError(`Scheduled rides must be booked at least ${SCHEDULED_RIDE_CONFIG.MIN_ADVANCE_MINUTES} minutes in advance`);
+  }
+  if (minutesAhead > SCHEDULED_RIDE_CONFIG.MAX_ADVANCE_DAYS * 24 * 60) {
+    throw new BadRequestError(`Scheduled rides can only be booked up to ${SCHEDULED_RIDE_CONFIG.MAX_ADVANCE_DAYS} days in advance`);
+  }
+
+  return scheduledTime;
+};
+
 export const createRide = async (req, res) => {
-  const { vehicle, pickup, drop } = req.body;
+  const { vehicle, pickup, drop, scheduledFor, stops, paymentMethod = "cash", quoteToken, promoCode } = req.body;
   const customerId = req.user.id; // Fixed: Use req.user.id instead of req.user
 
   if (!vehicle || !pickup || !drop) {
     throw new BadRequestError("Vehicle, pickup, and drop locations are required.");
   }
 
+  if (!RIDE_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new BadRequestError(`Invalid payment method. Must be one of: ${RIDE_PAYMENT_METHODS.join(", ")}`);
+  }
+
+  // Advance booking: the ride waits as SCHEDULED until the scheduled ride job releases it
+  const scheduledTime = scheduledFor ? parseScheduledFor(scheduledFor) : null;
+
+  // Optional intermediate stops, in the order given by the booker
+  if (stops !== undefined && (!Array.isArray(stops) || stops.some(stop => stop?.latitude == null || stop?.longitude == null))) {
+    throw new BadRequestError("Stops must be a list of locations with latitude and longitude");
+  }
+  const orderedStops = (stops || []).map((stop, index) => ({
+    address: stop.address || "",
+    latitude: stop.latitude,
+    longitude: stop.longitude,
+    order: index,
+  }));
+
+  // Disapproved or penalized customers can't book
+  const eligibility = await checkUserEligibility(customerId, ELIGIBILITY_ACTIONS.BOOK_RIDE);
+  if (!eligibility.eligible) {
+    return res.status(StatusCodes.FORBIDDEN).json(eligibilityErrorBody(eligibility));
+  }
+
   try {
-    // Calculate distance between pickup and drop
-    const distance = calculateDistance(
-      pickup.latitude,
-      pickup.longitude,
-      drop.latitude,
-      drop.longitude
-    );
+    // Calculate distance between pickup and drop (through any stops)
+    const distance = orderedStops.length > 0
+      ? getRouteDistanceKm([pickup, ...orderedStops, drop])
+      : calculateDistance(
+          pickup.latitude,
+          pickup.longitude,
+          drop.latitude,
+          drop.longitude
+        );
     
     console.log(`🛣️ Distance calculated: ${distance.toFixed(2)} km`);
     
     // Calculate fare using dynamic fare configuration from database
     let fare = 0;
     let fareBreakdown = null;
-    try {
-      const FareConfig = (await import('../models/FareConfig.js')).default;
-      const fareResult = await FareConfig.calculateFare(vehicle, distance, 1);
-      fare = fareResult.totalFare;
-      fareBreakdown = fareResult.breakdown;
-      console.log(`💰 Fare calculated: ₱${fare} for ${vehicle} (${distance.toFixed(2)} km)`);
-    } catch (fareError) {
-      console.log(`⚠️ Could not calculate fare, using default: ${fareError.message}`);
-      // Fallback to simple calculation if FareConfig fails
-      fare = Math.max(20, distance * 2.8);
+    let fareConfigId = null;
+    let fareVersion = null;
+    let zonePricing = null;
+    let surge = null;
+    let promotion = null;
+    let pricedAt = scheduledTime || new Date();
+    if (quoteToken) {
+      // Book at the price the customer was quoted, if the quote is for this trip
+      const quote = verifyFareQuoteToken(quoteToken);
+      assertQuoteMatchesBooking(quote, { vehicle, distance, passengerCount: 1, pickup, drop, scheduledTime });
+      if (quote.promotion) {
+        await assertQuotedPromotionUsable(quote.promotion, { customerId, vehicleType: vehicle });
+      }
+      fare = quote.totalFare;
+      fareBreakdown = quote.breakdown;
+      fareConfigId = quote.fareConfigId;
+      fareVersion = quote.fareVersion;
+      zonePricing = quote.zonePricing;
+      surge = quote.surge;
+      promotion = quote.promotion;
+      pricedAt = quote.pricedAt ? new Date(quote.pricedAt) : pricedAt;
+      console.log(`🧾 Fare from quote ${quote.jti}: ₱${fare} for ${vehicle} (${distance.toFixed(2)} km, fare version ${fareVersion ?? 'default'})`);
+    } else {
+      try {
+        const FareConfig = (await import('../models/FareConfig.js')).default;
+        // Surge only prices rides looking for a rider now, not ones booked for later
+        const fareResult = await FareConfig.calculateFare(vehicle, distance, 1, pricedAt, {
+          pickup,
+          drop,
+          surge: !scheduledTime,
+          customerId,
+          promoCode,
+        });
+        fare = fareResult.totalFare;
+        fareBreakdown = fareResult.breakdown;
+        fareConfigId = fareResult.fareConfigId;
+        fareVersion = fareResult.fareVersion;
+        zonePricing = fareResult.zonePricing;
+        surge = fareResult.surge;
+        promotion = fareResult.promotion;
+        if (surge) {
+          console.log(`📈 Surge ${surge.multiplier}x applied in ${surge.zoneName}`);
+        }
+        if (promotion) {
+          console.log(`🎟️ Promotion ${promotion.code || promotion.name} applied: -₱${fareBreakdown.promoDiscount}`);
+        }
+        console.log(`💰 Fare calculated: ₱${fare} for ${vehicle} (${distance.toFixed(2)} km, fare version ${fareVersion ?? 'default'})`);
+      } catch (fareError) {
+        // A promo code that can't be used is the customer's to fix, not a pricing failure
+        if (fareError instanceof BadRequestError) {
+          throw fareError;
+        }
+        console.log(`⚠️ Could not calculate fare, using default: ${fareError.message}`);
+        // Fallback to simple calculation if FareConfig fails
+        fare = Math.max(20, distance * 2.8);
+      }
     }
 
     // Generate OTP
     const otp = generateOTP(); // Fixed: Use correct function name
     
-    console.log(`🔑 Creating ride with OTP: ${otp}`);
+    console.log(`🔑 Creating ride for customer ${customerId}`);
 
     // Get customer info for passengers array
     const User = (await import('../models/User.js')).default;
     const customer = await User.findById(customerId).select('firstName lastName phone');
 
+    // ============================================
+    // PAYMENT: Wallet rides reserve the quoted fare up front
+    // ============================================
+    const rideId = new mongoose.Types.ObjectId();
+
+    // Reserve the promotion's use first so concurrent bookings can't go over its limits
+    if (promotion) {
+      await reservePromotionUse(promotion, customerId);
+    }
+
+    let fareHeld = false;
+    // The ride was never created - give back what was reserved for it
+    const returnReservations = async (reason) => {
+      if (fareHeld) {
+        await returnFareHold(rideId, customerId, fare, { reason });
+      }
+      if (promotion) {
+        await returnPromotionUse(promotion.promotionId, customerId);
+      }
+    };
+
+    if (paymentMethod === "wallet") {
+      const wallet = await getUserWallet(customerId);
+      if (wallet.balance < fare) {
+        await returnReservations("Insufficient wallet balance");
+        throw new BadRequestError(`Insufficient wallet balance (₱${wallet.balance.toFixed(2)}) for this ₱${fare.toFixed(2)} ride. Top up or pay in cash.`);
+      }
+      await holdRideFare(rideId, customerId, fare).catch(async (holdError) => {
+        await returnReservations("Booking failed");
+        throw holdError;
+      });
+      fareHeld = true;
+    }
+    // ============================================
+
     const ride = await Ride.create({
+      _id: rideId,
       customer: customerId,
       pickup,
       drop,
       vehicle,
       distance,
       fare,
+      fareConfig: fareConfigId,
+      fareVersion,
+      zonePricing,
+      ...(surge ? { surge: { multiplier: surge.multiplier, zone: surge.zone, snapshot: surge.snapshot } } : {}),
+      ...(promotion ? { promotion } : {}),
+      quotedFare: buildQuotedFare({ amount: fare, distanceKm: distance, breakdown: fareBreakdown, pricedAt }),
       otp,
-      status: "SEARCHING_FOR_RIDER",
+      paymentMethod,
+      payment: paymentMethod === "wallet"
+        ? { status: "HELD", heldAmount: Math.round(fare * 100) / 100 }
+        : { status: "UNPAID" },
+      status: scheduledTime ? "SCHEDULED" : "SEARCHING_FOR_RIDER",
+      statusHistory: [
+        buildStatusHistoryEntry(null, scheduledTime ? "SCHEDULED" : "SEARCHING_FOR_RIDER", {
+          actorType: "customer",
+          actorId: customerId,
+          reason: scheduledTime ? "Ride scheduled" : "Ride requested",
+        }),
+      ],
+      scheduledFor: scheduledTime,
+      stops: orderedStops,
       // Initialize passengers array with the original booker
       passengers: [{
         userId: customerId,
@@ -1481,6 +2280,7 @@ export const createRide = async (req, res) => {
         phone: customer.phone,
         status: "WAITING",
         isOriginalBooker: true,
+        paymentMethod,
         joinedAt: new Date(),
       }],
       currentPassengerCount: 1,
@@ -1490,7 +2290,7 @@ export const createRide = async (req, res) => {
       // TRIP LOG: Record request time when ride is created
       // ============================================
       tripLogs: {
-        requestTime: new Date(),
+        requestTime: scheduledTime ? null : new Date(), // Set when a scheduled ride is released
       },
       // ============================================
       // ROUTE LOGS: Store estimated distance from routing calculation
@@ -1503,61 +2303,232 @@ export const createRide = async (req, res) => {
         hasSignificantDeviation: false,
       },
       // ============================================
+    }).catch(async (createError) => {
+      await returnReservations("Booking failed");
+      throw createError;
     });
 
-    console.log(`✅ Ride created with ID: ${ride._id}, OTP: ${otp}, Initial passenger: ${customer.firstName} ${customer.lastName}`);
+    console.log(`✅ Ride created with ID: ${ride._id}, Initial passenger: ${customer.firstName} ${customer.lastName}`);
 
     // Populate the ride with customer info
     const populatedRide = await Ride.findById(ride._id).populate("customer", "firstName lastName phone");
 
-    // Broadcast new ride to ALL on-duty riders
+    if (scheduledTime) {
+      console.log(`📅 Ride ${ride._id} scheduled for ${scheduledTime.toISOString()}`);
+      return res
+        .status(StatusCodes.CREATED)
+        .json({ message: "Ride scheduled successfully", ride: await withCustomerOtp(populatedRide) });
+    }
+
+    // Offer the new ride to the nearest on-duty rider(s) instead of the whole onDuty room
     if (req.io) {
-      console.log(`🚨 Broadcasting new ride ${ride._id} to all on-duty riders`);
-      
-      // Get count of on-duty riders
-      const onDutyRoom = req.io.sockets.adapter.rooms.get('onDuty');
-      const onDutyCount = onDutyRoom ? onDutyRoom.size : 0;
-      console.log(`👥 Currently ${onDutyCount} riders on duty`);
-      
-      // Emit the new ride request to all on-duty riders
-      req.io.to("onDuty").emit("newRideRequest", populatedRide);
-      console.log(`📢 Emitted 'newRideRequest' event for ride ${ride._id}`);
-      
-      // Also emit updated list of all searching rides
-      const allSearchingRides = await Ride.find({ 
-        status: "SEARCHING_FOR_RIDER" 
-      }).populate("customer", "firstName lastName phone");
-      
-      console.log(`📋 Sending updated list of ${allSearchingRides.length} searching rides`);
-      req.io.to("onDuty").emit("allSearchingRides", allSearchingRides);
-      
-      // Log the IDs of all searching rides for debugging
-      if (allSearchingRides.length > 0) {
-        const rideIds = allSearchingRides.map(r => r._id.toString());
-        console.log(`📝 Current searching ride IDs: ${rideIds.join(', ')}`);
-      }
-      
-      // Direct broadcast to each on-duty rider individually as a fallback
-      const sockets = await req.io.fetchSockets();
-      const riderSockets = sockets.filter(socket => 
-        socket.user?.role === 'rider' && 
-        socket.rooms.has('onDuty')
-      );
-      
-      console.log(`🔄 Direct broadcasting to ${riderSockets.length} rider sockets`);
-      
-      riderSockets.forEach(socket => {
-        socket.emit("newRideRequest", populatedRide);
-        socket.emit("allSearchingRides", allSearchingRides);
-        console.log(`📲 Direct emit to rider: ${socket.user?.id}`);
-      });
+      await dispatchNewRideRequest(req.io, ride._id);
     }
 
     res
       .status(StatusCodes.CREATED)
-      .json({ message: "Ride created successfully", ride: populatedRide });
+      .json({ message: "Ride created successfully", ride: await withCustomerOtp(populatedRide) });
   } catch (error) {
     console.error("❌ Error creating ride:", error);
+    // Keep validation messages (e.g. insufficient wallet balance) for the client
+    if (error instanceof BadRequestError) {
+      throw error;
+    }
     throw new BadRequestError("Failed to create ride");
   }
 };
+
+// ============================================
+// SCHEDULED RIDES (advance bookings)
+// ============================================
+
+// Get the customer's upcoming scheduled rides
+export const getScheduledRides = async (req, res) => {
+  const customerId = req.user.id;
+
+  try {
+    const rides = await Ride.find({ customer: customerId, status: "SCHEDULED" })
+      .select("+otp")
+      .populate("customer", "firstName lastName phone")
+      .sort({ scheduledFor: 1 });
+
+    res.status(StatusCodes.OK).json({
+      message: "Scheduled rides retrieved successfully",
+      count: rides.length,
+      leadTimeMinutes: SCHEDULED_RIDE_CONFIG.LEAD_TIME_MINUTES,
+      rides,
+    });
+  } catch (error) {
+    console.error("Error retrieving scheduled rides:", error);
+    throw new BadRequestError("Failed to retrieve scheduled rides");
+  }
+};
+
+// Edit a scheduled ride's pickup time and/or locations (only while still SCHEDULED)
+export const updateScheduledRide = async (req, res) => {
+  const { rideId } = req.params;
+  const { scheduledFor, pickup, drop } = req.body;
+  const customerId = req.user.id;
+
+  if (!rideId) {
+    throw new BadRequestError("Ride ID is required");
+  }
+
+  if (!scheduledFor && !pickup && !drop) {
+    throw new BadRequestError("Nothing to update. Provide scheduledFor, pickup or drop.");
+  }
+
+  const ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.customer.toString() !== customerId) {
+    throw new BadRequestError("You are not authorized to edit this ride");
+  }
+
+  if (ride.status !== "SCHEDULED") {
+    throw new BadRequestError("Only scheduled rides that have not been released to riders can be edited");
+  }
+
+  const scheduledTime = scheduledFor ? parseScheduledFor(scheduledFor) : ride.scheduledFor;
+  const newPickup = pickup || ride.pickup;
+  const newDrop = drop || ride.drop;
+
+  const update = { scheduledFor: scheduledTime };
+
+  if (pickup || drop) {
+    // Same route as at booking: pickup -> any stops (in order) -> drop
+    const distance = ride.stops?.length > 0
+      ? getRouteDistanceKm([newPickup, ...getOrderedStops(ride), newDrop])
+      : calculateDistance(
+          newPickup.latitude,
+          newPickup.longitude,
+          newDrop.latitude,
+          newDrop.longitude
+        );
+    update.pickup = {
+      address: newPickup.address,
+      latitude: newPickup.latitude,
+      longitude: newPickup.longitude,
+      location: toGeoPoint(newPickup.latitude, newPickup.longitude),
+    };
+    update.drop = {
+      address: newDrop.address,
+      latitude: newDrop.latitude,
+      longitude: newDrop.longitude,
+      location: toGeoPoint(newDrop.latitude, newDrop.longitude),
+    };
+    update.distance = distance;
+    update["routeLogs.estimatedDistance"] = distance;
+  }
+
+  // Re-price for the new distance and pickup time
+  const distance = update.distance ?? ride.distance;
+  try {
+    const FareConfig = (await import('../models/FareConfig.js')).default;
+    // The promotion the ride was booked with keeps applying
+    const fareResult = await FareConfig.calculateFare(ride.vehicle, distance, ride.currentPassengerCount || 1, scheduledTime, {
+      pickup: newPickup,
+      drop: newDrop,
+      surge: false,
+      promotion: ride.promotion,
+    });
+    update.fare = fareResult.totalFare;
+    update.fareConfig = fareResult.fareConfigId;
+    update.fareVersion = fareResult.fareVersion;
+    update.zonePricing = fareResult.zonePricing;
+    update.quotedFare = buildQuotedFare({ amount: update.fare, distanceKm: distance, breakdown: fareResult.breakdown, pricedAt: scheduledTime });
+  } catch (fareError) {
+    console.log(`⚠️ Could not recalculate fare, using default: ${fareError.message}`);
+    update.fare = Math.max(20, distance * 2.8);
+    update.fareConfig = null;
+    update.fareVersion = null;
+    update.zonePricing = null;
+    update.quotedFare = buildQuotedFare({ amount: update.fare, distanceKm: distance, pricedAt: scheduledTime });
+  }
+
+  // A wallet booking holds the new fare: top up the hold or give the difference back
+  const previousHeldAmount = ride.payment?.heldAmount || 0;
+  const holdOptions = {
+    reason: "Scheduled ride edited",
+    createdBy: { actorType: "customer", actorId: customerId },
+  };
+  await adjustRideHold(ride, update.fare, holdOptions).catch((holdError) => {
+    if (holdError.message === "Insufficient wallet balance") {
+      throw new BadRequestError(`Insufficient wallet balance to hold the new ₱${update.fare.toFixed(2)} fare. Top up or keep the current booking.`);
+    }
+    throw holdError;
+  });
+
+  // Only update while still SCHEDULED - the release job may have just picked it up
+  const updatedRide = await Ride.findOneAndUpdate(
+    { _id: rideId, status: "SCHEDULED" },
+    update,
+    { new: true, runValidators: true }
+  ).populate("customer", "firstName lastName phone");
+
+  if (!updatedRide) {
+    // The ride goes ahead at the fare it was released with
+    await adjustRideHold(ride, previousHeldAmount, holdOptions);
+    throw new BadRequestError("This ride has already been released to riders and can no longer be edited");
+  }
+
+  console.log(`📅 Scheduled ride ${rideId} updated (pickup at ${updatedRide.scheduledFor.toISOString()})`);
+
+  res.status(StatusCodes.OK).json({
+    message: "Scheduled ride updated successfully",
+    ride: updatedRide,
+  });
+};
+
+// Cancel a scheduled ride before it is released into dispatch
+export const cancelScheduledRide = async (req, res) => {
+  const { rideId } = req.params;
+  const { reason } = req.body || {};
+  const customerId = req.user.id;
+
+  if (!rideId) {
+    throw new BadRequestError("Ride ID is required");
+  }
+
+  const ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    throw new NotFoundError("Ride not found");
+  }
+
+  if (ride.customer.toString() !== customerId) {
+    throw new BadRequestError("You are not authorized to cancel this ride");
+  }
+
+  const cancelledRide = await transitionRideAtomic(rideId, "SCHEDULED", "CANCELLED", {
+    actorType: "customer",
+    actorId: customerId,
+    reason: reason || "Scheduled ride cancelled by customer",
+    update: {
+      cancelledBy: "customer",
+      cancelledAt: new Date(),
+      cancellationReason: reason || null,
+    },
+  });
+  await cancelledRide?.populate("customer", "firstName lastName phone");
+
+  if (!cancelledRide) {
+    throw new BadRequestError("Only scheduled rides that have not been released to riders can be cancelled here");
+  }
+
+  console.log(`🚫 Scheduled ride ${rideId} cancelled by customer ${customerId}${reason ? ` - Reason: ${reason}` : ''}`);
+
+  await refundRideHold(cancelledRide, {
+    reason: reason || "Scheduled ride cancelled by customer",
+    createdBy: { actorType: "customer", actorId: customerId },
+  });
+  await releasePromotionUse(cancelledRide);
+
+  res.status(StatusCodes.OK).json({
+    message: "Scheduled ride cancelled successfully",
+    ride: cancelledRide,
+  });
+};
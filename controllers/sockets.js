@@ -1,61 +1,29 @@
-import geolib from "geolib";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import Ride from "../models/Ride.js";
 import Rating from "../models/Rating.js";
 import Chat from "../models/Chat.js";
 import Message from "../models/Message.js";
-import { calculateDistance, MAX_DISTANCE_KM } from "../utils/mapUtils.js";
 import { createOngoingCheckpoint } from "../utils/checkpointUtils.js";
-
-const onDutyRiders = new Map();
-// Track last checkpoint time per ride to avoid too frequent updates
-const lastCheckpointTime = new Map();
-
-// ============================================
-// Helper function to filter rides by distance
-// ============================================
-const filterRidesByDistance = (rides, riderCoords) => {
-  // If MAX_DISTANCE_KM is null or undefined, return all rides (feature disabled)
-  if (!MAX_DISTANCE_KM) {
-    console.log(`📏 Distance filtering DISABLED - showing all ${rides.length} rides`);
-    return rides;
-  }
-
-  // If rider coordinates are not available, return all rides
-  if (!riderCoords || !riderCoords.latitude || !riderCoords.longitude) {
-    console.log(`⚠️ Rider coordinates not available - showing all ${rides.length} rides`);
-    return rides;
-  }
-
-  const filteredRides = rides.filter(ride => {
-    // Check if ride has valid pickup coordinates
-    if (!ride.pickup || !ride.pickup.latitude || !ride.pickup.longitude) {
-      console.log(`⚠️ Ride ${ride._id} has invalid pickup coordinates`);
-      return false;
-    }
-
-    // Calculate distance between rider and passenger pickup location
-    const distance = calculateDistance(
-      riderCoords.latitude,
-      riderCoords.longitude,
-      ride.pickup.latitude,
-      ride.pickup.longitude
-    );
-
-    const withinRange = distance <= MAX_DISTANCE_KM;
-    
-    if (!withinRange) {
-      console.log(`📏 Ride ${ride._id} filtered out: ${distance.toFixed(2)}km away (max: ${MAX_DISTANCE_KM}km)`);
-    }
-
-    return withinRange;
-  });
-
-  console.log(`📏 Distance filtering: ${filteredRides.length}/${rides.length} rides within ${MAX_DISTANCE_KM}km`);
-  return filteredRides;
-};
-// ============================================
+import { addJoinedPassenger } from "../utils/stopUtils.js";
+import {
+  DISPATCH_CONFIG,
+  startRideSearch,
+  declineRideOffer,
+  releaseRiderOffers,
+  settleRideOffers,
+  getOfferedRidesForRider,
+  dispatchWaitingRides,
+} from "../utils/dispatchEngine.js";
+import presenceStore, { PRESENCE_CONFIG } from "../utils/presenceStore.js";
+import { canTransition, transitionRide } from "../utils/rideStateMachine.js";
+import { verifyRideOtp, describeOtpResult, withCustomerOtp, OTP_RESULT } from "../utils/otpVerification.js";
+import { refundRideHold } from "../utils/ledger.js";
+import { releasePromotionUse } from "../utils/promotions.js";
+import { getCancellationPolicy, assessCancellation, applyCancellationPolicy } from "../utils/cancellationPolicy.js";
+import { checkUserEligibility, eligibilityErrorBody, ELIGIBILITY_ACTIONS } from "../utils/userEligibility.js";
+import { sendRidePushNotification, sendChatPushNotification } from "../utils/notificationService.js";
+import { sendRideSmsAlert } from "../utils/smsService.js";
 
 const handleSocketConnection = (io) => {
   io.use(async (socket, next) => {
@@ -98,73 +66,87 @@ const handleSocketConnection = (io) => {
     console.log(`User Joined: ${user.id} (${user.role})`);
 
     if (user.role === "rider") {
-      socket.on("goOnDuty", async (coords) => {
-        // Get rider's vehicle type from database
+      // Save the rider as on duty on this socket
+      const registerOnDuty = async (coords) => {
         const riderInfo = await User.findById(user.id).select("vehicleType firstName lastName");
-        
-        console.log(`🚗 Rider ${user.id} (${riderInfo?.firstName} ${riderInfo?.lastName}) going on duty with coords:`, coords);
-        console.log(`🚗 Rider ${user.id} vehicle type:`, riderInfo?.vehicleType);
-        
-        onDutyRiders.set(user.id, { 
-          socketId: socket.id, 
+        const presence = await presenceStore.setOnDuty(user.id, {
+          socketId: socket.id,
           coords,
-          riderId: user.id,
           vehicleType: riderInfo?.vehicleType || "Tricycle", // Store vehicle type
           name: `${riderInfo?.firstName || ''} ${riderInfo?.lastName || ''}`
         });
+        return { presence, riderInfo };
+      };
+
+      // A rider still on duty on this socket whose presence record expired (nothing
+      // refreshed it for PRESENCE_CONFIG.TTL_SECONDS) is registered again
+      const restoreExpiredPresence = async (coords = null) => {
+        if (!socket.rooms.has("onDuty")) return null;
+
+        const eligibility = await checkUserEligibility(user.id, ELIGIBILITY_ACTIONS.GO_ON_DUTY);
+        if (!eligibility.eligible) {
+          socket.leave("onDuty");
+          socket.emit("goOnDutyRejected", eligibilityErrorBody(eligibility));
+          console.log(`⛔ Rider ${user.id}'s presence expired and they can't go back on duty: ${eligibility.reasonCode}`);
+          return null;
+        }
+
+        const { presence } = await registerOnDuty(coords);
+        console.log(`🔄 Rider ${user.id}'s presence had expired - back on duty`);
+        return presence;
+      };
+
+      // Restore duty state for riders reconnecting (or after a server restart)
+      presenceStore.touch(user.id, socket.id)
+        .then(async (presence) => {
+          if (!presence?.isOnDuty) return;
+
+          // A penalty applied while they were away takes them off duty
+          const eligibility = await checkUserEligibility(user.id, ELIGIBILITY_ACTIONS.GO_ON_DUTY);
+          if (!eligibility.eligible) {
+            await presenceStore.setOffDuty(user.id);
+            socket.emit("goOnDutyRejected", eligibilityErrorBody(eligibility));
+            console.log(`⛔ Rider ${user.id} reconnected but can't stay on duty: ${eligibility.reasonCode}`);
+            return;
+          }
+
+          socket.join("onDuty");
+          console.log(`🔄 Rider ${user.id} reconnected and is still on duty`);
+        })
+        .catch((error) => console.error(`❌ Error restoring presence for rider ${user.id}:`, error));
+
+      socket.on("goOnDuty", async (coords) => {
+        // Disapproved or penalized riders stay off duty
+        const eligibility = await checkUserEligibility(user.id, ELIGIBILITY_ACTIONS.GO_ON_DUTY);
+        if (!eligibility.eligible) {
+          console.log(`⛔ Rider ${user.id} can't go on duty: ${eligibility.reasonCode}`);
+          socket.emit("goOnDutyRejected", eligibilityErrorBody(eligibility));
+          return;
+        }
+
+        const { riderInfo } = await registerOnDuty(coords);
+        
+        console.log(`🚗 Rider ${user.id} (${riderInfo?.firstName} ${riderInfo?.lastName}) going on duty with coords:`, coords);
+        console.log(`🚗 Rider ${user.id} vehicle type:`, riderInfo?.vehicleType);
         
         // Join the onDuty room
         socket.join("onDuty");
         console.log(`✅ Rider ${user.id} is now on duty with vehicle: ${riderInfo?.vehicleType || "Tricycle"}`);
-        console.log(`👥 Total on-duty riders: ${onDutyRiders.size}`);
+        console.log(`👥 Total on-duty riders: ${await presenceStore.countOnDuty()}`);
         
-        // Immediately send ALL searching rides to the newly on-duty rider (client will handle visual feedback for mismatched rides)
+        // Send back any rides already offered to this rider (e.g. after a reconnect),
+        // then let the dispatch engine offer waiting rides to the nearest riders
         try {
-          const riderVehicleType = riderInfo?.vehicleType || "Tricycle";
-          // Only get rides with SEARCHING_FOR_RIDER status (cancelled/timeout rides have different status)
-          // Filter out rides where this rider is blacklisted
-          const searchingRides = await Ride.find({ 
-            status: "SEARCHING_FOR_RIDER",
-            blacklistedRiders: { $ne: user.id } // Exclude rides where rider is blacklisted
-          }).populate("customer", "firstName lastName phone");
+          const offeredRides = await getOfferedRidesForRider(user.id);
           
-          // ============================================
-          // Apply MAX_DISTANCE filter if enabled
-          // ============================================
-          const filteredRides = filterRidesByDistance(searchingRides, coords);
-          // ============================================
-          
-          console.log(`📤 Sending ${filteredRides.length} searching rides (ALL vehicle types) to newly on-duty rider ${user.id} (vehicle: ${riderVehicleType})`);
+          console.log(`📤 Sending ${offeredRides.length} offered rides to newly on-duty rider ${user.id}`);
           
           // Force a small delay to ensure socket is ready (helps with race conditions)
           setTimeout(() => {
-            // Send all rides at once
-            socket.emit("allSearchingRides", filteredRides);
-            
-            // Also send individual ride notifications to ensure they're received
-            if (filteredRides.length > 0) {
-              console.log(`📝 Sending individual ride notifications for ${filteredRides.length} rides`);
-              filteredRides.forEach(ride => {
-                socket.emit("newRideRequest", ride);
-              });
-              
-              // Log the ride IDs and vehicle types
-              const rideIds = filteredRides.map(r => r._id.toString());
-              console.log(`📝 Ride IDs: ${rideIds.join(', ')}`);
-              
-              // Log vehicle type breakdown
-              const vehicleBreakdown = filteredRides.reduce((acc, ride) => {
-                acc[ride.vehicle] = (acc[ride.vehicle] || 0) + 1;
-                return acc;
-              }, {});
-              console.log(`🚗 Vehicle types: ${JSON.stringify(vehicleBreakdown)}`);
-            } else {
-              console.log(`🚧 No searching rides found for newly on-duty rider ${user.id}`);
-            }
-            
-            // Confirm successful send
-            console.log(`✅ Successfully sent ${filteredRides.length} rides to newly on-duty rider ${user.id}`);
+            socket.emit("allSearchingRides", offeredRides);
           }, 500); // Small delay to ensure socket is ready
+          
+          await dispatchWaitingRides(io);
         } catch (error) {
           console.error("❌ Error sending rides to newly on-duty rider:", error);
         }
@@ -172,16 +154,51 @@ const handleSocketConnection = (io) => {
         updateNearbyriders();
       });
 
-      socket.on("goOffDuty", () => {
-        onDutyRiders.delete(user.id);
+      socket.on("goOffDuty", async () => {
+        await presenceStore.setOffDuty(user.id);
         socket.leave("onDuty");
         console.log(`rider ${user.id} is now off duty.`);
         updateNearbyriders();
+        
+        // Pass this rider's pending offers on to the next nearest riders
+        await releaseRiderOffers(io, user.id);
+      });
+
+      // Rider declines a ride offered to them by the dispatch engine
+      socket.on("declineRideOffer", async (data) => {
+        try {
+          const rideId = typeof data === 'string' ? data : data?.rideId;
+          if (!rideId) {
+            return socket.emit("error", { message: "Ride ID is required" });
+          }
+          
+          const declined = await declineRideOffer(io, rideId, user.id);
+          socket.emit("rideOfferDeclined", { rideId, declined });
+        } catch (error) {
+          console.error(`❌ Error declining ride offer:`, error);
+          socket.emit("error", { message: "Failed to decline ride offer" });
+        }
+      });
+
+      // Keeps the rider's presence alive while they aren't moving (e.g. waiting at a
+      // pickup) - clients send it more often than PRESENCE_CONFIG.TTL_SECONDS
+      socket.on("heartbeat", async (coords) => {
+        try {
+          const presence = await presenceStore.touch(user.id, socket.id)
+            || await restoreExpiredPresence(coords?.latitude != null ? coords : null);
+          socket.emit("heartbeatAck", {
+            isOnDuty: !!presence?.isOnDuty,
+            ttlSeconds: PRESENCE_CONFIG.TTL_SECONDS,
+          });
+        } catch (error) {
+          console.error(`❌ Error handling heartbeat from rider ${user.id}:`, error);
+        }
       });
 
       socket.on("updateLocation", async (coords) => {
-        if (onDutyRiders.has(user.id)) {
-          onDutyRiders.get(user.id).coords = coords;
+        const presence = await presenceStore.updateLocation(user.id, coords)
+          || await restoreExpiredPresence(coords);
+        if (presence) {
           console.log(`rider ${user.id} updated location.`);
           updateNearbyriders();
           socket.to(`rider_${user.id}`).emit("riderLocationUpdate", {
@@ -217,7 +234,7 @@ const handleSocketConnection = (io) => {
           if (coords.rideId) {
             const rideId = coords.rideId;
             const now = Date.now();
-            const lastTime = lastCheckpointTime.get(rideId) || 0;
+            const lastTime = await presenceStore.getLastCheckpointTime(user.id, rideId);
             const CHECKPOINT_INTERVAL = 2 * 60 * 1000; // 2 minutes
 
             if (now - lastTime >= CHECKPOINT_INTERVAL) {
@@ -237,7 +254,7 @@ const handleSocketConnection = (io) => {
                     },
                     null // Address will be null for ongoing checkpoints
                   );
-                  lastCheckpointTime.set(rideId, now);
+                  await presenceStore.setLastCheckpointTime(user.id, rideId, now);
                   console.log(`📍 Checkpoint: ONGOING snapshot created for ride ${rideId}`);
                 }
               } catch (checkpointError) {
@@ -249,7 +266,7 @@ const handleSocketConnection = (io) => {
         }
       });
 
-      // Handle request for all searching rides (city-wide)
+      // Handle request for the searching rides offered to this rider
       socket.on("requestAllSearchingRides", async () => {
         try {
           console.log(`🔍 Rider ${user.id} requesting all searching rides`);
@@ -260,23 +277,10 @@ const handleSocketConnection = (io) => {
           const vehicleType = riderUser?.vehicleType || "Tricycle"; // Default to Tricycle instead of Single Motorcycle
           console.log(`🚗 Rider ${user.id} vehicle type: ${vehicleType}`);
           
-          // Find ALL rides with SEARCHING_FOR_RIDER status (NO vehicle filter - client will handle visual feedback)
-          // Only rides with SEARCHING_FOR_RIDER status (cancelled/timeout rides have different status)
-          // Filter out rides where this rider is blacklisted
-          const searchingRides = await Ride.find({ 
-            status: "SEARCHING_FOR_RIDER",
-            blacklistedRiders: { $ne: user.id } // Exclude rides where rider is blacklisted
-          }).populate("customer", "firstName lastName phone");
+          // Under sequential dispatch a rider only sees the rides currently offered to them
+          const filteredRides = await getOfferedRidesForRider(user.id);
           
-          console.log(`📋 Found ${searchingRides.length} searching rides (ALL vehicle types) for rider ${user.id}`);
-          
-          // ============================================
-          // Apply MAX_DISTANCE filter if enabled
-          // ============================================
-          const riderData = onDutyRiders.get(user.id);
-          const riderCoords = riderData?.coords;
-          const filteredRides = filterRidesByDistance(searchingRides, riderCoords);
-          // ============================================
+          console.log(`📋 Found ${filteredRides.length} rides offered to rider ${user.id}`);
           
           // Send all rides to the rider
           console.log(`📤 Emitting ${filteredRides.length} rides to rider ${user.id}`);
@@ -344,7 +348,7 @@ const handleSocketConnection = (io) => {
           
           // Get vehicle type from onDuty data or database
           const driverDetails = await User.findById(riderId).select("vehicleType");
-          const vehicleType = onDutyRiders.get(riderId)?.vehicleType || driverDetails?.vehicleType || "Tricycle";
+          const vehicleType = (await presenceStore.get(riderId))?.vehicleType || driverDetails?.vehicleType || "Tricycle";
           
           // Send driver details back to the customer
           socket.emit("driverDetailsResponse", {
@@ -372,76 +376,31 @@ const handleSocketConnection = (io) => {
 
           const { latitude: pickupLat, longitude: pickupLon } = ride.pickup;
 
-          let retries = 0;
           let rideAccepted = false;
           let canceled = false;
-          const MAX_RETRIES = 60; // Increased from 20 to 60 (10 minutes instead of 3.3 minutes)
 
-          const retrySearch = async () => {
-            if (canceled) return;
-            
-            // CRITICAL: Check ride status in database before every retry
-            const currentRide = await Ride.findById(rideId);
-            
-            // If ride doesn't exist or has been accepted/completed, stop the interval
-            if (!currentRide) {
-              console.log(`🔒 Ride ${rideId} no longer exists - stopping retry interval`);
-              clearInterval(retryInterval);
-              return;
-            }
-            
-            // If ride status is anything other than SEARCHING_FOR_RIDER, stop the interval
-            if (currentRide.status !== "SEARCHING_FOR_RIDER") {
-              console.log(`🔒 Ride ${rideId} status is ${currentRide.status} (not SEARCHING) - stopping retry interval`);
+          // Retries, radius widening and the timeout run in the dispatch engine,
+          // so the search carries on if this socket goes away
+          if (ride.status === "SEARCHING_FOR_RIDER") {
+            await startRideSearch(io, rideId);
+          }
+
+          // This socket only keeps the customer's map of nearby riders fresh
+          const refreshNearbyRiders = async () => {
+            if (canceled || rideAccepted) return;
+
+            const currentRide = await Ride.findById(rideId).select("status");
+            if (!currentRide || currentRide.status !== "SEARCHING_FOR_RIDER") {
+              console.log(`🔒 Ride ${rideId} is ${currentRide?.status || "gone"} (not SEARCHING) - stopping nearby rider updates`);
               clearInterval(retryInterval);
-              rideAccepted = true; // Mark as accepted to prevent timeout
               return;
             }
-            
-            retries++;
-            console.log(`🔄 Retry ${retries}/${MAX_RETRIES} for ride ${rideId}`);
 
-            const riders = sendNearbyRiders(socket, { latitude: pickupLat, longitude: pickupLon }, ride);
-            if (riders.length > 0 || retries >= MAX_RETRIES) {
-              clearInterval(retryInterval);
-              if (!rideAccepted && retries >= MAX_RETRIES) {
-                // Double-check ride status before timing out
-                const finalCheck = await Ride.findById(rideId);
-                if (!finalCheck || finalCheck.status !== "SEARCHING_FOR_RIDER") {
-                  console.log(`🔒 Ride ${rideId} was accepted during final check - NOT timing out`);
-                  return;
-                }
-                // ✅ FIXED: Update status to TIMEOUT instead of deleting, but ONLY if still SEARCHING
-                const timeoutRide = await Ride.findById(rideId);
-                if (timeoutRide) {
-                  // CRITICAL: Only timeout if ride is still SEARCHING_FOR_RIDER
-                  if (timeoutRide.status !== "SEARCHING_FOR_RIDER") {
-                    console.log(`🔒 Ride ${rideId} status is ${timeoutRide.status} - NOT timing out (ride was accepted/completed)`);
-                  } else {
-                    // Ride is still searching after max retries - mark as TIMEOUT
-                    timeoutRide.status = "TIMEOUT";
-                    await timeoutRide.save();
-                    console.log(`🕐 Ride ${rideId} timed out after ${MAX_RETRIES} retries - status updated to TIMEOUT`);
-                    
-                    // Broadcast ride timeout to all on-duty riders
-                    io.to("onDuty").emit("rideOfferTimeout", rideId);
-                    
-                    // Also emit rideCanceled to ensure removal from all lists
-                    io.to("onDuty").emit("rideCanceled", { 
-                      ride: timeoutRide,
-                      rideId: rideId,
-                      cancelledBy: "system",
-                      cancellerName: "System (Timeout)"
-                    });
-                  }
-                }
-                
-                socket.emit("error", { message: "No riders found within 5 minutes." });
-              }
-            }
+            await sendNearbyRiders(socket, { latitude: pickupLat, longitude: pickupLon });
           };
 
-          const retryInterval = setInterval(retrySearch, 10000);
+          const retryInterval = setInterval(refreshNearbyRiders, DISPATCH_CONFIG.SEARCH_RETRY_INTERVAL_SECONDS * 1000);
+          socket.on("disconnect", () => clearInterval(retryInterval));
 
           socket.on("rideAccepted", () => {
             rideAccepted = true;
@@ -471,17 +430,27 @@ const handleSocketConnection = (io) => {
               .populate("rider", "firstName lastName phone");
             
             if (cancelRide) {
-              // CRITICAL: Never change a COMPLETED ride's status
-              if (cancelRide.status === "COMPLETED") {
-                console.log(`🔒 Ride ${rideId} is COMPLETED - protected from status change to CANCELLED`);
+              // CRITICAL: Never change a COMPLETED (or otherwise final) ride's status
+              if (!canTransition(cancelRide.status, "CANCELLED")) {
+                console.log(`🔒 Ride ${rideId} is ${cancelRide.status} - protected from status change to CANCELLED`);
               } else {
                 const cancellerName = `${cancelRide.customer.firstName} ${cancelRide.customer.lastName}`;
                 
-                cancelRide.status = "CANCELLED";
+                transitionRide(cancelRide, "CANCELLED", {
+                  actorType: "customer",
+                  actorId: user.id,
+                  reason: cancellationReason || "Cancelled by customer while searching",
+                });
                 cancelRide.cancelledBy = "customer";
                 cancelRide.cancelledAt = new Date();
                 cancelRide.cancellationReason = cancellationReason; // Save cancellation reason
+                settleRideOffers(cancelRide);
                 await cancelRide.save();
+                await refundRideHold(cancelRide, {
+                  reason: cancellationReason || "Cancelled by customer while searching",
+                  createdBy: { actorType: "customer", actorId: user.id },
+                });
+                await releasePromotionUse(cancelRide);
                 
                 if (cancellationReason) {
                   console.log(`📝 Cancellation reason: ${cancellationReason}`);
@@ -498,16 +467,13 @@ const handleSocketConnection = (io) => {
                 
                 // If rider was assigned, send alert
                 if (cancelRide.rider) {
-                  const riderSocket = getRiderSocket(cancelRide.rider._id);
-                  if (riderSocket) {
-                    console.log(`🚨 Sending cancellation alert to rider ${cancelRide.rider._id}`);
-                    riderSocket.emit("passengerCancelledRide", {
-                      rideId: rideId,
-                      message: `${cancellerName} has cancelled the ride`,
-                      passengerName: cancellerName,
-                      ride: cancelRide
-                    });
-                  }
+                  console.log(`🚨 Sending cancellation alert to rider ${cancelRide.rider._id}`);
+                  io.to(`user_${cancelRide.rider._id}`).emit("passengerCancelledRide", {
+                    rideId: rideId,
+                    message: `${cancellerName} has cancelled the ride`,
+                    passengerName: cancellerName,
+                    ride: cancelRide
+                  });
                 }
                 
                 // Remove from ALL on-duty riders' screens immediately
@@ -540,8 +506,8 @@ const handleSocketConnection = (io) => {
       socket.join(`rider_${riderId}`);
       console.log(`User ${user.id} subscribed to rider ${riderId}'s location.`);
       
-      // First try to get rider location from onDutyRiders map (real-time)
-      const rider = onDutyRiders.get(riderId);
+      // First try to get rider location from the presence store (real-time)
+      const rider = await presenceStore.get(riderId);
       if (rider && rider.coords) {
         socket.emit("riderLocationUpdate", { riderId, coords: rider.coords });
         console.log(`📍 Sent real-time rider location from memory for rider ${riderId}`);
@@ -578,8 +544,10 @@ const handleSocketConnection = (io) => {
       socket.join(`ride_${rideId}`);
       try {
         const rideData = await Ride.findById(rideId).populate("customer rider");
-        console.log(`Sending ride data to user ${user.id}: Status=${rideData?.status}, OTP=${rideData?.otp}`);
-        socket.emit("rideData", rideData);
+        console.log(`Sending ride data to user ${user.id}: Status=${rideData?.status}`);
+        // Only the booking customer gets the OTP
+        const isBooker = rideData?.customer?._id?.toString() === user.id;
+        socket.emit("rideData", isBooker ? await withCustomerOtp(rideData) : rideData);
       } catch (error) {
         console.error(`Error fetching ride ${rideId}:`, error);
         socket.emit("error", { message: "Failed to receive ride data" });
@@ -592,6 +560,40 @@ const handleSocketConnection = (io) => {
       console.log(`✅ User ${user.id} successfully left ride room ${rideId}`);
     });
 
+    // ============ RIDE OTP VERIFICATION ============
+    // Rider enters the code the passenger reads out before the trip can start
+    socket.on("verifyRideOtp", async (data) => {
+      const rideId = data?.rideId;
+      try {
+        if (!rideId) {
+          socket.emit("otpVerificationFailed", { message: "No ride ID provided" });
+          return;
+        }
+
+        const outcome = await verifyRideOtp(rideId, user.id, data.otp, { source: "socket" });
+        const payload = {
+          rideId,
+          result: outcome.result,
+          message: describeOtpResult(outcome),
+          attemptsRemaining: outcome.attemptsRemaining,
+          lockedUntil: outcome.lockedUntil,
+        };
+
+        if (outcome.result === OTP_RESULT.INVALID || outcome.result === OTP_RESULT.LOCKED) {
+          socket.emit("otpVerificationFailed", payload);
+          return;
+        }
+
+        socket.emit("otpVerified", payload);
+        if (outcome.result === OTP_RESULT.VERIFIED) {
+          io.to(`ride_${rideId}`).emit("rideOtpVerified", { rideId, verifiedAt: outcome.ride.otpVerification.verifiedAt });
+        }
+      } catch (error) {
+        console.error(`❌ Error verifying OTP for ride ${rideId}:`, error.message);
+        socket.emit("otpVerificationFailed", { rideId, message: error.message || "Failed to verify OTP" });
+      }
+    });
+
     // ============ GLOBAL CANCEL RIDE HANDLER ============
     // This handles cancellation for rides in START status (before OTP verification)
     socket.on("cancelRide", async (data) => {
@@ -644,25 +646,31 @@ const handleSocketConnection = (io) => {
           return;
         }
 
-        // Protect COMPLETED rides
-        if (ride.status === "COMPLETED") {
-          console.log(`🔒 Ride ${rideId} is COMPLETED - protected from cancellation`);
-          socket.emit("cancelRideError", { message: "Cannot cancel a completed ride" });
-          return;
-        }
-
         // Determine who cancelled
         const cancelledBy = isCustomer ? "customer" : "rider";
         const cancellerName = isCustomer 
           ? `${ride.customer.firstName} ${ride.customer.lastName}`
           : `${ride.rider.firstName} ${ride.rider.lastName}`;
 
+        const assessment = assessCancellation(ride, cancelledBy, await getCancellationPolicy(ride));
+
         // Update ride status
-        ride.status = "CANCELLED";
+        transitionRide(ride, "CANCELLED", {
+          actorType: cancelledBy,
+          actorId: user.id,
+          reason: cancellationReason || `Cancelled by ${cancelledBy}`,
+        });
         ride.cancelledBy = cancelledBy;
         ride.cancelledAt = new Date();
         ride.cancellationReason = cancellationReason;
+        settleRideOffers(ride);
         await ride.save();
+        await refundRideHold(ride, {
+          reason: cancellationReason || `Cancelled by ${cancelledBy}`,
+          createdBy: { actorType: cancelledBy, actorId: user.id },
+        });
+        await releasePromotionUse(ride);
+        await applyCancellationPolicy(ride, { cancelledBy, actorId: user.id, assessment });
 
         console.log(`✅ Ride ${rideId} cancelled by ${cancelledBy} (${cancellerName})`);
 
@@ -678,22 +686,27 @@ const handleSocketConnection = (io) => {
         // Notify the other party
         if (isCustomer && ride.rider) {
           // Customer cancelled - notify rider
-          const riderSocket = getRiderSocket(ride.rider._id.toString());
-          if (riderSocket) {
-            console.log(`🚨 Sending cancellation alert to rider ${ride.rider._id}`);
-            riderSocket.emit("passengerCancelledRide", {
-              rideId: rideId,
-              message: `${cancellerName} has cancelled the ride`,
-              passengerName: cancellerName,
-              ride: ride,
-              reason: cancellationReason
-            });
-          }
+          console.log(`🚨 Sending cancellation alert to rider ${ride.rider._id}`);
+          io.to(`user_${ride.rider._id}`).emit("passengerCancelledRide", {
+            rideId: rideId,
+            message: `${cancellerName} has cancelled the ride`,
+            passengerName: cancellerName,
+            ride: ride,
+            reason: cancellationReason
+          });
         } else if (isRider) {
           // Rider cancelled - notify customer (customer is already in ride room)
           console.log(`🚨 Rider cancelled ride ${rideId} - customer notified via ride room`);
         }
 
+        // Push to the other party in case their app is in the background
+        if (isCustomer && ride.rider) {
+          sendRidePushNotification(ride.rider, "rideCanceled", ride, { cancellerName });
+        } else if (isRider) {
+          sendRidePushNotification(ride.customer, "rideCanceled", ride, { cancellerName });
+          sendRideSmsAlert(ride.customer, "rideCanceled", { cancellerName });
+        }
+
         // Remove from on-duty riders' screens
         io.to("onDuty").emit("rideOfferCanceled", rideId);
         io.to("onDuty").emit("rideCanceled", {
@@ -801,6 +814,9 @@ const handleSocketConnection = (io) => {
           });
           
           console.log(`🔔 Sent unread count update to user ${otherParticipant.userId}: ${totalUnread} unread messages`);
+
+          const sender = populatedMessage.sender.userId;
+          sendChatPushNotification(otherParticipant.userId, message, `${sender?.firstName || ""} ${sender?.lastName || ""}`.trim());
         }
 
         console.log(`✅ Message sent in chat ${chatId}: ${message._id}`);
@@ -1182,7 +1198,7 @@ const handleSocketConnection = (io) => {
     // Approve passenger join request (rider only)
     socket.on("approveJoinRequest", async (data) => {
       try {
-        const { rideId, passengerId } = data;
+        const { rideId, passengerId, drop } = data; // drop: passenger's own drop-off from the join request
         const riderId = user.id;
 
         console.log(`✅ Socket: Rider ${riderId} approving passenger ${passengerId} for ride ${rideId}`);
@@ -1227,16 +1243,8 @@ const handleSocketConnection = (io) => {
           return;
         }
 
-        // Add passenger to the ride with all required fields
-        ride.passengers.push({
-          userId: passengerId,
-          firstName: passengerUser.firstName,
-          lastName: passengerUser.lastName,
-          phone: passengerUser.phone,
-          status: "WAITING",
-          joinedAt: new Date()
-        });
-        ride.currentPassengerCount = ride.passengers.length;
+        // Same as the HTTP approval: their drop-off becomes a stop on the route
+        addJoinedPassenger(ride, passengerUser, drop);
         await ride.save();
 
         // Populate the updated ride
@@ -1520,9 +1528,13 @@ const handleSocketConnection = (io) => {
       console.error(`❌ Socket error for ${user.role} ${user.id}:`, error.message);
     });
 
-    socket.on("disconnect", (reason) => {
+    socket.on("disconnect", async (reason) => {
       try {
-        if (user.role === "rider") onDutyRiders.delete(user.id);
+        // Riders stay on duty in the presence store until they go off duty or
+        // their last-seen time expires, so a reconnect or restart keeps them working
+        if (user.role === "rider") {
+          await releaseRiderOffers(io, user.id);
+        }
         console.log(`${user.role} ${user.id} disconnected. Reason: ${reason}`);
       } catch (error) {
         console.error(`❌ Error during disconnect cleanup for ${user.id}:`, error.message);
@@ -1538,24 +1550,24 @@ const handleSocketConnection = (io) => {
       });
     }
 
-    async function sendNearbyRiders(socket, location, ride = null) {
+    async function sendNearbyRiders(socket, location) {
       try {
         console.log('🔍 Finding riders near location:', location);
-        console.log('👥 Total on-duty riders:', onDutyRiders.size);
+        // Indexed lookup, nearest first (no radius - customers see every on-duty rider)
+        const onDutyRiders = await presenceStore.getOnDutyRidersNear(location);
+        console.log('👥 Total on-duty riders:', onDutyRiders.length);
         
         const nearbyRidersArray = [];
         
         // Process each rider to get complete information
-        for (const [riderId, rider] of onDutyRiders.entries()) {
+        for (const rider of onDutyRiders) {
+          const { riderId } = rider;
           try {
             // Get rider's info from database
             const riderInfo = await User.findById(riderId).select("firstName lastName photo vehicleType");
             
-            // Calculate distance in meters
-            const distance = geolib.getDistance(
-              { latitude: location.latitude, longitude: location.longitude },
-              { latitude: rider.coords.latitude, longitude: rider.coords.longitude }
-            );
+            // Distance in meters from the $geoNear result
+            const distance = Math.round(rider.distanceKm * 1000);
             
             // Get rider's ratings
             const ratings = await Rating.find({ rider: riderId });
@@ -1586,22 +1598,12 @@ const handleSocketConnection = (io) => {
           }
         }
         
-        // Sort by distance
+        // Already sorted by distance
         const nearbyriders = nearbyRidersArray
-          .filter(rider => rider.distance <= 50000000) // 50,000km for testing
-          .sort((a, b) => a.distance - b.distance);
+          .filter(rider => rider.distance <= 50000000); // 50,000km for testing
         
         console.log(`📤 Sending ${nearbyriders.length} nearby riders to customer`);
         socket.emit("nearbyriders", nearbyriders);
-        
-        // If this was triggered by a new ride, notify the riders
-        if (ride) {
-          nearbyriders.forEach((rider) => {
-            if (rider.socketId) {
-              io.to(rider.socketId).emit("rideOffer", ride);
-            }
-          });
-        }
 
         return nearbyriders;
       } catch (error) {
@@ -1609,103 +1611,18 @@ const handleSocketConnection = (io) => {
         return [];
       }
     }
-
-    function getRiderSocket(riderId) {
-      const rider = onDutyRiders.get(riderId);
-      return rider ? io.sockets.sockets.get(rider.socketId) : null;
-    }
   });
 };
 
-// Function to broadcast new ride requests to ALL on-duty riders (client will handle visual feedback for mismatched rides)
-export const broadcastNewRideRequest = async (io, rideData) => {
-  try {
-    console.log(`🚨 Broadcasting new ride request ${rideData._id} to ALL on-duty riders`);
-    
-    // Populate the ride data with customer info
-    const populatedRide = await Ride.findById(rideData._id).populate("customer", "firstName lastName phone");
-    
-    if (!populatedRide) {
-      console.error(`❌ Cannot broadcast ride ${rideData._id}: Ride not found or was deleted`);
-      return;
-    }
-    
-    // Log ride details
-    console.log(`📍 Ride details: ${populatedRide.pickup?.address} to ${populatedRide.drop?.address}`);
-    console.log(`💰 Fare: ${populatedRide.fare}, Vehicle: ${populatedRide.vehicle}`);
-    console.log(`📱 Customer: ${populatedRide.customer?.firstName} ${populatedRide.customer?.lastName}`);
-    
-    // Check if ride has blacklisted riders
-    const blacklistedRiderIds = populatedRide.blacklistedRiders || [];
-    console.log(`🚫 Blacklisted riders for this ride: ${blacklistedRiderIds.length > 0 ? blacklistedRiderIds.join(', ') : 'None'}`);
-    
-    // Send to each on-duty rider individually, excluding blacklisted ones
-    let sentCount = 0;
-    let distanceFilteredCount = 0;
-    for (const [riderId, riderData] of onDutyRiders.entries()) {
-      // Skip if rider is blacklisted for this ride
-      if (blacklistedRiderIds.some(id => id.toString() === riderId)) {
-        console.log(`⏭️ Skipping rider ${riderId} - blacklisted for this ride`);
-        continue;
-      }
-      
-      // ============================================
-      // Apply MAX_DISTANCE filter if enabled
-      // ============================================
-      if (MAX_DISTANCE_KM && riderData.coords && populatedRide.pickup) {
-        const distance = calculateDistance(
-          riderData.coords.latitude,
-          riderData.coords.longitude,
-          populatedRide.pickup.latitude,
-          populatedRide.pickup.longitude
-        );
-        
-        if (distance > MAX_DISTANCE_KM) {
-          console.log(`📏 Skipping rider ${riderId} - ${distance.toFixed(2)}km away (max: ${MAX_DISTANCE_KM}km)`);
-          distanceFilteredCount++;
-          continue;
-        }
-      }
-      // ============================================
-      
-      // Send to this specific rider
-      const riderSocket = io.sockets.sockets.get(riderData.socketId);
-      if (riderSocket) {
-        riderSocket.emit("newRideRequest", populatedRide);
-        sentCount++;
-      }
-    }
-    
-    console.log(`💬 Broadcasted ride ${rideData._id} (${populatedRide.vehicle}) to ${sentCount}/${onDutyRiders.size} on-duty riders (${blacklistedRiderIds.length} blacklisted, ${distanceFilteredCount} too far)`);
-    
-    // Send updated list of ALL searching rides to each rider (filtered by their blacklist and distance)
-    for (const [riderId, riderData] of onDutyRiders.entries()) {
-      const riderSocket = io.sockets.sockets.get(riderData.socketId);
-      if (riderSocket) {
-        // Get rides excluding those where this rider is blacklisted
-        const ridesForRider = await Ride.find({ 
-          status: "SEARCHING_FOR_RIDER",
-          blacklistedRiders: { $ne: riderId }
-        }).populate("customer", "firstName lastName phone");
-        
-        // ============================================
-        // Apply MAX_DISTANCE filter if enabled
-        // ============================================
-        const filteredRidesForRider = filterRidesByDistance(ridesForRider, riderData.coords);
-        // ============================================
-        
-        riderSocket.emit("allSearchingRides", filteredRidesForRider);
-      }
-    }
-    
-    // Log all on-duty rider IDs
-    if (onDutyRiders.size > 0) {
-      const riderIds = Array.from(onDutyRiders.keys());
-      console.log(`👥 On-duty riders: ${riderIds.join(', ')}`);
-    }
-  } catch (error) {
-    console.error(`❌ Error broadcasting new ride request ${rideData?._id}:`, error);
-  }
+// Function to start the search for a new ride request (offers go to the nearest on-duty riders, one batch at a time)
+export const dispatchNewRideRequest = async (io, rideId) => {
+  console.log(`🚨 Dispatching new ride request ${rideId} (${await presenceStore.countOnDuty()} riders on duty)`);
+  return startRideSearch(io, rideId);
+};
+
+// Function to record a rider declining a ride offer and move on to the next rider
+export const declineRideOfferForRider = async (io, rideId, riderId) => {
+  return declineRideOffer(io, rideId, riderId);
 };
 
 // Function to broadcast ride cancellations
@@ -1725,4 +1642,14 @@ export const broadcastRideAccepted = (io, rideId) => {
   io.to("onDuty").emit("rideAccepted", rideId);
 };
 
+// Tell a rider their accept lost the race - the ride went to someone else
+export const notifyRideAlreadyTaken = (io, rideId, riderId) => {
+  if (!io) return;
+  console.log(`Notifying rider ${riderId} that ride ${rideId} is already taken`);
+  io.to(`user_${riderId}`).emit("rideAlreadyTaken", {
+    rideId,
+    message: "This ride has already been accepted by another rider",
+  });
+};
+
 export default handleSocketConnection;
@@ -0,0 +1,184 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import SurgeConfig, { DEFAULT_SURGE_CONFIG } from '../models/SurgeConfig.js';
+import SurgeSnapshot from '../models/SurgeSnapshot.js';
+import FareZone from '../models/FareZone.js';
+import { getCurrentSurge, runSurgeUpdate } from '../utils/surgePricing.js';
+import { BadRequestError } from '../errors/index.js';
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_SURGE_CONFIG);
+
+// Surge history is read a day at a time by default
+const DEFAULT_HISTORY_HOURS = 24;
+const MAX_HISTORY_LIMIT = 1000;
+
+const pickConfigFields = (body) => Object.fromEntries(
+  CONFIG_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+const saveConfig = (data, adminId) => {
+  return SurgeConfig.findOneAndUpdate(
+    { key: 'global' },
+    { ...data, lastUpdatedBy: adminId },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).populate('lastUpdatedBy', 'name username');
+};
+
+// Get the surge settings
+export const getSurgeConfig = async (req, res) => {
+  try {
+    const surgeConfig = await SurgeConfig.findOne({ key: 'global' })
+      .populate('lastUpdatedBy', 'name username');
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      defaults: DEFAULT_SURGE_CONFIG,
+      surgeConfig: surgeConfig || DEFAULT_SURGE_CONFIG,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch surge configuration');
+  }
+};
+
+// Update the surge settings
+export const updateSurgeConfig = async (req, res) => {
+  try {
+    const surgeConfig = await saveConfig(pickConfigFields(req.body), req.admin?._id);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Surge configuration saved successfully',
+      surgeConfig,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save surge configuration');
+  }
+};
+
+// Kill switch - turn surge pricing off (or back on) everywhere
+export const toggleSurge = async (req, res) => {
+  try {
+    const { enabled } = await SurgeConfig.getConfig();
+    const surgeConfig = await saveConfig({ enabled: !enabled }, req.admin?._id);
+
+    console.log(`📈 Surge pricing ${surgeConfig.enabled ? 'enabled' : 'disabled'} by admin ${req.admin?._id}`);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Surge pricing ${surgeConfig.enabled ? 'enabled' : 'disabled'}`,
+      surgeConfig,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to toggle surge pricing');
+  }
+};
+
+// Current multiplier and latest reading for each active zone
+export const getCurrentSurges = async (req, res) => {
+  try {
+    const zones = await FareZone.find({ isActive: true }).select('name surgeEnabled maxSurgeMultiplier').sort({ name: 1 });
+
+    const surges = await Promise.all(zones.map(async zone => {
+      const [surge, latestReading] = await Promise.all([
+        getCurrentSurge(zone._id),
+        SurgeSnapshot.findOne({ zone: zone._id }).sort({ computedAt: -1 }),
+      ]);
+      return {
+        zone,
+        multiplier: surge?.multiplier ?? 1,
+        latestReading,
+      };
+    }));
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      enabled: (await SurgeConfig.getConfig()).enabled,
+      surges,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch current surge');
+  }
+};
+
+// Surge readings over a period, with a per-zone summary (?zoneId=&from=&to=&limit=)
+export const getSurgeHistory = async (req, res) => {
+  try {
+    const { zoneId } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_HISTORY_HOURS * 60 * 60 * 1000);
+    const limit = Math.min(parseInt(req.query.limit) || 500, MAX_HISTORY_LIMIT);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      throw new BadRequestError('Invalid date range');
+    }
+    if (zoneId && !mongoose.isValidObjectId(zoneId)) {
+      throw new BadRequestError('Invalid zone ID');
+    }
+
+    const match = {
+      computedAt: { $gte: from, $lte: to },
+      ...(zoneId ? { zone: new mongoose.Types.ObjectId(zoneId) } : {}),
+    };
+
+    const [snapshots, summary] = await Promise.all([
+      SurgeSnapshot.find(match).sort({ computedAt: -1 }).limit(limit),
+      SurgeSnapshot.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$zone',
+            zoneName: { $last: '$zoneName' },
+            readings: { $sum: 1 },
+            surgingReadings: { $sum: { $cond: [{ $gt: ['$multiplier', 1] }, 1, 0] } },
+            averageMultiplier: { $avg: '$multiplier' },
+            peakMultiplier: { $max: '$multiplier' },
+            averageDemand: { $avg: '$demand' },
+            averageSupply: { $avg: '$supply' },
+          },
+        },
+        { $sort: { zoneName: 1 } },
+      ]),
+    ]);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      from,
+      to,
+      summary: summary.map(({ _id, averageMultiplier, averageDemand, averageSupply, ...rest }) => ({
+        zone: _id,
+        ...rest,
+        averageMultiplier: Math.round(averageMultiplier * 100) / 100,
+        averageDemand: Math.round(averageDemand * 100) / 100,
+        averageSupply: Math.round(averageSupply * 100) / 100,
+      })),
+      count: snapshots.length,
+      snapshots,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch surge history');
+  }
+};
+
+// Take a surge reading now instead of waiting for the next job run
+export const runSurgeNow = async (req, res) => {
+  try {
+    const snapshots = await runSurgeUpdate();
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: `${snapshots.length} zone(s) updated`,
+      snapshots,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update surge');
+  }
+};
@@ -0,0 +1,183 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import { getPaymentGateway, listPaymentGateways } from '../utils/paymentGateways.js';
+import {
+  getUserWallet,
+  getWalletEntries,
+  topUpWallet,
+  refundRidePayment,
+} from '../utils/ledger.js';
+
+// ============================================
+// USER ENDPOINTS
+// ============================================
+
+// Get the current user's wallet balance and latest entries
+export const getMyWallet = async (req, res) => {
+  const wallet = await getUserWallet(req.user.id);
+  const recentEntries = await getWalletEntries(wallet._id, { limit: 10 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    wallet: {
+      balance: wallet.balance,
+      currency: wallet.currency,
+    },
+    recentEntries,
+  });
+};
+
+// Get the current user's wallet history (?limit=&before=<ISO date>)
+export const getMyWalletTransactions = async (req, res) => {
+  const { limit, before } = req.query;
+
+  if (before && Number.isNaN(new Date(before).getTime())) {
+    throw new BadRequestError('Invalid "before" date');
+  }
+
+  const wallet = await getUserWallet(req.user.id);
+  const entries = await getWalletEntries(wallet._id, { limit, before });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    count: entries.length,
+    entries,
+    nextBefore: entries.length > 0 ? entries[entries.length - 1].createdAt : null,
+  });
+};
+
+// Payment methods available for top-ups
+export const getPaymentMethods = async (req, res) => {
+  res.status(StatusCodes.OK).json({
+    success: true,
+    methods: listPaymentGateways(),
+  });
+};
+
+// Top up the current user's wallet through a self-service gateway
+export const topUpMyWallet = async (req, res) => {
+  const { amount, method, reference } = req.body;
+
+  if (!method) {
+    throw new BadRequestError('Payment method is required');
+  }
+
+  const gateway = getPaymentGateway(method);
+  if (!gateway.selfServiceTopUp) {
+    throw new BadRequestError(`${method} top-ups are recorded by an admin`);
+  }
+
+  const { entry, wallet } = await topUpWallet({
+    userId: req.user.id,
+    amount,
+    method,
+    reference,
+    createdBy: { actorType: req.user.role === 'rider' ? 'rider' : 'customer', actorId: req.user.id },
+  });
+
+  console.log(`💰 User ${req.user.id} topped up ₱${entry.amount} via ${method}`);
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: 'Wallet topped up successfully',
+    entry,
+    balance: wallet.balance,
+  });
+};
+
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
+
+// Record a top-up for a user (e.g. cash handed over at the office)
+export const adminTopUpWallet = async (req, res) => {
+  const { userId, amount, method = 'cash', reference } = req.body;
+
+  if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+    throw new BadRequestError('A valid user ID is required');
+  }
+
+  const user = await User.findById(userId).select('firstName lastName');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const { entry, wallet } = await topUpWallet({
+    userId,
+    amount,
+    method,
+    reference,
+    createdBy: { actorType: 'admin', actorId: req.admin._id },
+  });
+
+  console.log(`💰 Admin ${req.admin._id} recorded ₱${entry.amount} ${method} top-up for user ${userId}`);
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: `Wallet of ${user.firstName} ${user.lastName} topped up successfully`,
+    entry,
+    balance: wallet.balance,
+  });
+};
+
+// Refund part or all of a passenger's fare on a completed ride
+export const adminRefundRide = async (req, res) => {
+  const { rideId } = req.params;
+  const { userId, amount, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(rideId)) {
+    throw new BadRequestError('Invalid ride ID');
+  }
+
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    throw new NotFoundError('Ride not found');
+  }
+
+  const refund = await refundRidePayment(ride, {
+    userId: userId || ride.customer,
+    amount,
+    reason,
+    createdBy: { actorType: 'admin', actorId: req.admin._id },
+  });
+  await ride.save();
+
+  console.log(`💸 Admin ${req.admin._id} refunded ₱${refund.amount} on ride ${rideId}`);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Refund issued to the passenger wallet',
+    amount: refund.amount,
+    entries: refund.entries,
+    payment: ride.payment,
+  });
+};
+
+// All ledger entries posted for a ride
+export const adminGetRideLedger = async (req, res) => {
+  const { rideId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(rideId)) {
+    throw new BadRequestError('Invalid ride ID');
+  }
+
+  const ride = await Ride.findById(rideId).select('status fare paymentMethod payment');
+  if (!ride) {
+    throw new NotFoundError('Ride not found');
+  }
+
+  const entries = await LedgerEntry.find({ ride: rideId })
+    .sort({ createdAt: 1 })
+    .populate('user', 'firstName lastName');
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    ride,
+    count: entries.length,
+    entries,
+  });
+};
@@ -2,5 +2,6 @@ import CustomAPIError from "./custom-api.js";
 import UnauthenticatedError from "./unauthenticated.js";
 import NotFoundError from "./not-found.js";
 import BadRequestError from "./bad-request.js";
+import ConflictError from "./conflict.js";
 
-export { CustomAPIError, UnauthenticatedError, NotFoundError, BadRequestError };
+export { CustomAPIError, UnauthenticatedError, NotFoundError, BadRequestError, ConflictError };
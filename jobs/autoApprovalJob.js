@@ -1,4 +1,7 @@
 import User from '../models/User.js';
+import { logSystemActivity } from '../controllers/adminManagement.js';
+import { createNotification } from '../utils/notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
 
 /**
  * Auto-approval job that runs periodically to check for users with expired rejection deadlines
@@ -8,10 +11,13 @@ export const runAutoApprovalJob = async () => {
   try {
     const currentDate = new Date();
     
-    // Find all disapproved users with rejection deadlines that have passed
+    // Find all disapproved users whose rejection deadline or penalty lift date has passed
     const usersToAutoApprove = await User.find({
       status: 'disapproved',
-      rejectionDeadline: { $exists: true, $ne: null, $lte: currentDate }
+      $or: [
+        { rejectionDeadline: { $exists: true, $ne: null, $lte: currentDate } },
+        { penaltyLiftDate: { $exists: true, $ne: null, $lte: currentDate } }
+      ]
     });
     
     if (usersToAutoApprove.length === 0) {
@@ -23,7 +29,10 @@ export const runAutoApprovalJob = async () => {
     
     // Auto-approve each user
     for (const user of usersToAutoApprove) {
-      console.log(`✅ Auto-approving user ${user._id} (${user.email}) - deadline passed: ${user.rejectionDeadline}`);
+      console.log(`✅ Auto-approving user ${user._id} (${user.email}) - deadline passed: ${user.rejectionDeadline || user.penaltyLiftDate}`);
+      
+      const hadPenalty = Boolean(user.penaltyLiftDate);
+      const penaltyComment = user.penaltyComment;
       
       user.status = 'approved';
       user.disapprovalReason = '';
@@ -33,6 +42,28 @@ export const runAutoApprovalJob = async () => {
       
       await user.save();
       
+      if (hadPenalty) {
+        await logSystemActivity(
+          'REMOVED_PENALTY',
+          'USER',
+          user._id,
+          `${user.firstName} ${user.lastName}`,
+          `Penalty lifted automatically for ${user.role} account: ${user.firstName} ${user.lastName}`,
+          { userId: user._id, email: user.email, role: user.role, penaltyComment }
+        );
+        await createNotification(user._id, {
+          type: NOTIFICATION_TYPES.PENALTY_REMOVED,
+          title: 'Penalty lifted',
+          body: 'The penalty on your account has ended. Welcome back!',
+        });
+      } else {
+        await createNotification(user._id, {
+          type: NOTIFICATION_TYPES.ACCOUNT_APPROVED,
+          title: 'Account approved',
+          body: 'Your account has been approved again.',
+        });
+      }
+      
       console.log(`✅ User ${user._id} auto-approved successfully`);
     }
     
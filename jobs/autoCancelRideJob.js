@@ -1,4 +1,10 @@
 import Ride from '../models/Ride.js';
+import { settleRideOffers } from '../utils/dispatchEngine.js';
+import { transitionRide } from '../utils/rideStateMachine.js';
+import { refundRideHold } from '../utils/ledger.js';
+import { releasePromotionUse } from '../utils/promotions.js';
+import { createNotification } from '../utils/notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
 
 /**
  * Auto-cancel ride job configuration
@@ -13,6 +19,15 @@ const STALE_RIDE_CONFIG = {
   IN_PROGRESS_TIMEOUT_HOURS: 24,
 };
 
+// Searching time counts from the request (scheduled rides are requested when released),
+// falling back to createdAt for rides without a request time
+const searchingSince = (before) => ({
+  $or: [
+    { 'tripLogs.requestTime': { $lte: before } },
+    { 'tripLogs.requestTime': null, createdAt: { $lte: before } },
+  ],
+});
+
 /**
  * Auto-cancel job that runs periodically to check for stale rides
  * and automatically cancels them based on configured timeouts
@@ -31,28 +46,38 @@ export const runAutoCancelRideJob = async () => {
     
     const staleSearchingRides = await Ride.find({
       status: 'SEARCHING_FOR_RIDER',
-      createdAt: { $lte: searchingTimeout }
+      ...searchingSince(searchingTimeout)
     }).populate('customer', 'firstName lastName phone');
     
     if (staleSearchingRides.length > 0) {
       console.log(`⏰ Found ${staleSearchingRides.length} SEARCHING rides older than ${STALE_RIDE_CONFIG.SEARCHING_TIMEOUT_HOURS} hour(s)`);
       
       for (const ride of staleSearchingRides) {
-        const ageMinutes = Math.round((now - new Date(ride.createdAt)) / (1000 * 60));
+        const ageMinutes = Math.round((now - new Date(ride.tripLogs?.requestTime || ride.createdAt)) / (1000 * 60));
         console.log(`🚫 Auto-cancelling SEARCHING ride ${ride._id} (age: ${ageMinutes} minutes)`);
         
-        ride.status = 'CANCELLED';
+        const reason = `Auto-cancelled: No driver accepted within ${STALE_RIDE_CONFIG.SEARCHING_TIMEOUT_HOURS} hour(s)`;
+        transitionRide(ride, 'CANCELLED', { actorType: 'system', reason });
         ride.cancelledBy = null; // System cancelled
         ride.cancelledAt = now;
+        settleRideOffers(ride);
         
         // Add a note in tripLogs if it exists
         if (!ride.tripLogs) {
           ride.tripLogs = {};
         }
-        ride.tripLogs.autoCancelledReason = `Auto-cancelled: No driver accepted within ${STALE_RIDE_CONFIG.SEARCHING_TIMEOUT_HOURS} hour(s)`;
+        ride.tripLogs.autoCancelledReason = reason;
         ride.tripLogs.autoCancelledAt = now;
         
         await ride.save();
+        await refundRideHold(ride, { reason });
+        await releasePromotionUse(ride);
+        await createNotification(ride.customer, {
+          type: NOTIFICATION_TYPES.RIDE_CANCELLED,
+          title: 'Ride cancelled',
+          body: 'No driver accepted your ride, so it was cancelled. Please try booking again.',
+          data: { rideId: ride._id.toString(), reason },
+        });
         totalCancelled++;
         
         console.log(`✅ Ride ${ride._id} auto-cancelled (was searching for ${ageMinutes} minutes)`);
@@ -77,7 +102,9 @@ export const runAutoCancelRideJob = async () => {
         const ageHours = Math.round((now - new Date(ride.createdAt)) / (1000 * 60 * 60));
         console.log(`🚫 Auto-cancelling ${ride.status} ride ${ride._id} (age: ${ageHours} hours)`);
         
-        ride.status = 'CANCELLED';
+        const previousStatus = ride.status;
+        const reason = `Auto-cancelled: Ride stuck in ${previousStatus} for over ${STALE_RIDE_CONFIG.IN_PROGRESS_TIMEOUT_HOURS} hours`;
+        transitionRide(ride, 'CANCELLED', { actorType: 'system', reason });
         ride.cancelledBy = null; // System cancelled
         ride.cancelledAt = now;
         
@@ -85,13 +112,23 @@ export const runAutoCancelRideJob = async () => {
         if (!ride.tripLogs) {
           ride.tripLogs = {};
         }
-        ride.tripLogs.autoCancelledReason = `Auto-cancelled: Ride stuck in ${ride.status} for over ${STALE_RIDE_CONFIG.IN_PROGRESS_TIMEOUT_HOURS} hours`;
+        ride.tripLogs.autoCancelledReason = reason;
         ride.tripLogs.autoCancelledAt = now;
         
         await ride.save();
+        await refundRideHold(ride, { reason });
+        await releasePromotionUse(ride);
+        for (const participant of [ride.customer, ride.rider].filter(Boolean)) {
+          await createNotification(participant, {
+            type: NOTIFICATION_TYPES.RIDE_CANCELLED,
+            title: 'Ride cancelled',
+            body: 'Your ride was cancelled automatically because it was never completed.',
+            data: { rideId: ride._id.toString(), reason },
+          });
+        }
         totalCancelled++;
         
-        console.log(`✅ Ride ${ride._id} auto-cancelled (was in ${ride.status} for ${ageHours} hours)`);
+        console.log(`✅ Ride ${ride._id} auto-cancelled (was in ${previousStatus} for ${ageHours} hours)`);
       }
     }
     
@@ -110,16 +147,19 @@ export const runAutoCancelRideJob = async () => {
       console.log(`🧹 Found ${oldTimeoutRides.length} old TIMEOUT rides to clean up`);
       
       for (const ride of oldTimeoutRides) {
-        ride.status = 'CANCELLED';
+        const reason = 'Auto-cancelled: Converted from TIMEOUT status after 24 hours';
+        transitionRide(ride, 'CANCELLED', { actorType: 'system', reason });
         ride.cancelledAt = now;
         
         if (!ride.tripLogs) {
           ride.tripLogs = {};
         }
-        ride.tripLogs.autoCancelledReason = 'Auto-cancelled: Converted from TIMEOUT status after 24 hours';
+        ride.tripLogs.autoCancelledReason = reason;
         ride.tripLogs.autoCancelledAt = now;
         
         await ride.save();
+        await refundRideHold(ride, { reason });
+        await releasePromotionUse(ride);
         totalCancelled++;
         
         console.log(`🧹 Converted TIMEOUT ride ${ride._id} to CANCELLED`);
@@ -175,7 +215,7 @@ export const getStaleRideStats = async () => {
   
   const staleSearching = await Ride.countDocuments({
     status: 'SEARCHING_FOR_RIDER',
-    createdAt: { $lte: searchingTimeout }
+    ...searchingSince(searchingTimeout)
   });
   
   const staleInProgress = await Ride.countDocuments({
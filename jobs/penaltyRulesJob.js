@@ -0,0 +1,46 @@
+import { runPenaltyRules, ensureDefaultPenaltyRules } from '../utils/penaltyEngine.js';
+
+/**
+ * Penalty rules job that runs periodically to evaluate the active penalty
+ * rules (cancellations, no-shows, low ratings, route deviations) and put
+ * users who broke one under an automatic penalty
+ */
+export const runPenaltyRulesJob = async () => {
+  try {
+    console.log('🔄 Penalty rules job: Starting...');
+
+    const { rulesEvaluated, penalized } = await runPenaltyRules();
+
+    if (penalized.length === 0) {
+      console.log(`⚖️ Penalty rules job: ${rulesEvaluated} rule(s) evaluated, no penalties applied`);
+      return;
+    }
+
+    console.log(`⚖️ Penalty rules job completed: ${penalized.length} user(s) penalized`);
+  } catch (error) {
+    console.error('❌ Error in penalty rules job:', error);
+  }
+};
+
+/**
+ * Initialize the penalty rules job
+ * @param {number} intervalMinutes - How often to run the job (default: 30 minutes)
+ */
+export const initPenaltyRulesJob = async (intervalMinutes = 30) => {
+  console.log(`🚀 Initializing penalty rules job (runs every ${intervalMinutes} minutes)`);
+
+  try {
+    await ensureDefaultPenaltyRules();
+  } catch (error) {
+    console.error('❌ Error creating default penalty rules:', error);
+  }
+
+  // Run immediately on startup
+  runPenaltyRulesJob();
+
+  // Schedule to run periodically
+  const intervalMs = intervalMinutes * 60 * 1000;
+  setInterval(runPenaltyRulesJob, intervalMs);
+
+  console.log(`✅ Penalty rules job initialized successfully`);
+};
@@ -0,0 +1,92 @@
+import Ride from '../models/Ride.js';
+import { startRideSearch } from '../utils/dispatchEngine.js';
+import { transitionRideAtomic } from '../utils/rideStateMachine.js';
+
+/**
+ * Scheduled ride job configuration
+ *
+ * SCHEDULED rides are released into dispatch (SEARCHING_FOR_RIDER)
+ * LEAD_TIME_MINUTES before their pickup time.
+ */
+export const SCHEDULED_RIDE_CONFIG = {
+  // Release scheduled rides into dispatch this long before pickup
+  LEAD_TIME_MINUTES: parseInt(process.env.SCHEDULED_RIDE_LEAD_MINUTES) || 15,
+  // Bookings must be made at least this far ahead (otherwise book an immediate ride)
+  MIN_ADVANCE_MINUTES: parseInt(process.env.SCHEDULED_RIDE_MIN_ADVANCE_MINUTES) || 30,
+  // Bookings can be made at most this far ahead
+  MAX_ADVANCE_DAYS: parseInt(process.env.SCHEDULED_RIDE_MAX_ADVANCE_DAYS) || 7,
+};
+
+/**
+ * Release job that runs periodically to move scheduled rides whose
+ * pickup time is within the lead time into dispatch
+ * @param {Object} io - Socket.IO server (used to offer the ride to riders)
+ */
+export const runScheduledRideJob = async (io) => {
+  try {
+    const now = new Date();
+    const releaseBefore = new Date(now.getTime() + SCHEDULED_RIDE_CONFIG.LEAD_TIME_MINUTES * 60 * 1000);
+    let totalReleased = 0;
+
+    const dueRides = await Ride.find({
+      status: 'SCHEDULED',
+      scheduledFor: { $lte: releaseBefore },
+    }).select('_id scheduledFor customer');
+
+    if (dueRides.length === 0) {
+      return { totalReleased };
+    }
+
+    console.log(`📅 Found ${dueRides.length} scheduled ride(s) due for dispatch`);
+
+    for (const dueRide of dueRides) {
+      // Atomic status check so a customer cancel/edit at the same moment wins cleanly
+      const ride = await transitionRideAtomic(dueRide._id, 'SCHEDULED', 'SEARCHING_FOR_RIDER', {
+        actorType: 'system',
+        reason: `Released ${SCHEDULED_RIDE_CONFIG.LEAD_TIME_MINUTES} minutes before scheduled pickup`,
+        update: {
+          'tripLogs.requestTime': now,
+          'tripLogs.releasedAt': now,
+        },
+      });
+
+      if (!ride) continue;
+      await ride.populate('customer', 'firstName lastName phone');
+
+      const minutesToPickup = Math.round((new Date(ride.scheduledFor) - now) / (1000 * 60));
+      console.log(`🚀 Released scheduled ride ${ride._id} into dispatch (${minutesToPickup} minutes before pickup)`);
+      totalReleased++;
+
+      if (io) {
+        io.to(`user_${ride.customer._id}`).emit('scheduledRideReleased', ride);
+        // Same search loop as an immediate booking (radius steps, retries, timeout)
+        await startRideSearch(io, ride._id);
+      }
+    }
+
+    console.log(`📅 Scheduled ride job completed: ${totalReleased} ride(s) released`);
+    return { totalReleased };
+  } catch (error) {
+    console.error('❌ Error in scheduled ride job:', error);
+    throw error;
+  }
+};
+
+/**
+ * Initialize the scheduled ride job to run periodically
+ * @param {Object} io - Socket.IO server
+ * @param {number} intervalMinutes - How often to run the job (default: 1 minute)
+ */
+export const initScheduledRideJob = (io, intervalMinutes = 1) => {
+  console.log(`🚀 Initializing scheduled ride job (runs every ${intervalMinutes} minute(s))`);
+  console.log(`   - Scheduled rides released ${SCHEDULED_RIDE_CONFIG.LEAD_TIME_MINUTES} minutes before pickup`);
+
+  // Run immediately on startup (releases anything due while the server was down)
+  runScheduledRideJob(io).catch(() => {});
+
+  // Schedule to run periodically
+  const intervalMs = intervalMinutes * 60 * 1000;
+  setInterval(() => runScheduledRideJob(io).catch(() => {}), intervalMs);
+
+  console.log(`✅ Scheduled ride job initialized successfully`);
+};
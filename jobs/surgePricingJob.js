@@ -0,0 +1,35 @@
+import { runSurgeUpdate } from '../utils/surgePricing.js';
+
+/**
+ * Surge pricing job that runs periodically to take a supply/demand reading
+ * for every fare zone and update its surge multiplier
+ */
+export const runSurgePricingJob = async () => {
+  try {
+    const snapshots = await runSurgeUpdate();
+
+    const surging = snapshots.filter(snapshot => snapshot.multiplier > 1);
+    if (surging.length > 0) {
+      console.log(`📈 Surge pricing job: ${surging.map(s => `${s.zoneName} ${s.multiplier}x (${s.demand}/${s.supply})`).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Error in surge pricing job:', error);
+  }
+};
+
+/**
+ * Initialize the surge pricing job
+ * @param {number} intervalMinutes - How often to run the job (default: 1 minute)
+ */
+export const initSurgePricingJob = (intervalMinutes = 1) => {
+  console.log(`🚀 Initializing surge pricing job (runs every ${intervalMinutes} minute(s))`);
+
+  // Run immediately on startup
+  runSurgePricingJob();
+
+  // Schedule to run periodically
+  const intervalMs = intervalMinutes * 60 * 1000;
+  setInterval(runSurgePricingJob, intervalMs);
+
+  console.log(`✅ Surge pricing job initialized successfully`);
+};
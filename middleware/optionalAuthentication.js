@@ -0,0 +1,23 @@
+import jwt from "jsonwebtoken";
+
+// For public endpoints that do more for a signed-in user (e.g. a fare estimate
+// with the user's promotions): sets req.user when a valid token is sent and
+// carries on as a guest otherwise.
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer")) {
+    try {
+      const payload = jwt.verify(authHeader.split(" ")[1], process.env.ACCESS_TOKEN_SECRET);
+      req.user = {
+        id: payload.id,
+        userId: payload.id,
+        role: payload.role,
+      };
+    } catch (error) {
+      // Invalid or expired token - treat as a guest
+    }
+  }
+  next();
+};
+
+export default optionalAuth;
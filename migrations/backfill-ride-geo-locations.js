@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Ride from '../models/Ride.js';
+import RiderPresence from '../models/RiderPresence.js';
+import { toGeoPoint } from '../utils/mapUtils.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(() => console.log('MongoDB connected for migration'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const BATCH_SIZE = 500;
+
+const backfillRideGeoLocations = async () => {
+  try {
+    // Find all rides created before pickup/drop GeoJSON points existed
+    const cursor = Ride.find({
+      $or: [
+        { 'pickup.location': { $exists: false } },
+        { 'drop.location': { $exists: false } },
+      ],
+    })
+      .select('pickup drop')
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let migrated = 0;
+    let skipped = 0;
+
+    for await (const ride of cursor) {
+      const update = {};
+      const pickupPoint = toGeoPoint(ride.pickup?.latitude, ride.pickup?.longitude);
+      const dropPoint = toGeoPoint(ride.drop?.latitude, ride.drop?.longitude);
+
+      if (pickupPoint) update['pickup.location'] = pickupPoint;
+      if (dropPoint) update['drop.location'] = dropPoint;
+
+      if (Object.keys(update).length === 0) {
+        console.log(`Skipped ride ${ride._id}: invalid pickup/drop coordinates`);
+        skipped++;
+        continue;
+      }
+
+      operations.push({ updateOne: { filter: { _id: ride._id }, update: { $set: update } } });
+
+      if (operations.length >= BATCH_SIZE) {
+        await Ride.bulkWrite(operations, { ordered: false });
+        migrated += operations.length;
+        console.log(`Migrated ${migrated} rides so far`);
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Ride.bulkWrite(operations, { ordered: false });
+      migrated += operations.length;
+    }
+
+    console.log(`Backfilled ${migrated} rides (${skipped} skipped)`);
+
+    // Rider presence records carry plain coords from before the location field existed
+    const presences = await RiderPresence.find({ location: { $exists: false } }).select('coords').lean();
+    for (const presence of presences) {
+      const point = toGeoPoint(presence.coords?.latitude, presence.coords?.longitude);
+      if (point) {
+        await RiderPresence.updateOne({ _id: presence._id }, { $set: { location: point } });
+      }
+    }
+    console.log(`Checked ${presences.length} rider presence records`);
+
+    // Build the 2dsphere indexes
+    await Ride.createIndexes();
+    await RiderPresence.createIndexes();
+    console.log('2dsphere indexes are in place');
+
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+backfillRideGeoLocations();
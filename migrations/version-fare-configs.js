@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import FareConfig from '../models/FareConfig.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(() => console.log('MongoDB connected for migration'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const versionFareConfigs = async () => {
+  try {
+    // The old schema allowed one config per vehicle type
+    const indexes = await FareConfig.collection.indexes();
+    if (indexes.some(index => index.name === 'vehicleType_1')) {
+      await FareConfig.collection.dropIndex('vehicleType_1');
+      console.log('Dropped the unique vehicleType index');
+    }
+
+    // Existing configs become version 1. They were edited in place, so they
+    // are taken to have been in force since they were first created - rides
+    // booked before versioning are explained with them.
+    // (Versions are immutable through the model, so this writes to the collection directly.)
+    const configs = await FareConfig.collection
+      .find({ version: { $exists: false } })
+      .project({ vehicleType: 1, createdAt: 1, effectiveDate: 1 })
+      .toArray();
+
+    for (const config of configs) {
+      await FareConfig.collection.updateOne(
+        { _id: config._id },
+        { $set: { version: 1, effectiveDate: config.createdAt || config.effectiveDate || new Date() } }
+      );
+      console.log(`${config.vehicleType}: saved as version 1`);
+    }
+
+    await FareConfig.createIndexes();
+    console.log('Fare config version indexes are in place');
+
+    console.log(`Migration completed successfully (${configs.length} configs versioned)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+versionFareConfigs();
@@ -4,10 +4,18 @@ const { Schema } = mongoose;
 
 const activityLogSchema = new Schema(
   {
+    // Who made the change: an admin, or the system (automatic jobs)
+    performedBy: {
+      type: String,
+      enum: ['admin', 'system'],
+      default: 'admin'
+    },
     admin: {
       type: Schema.Types.ObjectId,
       ref: 'Admin',
-      required: true
+      required: function () {
+        return this.performedBy !== 'system';
+      }
     },
     adminName: {
       type: String,
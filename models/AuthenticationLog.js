@@ -48,7 +48,10 @@ const authenticationLogSchema = new Schema(
         'TOKEN_REFRESH',
         'TOKEN_REFRESH_FAILED',
         'REGISTRATION_SUCCESS',
-        'REGISTRATION_FAILED'
+        'REGISTRATION_FAILED',
+        'PHONE_VERIFICATION_SENT',
+        'PHONE_VERIFIED',
+        'PHONE_VERIFICATION_FAILED'
       ]
     },
     // Whether the event was successful
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+
+/**
+ * Device Token Model
+ *
+ * Push tokens registered by the mobile apps. A user can have several
+ * devices; a token belongs to one user at a time (re-registering it under
+ * another account moves it). Tokens the push provider reports as invalid
+ * are deleted by the notification service.
+ */
+const deviceTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    platform: {
+      type: String,
+      enum: DEVICE_PLATFORMS,
+      required: true,
+    },
+    appVersion: {
+      type: String,
+      default: '',
+    },
+    // Last time the app registered (or refreshed) this token
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deviceTokenSchema.index({ user: 1 });
+
+const DeviceToken = mongoose.model('DeviceToken', deviceTokenSchema);
+export default DeviceToken;
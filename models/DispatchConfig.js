@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import { MAX_DISTANCE_KM } from '../utils/mapUtils.js';
+
+// Used when no active config exists for a vehicle type
+export const DEFAULT_DISPATCH_RADIUS = {
+  initialRadiusKm: MAX_DISTANCE_KM || 1,
+  radiusStepKm: 1,
+  maxRadiusKm: 3,
+  retriesPerStep: 20,
+};
+
+// Radius settings for a time-of-day window (overrides the vehicle defaults)
+const TimeOfDayRuleSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      default: '',
+    },
+    // Window hours (24-hour format, may wrap past midnight e.g. 22 -> 5)
+    startHour: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 23,
+    },
+    endHour: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 23,
+    },
+    initialRadiusKm: {
+      type: Number,
+      required: true,
+      min: 0.1,
+    },
+    radiusStepKm: {
+      type: Number,
+      min: 0,
+    },
+    maxRadiusKm: {
+      type: Number,
+      min: 0.1,
+    },
+  },
+  { _id: false }
+);
+
+const DispatchConfigSchema = new mongoose.Schema(
+  {
+    // Vehicle type this dispatch config applies to
+    vehicleType: {
+      type: String,
+      required: true,
+      enum: ['Tricycle', 'Single Motorcycle', 'Cab'],
+      unique: true,
+    },
+
+    // Radius used for the first offer round (in km)
+    initialRadiusKm: {
+      type: Number,
+      required: true,
+      min: 0.1,
+      default: DEFAULT_DISPATCH_RADIUS.initialRadiusKm,
+    },
+
+    // How much the radius grows at each step of the search (in km)
+    radiusStepKm: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: DEFAULT_DISPATCH_RADIUS.radiusStepKm,
+    },
+
+    // The radius never grows past this (in km)
+    maxRadiusKm: {
+      type: Number,
+      required: true,
+      min: 0.1,
+      default: DEFAULT_DISPATCH_RADIUS.maxRadiusKm,
+    },
+
+    // Search retries spent at each radius before stepping outward
+    retriesPerStep: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: DEFAULT_DISPATCH_RADIUS.retriesPerStep,
+    },
+
+    // Optional time-of-day overrides (first matching window wins)
+    timeOfDayRules: {
+      type: [TimeOfDayRuleSchema],
+      default: [],
+    },
+
+    // Whether this dispatch config is active
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Description/notes for admin reference
+    description: {
+      type: String,
+      default: '',
+    },
+
+    // Last updated by (admin reference)
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for quick lookups
+DispatchConfigSchema.index({ vehicleType: 1, isActive: 1 });
+
+const isHourInWindow = (hour, startHour, endHour) => {
+  return startHour > endHour
+    ? (hour >= startHour || hour < endHour)
+    : (hour >= startHour && hour < endHour);
+};
+
+// Work out the search radius for a retry from a config document (or the defaults when null)
+export const resolveSearchRadius = (config, retry = 0, searchTime = new Date()) => {
+  const settings = config || DEFAULT_DISPATCH_RADIUS;
+
+  let { initialRadiusKm, radiusStepKm, maxRadiusKm } = settings;
+  let source = config ? 'config' : 'default';
+
+  // Time-of-day override
+  const hour = searchTime.getHours();
+  const rule = (config?.timeOfDayRules || []).find(r => isHourInWindow(hour, r.startHour, r.endHour));
+  if (rule) {
+    initialRadiusKm = rule.initialRadiusKm;
+    radiusStepKm = rule.radiusStepKm ?? radiusStepKm;
+    maxRadiusKm = rule.maxRadiusKm ?? maxRadiusKm;
+    source = rule.label || `${rule.startHour}:00-${rule.endHour}:00`;
+  }
+
+  const step = Math.floor(Math.max(0, retry) / settings.retriesPerStep);
+  const radiusKm = Math.min(initialRadiusKm + step * radiusStepKm, Math.max(maxRadiusKm, initialRadiusKm));
+
+  return {
+    radiusKm: Math.round(radiusKm * 1000) / 1000,
+    step,
+    initialRadiusKm,
+    maxRadiusKm,
+    source,
+    configFound: !!config,
+  };
+};
+
+// Static method to get the search radius for a given retry of the rider search
+DispatchConfigSchema.statics.getSearchRadius = async function(vehicleType, retry = 0, searchTime = new Date()) {
+  const config = await this.findOne({ vehicleType, isActive: true });
+  return resolveSearchRadius(config, retry, searchTime);
+};
+
+const DispatchConfig = mongoose.model('DispatchConfig', DispatchConfigSchema);
+
+export default DispatchConfig;
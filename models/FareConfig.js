@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import FareZone from './FareZone.js';
+import { getCurrentSurge } from '../utils/surgePricing.js';
+import { computeDiscount, findPromotionForBooking, toPromotionSnapshot } from '../utils/promotions.js';
+
+/**
+ * Fare configurations are versioned: every change to a vehicle type's fares
+ * is saved as a new version with the date it takes effect, and versions are
+ * never edited afterwards. A ride is priced with the version in force at its
+ * booking time and keeps a reference to it, so old rides can always be
+ * explained and a price change can be scheduled ahead.
+ *
+ * Fare zones (models/FareZone.js) adjust the price for rides picked up or
+ * dropped inside them; the zone terms are resolved from the ride's pickup and
+ * drop coordinates and kept on the ride as ride.zonePricing. A live booking
+ * picked up in a surging zone also gets the zone's surge multiplier
+ * (utils/surgePricing.js), locked into ride.surge. A promo code or campaign
+ * (utils/promotions.js) is taken off the total and locked into ride.promotion.
+ */
 
 const FareConfigSchema = new mongoose.Schema(
   {
@@ -7,7 +25,13 @@ const FareConfigSchema = new mongoose.Schema(
       type: String,
       required: true,
       enum: ['Tricycle', 'Single Motorcycle', 'Cab'],
-      unique: true,
+    },
+    
+    // Version number within the vehicle type (1, 2, 3...)
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
     },
     
     // Base fare (minimum fare regardless of distance)
@@ -92,7 +116,32 @@ const FareConfigSchema = new mongoose.Schema(
       },
     },
     
-    // Whether this fare config is active
+    // Cancellation fees and no-show wait (unset fields use DEFAULT_CANCELLATION_POLICY)
+    cancellationPolicy: {
+      // Minutes after acceptance a customer may cancel for free
+      freeWindowMinutes: { type: Number, min: 0, default: null },
+      // Fee for cancelling after the free window, before the rider arrives
+      lateCancellationFee: { type: Number, min: 0, default: null },
+      // Fee for cancelling once the rider has arrived at the pickup
+      arrivedCancellationFee: { type: Number, min: 0, default: null },
+      // Minutes the rider must wait at the pickup before marking a no-show
+      noShowWaitMinutes: { type: Number, min: 0, default: null },
+      // Fee charged to the customer for a no-show
+      noShowFee: { type: Number, min: 0, default: null },
+      // How close (meters) the rider must be to the pickup to report arriving
+      arrivalRadiusMeters: { type: Number, min: 0, default: null },
+    },
+    
+    // Platform commission kept from each completed ride (percentage of the fare).
+    // null uses the PLATFORM_COMMISSION_PERCENT default.
+    platformCommissionPercent: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100,
+    },
+    
+    // Whether this vehicle type can be priced while this version is in force
     isActive: {
       type: Boolean,
       default: true,
@@ -104,15 +153,16 @@ const FareConfigSchema = new mongoose.Schema(
       default: '',
     },
     
-    // Last updated by (admin reference)
+    // Admin who created this version
     lastUpdatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Admin',
     },
     
-    // Effective date (when this config takes effect)
+    // When this version takes effect (it stays in force until a later version does)
     effectiveDate: {
       type: Date,
+      required: true,
       default: Date.now,
     },
   },
@@ -121,37 +171,77 @@ const FareConfigSchema = new mongoose.Schema(
   }
 );
 
-// Index for quick lookups
-FareConfigSchema.index({ vehicleType: 1, isActive: 1 });
+// One document per version; lookups go by vehicle type and effective date
+FareConfigSchema.index({ vehicleType: 1, version: 1 }, { unique: true });
+FareConfigSchema.index({ vehicleType: 1, effectiveDate: -1 });
 
-// Static method to calculate fare
-FareConfigSchema.statics.calculateFare = async function(vehicleType, distanceKm, passengerCount = 1, bookingTime = new Date()) {
-  const config = await this.findOne({ vehicleType, isActive: true });
-  
-  if (!config) {
-    // Return default fare if no config found
-    return {
-      baseFare: 20,
-      distanceFare: distanceKm * 2.8,
-      totalFare: Math.max(20, distanceKm * 2.8),
-      breakdown: {
-        baseFare: 20,
-        distanceFare: distanceKm * 2.8,
-        nightSurcharge: 0,
-        peakSurcharge: 0,
-        passengerCharge: 0,
-      },
-      configFound: false,
-    };
+// ============================================
+// IMMUTABILITY: versions are created, never edited
+// ============================================
+
+const rejectUpdate = function() {
+  throw new Error('Fare config versions are immutable - create a new version instead');
+};
+
+FareConfigSchema.pre('save', function() {
+  if (!this.isNew) {
+    rejectUpdate();
   }
+});
+FareConfigSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+// ============================================
+// PRICING
+// ============================================
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Used when a vehicle type has no version in force, or the one in force is inactive
+const defaultFare = (distanceKm, bookingTime) => ({
+  baseFare: 20,
+  distanceFare: distanceKm * 2.8,
+  totalFare: Math.max(20, distanceKm * 2.8),
+  breakdown: {
+    baseFare: 20,
+    distanceFare: distanceKm * 2.8,
+    nightSurcharge: 0,
+    peakSurcharge: 0,
+    passengerCharge: 0,
+  },
+  configFound: false,
+  fareConfigId: null,
+  fareVersion: null,
+  zonePricing: null,
+  surge: null,
+  promotion: null,
+  pricedAt: bookingTime,
+});
+
+/**
+ * Price a trip with a fare config version
+ * @param {Object} trip
+ * @param {Object} trip.zonePricing - From FareZone.resolveZonePricing (null outside every zone)
+ * @param {Object} trip.surge - From getCurrentSurge (null when there is no surge)
+ * @param {boolean} trip.endToEnd - false when pricing part of a trip (a passenger dropped
+ *   before the end), so the zone-to-zone flat fare and drop surcharge don't apply
+ */
+const priceWithConfig = (config, { distanceKm, passengerCount = 1, bookingTime, zonePricing = null, surge = null, endToEnd = true }) => {
+  const rates = {
+    baseFare: config.baseFare,
+    perKmRate: config.perKmRate,
+    minimumFare: config.minimumFare,
+    baseDistanceKm: config.baseDistanceKm,
+    ...(zonePricing?.pickupZone?.fareOverrides || {}),
+  };
+  const flatFare = endToEnd ? zonePricing?.flatFare ?? null : null;
   
-  // Calculate base distance fare
+  // Calculate base distance fare (a zone-to-zone flat fare replaces base + distance)
   let distanceFare = 0;
-  if (distanceKm > config.baseDistanceKm) {
-    distanceFare = (distanceKm - config.baseDistanceKm) * config.perKmRate;
+  if (flatFare === null && distanceKm > rates.baseDistanceKm) {
+    distanceFare = (distanceKm - rates.baseDistanceKm) * rates.perKmRate;
   }
   
-  let subtotal = config.baseFare + distanceFare;
+  let subtotal = flatFare ?? rates.baseFare + distanceFare;
   
   // Calculate surcharges
   const hour = bookingTime.getHours();
@@ -170,8 +260,12 @@ FareConfigSchema.statics.calculateFare = async function(vehicleType, distanceKm,
     }
   }
   
+  // Demand surge (replaces the fixed peak hour surcharge while it is in effect)
+  const surgeMultiplier = surge?.multiplier > 1 ? surge.multiplier : 1;
+  const surgeCharge = subtotal * (surgeMultiplier - 1);
+  
   // Peak hour surcharge check
-  if (config.additionalCharges.peakHourSurchargePercent > 0) {
+  if (surgeMultiplier === 1 && config.additionalCharges.peakHourSurchargePercent > 0) {
     const isPeakTime = hour >= config.additionalCharges.peakStartHour && hour < config.additionalCharges.peakEndHour;
     if (isPeakTime) {
       peakSurcharge = subtotal * (config.additionalCharges.peakHourSurchargePercent / 100);
@@ -182,41 +276,152 @@ FareConfigSchema.statics.calculateFare = async function(vehicleType, distanceKm,
   const additionalPassengers = Math.max(0, passengerCount - 1);
   const passengerCharge = additionalPassengers * config.additionalCharges.perPassengerCharge;
   
-  // Calculate total
-  let totalFare = subtotal + nightSurcharge + peakSurcharge + passengerCharge;
+  // Zone pickup/drop surcharges
+  const zoneSurcharge = (zonePricing?.pickupZone?.pickupSurcharge || 0)
+    + (endToEnd ? zonePricing?.dropZone?.dropSurcharge || 0 : 0);
   
-  // Apply minimum fare
-  totalFare = Math.max(totalFare, config.minimumFare);
+  // Calculate total
+  let totalFare = subtotal + nightSurcharge + peakSurcharge + surgeCharge + passengerCharge + zoneSurcharge;
   
-  // Round to 2 decimal places
-  totalFare = Math.round(totalFare * 100) / 100;
+  // Apply minimum fare (a flat fare is charged as set)
+  if (flatFare === null) {
+    totalFare = Math.max(totalFare, rates.minimumFare);
+  }
   
+  const baseFare = flatFare === null ? rates.baseFare : 0;
   return {
-    baseFare: config.baseFare,
-    distanceFare: Math.round(distanceFare * 100) / 100,
-    totalFare,
+    baseFare,
+    distanceFare: round(distanceFare),
+    totalFare: round(totalFare),
     breakdown: {
-      baseFare: config.baseFare,
-      distanceFare: Math.round(distanceFare * 100) / 100,
-      nightSurcharge: Math.round(nightSurcharge * 100) / 100,
-      peakSurcharge: Math.round(peakSurcharge * 100) / 100,
-      passengerCharge: Math.round(passengerCharge * 100) / 100,
+      baseFare,
+      distanceFare: round(distanceFare),
+      nightSurcharge: round(nightSurcharge),
+      peakSurcharge: round(peakSurcharge),
+      surgeMultiplier,
+      surgeCharge: round(surgeCharge),
+      passengerCharge: round(passengerCharge),
+      zoneFlatFare: flatFare,
+      zoneSurcharge: round(zoneSurcharge),
+      pickupZone: zonePricing?.pickupZone?.name || null,
+      dropZone: zonePricing?.dropZone?.name || null,
     },
     configFound: true,
-    vehicleType,
+    fareConfigId: config._id,
+    fareVersion: config.version,
+    zonePricing,
+    surge: surgeMultiplier > 1 ? surge : null,
+    promotion: null,
+    pricedAt: bookingTime,
+    vehicleType: config.vehicleType,
     distanceKm,
-    config: {
-      baseFare: config.baseFare,
-      perKmRate: config.perKmRate,
-      minimumFare: config.minimumFare,
-      baseDistanceKm: config.baseDistanceKm,
+    config: rates,
+  };
+};
+
+// Take a promotion's discount off a priced fare (promotion null = no discount)
+const applyPromotion = (fare, promotion) => {
+  const promoDiscount = computeDiscount(promotion, fare.totalFare);
+  return {
+    ...fare,
+    totalFare: round(fare.totalFare - promoDiscount),
+    breakdown: {
+      ...fare.breakdown,
+      fareBeforeDiscount: fare.totalFare,
+      promoDiscount,
+      promotion: promoDiscount > 0 ? { name: promotion.name, code: promotion.code || null } : null,
     },
+    promotion: promoDiscount > 0 ? toPromotionSnapshot(promotion) : null,
   };
 };
 
-// Static method to get all active fare configs
-FareConfigSchema.statics.getActiveFareConfigs = async function() {
-  return this.find({ isActive: true }).sort({ vehicleType: 1 });
+// Version in force for a vehicle type at a given time (active or not), or null
+FareConfigSchema.statics.getVersionInForce = async function(vehicleType, at = new Date()) {
+  return this.findOne({ vehicleType, effectiveDate: { $lte: at } })
+    .sort({ effectiveDate: -1, version: -1 });
+};
+
+// Latest version of a vehicle type, including ones scheduled for later
+FareConfigSchema.statics.getLatestVersion = async function(vehicleType) {
+  return this.findOne({ vehicleType }).sort({ version: -1 });
+};
+
+/**
+ * The version a ride is priced with: the one it was booked with, or for
+ * rides booked before versioning, the active version in force when it was
+ * booked. null means the default fare applies.
+ */
+FareConfigSchema.statics.getForRide = async function(ride) {
+  if (ride.fareConfig) {
+    return ride.fareConfig.version ? ride.fareConfig : this.findById(ride.fareConfig);
+  }
+  const bookedAt = ride.tripLogs?.requestTime || ride.createdAt || new Date();
+  const config = await this.getVersionInForce(ride.vehicle, bookedAt);
+  return config?.isActive ? config : null;
+};
+
+/**
+ * Calculate a fare with the version in force at bookingTime. With the trip's
+ * pickup and drop ({ latitude, longitude }), fare zones are applied too, and
+ * unless `surge` is false (e.g. a ride booked for later), the pickup zone's
+ * current surge.
+ *
+ * Discounts: `promotion` re-applies the terms locked on a booked ride;
+ * otherwise `promoCode` (throws a BadRequestError when it can't be used), or
+ * with `customerId`, the customer's best campaign.
+ */
+FareConfigSchema.statics.calculateFare = async function(vehicleType, distanceKm, passengerCount = 1, bookingTime = new Date(), { pickup, drop, surge = true, customerId = null, promoCode = null, promotion = null } = {}) {
+  const config = await this.getVersionInForce(vehicleType, bookingTime);
+  
+  let fare;
+  if (!config?.isActive) {
+    fare = defaultFare(distanceKm, bookingTime);
+  } else {
+    const zonePricing = pickup || drop
+      ? await FareZone.resolveZonePricing(vehicleType, pickup, drop)
+      : null;
+    const currentSurge = surge && zonePricing?.pickupZone
+      ? await getCurrentSurge(zonePricing.pickupZone.id)
+      : null;
+    fare = priceWithConfig(config, { distanceKm, passengerCount, bookingTime, zonePricing, surge: currentSurge });
+  }
+  
+  if (promotion?.promotionId) {
+    return applyPromotion(fare, promotion);
+  }
+  const bookingPromotion = promoCode || customerId
+    ? await findPromotionForBooking({ code: promoCode, customerId, vehicleType, fare: fare.totalFare })
+    : null;
+  return applyPromotion(fare, bookingPromotion);
+};
+
+/**
+ * Re-price an existing ride with the fare version, zone terms, surge and
+ * promotion it was booked with (withPromotion false prices a fare the
+ * booker's promotion doesn't cover, e.g. another passenger's share)
+ */
+FareConfigSchema.statics.calculateRideFare = async function(ride, distanceKm, passengerCount = 1, bookingTime = new Date(), { endToEnd = true, withPromotion = true } = {}) {
+  const config = await this.getForRide(ride);
+  
+  const fare = config
+    ? priceWithConfig(config, {
+        distanceKm,
+        passengerCount,
+        bookingTime,
+        zonePricing: ride.zonePricing || null,
+        surge: ride.surge?.multiplier ? ride.surge : null,
+        endToEnd,
+      })
+    : defaultFare(distanceKm, bookingTime);
+  return applyPromotion(fare, withPromotion && ride.promotion?.promotionId ? ride.promotion : null);
+};
+
+// Static method to get the active version in force for each vehicle type
+FareConfigSchema.statics.getActiveFareConfigs = async function(at = new Date()) {
+  const inForce = await Promise.all(
+    this.schema.path('vehicleType').enumValues.map(vehicleType => this.getVersionInForce(vehicleType, at))
+  );
+  return inForce.filter(config => config?.isActive);
 };
 
 const FareConfig = mongoose.model('FareConfig', FareConfigSchema);
@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import { toGeoPoint } from '../utils/mapUtils.js';
+
+/**
+ * A named area drawn by an admin (campus, town center, outskirts) that
+ * changes how rides touching it are priced:
+ *
+ *   fareOverrides    - replace the fare config's rates for rides picked up in the zone
+ *   pickupSurcharge  - flat amount added when the pickup is in the zone
+ *   dropSurcharge    - flat amount added when the drop is in the zone
+ *   flatFares        - fixed fare from this zone to another zone (one direction)
+ *
+ * When zones overlap, the one with the highest priority wins.
+ */
+
+const flatFareSchema = new mongoose.Schema(
+  {
+    toZone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FareZone',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const FareZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+
+    description: {
+      type: String,
+      default: '',
+    },
+
+    // GeoJSON polygon ([longitude, latitude] pairs, first point repeated at the end)
+    area: {
+      type: {
+        type: String,
+        enum: ['Polygon'],
+        required: true,
+      },
+      coordinates: {
+        type: [[[Number]]],
+        required: true,
+      },
+    },
+
+    // Vehicle types the zone prices (empty applies to all)
+    vehicleTypes: {
+      type: [{ type: String, enum: ['Tricycle', 'Single Motorcycle', 'Cab'] }],
+      default: [],
+    },
+
+    // Higher wins where zones overlap
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    // Rates used instead of the fare config's when the pickup is in the zone (null keeps the config's)
+    fareOverrides: {
+      baseFare: { type: Number, min: 0, default: null },
+      perKmRate: { type: Number, min: 0, default: null },
+      minimumFare: { type: Number, min: 0, default: null },
+      baseDistanceKm: { type: Number, min: 0, default: null },
+    },
+
+    pickupSurcharge: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    dropSurcharge: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    flatFares: {
+      type: [flatFareSchema],
+      default: [],
+    },
+
+    // Demand-based surge for rides picked up in the zone (see utils/surgePricing.js)
+    surgeEnabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Highest surge multiplier in the zone (null uses the global cap)
+    maxSurgeMultiplier: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+FareZoneSchema.index({ area: '2dsphere' });
+FareZoneSchema.index({ isActive: 1, priority: -1 });
+
+/**
+ * Build a closed GeoJSON polygon from [{ latitude, longitude }, ...]
+ * @returns {Object|null} null when there are fewer than 3 valid points
+ */
+export const toGeoPolygon = (boundary) => {
+  if (!Array.isArray(boundary)) {
+    return null;
+  }
+  const points = boundary.map(point => toGeoPoint(point?.latitude, point?.longitude));
+  if (points.length < 3 || points.some(point => !point)) {
+    return null;
+  }
+
+  const ring = points.map(point => point.coordinates);
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  if (firstLng !== lastLng || firstLat !== lastLat) {
+    ring.push([firstLng, firstLat]);
+  }
+  return ring.length >= 4 ? { type: 'Polygon', coordinates: [ring] } : null;
+};
+
+// Highest-priority active zone containing a point, for a vehicle type
+FareZoneSchema.statics.findZoneAt = async function(latitude, longitude, vehicleType) {
+  const point = toGeoPoint(latitude, longitude);
+  if (!point) {
+    return null;
+  }
+
+  return this.findOne({
+    isActive: true,
+    area: { $geoIntersects: { $geometry: point } },
+    $or: [{ vehicleTypes: { $size: 0 } }, { vehicleTypes: vehicleType }],
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * Zone pricing for a trip, as a snapshot kept on the ride so it is settled
+ * with the same terms even if the zones are edited later
+ * @param {string} vehicleType
+ * @param {Object} pickup - { latitude, longitude }
+ * @param {Object} drop - { latitude, longitude }
+ * @returns {Object|null} { pickupZone, dropZone, flatFare } or null outside every zone
+ */
+FareZoneSchema.statics.resolveZonePricing = async function(vehicleType, pickup, drop) {
+  const [pickupZone, dropZone] = await Promise.all([
+    pickup ? this.findZoneAt(pickup.latitude, pickup.longitude, vehicleType) : null,
+    drop ? this.findZoneAt(drop.latitude, drop.longitude, vehicleType) : null,
+  ]);
+  if (!pickupZone && !dropZone) {
+    return null;
+  }
+
+  const flatFare = pickupZone && dropZone
+    ? pickupZone.flatFares.find(entry => entry.toZone.equals(dropZone._id))
+    : null;
+
+  return {
+    pickupZone: pickupZone && {
+      id: pickupZone._id,
+      name: pickupZone.name,
+      fareOverrides: Object.fromEntries(
+        Object.entries(pickupZone.toObject().fareOverrides || {}).filter(([, value]) => value !== null && value !== undefined)
+      ),
+      pickupSurcharge: pickupZone.pickupSurcharge,
+    },
+    dropZone: dropZone && {
+      id: dropZone._id,
+      name: dropZone.name,
+      dropSurcharge: dropZone.dropSurcharge,
+    },
+    flatFare: flatFare ? flatFare.amount : null,
+  };
+};
+
+const FareZone = mongoose.model('FareZone', FareZoneSchema);
+
+export default FareZone;
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+
+export const LEDGER_ENTRY_TYPES = [
+  'TOP_UP',          // Money added to a wallet (gateway/cash -> wallet)
+  'FARE_HOLD',       // Quoted fare reserved at booking (wallet -> holds)
+  'HOLD_RELEASE',    // Reservation returned when the ride completes (holds -> wallet)
+  'HOLD_REFUND',     // Reservation given back before completion - cancelled ride or lower fare (holds -> wallet)
+  'FARE_PAYMENT',    // Fare paid at completion (wallet/cash -> ride clearing)
+  'RIDER_EARNING',   // Rider's share of the collected fare (ride clearing -> rider)
+  'PLATFORM_COMMISSION', // Platform's share of the collected fare (ride clearing -> platform revenue)
+  'PROMO_DISCOUNT',  // Promotion discount funded by the platform (platform promotions -> ride clearing)
+  'CASH_COLLECTED',  // Cash fares the rider already holds (rider -> cash)
+  'REFUND',          // Fare paid for a completed ride returned to a passenger (rider/platform revenue -> wallet)
+  'CANCELLATION_FEE', // Late cancellation or no-show fee (customer -> rider)
+  'PAYOUT',          // Earnings paid out to a rider for a payout statement (rider -> cash)
+  'REVERSAL',        // Undoes an entry of a transaction that failed part-way (its credit -> its debit)
+];
+
+/**
+ * One immutable movement of money between two ledger accounts (double entry):
+ * `amount` leaves debitAccount and arrives in creditAccount. Corrections are
+ * made with new entries, never by editing or deleting old ones.
+ */
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    // Entries posted together (e.g. everything settled for one ride) share a transaction ID
+    transactionId: {
+      type: String,
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+
+    debitAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Wallet',
+      required: true,
+    },
+
+    creditAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Wallet',
+      required: true,
+    },
+
+    // Amount in pesos (always positive)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+
+    // Ride this movement belongs to (null for top-ups)
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      default: null,
+    },
+
+    // Passenger the movement is for (fares, holds and refunds)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // How the money moved: 'wallet', or a payment gateway name ('cash', ...)
+    method: {
+      type: String,
+      default: 'wallet',
+    },
+
+    // External reference from the payment gateway
+    reference: {
+      type: String,
+      default: null,
+    },
+
+    description: {
+      type: String,
+      default: '',
+    },
+
+    // Who caused the movement
+    createdBy: {
+      actorType: {
+        type: String,
+        enum: ['customer', 'rider', 'admin', 'system'],
+        default: 'system',
+      },
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+LedgerEntrySchema.index({ debitAccount: 1, createdAt: -1 });
+LedgerEntrySchema.index({ creditAccount: 1, createdAt: -1 });
+LedgerEntrySchema.index({ ride: 1, type: 1 });
+LedgerEntrySchema.index({ transactionId: 1 });
+
+// ============================================
+// IMMUTABILITY: entries can be created, never changed or removed
+// ============================================
+const rejectChange = function () {
+  throw new Error('Ledger entries are immutable - post a new entry instead');
+};
+
+LedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are immutable - post a new entry instead'));
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach(operation => {
+  LedgerEntrySchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+LedgerEntrySchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+
+export default LedgerEntry;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const NOTIFICATION_TYPES = {
+  ACCOUNT_APPROVED: 'ACCOUNT_APPROVED',
+  ACCOUNT_DISAPPROVED: 'ACCOUNT_DISAPPROVED',
+  PENALTY_ADDED: 'PENALTY_ADDED',
+  PENALTY_REMOVED: 'PENALTY_REMOVED',
+  RIDE_CANCELLED: 'RIDE_CANCELLED',
+  EARLY_STOP_CONFIRMED: 'EARLY_STOP_CONFIRMED',
+  EARLY_STOP_DECLINED: 'EARLY_STOP_DECLINED',
+};
+
+/**
+ * Notification Model
+ *
+ * A user's in-app inbox: what the server told them about their account and
+ * rides, kept with read/unread state so it can be shown again later.
+ */
+const notificationSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(NOTIFICATION_TYPES),
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      default: '',
+    },
+    // What the notification is about (e.g. { rideId }) so the app can open it
+    data: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // null while unread
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const statementLineSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      required: true,
+    },
+    completedAt: { type: Date, default: null },
+    vehicle: { type: String, default: null },
+    distanceKm: { type: Number, default: 0 },
+    grossFare: { type: Number, default: 0 },
+    commissionPercent: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    netEarning: { type: Number, default: 0 },
+    // Fares the rider took in cash (already in the rider's hands)
+    cashCollected: { type: Number, default: 0 },
+    // Fares paid from passenger wallets (held by the platform)
+    walletPaid: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * A rider's earnings for a closed payout period. Each completed ride is
+ * closed into at most one statement (ride.earnings.payoutStatement).
+ */
+const PayoutStatementSchema = new mongoose.Schema(
+  {
+    statementNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Rides completed in [periodStart, periodEnd)
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+
+    // CLOSED: statement issued, not paid out yet; PAID: payout recorded
+    status: {
+      type: String,
+      enum: ['CLOSED', 'PAID'],
+      default: 'CLOSED',
+    },
+
+    rides: [statementLineSchema],
+
+    totals: {
+      rideCount: { type: Number, default: 0 },
+      grossFare: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      netEarning: { type: Number, default: 0 },
+      cashCollected: { type: Number, default: 0 },
+      walletPaid: { type: Number, default: 0 },
+      // What the platform owes the rider (negative: the rider owes the platform commission on cash fares)
+      netPayable: { type: Number, default: 0 },
+    },
+
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+
+    paidAt: { type: Date, default: null },
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    paymentReference: { type: String, default: null },
+    // Ledger transaction of the PAYOUT entry
+    ledgerTransactionId: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PayoutStatementSchema.index({ rider: 1, periodEnd: -1 });
+PayoutStatementSchema.index({ status: 1, periodEnd: -1 });
+
+const PayoutStatement = mongoose.model('PayoutStatement', PayoutStatementSchema);
+
+export default PayoutStatement;
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+// What a rule counts (see utils/penaltyEngine.js)
+export const PENALTY_RULE_TYPES = {
+  // Accepted rides the rider cancelled
+  RIDER_CANCELLATIONS: 'RIDER_CANCELLATIONS',
+  // Rides the customer didn't show up for
+  CUSTOMER_NO_SHOWS: 'CUSTOMER_NO_SHOWS',
+  // Average rating received (penalized when below the threshold)
+  LOW_RATING: 'LOW_RATING',
+  // Completed rides flagged with a significant route deviation
+  ROUTE_DEVIATIONS: 'ROUTE_DEVIATIONS',
+};
+
+// Role each rule type applies to
+export const PENALTY_RULE_ROLES = {
+  RIDER_CANCELLATIONS: 'rider',
+  CUSTOMER_NO_SHOWS: 'customer',
+  LOW_RATING: 'rider',
+  ROUTE_DEVIATIONS: 'rider',
+};
+
+// Rules created the first time the penalty job runs
+export const DEFAULT_PENALTY_RULES = [
+  {
+    name: 'Repeated rider cancellations',
+    type: PENALTY_RULE_TYPES.RIDER_CANCELLATIONS,
+    threshold: 3,
+    windowDays: 7,
+    penaltyHours: 24,
+  },
+  {
+    name: 'Repeated passenger no-shows',
+    type: PENALTY_RULE_TYPES.CUSTOMER_NO_SHOWS,
+    threshold: 3,
+    windowDays: 30,
+    penaltyHours: 72,
+  },
+  {
+    name: 'Low average rating',
+    type: PENALTY_RULE_TYPES.LOW_RATING,
+    threshold: 2.5,
+    windowDays: 30,
+    minimumSamples: 10,
+    penaltyHours: 72,
+  },
+  {
+    name: 'Repeated route deviations',
+    type: PENALTY_RULE_TYPES.ROUTE_DEVIATIONS,
+    threshold: 5,
+    windowDays: 14,
+    penaltyHours: 48,
+  },
+];
+
+/**
+ * A behaviour threshold that puts a user under an automatic penalty,
+ * e.g. "3 rider cancellations in 7 days -> 24 hour penalty".
+ */
+const PenaltyRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(PENALTY_RULE_TYPES),
+      required: true,
+    },
+
+    // Count that triggers the penalty (LOW_RATING: the average rating it must stay above)
+    threshold: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // How far back the job looks
+    windowDays: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 7,
+    },
+
+    // LOW_RATING: ratings needed in the window before the average counts
+    minimumSamples: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+
+    // How long the penalty lasts
+    penaltyHours: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 24,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    description: {
+      type: String,
+      default: '',
+    },
+
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PenaltyRuleSchema.index({ type: 1, isActive: 1 });
+
+const PenaltyRule = mongoose.model('PenaltyRule', PenaltyRuleSchema);
+
+export default PenaltyRule;
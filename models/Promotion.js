@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+
+export const PROMOTION_TYPES = ['code', 'campaign'];
+export const DISCOUNT_TYPES = ['percent', 'flat'];
+
+/**
+ * A discount on ride fares, set up by an admin:
+ *
+ *   code      - applied when the customer enters its code
+ *   campaign  - applied automatically to every eligible booking
+ *
+ * A promotion only applies inside its validity window, while it has uses
+ * left (usageLimit across all customers, perUserLimit per customer) and to
+ * customers it is meant for (eligibility). A use is a ride booked with it
+ * that wasn't cancelled: usageCount (and the customer's PromotionRedemption)
+ * is reserved atomically when the ride is booked and given back when it is
+ * cancelled or times out. How the discount is worked out is in
+ * utils/promotions.js.
+ */
+const PromotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      default: '',
+    },
+
+    type: {
+      type: String,
+      enum: PROMOTION_TYPES,
+      required: true,
+    },
+
+    // What customers enter (code promotions only, stored uppercase)
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+    },
+
+    discountType: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+      required: true,
+    },
+
+    // Percentage off (percent) or amount off (flat)
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Most a percentage discount can take off a single ride (null = no cap)
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+
+    // Fare a ride must reach before the discount applies
+    minimumFare: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Validity window (endsAt null = no end date)
+    startsAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Uses across all customers (null = unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
+    // Uses reserved by rides booked with the promotion (and not cancelled)
+    usageCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Uses per customer (null = unlimited)
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+
+    eligibility: {
+      // Only approved customers registered as students
+      studentsOnly: { type: Boolean, default: false },
+      // Only customers who haven't completed a ride yet
+      firstRideOnly: { type: Boolean, default: false },
+      // Vehicle types the promotion applies to (empty applies to all)
+      vehicleTypes: {
+        type: [String],
+        enum: ['Tricycle', 'Single Motorcycle', 'Cab'],
+        default: [],
+      },
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PromotionSchema.index({ type: 1, isActive: 1, startsAt: 1 });
+
+PromotionSchema.pre('validate', function() {
+  if (this.type === 'code' && !this.code) {
+    this.invalidate('code', 'A code promotion needs a code');
+  }
+  if (this.type === 'campaign' && this.code) {
+    this.invalidate('code', 'Campaigns apply automatically and have no code');
+  }
+  if (this.discountType === 'percent' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'A percentage discount cannot be over 100');
+  }
+  if (this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+});
+
+// Whether the promotion can be used at a given time (ignoring usage limits)
+PromotionSchema.methods.isRunning = function(at = new Date()) {
+  return this.isActive && this.startsAt <= at && (!this.endsAt || this.endsAt > at);
+};
+
+const Promotion = mongoose.model('Promotion', PromotionSchema);
+
+export default Promotion;
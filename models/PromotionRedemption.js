@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Promotion Redemption Model
+ *
+ * How many rides a customer currently has booked with a promotion. The
+ * count is reserved with a guarded $inc when a ride is booked (so two
+ * bookings at once can't both take the customer's last use) and given back
+ * when the ride is cancelled or times out. See utils/promotions.js.
+ */
+const promotionRedemptionSchema = new Schema(
+  {
+    promotion: {
+      type: Schema.Types.ObjectId,
+      ref: 'Promotion',
+      required: true,
+    },
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    uses: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One counter per customer and promotion (the per-user reservation relies on it)
+promotionRedemptionSchema.index({ promotion: 1, customer: 1 }, { unique: true });
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+export default PromotionRedemption;
@@ -1,7 +1,17 @@
 import mongoose from 'mongoose';
+import { toGeoPoint } from '../utils/mapUtils.js';
 
 const { Schema } = mongoose;
 
+// GeoJSON point kept in sync with latitude/longitude for 2dsphere queries
+const geoPointSchema = new Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+  },
+  { _id: false }
+);
+
 const rideSchema = new Schema(
   {
     vehicle: {
@@ -18,16 +28,109 @@ const rideSchema = new Schema(
       address: { type: String, required: true },
       latitude: { type: Number, required: true },
       longitude: { type: Number, required: true },
+      location: { type: geoPointSchema, default: undefined },
     },
     drop: {
       address: { type: String, required: true },
       latitude: { type: Number, required: true },
       longitude: { type: Number, required: true },
+      location: { type: geoPointSchema, default: undefined },
     },
+    // Fare charged for the ride (the quote until the ride is settled on completion)
     fare: {
       type: Number,
       required: true,
     },
+    // How the booker pays: 'wallet' reserves the quoted fare at booking
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "wallet"],
+      default: "cash",
+    },
+    // Payment state (the money movements themselves are LedgerEntry documents)
+    payment: {
+      status: {
+        type: String,
+        enum: ["UNPAID", "HELD", "PAID", "REFUNDED"],
+        default: "UNPAID",
+      },
+      heldAmount: { type: Number, default: 0 },
+      paidAmount: { type: Number, default: 0 },
+      walletAmount: { type: Number, default: 0 },
+      cashAmount: { type: Number, default: 0 },
+      refundedAmount: { type: Number, default: 0 },
+      paidAt: { type: Date, default: null },
+      transactionId: { type: String, default: null },
+    },
+    // Rider's share of the fare, fixed when the ride completes
+    earnings: {
+      // Fare before any promotion discount - the platform funds the discount
+      grossFare: { type: Number, default: null },
+      promoDiscount: { type: Number, default: null },
+      commissionPercent: { type: Number, default: null },
+      commission: { type: Number, default: null },
+      netEarning: { type: Number, default: null },
+      recordedAt: { type: Date, default: null },
+      // Payout statement the ride was closed into (null while unpaid)
+      payoutStatement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PayoutStatement",
+        default: null,
+      },
+    },
+    // Fare config version the ride was priced with (null when the default fare applied)
+    fareConfig: {
+      type: Schema.Types.ObjectId,
+      ref: "FareConfig",
+      default: null,
+    },
+    fareVersion: { type: Number, default: null },
+    // Fare zone terms the ride was priced with (see FareZone.resolveZonePricing)
+    zonePricing: { type: Schema.Types.Mixed, default: null },
+    // Surge locked in at booking (multiplier null when the ride wasn't surge-priced)
+    surge: {
+      multiplier: { type: Number, default: null },
+      zone: { type: Schema.Types.ObjectId, ref: "FareZone", default: null },
+      snapshot: { type: Schema.Types.ObjectId, ref: "SurgeSnapshot", default: null },
+    },
+    // Promo code or campaign the ride was booked with (its terms are kept so the
+    // discount is worked out the same way at settlement)
+    promotion: {
+      promotionId: { type: Schema.Types.ObjectId, ref: "Promotion", default: null },
+      code: { type: String, default: null },
+      name: { type: String, default: null },
+      discountType: { type: String, enum: ["percent", "flat", null], default: null },
+      discountValue: { type: Number, default: null },
+      maxDiscount: { type: Number, default: null },
+      minimumFare: { type: Number, default: null },
+      // Set when a cancelled/timed out ride gives its use back (so it is only given back once)
+      releasedAt: { type: Date, default: null },
+    },
+    // Fare shown at booking
+    quotedFare: {
+      amount: { type: Number, default: null },
+      distanceKm: { type: Number, default: null },
+      breakdown: { type: Schema.Types.Mixed, default: null },
+      quotedAt: { type: Date, default: null },
+      // Time the fare was priced for (time-of-day surcharges); settlement uses it too
+      pricedAt: { type: Date, default: null },
+    },
+    // Fare re-priced on completion from the GPS route distance
+    settledFare: {
+      amount: { type: Number, default: null },
+      distanceKm: { type: Number, default: null },
+      // route: checkpoint distance, capped: route capped by the deviation tolerance,
+      // estimated: no GPS trace, passenger_split: sum of per-passenger fares
+      distanceSource: {
+        type: String,
+        enum: ["route", "capped", "estimated", "passenger_split", null],
+        default: null,
+      },
+      routeDistanceKm: { type: Number, default: null },
+      capDistanceKm: { type: Number, default: null },
+      breakdown: { type: Schema.Types.Mixed, default: null },
+      settledAt: { type: Date, default: null },
+    },
     customer: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -47,12 +150,51 @@ const rideSchema = new Schema(
     },
     status: {
       type: String,
-      enum: ["SEARCHING_FOR_RIDER", "START", "ARRIVED", "COMPLETED", "CANCELLED", "TIMEOUT"],
+      enum: ["SCHEDULED", "SEARCHING_FOR_RIDER", "START", "ARRIVED", "COMPLETED", "CANCELLED", "TIMEOUT"],
       default: "SEARCHING_FOR_RIDER",
     },
+    // Every status change, in order (written by utils/rideStateMachine.js)
+    statusHistory: [{
+      from: { type: String, default: null }, // null for the status the ride was created with
+      to: { type: String, required: true },
+      actorType: {
+        type: String,
+        enum: ["customer", "rider", "admin", "system"],
+        default: "system",
+      },
+      actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      reason: { type: String, default: null },
+      at: { type: Date, default: Date.now },
+    }],
+    // Pickup time for advance bookings (SCHEDULED rides); null for immediate rides
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // Code the passenger reads out to the rider. Not loaded unless asked for
+    // (select "otp") so ride payloads sent to riders can't carry it.
     otp: {
       type: String,
       default: null,
+      select: false,
+    },
+    // OTP check the rider must pass before the trip can start (START -> ARRIVED).
+    // Attempts are logged without the code that was entered.
+    otpVerification: {
+      verifiedAt: { type: Date, default: null },
+      verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: { type: Date, default: null },
+      attempts: [{
+        rider: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        result: { type: String, enum: ["VERIFIED", "INVALID", "LOCKED"] },
+        source: { type: String, enum: ["http", "socket"], default: "http" },
+        at: { type: Date, default: Date.now },
+      }],
     },
     cancelledBy: {
       type: String,
@@ -68,6 +210,28 @@ const rideSchema = new Schema(
       default: null,
       // Stores the reason for cancellation (Changed mind, Wrong destination, Emergency, Other: custom text)
     },
+    // Outcome of the cancellation policy (see utils/cancellationPolicy.js)
+    cancellation: {
+      outcome: {
+        type: String,
+        enum: ["FREE", "LATE_CANCELLATION", "AFTER_ARRIVAL", "NO_SHOW", "RIDER_CANCELLATION", null],
+        default: null,
+      },
+      fee: { type: Number, default: 0 },
+      // CHARGED: paid from the customer's wallet; OWED: the wallet went negative
+      feeStatus: {
+        type: String,
+        enum: ["NONE", "CHARGED", "OWED"],
+        default: "NONE",
+      },
+      chargedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      transactionId: { type: String, default: null },
+      assessedAt: { type: Date, default: null },
+    },
     blacklistedRiders: {
       type: [Schema.Types.ObjectId],
       ref: "User",
@@ -75,6 +239,40 @@ const rideSchema = new Schema(
       // Array of rider IDs who have cancelled this ride - they won't see it again
     },
     // ============================================
+    // DISPATCH OFFERS (nearest-first sequential dispatch audit trail)
+    // ============================================
+    dispatchOffers: [{
+      rider: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      // Distance from the rider to the pickup when the offer was made (in km)
+      distanceKm: {
+        type: Number,
+        default: null,
+      },
+      offeredAt: {
+        type: Date,
+        default: Date.now,
+      },
+      // End of the acceptance window
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      status: {
+        type: String,
+        enum: ["PENDING", "ACCEPTED", "DECLINED", "TIMEOUT", "CANCELLED"],
+        default: "PENDING",
+      },
+      respondedAt: {
+        type: Date,
+        default: null,
+      },
+    }],
+    // ============================================
+    // ============================================
     // MULTI-PASSENGER FEATURE (Up to 6 passengers)
     // ============================================
     passengers: [{
@@ -102,7 +300,46 @@ const rideSchema = new Schema(
       isOriginalBooker: {
         type: Boolean,
         default: false,
-      }
+      },
+      // Promotion discount taken off this passenger's fare
+      promoDiscount: {
+        type: Number,
+        default: 0,
+      },
+      // How this passenger pays their fare (joined passengers pay cash)
+      paymentMethod: {
+        type: String,
+        enum: ["cash", "wallet"],
+        default: "cash",
+      },
+      // Stop (from stops[]) where this passenger gets off; null = the ride's final drop
+      dropStop: {
+        type: Schema.Types.ObjectId,
+        default: null,
+      },
+      // Where the passenger actually got on / off (used to split the fare by distance)
+      boardedLocation: {
+        latitude: { type: Number, default: null },
+        longitude: { type: Number, default: null },
+      },
+      droppedLocation: {
+        latitude: { type: Number, default: null },
+        longitude: { type: Number, default: null },
+      },
+      droppedAt: {
+        type: Date,
+        default: null,
+      },
+      // Distance this passenger actually travelled (in km)
+      distanceTravelledKm: {
+        type: Number,
+        default: null,
+      },
+      // This passenger's share of the fare (calculated from distanceTravelledKm)
+      fare: {
+        type: Number,
+        default: null,
+      },
     }],
     maxPassengers: {
       type: Number,
@@ -122,15 +359,51 @@ const rideSchema = new Schema(
     },
     // ============================================
 
+    // ============================================
+    // MULTI-STOP FEATURE (ordered drop-off waypoints before the final drop)
+    // ============================================
+    stops: [{
+      address: { type: String, default: "" },
+      latitude: { type: Number, required: true },
+      longitude: { type: Number, required: true },
+      // Position in the route (0 = first stop after pickup)
+      order: {
+        type: Number,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ["PENDING", "REACHED"],
+        default: "PENDING",
+      },
+      reachedAt: {
+        type: Date,
+        default: null,
+      },
+      // Passenger who asked for this stop (null for stops added by the booker)
+      addedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    }],
+    // ============================================
+
     // ============================================
     // TRIP LOG TIMESTAMPS (for audits, disputes, analytics)
     // ============================================
     tripLogs: {
       // When the ride request was created (same as createdAt, but explicit)
+      // For scheduled rides: when the ride was released into dispatch
       requestTime: {
         type: Date,
         default: null,
       },
+      // When a scheduled ride was released into dispatch by the scheduled ride job
+      releasedAt: {
+        type: Date,
+        default: null,
+      },
       // When driver accepts the booking
       acceptTime: {
         type: Date,
@@ -146,6 +419,11 @@ const rideSchema = new Schema(
         type: Date,
         default: null,
       },
+      // When the rider reported arriving at the pickup point (starts the no-show wait)
+      arrivedAtPickupTime: {
+        type: Date,
+        default: null,
+      },
       // When passenger is dropped off
       dropoffTime: {
         type: Date,
@@ -165,6 +443,18 @@ const rideSchema = new Schema(
         type: String,
         default: null,
       },
+      // Dispatch radius currently used to find a rider (in km, widens during the search)
+      searchRadiusKm: {
+        type: Number,
+        default: null,
+      },
+      // Radius used at each search retry
+      searchRadiusLog: [{
+        retry: { type: Number, default: 0 },
+        radiusKm: { type: Number, required: true },
+        source: { type: String, default: null }, // 'default', 'config' or the time-of-day rule label
+        loggedAt: { type: Date, default: Date.now },
+      }],
     },
     // Final computed distance after trip completion (in km)
     finalDistance: {
@@ -251,5 +541,37 @@ const rideSchema = new Schema(
   }
 );
 
+// ============================================
+// GEOSPATIAL INDEXES ("rides near me" / pickup and drop lookups via $geoNear)
+// ============================================
+rideSchema.index({ "pickup.location": "2dsphere" });
+rideSchema.index({ "drop.location": "2dsphere" });
+
+// Scheduled ride job lookups
+rideSchema.index({ status: 1, scheduledFor: 1 });
+
+// Ride history pages (newest first, cursor on createdAt/_id)
+rideSchema.index({ customer: 1, createdAt: -1, _id: -1 });
+rideSchema.index({ rider: 1, createdAt: -1, _id: -1 });
+rideSchema.index({ "passengers.userId": 1, createdAt: -1, _id: -1 });
+rideSchema.index({ createdAt: -1, _id: -1 });
+
+// Rider earnings and payout periods (by completion time)
+rideSchema.index({ rider: 1, status: 1, "tripLogs.endTime": -1 });
+
+// Promotion usage counts (global and per customer)
+rideSchema.index({ "promotion.promotionId": 1, customer: 1 });
+
+// Keep the GeoJSON points in sync with the plain latitude/longitude fields
+rideSchema.pre("validate", function (next) {
+  ["pickup", "drop"].forEach((key) => {
+    const point = this[key] && toGeoPoint(this[key].latitude, this[key].longitude);
+    if (point) {
+      this.set(`${key}.location`, point);
+    }
+  });
+  next();
+});
+
 const Ride = mongoose.model("Ride", rideSchema);
 export default Ride;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * Rider Presence Model
+ *
+ * Backing collection for the MongoDB presence store (utils/presenceStore.js).
+ * One document per rider holding their duty state, last known coordinates and
+ * last-seen time, so the on-duty fleet survives restarts and is shared by every
+ * server instance. Documents expire automatically once a rider stops reporting.
+ */
+const riderPresenceSchema = new Schema(
+  {
+    rider: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Socket of the rider's latest connection (informational - emits go to the user_<id> room)
+    socketId: {
+      type: String,
+      default: null,
+    },
+    isOnDuty: {
+      type: Boolean,
+      default: false,
+    },
+    coords: {
+      latitude: { type: Number, default: null },
+      longitude: { type: Number, default: null },
+      heading: { type: Number, default: null },
+      speed: { type: Number, default: null },
+    },
+    // GeoJSON copy of coords for the 2dsphere index ("riders near pickup")
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+      },
+    },
+    vehicleType: {
+      type: String,
+      default: 'Tricycle',
+    },
+    name: {
+      type: String,
+      default: '',
+    },
+    // Last ONGOING checkpoint written for the rider's active ride (throttling)
+    lastCheckpoint: {
+      rideId: { type: Schema.Types.ObjectId, ref: 'Ride', default: null },
+      at: { type: Date, default: null },
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expire riders who stopped reporting (TTL is set from PRESENCE_TTL_SECONDS)
+riderPresenceSchema.index(
+  { lastSeenAt: 1 },
+  { expireAfterSeconds: parseInt(process.env.PRESENCE_TTL_SECONDS) || 300 }
+);
+riderPresenceSchema.index({ isOnDuty: 1, lastSeenAt: -1 });
+riderPresenceSchema.index({ location: '2dsphere' });
+
+const RiderPresence = mongoose.model('RiderPresence', riderPresenceSchema);
+export default RiderPresence;
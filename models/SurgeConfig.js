@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Used until an admin saves the surge settings (surge stays off until then)
+export const DEFAULT_SURGE_CONFIG = {
+  enabled: false,
+  maxMultiplier: 2,
+  demandRatioThreshold: 1,
+  multiplierPerRatio: 0.5,
+  minimumDemand: 3,
+  smoothingFactor: 0.3,
+  multiplierStep: 0.1,
+};
+
+/**
+ * Settings for demand-based surge pricing (a single document for the whole
+ * service area; per-zone caps live on FareZone). How they are used is
+ * described in utils/surgePricing.js.
+ */
+const SurgeConfigSchema = new mongoose.Schema(
+  {
+    // Only one surge config exists
+    key: {
+      type: String,
+      default: 'global',
+      enum: ['global'],
+      unique: true,
+    },
+
+    // Kill switch - when off, no ride is surge-priced
+    enabled: {
+      type: Boolean,
+      default: DEFAULT_SURGE_CONFIG.enabled,
+    },
+
+    // Highest multiplier anywhere (a zone may set a lower cap)
+    maxMultiplier: {
+      type: Number,
+      min: 1,
+      default: DEFAULT_SURGE_CONFIG.maxMultiplier,
+    },
+
+    // Searching rides per on-duty rider before surge starts
+    demandRatioThreshold: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_SURGE_CONFIG.demandRatioThreshold,
+    },
+
+    // Multiplier added for each unit of ratio above the threshold
+    multiplierPerRatio: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_SURGE_CONFIG.multiplierPerRatio,
+    },
+
+    // Searching rides a zone needs before it can surge at all
+    minimumDemand: {
+      type: Number,
+      min: 1,
+      default: DEFAULT_SURGE_CONFIG.minimumDemand,
+    },
+
+    // Weight of the latest reading against the previous multiplier (1 = no smoothing)
+    smoothingFactor: {
+      type: Number,
+      min: 0.01,
+      max: 1,
+      default: DEFAULT_SURGE_CONFIG.smoothingFactor,
+    },
+
+    // Multipliers are rounded to this step (e.g. 0.1 -> 1.3x)
+    multiplierStep: {
+      type: Number,
+      min: 0.01,
+      default: DEFAULT_SURGE_CONFIG.multiplierStep,
+    },
+
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The saved settings, or the defaults when none were saved yet
+SurgeConfigSchema.statics.getConfig = async function() {
+  const config = await this.findOne({ key: 'global' }).lean();
+  return { ...DEFAULT_SURGE_CONFIG, ...(config || {}) };
+};
+
+const SurgeConfig = mongoose.model('SurgeConfig', SurgeConfigSchema);
+
+export default SurgeConfig;
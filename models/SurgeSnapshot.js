@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+/**
+ * One surge reading for a zone. The latest reading is the zone's current
+ * multiplier; older ones are kept as surge history for analytics.
+ */
+const SurgeSnapshotSchema = new mongoose.Schema(
+  {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FareZone',
+      required: true,
+    },
+
+    // Zone name at the time (zones can be renamed or deleted)
+    zoneName: {
+      type: String,
+      required: true,
+    },
+
+    // Rides searching for a rider with a pickup in the zone
+    demand: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // On-duty riders in the zone
+    supply: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // demand / supply (supply counted as at least 1)
+    demandRatio: {
+      type: Number,
+      required: true,
+    },
+
+    // Multiplier from this reading alone, before smoothing
+    rawMultiplier: {
+      type: Number,
+      required: true,
+    },
+
+    // Smoothed multiplier before rounding (the next reading is smoothed from it)
+    smoothedMultiplier: {
+      type: Number,
+      required: true,
+    },
+
+    // Smoothed, capped and rounded multiplier used for pricing
+    multiplier: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Cap in force for the zone when the reading was taken
+    maxMultiplier: {
+      type: Number,
+      required: true,
+    },
+
+    // Whether the kill switch allowed surge when the reading was taken
+    surgeEnabled: {
+      type: Boolean,
+      required: true,
+    },
+
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+SurgeSnapshotSchema.index({ zone: 1, computedAt: -1 });
+SurgeSnapshotSchema.index({ computedAt: -1 });
+
+const SurgeSnapshot = mongoose.model('SurgeSnapshot', SurgeSnapshotSchema);
+
+export default SurgeSnapshot;
@@ -105,6 +105,11 @@ const userSchema = new Schema(
       type: Date,
       required: false,
     },
+    // When the penalty engine last penalized this user (behaviour before it no longer counts)
+    lastAutoPenaltyAt: {
+      type: Date,
+      default: null,
+    },
     rejectionDeadline: {
       type: Date,
       required: false,
@@ -116,6 +121,53 @@ const userSchema = new Schema(
     resetPasswordExpires: {
       type: Date,
       required: false,
+    },
+    // Phone number confirmed by an SMS code (cleared when the number changes)
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    phoneVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    phoneVerificationCode: {
+      type: String,
+      select: false,
+    },
+    phoneVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    phoneVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    phoneVerificationAttempts: {
+      type: Number,
+      select: false,
+    },
+    // Email a receipt when a ride completes (customer opt-in)
+    emailRideReceipts: {
+      type: Boolean,
+      default: false,
+    },
+    // Push notification settings (see utils/notificationService.js)
+    notificationPreferences: {
+      pushEnabled: { type: Boolean, default: true },
+      rideUpdates: { type: Boolean, default: true },
+      chatMessages: { type: Boolean, default: true },
+      accountUpdates: { type: Boolean, default: true },
+      // SMS for key ride alerts (needs a verified phone number)
+      smsRideAlerts: { type: Boolean, default: false },
+      // Where password reset codes are sent unless the request says otherwise
+      resetCodeChannel: { type: String, enum: ['email', 'sms'], default: 'email' },
+      // Local "HH:mm" times; the window may wrap past midnight (22:00 - 07:00)
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00' },
+        end: { type: String, default: '07:00' },
+      },
     }
   },
   {
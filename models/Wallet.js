@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// System (non-user) ledger accounts
+export const SYSTEM_ACCOUNTS = {
+  // Cash that entered or left the platform (top-ups at the counter, fares paid in cash)
+  EXTERNAL_CASH: 'EXTERNAL_CASH',
+  // Funds moved through a payment gateway
+  EXTERNAL_GATEWAY: 'EXTERNAL_GATEWAY',
+  // Fares reserved from a wallet at booking, until the ride completes or is cancelled
+  FARE_HOLDS: 'FARE_HOLDS',
+  // Fares collected for a ride, until they are paid out to the rider
+  RIDE_CLEARING: 'RIDE_CLEARING',
+  // Platform commission kept from ride fares
+  PLATFORM_REVENUE: 'PLATFORM_REVENUE',
+  // Promotion discounts the platform pays for, so riders earn on the undiscounted fare
+  PLATFORM_PROMOTIONS: 'PLATFORM_PROMOTIONS',
+};
+
+/**
+ * A ledger account. Every user has one wallet; the platform has one
+ * account per SYSTEM_ACCOUNTS code. `balance` is a cache of
+ * (credits - debits) over the account's ledger entries.
+ */
+const WalletSchema = new mongoose.Schema(
+  {
+    // Owner of a user wallet (null for system accounts)
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // System account code (null for user wallets)
+    systemCode: {
+      type: String,
+      enum: [...Object.values(SYSTEM_ACCOUNTS), null],
+      default: null,
+    },
+
+    // Current balance in pesos (credits - debits)
+    balance: {
+      type: Number,
+      default: 0,
+    },
+
+    currency: {
+      type: String,
+      default: 'PHP',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WalletSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { owner: { $type: 'objectId' } } });
+WalletSchema.index({ systemCode: 1 }, { unique: true, partialFilterExpression: { systemCode: { $type: 'string' } } });
+
+const Wallet = mongoose.model('Wallet', WalletSchema);
+
+export default Wallet;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { refreshToken, auth, login, register, testAuth, getUserProfile, updateUserProfile, forgotPassword, resetPassword, verifyCode, uploadDocuments } from '../controllers/auth.js';
+import { refreshToken, auth, login, register, testAuth, getUserProfile, updateUserProfile, forgotPassword, resetPassword, verifyCode, uploadDocuments, sendPhoneCode, verifyPhone } from '../controllers/auth.js';
 import authenticateUser from '../middleware/authentication.js';
 import { upload } from '../utils/cloudinary.js';
 import User from '../models/User.js';
@@ -24,6 +24,8 @@ router.put('/profile', authenticateUser, updateUserProfile); // Update user prof
 router.post('/forgot-password', forgotPassword); // Send password reset verification code
 router.post('/verify-code', verifyCode); // Verify code without resetting password
 router.post('/reset-password', resetPassword); // Verify code and reset password
+router.post('/phone/send-code', authenticateUser, sendPhoneCode); // Text a phone verification code
+router.post('/phone/verify', authenticateUser, verifyPhone); // Confirm the phone number with the code
 router.post('/upload-documents', upload.fields([
   { name: 'photo', maxCount: 1 },
   { name: 'schoolIdDocument', maxCount: 1 },
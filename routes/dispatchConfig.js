@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getAllDispatchConfigs,
+  getDispatchConfigByVehicle,
+  upsertDispatchConfig,
+  deleteDispatchConfig,
+  previewSearchRadius,
+} from '../controllers/dispatchConfig.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// ============================================
+// PROTECTED ROUTES (admin only)
+// ============================================
+
+// Get all dispatch radius configs (including inactive with ?includeInactive=true)
+router.get('/', adminAuthMiddleware, getAllDispatchConfigs);
+
+// Preview the radius schedule for a vehicle type at a given time
+router.get('/preview', adminAuthMiddleware, previewSearchRadius);
+
+// Get dispatch config by vehicle type
+router.get('/vehicle/:vehicleType', adminAuthMiddleware, getDispatchConfigByVehicle);
+
+// Create or update dispatch config
+router.post('/', adminAuthMiddleware, upsertDispatchConfig);
+
+// Delete dispatch config
+router.delete('/:id', adminAuthMiddleware, deleteDispatchConfig);
+
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  getMyEarningsSummary,
+  getMyRideEarnings,
+  getMyStatements,
+  getMyStatement,
+  closePayoutPeriodStatements,
+  getAllStatements,
+  getStatementById,
+  payStatement,
+} from '../controllers/earnings.js';
+import authMiddleware from '../middleware/authentication.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+// Close a payout period into per-rider statements
+router.post('/admin/statements', adminAuthMiddleware, closePayoutPeriodStatements);
+
+// List payout statements
+router.get('/admin/statements', adminAuthMiddleware, getAllStatements);
+
+// Get a payout statement (?format=csv to export)
+router.get('/admin/statements/:statementId', adminAuthMiddleware, getStatementById);
+
+// Mark a payout statement as paid
+router.post('/admin/statements/:statementId/paid', adminAuthMiddleware, payStatement);
+
+// ============================================
+// RIDER ROUTES
+// ============================================
+
+// Daily, weekly or monthly earnings totals
+router.get('/summary', authMiddleware, getMyEarningsSummary);
+
+// Per-ride earnings
+router.get('/rides', authMiddleware, getMyRideEarnings);
+
+// Own payout statements
+router.get('/statements', authMiddleware, getMyStatements);
+
+// Own payout statement (?format=csv to export)
+router.get('/statements/:statementId', authMiddleware, getMyStatement);
+
+export default router;
@@ -2,7 +2,8 @@ import express from 'express';
 import {
   getAllFareConfigs,
   getFareConfigByVehicle,
-  upsertFareConfig,
+  getFareConfigVersions,
+  createFareConfigVersion,
   deleteFareConfig,
   toggleFareConfigStatus,
   calculateFareEstimate,
@@ -10,6 +11,7 @@ import {
   initializeDefaultFareConfigs,
 } from '../controllers/fareConfig.js';
 import adminAuthMiddleware from '../middleware/adminAuth.js';
+import optionalAuthMiddleware from '../middleware/optionalAuthentication.js';
 
 const router = express.Router();
 
@@ -20,8 +22,8 @@ const router = express.Router();
 // Get all active fare configs (public - for mobile app)
 router.get('/public', getPublicFareConfigs);
 
-// Calculate fare estimate (public - for mobile app)
-router.post('/calculate', calculateFareEstimate);
+// Calculate fare estimate (public - for mobile app; signed-in customers also get their promotions)
+router.post('/calculate', optionalAuthMiddleware, calculateFareEstimate);
 
 // ============================================
 // PROTECTED ROUTES (admin only)
@@ -30,16 +32,19 @@ router.post('/calculate', calculateFareEstimate);
 // Get all fare configs (including inactive)
 router.get('/', adminAuthMiddleware, getAllFareConfigs);
 
-// Get fare config by vehicle type
+// Get the fare config version in force for a vehicle type (?at= for a past or future time)
 router.get('/vehicle/:vehicleType', adminAuthMiddleware, getFareConfigByVehicle);
 
-// Create or update fare config
-router.post('/', adminAuthMiddleware, upsertFareConfig);
+// Get every fare config version of a vehicle type
+router.get('/vehicle/:vehicleType/versions', adminAuthMiddleware, getFareConfigVersions);
 
-// Toggle fare config active status
+// Create a new fare config version (optionally with a future effectiveDate)
+router.post('/', adminAuthMiddleware, createFareConfigVersion);
+
+// Toggle fare config active status (creates a new version)
 router.patch('/:id/toggle', adminAuthMiddleware, toggleFareConfigStatus);
 
-// Delete fare config
+// Delete a scheduled fare config version
 router.delete('/:id', adminAuthMiddleware, deleteFareConfig);
 
 // Initialize default fare configs
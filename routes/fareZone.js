@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  getAllFareZones,
+  getFareZone,
+  lookupFareZones,
+  createFareZone,
+  updateFareZone,
+  toggleFareZoneStatus,
+  deleteFareZone,
+} from '../controllers/fareZone.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// ============================================
+// PROTECTED ROUTES (admin only)
+// ============================================
+
+// Get all fare zones
+router.get('/', adminAuthMiddleware, getAllFareZones);
+
+// Create a fare zone
+router.post('/', adminAuthMiddleware, createFareZone);
+
+// See which zones would price a trip
+router.post('/lookup', adminAuthMiddleware, lookupFareZones);
+
+// Get a fare zone
+router.get('/:id', adminAuthMiddleware, getFareZone);
+
+// Update a fare zone
+router.put('/:id', adminAuthMiddleware, updateFareZone);
+
+// Toggle fare zone active status
+router.patch('/:id/toggle', adminAuthMiddleware, toggleFareZoneStatus);
+
+// Delete a fare zone
+router.delete('/:id', adminAuthMiddleware, deleteFareZone);
+
+export default router;
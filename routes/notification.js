@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  getMyNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  registerDevice,
+  unregisterDevice,
+  getMyDevices,
+  getMyNotificationPreferences,
+  updateMyNotificationPreferences,
+} from '../controllers/notification.js';
+import authMiddleware from '../middleware/authentication.js';
+
+const router = express.Router();
+
+// ============================================
+// INBOX
+// ============================================
+
+// Notifications, newest first
+router.get('/', authMiddleware, getMyNotifications);
+
+// Unread count for the badge
+router.get('/unread-count', authMiddleware, getUnreadNotificationCount);
+
+// Mark everything as read
+router.patch('/read-all', authMiddleware, markAllNotificationsRead);
+
+// Mark one notification as read
+router.patch('/:id/read', authMiddleware, markNotificationRead);
+
+// ============================================
+// DEVICES
+// ============================================
+
+// Devices registered for push notifications
+router.get('/devices', authMiddleware, getMyDevices);
+
+// Register (or refresh) a device token
+router.post('/devices', authMiddleware, registerDevice);
+
+// Remove a device token
+router.delete('/devices/:token', authMiddleware, unregisterDevice);
+
+// ============================================
+// PREFERENCES
+// ============================================
+
+// Notification preferences and quiet hours
+router.get('/preferences', authMiddleware, getMyNotificationPreferences);
+
+// Update notification preferences and quiet hours
+router.patch('/preferences', authMiddleware, updateMyNotificationPreferences);
+
+export default router;
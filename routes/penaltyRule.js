@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getAllPenaltyRules,
+  createPenaltyRule,
+  updatePenaltyRule,
+  deletePenaltyRule,
+  runPenaltyRulesNow,
+} from '../controllers/penaltyRule.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// ============================================
+// PROTECTED ROUTES (admin only)
+// ============================================
+
+// Get all penalty rules
+router.get('/', adminAuthMiddleware, getAllPenaltyRules);
+
+// Create a penalty rule
+router.post('/', adminAuthMiddleware, createPenaltyRule);
+
+// Evaluate the active rules now
+router.post('/run', adminAuthMiddleware, runPenaltyRulesNow);
+
+// Update a penalty rule
+router.put('/:id', adminAuthMiddleware, updatePenaltyRule);
+
+// Delete a penalty rule
+router.delete('/:id', adminAuthMiddleware, deletePenaltyRule);
+
+export default router;
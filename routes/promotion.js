@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getAllPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  togglePromotionStatus,
+  deletePromotion,
+  getMyAvailablePromotions,
+} from '../controllers/promotion.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+import authMiddleware from '../middleware/authentication.js';
+
+const router = express.Router();
+
+// ============================================
+// CUSTOMER ROUTES
+// ============================================
+
+// Campaigns the customer gets on their next ride
+router.get('/available', authMiddleware, getMyAvailablePromotions);
+
+// ============================================
+// PROTECTED ROUTES (admin only)
+// ============================================
+
+// Get all promotions with usage
+router.get('/', adminAuthMiddleware, getAllPromotions);
+
+// Create a promo code or campaign
+router.post('/', adminAuthMiddleware, createPromotion);
+
+// Get a promotion with usage
+router.get('/:id', adminAuthMiddleware, getPromotion);
+
+// Update a promotion
+router.put('/:id', adminAuthMiddleware, updatePromotion);
+
+// Toggle promotion active status
+router.patch('/:id/toggle', adminAuthMiddleware, togglePromotionStatus);
+
+// Delete a promotion that was never used
+router.delete('/:id', adminAuthMiddleware, deletePromotion);
+
+export default router;
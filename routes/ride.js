@@ -3,8 +3,14 @@ import {
   createRide, 
   updateRideStatus, 
   acceptRide,
+  declineRide,
+  verifyOtp,
   getMyRides, 
+  getRideReceipt,
   cancelRide, 
+  getCancellationFee,
+  reportArrivalAtPickup,
+  markNoShow,
   getSearchingRides,
   // Multi-passenger endpoints
   joinRide,
@@ -14,9 +20,16 @@ import {
   removePassenger,
   getAvailableRidesForJoining,
   toggleAcceptingPassengers,
+  // Multi-stop endpoints
+  setPassengerDropStop,
+  markStopReached,
   // Early stop endpoints
   requestEarlyStop,
-  respondToEarlyStopRequest
+  respondToEarlyStopRequest,
+  // Scheduled ride endpoints
+  getScheduledRides,
+  updateScheduledRide,
+  cancelScheduledRide
 } from '../controllers/ride.js';
 
 const router = express.Router();
@@ -25,9 +38,15 @@ const router = express.Router();
 
 router.post('/create', createRide);
 router.patch('/accept/:rideId', acceptRide);
+router.patch('/decline/:rideId', declineRide);
+router.post('/verify-otp/:rideId', verifyOtp);
 router.patch('/update/:rideId', updateRideStatus);
 router.delete('/cancel/:rideId', cancelRide);
+router.get('/cancellation-fee/:rideId', getCancellationFee);
+router.patch('/arrived-at-pickup/:rideId', reportArrivalAtPickup);
+router.post('/no-show/:rideId', markNoShow);
 router.get('/rides', getMyRides);
+router.get('/receipt/:rideId', getRideReceipt);
 router.get('/searching', getSearchingRides);
 
 // ============================================
@@ -42,6 +61,13 @@ router.delete('/passenger/:rideId/:passengerId', removePassenger);
 router.patch('/toggle-accepting/:rideId', toggleAcceptingPassengers);
 // ============================================
 
+// ============================================
+// MULTI-STOP ROUTES
+// ============================================
+router.patch('/stops/:rideId/my-drop', setPassengerDropStop);
+router.patch('/stops/:rideId/:stopId/reached', markStopReached);
+// ============================================
+
 // ============================================
 // EARLY STOP ROUTES
 // ============================================
@@ -49,4 +75,12 @@ router.post('/early-stop/:rideId', requestEarlyStop);
 router.post('/early-stop-response/:rideId', respondToEarlyStopRequest);
 // ============================================
 
+// ============================================
+// SCHEDULED RIDE ROUTES
+// ============================================
+router.get('/scheduled', getScheduledRides);
+router.patch('/scheduled/:rideId', updateScheduledRide);
+router.delete('/scheduled/:rideId', cancelScheduledRide);
+// ============================================
+
 export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getSurgeConfig,
+  updateSurgeConfig,
+  toggleSurge,
+  getCurrentSurges,
+  getSurgeHistory,
+  runSurgeNow,
+} from '../controllers/surge.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// ============================================
+// PROTECTED ROUTES (admin only)
+// ============================================
+
+// Get the surge settings
+router.get('/config', adminAuthMiddleware, getSurgeConfig);
+
+// Update the surge settings (caps, smoothing...)
+router.put('/config', adminAuthMiddleware, updateSurgeConfig);
+
+// Kill switch - turn surge pricing off or on
+router.patch('/config/toggle', adminAuthMiddleware, toggleSurge);
+
+// Current multiplier for each zone
+router.get('/current', adminAuthMiddleware, getCurrentSurges);
+
+// Surge history for analytics
+router.get('/history', adminAuthMiddleware, getSurgeHistory);
+
+// Take a surge reading now
+router.post('/run', adminAuthMiddleware, runSurgeNow);
+
+export default router;
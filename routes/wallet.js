@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getMyWallet,
+  getMyWalletTransactions,
+  getPaymentMethods,
+  topUpMyWallet,
+  adminTopUpWallet,
+  adminRefundRide,
+  adminGetRideLedger,
+} from '../controllers/wallet.js';
+import authMiddleware from '../middleware/authentication.js';
+import adminAuthMiddleware from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+// Record a top-up for a user (cash received in person)
+router.post('/admin/top-up', adminAuthMiddleware, adminTopUpWallet);
+
+// Refund a passenger's fare on a completed ride to their wallet
+router.post('/admin/refund/:rideId', adminAuthMiddleware, adminRefundRide);
+
+// Ledger entries posted for a ride
+router.get('/admin/rides/:rideId/ledger', adminAuthMiddleware, adminGetRideLedger);
+
+// ============================================
+// USER ROUTES
+// ============================================
+
+// Balance and latest entries
+router.get('/', authMiddleware, getMyWallet);
+
+// Wallet history
+router.get('/transactions', authMiddleware, getMyWalletTransactions);
+
+// Payment methods available for top-ups
+router.get('/methods', authMiddleware, getPaymentMethods);
+
+// Top up through a self-service payment method
+router.post('/top-up', authMiddleware, topUpMyWallet);
+
+export default router;
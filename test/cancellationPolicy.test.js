@@ -0,0 +1,148 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import presenceStore from '../utils/presenceStore.js';
+import { reportArrivalAtPickup, markNoShow } from '../controllers/ride.js';
+import {
+  DEFAULT_CANCELLATION_POLICY,
+  CANCELLATION_OUTCOME,
+  assessCancellation,
+  applyCancellationPolicy,
+} from '../utils/cancellationPolicy.js';
+import { BadRequestError } from '../errors/index.js';
+
+const PICKUP = { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 };
+// About 1.1km north of the pickup
+const FAR_AWAY = { latitude: 14.6095, longitude: 120.9842 };
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const createUser = (role, index = 0) => User.create({
+  role,
+  email: `${role}${index}@test.local`,
+  password: 'password123',
+  firstName: `${role}${index}`,
+  lastName: 'Test',
+  phone: `0917000${String(index).padStart(4, '0')}`,
+  status: 'approved',
+  vehicleType: role === 'rider' ? 'Tricycle' : undefined,
+});
+
+// An accepted ride, with the rider heading to the pickup
+const createAcceptedRide = (customer, rider, tripLogs = {}) => Ride.create({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare: 25,
+  customer,
+  rider,
+  pickup: PICKUP,
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  status: 'START',
+  tripLogs: { acceptTime: minutesAgo(1), ...tripLogs },
+});
+
+const createFakeRes = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const riderRequest = (rider, ride, body = {}) => ({
+  params: { rideId: ride._id.toString() },
+  user: { id: rider._id.toString() },
+  body,
+});
+
+const walletBalance = async (userId) => (await Wallet.findOne({ owner: userId }))?.balance || 0;
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(clearTestDatabase);
+
+test('customers pay nothing in the free window, even once the rider has arrived', () => {
+  const policy = DEFAULT_CANCELLATION_POLICY;
+  const ride = {
+    status: 'START',
+    tripLogs: { acceptTime: minutesAgo(1), arrivedAtPickupTime: new Date() },
+  };
+
+  const free = assessCancellation(ride, 'customer', policy);
+  assert.equal(free.outcome, CANCELLATION_OUTCOME.FREE);
+  assert.equal(free.fee, 0);
+
+  ride.tripLogs.acceptTime = minutesAgo(policy.freeWindowMinutes + 1);
+  const arrived = assessCancellation(ride, 'customer', policy);
+  assert.equal(arrived.outcome, CANCELLATION_OUTCOME.AFTER_ARRIVAL);
+  assert.equal(arrived.fee, policy.arrivedCancellationFee);
+
+  ride.tripLogs.arrivedAtPickupTime = null;
+  const late = assessCancellation(ride, 'customer', policy);
+  assert.equal(late.outcome, CANCELLATION_OUTCOME.LATE_CANCELLATION);
+  assert.equal(late.fee, policy.lateCancellationFee);
+});
+
+test('arrival is refused while the rider is away from the pickup', async () => {
+  const customer = await createUser('customer');
+  const rider = await createUser('rider', 1);
+  const ride = await createAcceptedRide(customer._id, rider._id);
+
+  await assert.rejects(reportArrivalAtPickup(riderRequest(rider, ride), createFakeRes()), BadRequestError);
+
+  await presenceStore.setOnDuty(rider._id, { coords: FAR_AWAY });
+  await assert.rejects(reportArrivalAtPickup(riderRequest(rider, ride), createFakeRes()), /from the pickup point/);
+
+  assert.ok(!(await Ride.findById(ride._id)).tripLogs.arrivedAtPickupTime);
+});
+
+test('a rider at the pickup can mark a no-show once the wait is over', async () => {
+  const customer = await createUser('customer');
+  const rider = await createUser('rider', 1);
+  const ride = await createAcceptedRide(customer._id, rider._id);
+  await presenceStore.setOnDuty(rider._id, { coords: { latitude: PICKUP.latitude, longitude: PICKUP.longitude } });
+
+  const arrived = createFakeRes();
+  await reportArrivalAtPickup(riderRequest(rider, ride), arrived);
+  assert.equal(arrived.statusCode, 200);
+
+  // Too early - the rider has not waited long enough
+  const early = createFakeRes();
+  await markNoShow(riderRequest(rider, ride), early);
+  assert.equal(early.statusCode, 400);
+
+  await Ride.updateOne(
+    { _id: ride._id },
+    { $set: { 'tripLogs.arrivedAtPickupTime': minutesAgo(DEFAULT_CANCELLATION_POLICY.noShowWaitMinutes + 1) } }
+  );
+  const res = createFakeRes();
+  await markNoShow(riderRequest(rider, ride), res);
+
+  assert.equal(res.statusCode, 200);
+  const saved = await Ride.findById(ride._id);
+  assert.equal(saved.status, 'CANCELLED');
+  assert.equal(saved.cancellation.outcome, CANCELLATION_OUTCOME.NO_SHOW);
+  assert.equal(await walletBalance(rider._id), DEFAULT_CANCELLATION_POLICY.noShowFee);
+  assert.equal(await walletBalance(customer._id), -DEFAULT_CANCELLATION_POLICY.noShowFee);
+});
+
+test('a cancellation is only charged once', async () => {
+  const customer = await createUser('customer');
+  const rider = await createUser('rider', 1);
+  const ride = await createAcceptedRide(customer._id, rider._id, { acceptTime: minutesAgo(10) });
+  await Ride.updateOne({ _id: ride._id }, { $set: { status: 'CANCELLED' } });
+  const cancelled = await Ride.findById(ride._id);
+  const assessment = { outcome: CANCELLATION_OUTCOME.LATE_CANCELLATION, fee: 10 };
+
+  const results = await Promise.all([
+    applyCancellationPolicy(cancelled, { cancelledBy: 'customer', assessment }),
+    applyCancellationPolicy(await Ride.findById(ride._id), { cancelledBy: 'customer', assessment }),
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await LedgerEntry.countDocuments({ type: 'CANCELLATION_FEE' }), 1);
+  assert.equal(await walletBalance(rider._id), 10);
+});
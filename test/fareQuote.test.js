@@ -0,0 +1,39 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFareQuoteToken, verifyFareQuoteToken, FARE_QUOTE_CONFIG } from '../utils/fareQuote.js';
+
+const fareEstimate = { totalFare: 45, pricedAt: new Date(), breakdown: {}, promotion: null };
+const trip = {
+  vehicleType: 'Tricycle',
+  distanceKm: 2,
+  passengerCount: 1,
+  pickup: { latitude: 14.5995, longitude: 120.9842 },
+  drop: { latitude: 14.6095, longitude: 120.9942 },
+};
+
+const { ACCESS_TOKEN_SECRET } = process.env;
+const { SECRET } = FARE_QUOTE_CONFIG;
+afterEach(() => {
+  if (ACCESS_TOKEN_SECRET === undefined) {
+    delete process.env.ACCESS_TOKEN_SECRET;
+  } else {
+    process.env.ACCESS_TOKEN_SECRET = ACCESS_TOKEN_SECRET;
+  }
+  FARE_QUOTE_CONFIG.SECRET = SECRET;
+});
+
+test('quotes are not signed or accepted without a secret', () => {
+  delete process.env.ACCESS_TOKEN_SECRET;
+  FARE_QUOTE_CONFIG.SECRET = undefined;
+
+  assert.throws(() => createFareQuoteToken(fareEstimate, trip), /FARE_QUOTE_SECRET/);
+  assert.throws(() => verifyFareQuoteToken('any.quote.token'), /FARE_QUOTE_SECRET/);
+});
+
+test('a quote signed with the configured secret is accepted', () => {
+  FARE_QUOTE_CONFIG.SECRET = 'test-quote-secret';
+
+  const { quoteToken } = createFareQuoteToken(fareEstimate, trip);
+
+  assert.equal(verifyFareQuoteToken(quoteToken).totalFare, 45);
+});
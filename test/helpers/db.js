@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+/**
+ * In-memory MongoDB for the test suite. A single-node replica set, so code
+ * that uses transactions runs the same way it does in production.
+ */
+
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'test-access-token-secret';
+process.env.PRESENCE_STORE = process.env.PRESENCE_STORE || 'memory';
+
+let replSet = null;
+
+export const startTestDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+export const stopTestDatabase = async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+  replSet = null;
+};
+
+export const clearTestDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
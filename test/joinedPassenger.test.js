@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { addJoinedPassenger } from '../utils/stopUtils.js';
+
+const createRide = (status) => new Ride({
+  vehicle: 'Tricycle',
+  distance: 3,
+  fare: 30,
+  customer: new mongoose.Types.ObjectId(),
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6195, longitude: 120.9842 },
+  riderLocation: { latitude: 14.6005, longitude: 120.9842 },
+  status,
+});
+
+const joiningUser = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Ben',
+  lastName: 'Cruz',
+  phone: '09170000000',
+});
+
+test('an approved passenger gets their drop-off as a stop on the route', () => {
+  const ride = createRide('START');
+  const user = joiningUser();
+
+  const passenger = addJoinedPassenger(ride, user, { address: 'Halfway', latitude: 14.6095, longitude: 120.9842 });
+
+  assert.equal(ride.stops.length, 1);
+  assert.equal(ride.stops[0].address, 'Halfway');
+  assert.equal(ride.stops[0].addedBy.toString(), user._id.toString());
+  assert.equal(passenger.dropStop.toString(), ride.stops[0]._id.toString());
+  assert.equal(passenger.status, 'WAITING');
+  assert.equal(ride.currentPassengerCount, ride.passengers.length);
+});
+
+test('a passenger joining mid-trip boards where the rider is', () => {
+  const ride = createRide('ARRIVED');
+
+  const passenger = addJoinedPassenger(ride, joiningUser());
+
+  assert.equal(ride.stops.length, 0);
+  assert.equal(passenger.status, 'ONBOARD');
+  assert.equal(passenger.boardedLocation.latitude, 14.6005);
+});
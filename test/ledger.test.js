@@ -0,0 +1,195 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import Wallet from '../models/Wallet.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { BadRequestError } from '../errors/index.js';
+import { registerPaymentGateway } from '../utils/paymentGateways.js';
+import { topUpWallet, holdRideFare, adjustRideHold, settleRidePayments, refundRidePayment } from '../utils/ledger.js';
+import { recordRideEarnings, EARNINGS_CONFIG } from '../utils/riderEarnings.js';
+
+// Stand-in for an online gateway adapter, so tests never reach a real provider
+const gateway = {
+  name: 'testpay',
+  charge: mock.fn(async ({ amount }) => ({ success: true, reference: `testpay_${amount}`, message: 'Paid' })),
+  refund: mock.fn(async () => ({ success: true, reference: 'testpay_refund', message: 'Refunded' })),
+};
+registerPaymentGateway(gateway);
+
+const walletBalance = async (userId) => (await Wallet.findOne({ owner: userId })).balance;
+
+// A scheduled wallet ride with its fare held, as createRide leaves it
+const createHeldRide = async (customer, fare) => {
+  const rideId = new mongoose.Types.ObjectId();
+  await holdRideFare(rideId, customer, fare);
+  return Ride.create({
+    _id: rideId,
+    vehicle: 'Tricycle',
+    distance: 2,
+    fare,
+    customer,
+    paymentMethod: 'wallet',
+    payment: { status: 'HELD', heldAmount: fare },
+    pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+    drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+    status: 'SCHEDULED',
+  });
+};
+
+// A completed ride with one wallet passenger, ready to settle
+const createCompletedRide = (customer, rider, fare) => Ride.create({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare,
+  customer,
+  rider,
+  paymentMethod: 'wallet',
+  earnings: { commissionPercent: 20 },
+  passengers: [{
+    userId: customer,
+    firstName: 'Ana',
+    lastName: 'Reyes',
+    isOriginalBooker: true,
+    paymentMethod: 'wallet',
+    fare,
+  }],
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  status: 'COMPLETED',
+});
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(clearTestDatabase);
+afterEach(() => mock.restoreAll());
+
+test('a higher fare tops up the hold and a lower one gives the difference back', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  await topUpWallet({ userId: customer, amount: 100 });
+  const ride = await createHeldRide(customer, 40);
+
+  await adjustRideHold(ride, 55);
+  assert.equal(await walletBalance(customer), 45);
+  assert.equal((await Ride.findById(ride._id)).payment.heldAmount, 55);
+
+  await adjustRideHold(ride, 30);
+  assert.equal(await walletBalance(customer), 70);
+  assert.equal((await Ride.findById(ride._id)).payment.heldAmount, 30);
+});
+
+test('a top-up the wallet cannot cover leaves the hold as it was', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  await topUpWallet({ userId: customer, amount: 50 });
+  const ride = await createHeldRide(customer, 40);
+
+  await assert.rejects(adjustRideHold(ride, 80), BadRequestError);
+
+  assert.equal(await walletBalance(customer), 10);
+  assert.equal((await Ride.findById(ride._id)).payment.heldAmount, 40);
+});
+
+test('a top-up the gateway declines adds nothing to the wallet', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  gateway.charge.mock.mockImplementationOnce(async () => ({ success: false, message: 'Card declined' }));
+
+  await assert.rejects(topUpWallet({ userId: customer, amount: 100, method: 'testpay' }), /Card declined/);
+
+  assert.equal(await LedgerEntry.countDocuments(), 0);
+});
+
+test('a settlement that fails part-way is reversed and can be retried', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  const rider = new mongoose.Types.ObjectId();
+  await topUpWallet({ userId: customer, amount: 100, method: 'testpay' });
+  const ride = await createCompletedRide(customer, rider, 50);
+
+  // The database goes away after the fare is taken, before the rider is paid
+  const create = LedgerEntry.create.bind(LedgerEntry);
+  mock.method(LedgerEntry, 'create', async (entry) => {
+    if (entry.type === 'RIDER_EARNING') {
+      throw new Error('Connection lost');
+    }
+    return create(entry);
+  });
+
+  await assert.rejects(settleRidePayments(ride), /Connection lost/);
+
+  assert.equal(await walletBalance(customer), 100);
+  assert.equal((await Ride.findById(ride._id)).payment.transactionId, null);
+  assert.equal(await LedgerEntry.countDocuments({ type: 'REVERSAL' }), 1);
+
+  mock.restoreAll();
+  const retried = await Ride.findById(ride._id);
+  const entries = await settleRidePayments(retried);
+
+  assert.deepEqual(entries.map(entry => entry.type), ['FARE_PAYMENT', 'RIDER_EARNING', 'PLATFORM_COMMISSION']);
+  assert.equal(await walletBalance(customer), 50);
+  assert.equal(await walletBalance(rider), 40);
+  assert.equal(retried.payment.status, 'PAID');
+});
+
+test('a settled ride is never charged twice', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  const rider = new mongoose.Types.ObjectId();
+  await topUpWallet({ userId: customer, amount: 100, method: 'testpay' });
+  const ride = await createCompletedRide(customer, rider, 50);
+
+  const results = await Promise.all([
+    settleRidePayments(await Ride.findById(ride._id)),
+    settleRidePayments(await Ride.findById(ride._id)),
+  ]);
+
+  assert.equal(results.filter(entries => entries.length > 0).length, 1);
+  assert.equal(await walletBalance(customer), 50);
+});
+
+test('the platform pays for a promotion discount, not the rider', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  const rider = new mongoose.Types.ObjectId();
+  await topUpWallet({ userId: customer, amount: 100, method: 'testpay' });
+  const ride = await createCompletedRide(customer, rider, 50);
+  ride.settledFare = { amount: 50, breakdown: { fareBeforeDiscount: 60, promoDiscount: 10 }, settledAt: new Date() };
+
+  const { DEFAULT_COMMISSION_PERCENT } = EARNINGS_CONFIG;
+  EARNINGS_CONFIG.DEFAULT_COMMISSION_PERCENT = 20;
+  try {
+    await recordRideEarnings(ride);
+  } finally {
+    EARNINGS_CONFIG.DEFAULT_COMMISSION_PERCENT = DEFAULT_COMMISSION_PERCENT;
+  }
+  assert.equal(ride.earnings.grossFare, 60);
+  assert.equal(ride.earnings.netEarning, 48);
+
+  const entries = await settleRidePayments(ride);
+
+  assert.deepEqual(entries.map(entry => entry.type), ['FARE_PAYMENT', 'PROMO_DISCOUNT', 'RIDER_EARNING', 'PLATFORM_COMMISSION']);
+  assert.equal(await walletBalance(customer), 50);
+  assert.equal(await walletBalance(rider), 48);
+  assert.equal((await Wallet.findOne({ systemCode: 'PLATFORM_PROMOTIONS' })).balance, -10);
+});
+
+test('a hold given back for a lower fare does not count toward the fare refunded', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  const rider = new mongoose.Types.ObjectId();
+  await topUpWallet({ userId: customer, amount: 100 });
+  const held = await createHeldRide(customer, 40);
+  await adjustRideHold(held, 30);
+
+  const ride = await Ride.findByIdAndUpdate(held._id, {
+    $set: {
+      rider,
+      status: 'COMPLETED',
+      earnings: { commissionPercent: 20 },
+      passengers: [{ userId: customer, firstName: 'Ana', lastName: 'Reyes', isOriginalBooker: true, paymentMethod: 'wallet', fare: 30 }],
+    },
+  }, { new: true });
+  await settleRidePayments(ride);
+  assert.equal(await walletBalance(customer), 70);
+
+  const refund = await refundRidePayment(ride, { userId: customer });
+
+  assert.equal(refund.amount, 30);
+  assert.equal(await walletBalance(customer), 100);
+});
@@ -0,0 +1,45 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { verifyPhoneCode, PHONE_VERIFICATION_CONFIG } from '../utils/smsService.js';
+
+// A customer who has just been sent code 123456
+const createUserWithCode = () => User.create({
+  role: 'customer',
+  email: 'customer@test.local',
+  password: 'password123',
+  firstName: 'Ana',
+  lastName: 'Reyes',
+  phone: '09170000001',
+  phoneVerificationCode: '123456',
+  phoneVerificationExpires: new Date(Date.now() + 10 * 60 * 1000),
+  phoneVerificationAttempts: 0,
+});
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(clearTestDatabase);
+
+test('guesses sent in parallel never get past the attempt limit', async () => {
+  const user = await createUserWithCode();
+  const guesses = Array.from({ length: 20 }, (_, i) => String(100000 + i));
+
+  const results = await Promise.all(guesses.map(guess => verifyPhoneCode(user._id, guess)));
+
+  assert.equal(results.filter(result => result.message === 'Invalid verification code').length, PHONE_VERIFICATION_CONFIG.MAX_ATTEMPTS);
+  const stored = await User.findById(user._id).select('+phoneVerificationAttempts');
+  assert.equal(stored.phoneVerificationAttempts, PHONE_VERIFICATION_CONFIG.MAX_ATTEMPTS);
+
+  // Even the right code is refused once the attempts are used up
+  assert.equal((await verifyPhoneCode(user._id, '123456')).verified, false);
+});
+
+test('the right code verifies the number', async () => {
+  const user = await createUserWithCode();
+
+  assert.equal((await verifyPhoneCode(user._id, 'wrong')).verified, false);
+  assert.equal((await verifyPhoneCode(user._id, ' 123456 ')).verified, true);
+
+  assert.equal((await User.findById(user._id)).phoneVerified, true);
+});
@@ -0,0 +1,78 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import Ride from '../models/Ride.js';
+import { BadRequestError } from '../errors/index.js';
+import { reservePromotionUse, releasePromotionUse, toPromotionSnapshot } from '../utils/promotions.js';
+
+const createPromotion = (limits) => Promotion.create({
+  name: 'Launch week',
+  type: 'code',
+  code: 'LAUNCH',
+  discountType: 'flat',
+  discountValue: 10,
+  ...limits,
+});
+
+const createRide = (customer, promotion, status) => Ride.create({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare: 15,
+  customer,
+  promotion: toPromotionSnapshot(promotion),
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  status,
+});
+
+const reserveInParallel = (promotion, customerIds) => Promise.allSettled(
+  customerIds.map(customerId => reservePromotionUse(promotion, customerId))
+);
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(clearTestDatabase);
+
+test('concurrent bookings never go over the usage limit', async () => {
+  const promotion = await createPromotion({ usageLimit: 3, perUserLimit: null });
+  const customerIds = Array.from({ length: 8 }, () => new mongoose.Types.ObjectId());
+
+  const results = await reserveInParallel(promotion, customerIds);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+  results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+    assert.ok(reason instanceof BadRequestError);
+    assert.match(reason.message, /fully redeemed/);
+  });
+  assert.equal((await Promotion.findById(promotion._id)).usageCount, 3);
+});
+
+test('concurrent bookings by one customer never go over the per-user limit', async () => {
+  const promotion = await createPromotion({ usageLimit: null, perUserLimit: 1 });
+  const customerId = new mongoose.Types.ObjectId();
+
+  const results = await reserveInParallel(promotion, Array(5).fill(customerId));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.match(results.find(result => result.status === 'rejected').reason.message, /maximum number of times/);
+  // Uses the customer couldn't have are given back to the promotion
+  assert.equal((await Promotion.findById(promotion._id)).usageCount, 1);
+  assert.equal((await PromotionRedemption.findOne({ promotion: promotion._id, customer: customerId })).uses, 1);
+});
+
+test('a cancelled ride gives its use back once', async () => {
+  const promotion = await createPromotion({ usageLimit: 1, perUserLimit: 1 });
+  const customerId = new mongoose.Types.ObjectId();
+  await reservePromotionUse(promotion, customerId);
+  const ride = await createRide(customerId, promotion, 'CANCELLED');
+
+  assert.equal(await releasePromotionUse(ride), true);
+  assert.equal(await releasePromotionUse(await Ride.findById(ride._id)), false);
+
+  assert.equal((await Promotion.findById(promotion._id)).usageCount, 0);
+  assert.equal((await PromotionRedemption.findOne({ promotion: promotion._id, customer: customerId })).uses, 0);
+  await reservePromotionUse(promotion, customerId);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { buildRideReceipt } from '../utils/receiptUtils.js';
+
+const createRide = (fare, breakdown) => new Ride({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare,
+  customer: new mongoose.Types.ObjectId(),
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  settledFare: { amount: fare, distanceKm: 2, breakdown, settledAt: new Date() },
+  tripLogs: { endTime: new Date() },
+  status: 'COMPLETED',
+});
+
+const sumOfLines = (receipt) => Math.round(receipt.fareLines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+
+test('a flat fare with a surge, zone surcharge and promotion adds up to the total', () => {
+  const ride = createRide(55, {
+    baseFare: 0,
+    distanceFare: 0,
+    zoneFlatFare: 50,
+    surgeCharge: 10,
+    zoneSurcharge: 5,
+    fareBeforeDiscount: 65,
+    promoDiscount: 10,
+    promotion: { name: 'Launch week', code: 'LAUNCH' },
+  });
+
+  const receipt = buildRideReceipt(ride);
+
+  assert.deepEqual(receipt.fareLines, [
+    { label: 'Zone flat fare', amount: 50 },
+    { label: 'Demand surge', amount: 10 },
+    { label: 'Zone surcharge', amount: 5 },
+    { label: 'Promotion (LAUNCH)', amount: -10 },
+  ]);
+  assert.equal(sumOfLines(receipt), receipt.totalFare);
+});
+
+test('a fare raised to the minimum shows the top-up as a line', () => {
+  const ride = createRide(25, { baseFare: 15, distanceFare: 0, fareBeforeDiscount: 25, promoDiscount: 0 });
+
+  const receipt = buildRideReceipt(ride);
+
+  assert.deepEqual(receipt.fareLines.at(-1), { label: 'Minimum fare adjustment', amount: 10 });
+  assert.equal(sumOfLines(receipt), receipt.totalFare);
+});
@@ -0,0 +1,130 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import { acceptRide } from '../controllers/ride.js';
+import { transitionRideAtomic } from '../utils/rideStateMachine.js';
+import { ConflictError } from '../errors/index.js';
+
+// Simultaneous accepts must leave the ride with exactly one rider
+const RACERS = 8;
+
+const createUser = (role, index = 0) => User.create({
+  role,
+  email: `${role}${index}@test.local`,
+  password: 'password123',
+  firstName: `${role}${index}`,
+  lastName: 'Test',
+  phone: `0917000${String(index).padStart(4, '0')}`,
+  status: 'approved',
+  vehicleType: role === 'rider' ? 'Tricycle' : undefined,
+});
+
+const createSearchingRide = (customerId) => Ride.create({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare: 25,
+  customer: customerId,
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  status: 'SEARCHING_FOR_RIDER',
+});
+
+// Socket.IO server stand-in that records every emit by room
+const createFakeIo = () => {
+  const emits = [];
+  return {
+    emits,
+    to: (room) => ({ emit: (event, payload) => emits.push({ room, event, payload }) }),
+    emit: (event, payload) => emits.push({ room: null, event, payload }),
+    sockets: { sockets: new Map() },
+  };
+};
+
+const createFakeRes = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(clearTestDatabase);
+
+test('parallel transitionRideAtomic claims resolve to a single winner', async () => {
+  const customer = await createUser('customer');
+  const riders = await Promise.all(Array.from({ length: RACERS }, (_, i) => createUser('rider', i + 1)));
+  const ride = await createSearchingRide(customer._id);
+
+  const results = await Promise.all(riders.map(rider =>
+    transitionRideAtomic(ride._id, 'SEARCHING_FOR_RIDER', 'START', {
+      actorType: 'rider',
+      actorId: rider._id,
+      filter: { rider: null },
+      update: { rider: rider._id },
+    })
+  ));
+
+  const winners = results.filter(Boolean);
+  assert.equal(winners.length, 1);
+
+  const saved = await Ride.findById(ride._id);
+  assert.equal(saved.status, 'START');
+  assert.equal(saved.rider.toString(), winners[0].rider.toString());
+  assert.equal(saved.statusHistory.filter(entry => entry.to === 'START').length, 1);
+});
+
+test('parallel acceptRide calls give one rider the ride and the rest a 409', async () => {
+  const customer = await createUser('customer');
+  const riders = await Promise.all(Array.from({ length: RACERS }, (_, i) => createUser('rider', i + 1)));
+  const ride = await createSearchingRide(customer._id);
+  const io = createFakeIo();
+
+  const outcomes = await Promise.allSettled(riders.map(async rider => {
+    const res = createFakeRes();
+    await acceptRide({
+      user: { id: rider._id.toString() },
+      params: { rideId: ride._id.toString() },
+      body: {},
+      io,
+    }, res);
+    return { rider, res };
+  }));
+
+  const accepted = outcomes.filter(outcome => outcome.status === 'fulfilled');
+  const rejected = outcomes.filter(outcome => outcome.status === 'rejected');
+
+  assert.equal(accepted.length, 1);
+  assert.equal(accepted[0].value.res.statusCode, 200);
+  assert.equal(rejected.length, RACERS - 1);
+  for (const { reason } of rejected) {
+    assert.ok(reason instanceof ConflictError, `expected a ConflictError, got ${reason}`);
+    assert.equal(reason.statusCode, 409);
+  }
+
+  // Every losing rider is told the ride was taken
+  const winnerId = accepted[0].value.rider._id.toString();
+  const takenRooms = io.emits.filter(emit => emit.event === 'rideAlreadyTaken').map(emit => emit.room);
+  for (const rider of riders.filter(r => r._id.toString() !== winnerId)) {
+    assert.ok(takenRooms.includes(`user_${rider._id}`), `rider ${rider._id} was not sent rideAlreadyTaken`);
+  }
+
+  const saved = await Ride.findById(ride._id);
+  assert.equal(saved.status, 'START');
+  assert.equal(saved.rider.toString(), winnerId);
+});
+
+test('a ride that is no longer searching cannot be claimed', async () => {
+  const customer = await createUser('customer');
+  const ride = await createSearchingRide(customer._id);
+  await Ride.updateOne({ _id: ride._id }, { status: 'CANCELLED' });
+
+  const claimed = await transitionRideAtomic(ride._id, 'SEARCHING_FOR_RIDER', 'START', {
+    filter: { rider: null },
+    update: { rider: new mongoose.Types.ObjectId() },
+  });
+  assert.equal(claimed, null);
+});
@@ -0,0 +1,80 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { getRideOtp, isRideOtpVerified, withCustomerOtps, verifyRideOtp, OTP_CONFIG, OTP_RESULT } from '../utils/otpVerification.js';
+
+const createRide = (customer, otp = '1234', rider = null) => Ride.create({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare: 25,
+  customer,
+  rider,
+  otp,
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  status: 'START',
+});
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(clearTestDatabase);
+
+test('rides are loaded without their OTP', async () => {
+  const ride = await createRide(new mongoose.Types.ObjectId());
+
+  const loaded = await Ride.findById(ride._id);
+  assert.equal(loaded.otp, undefined);
+  assert.equal(JSON.stringify(loaded).includes('1234'), false);
+  assert.equal(await getRideOtp(ride._id), '1234');
+});
+
+test('a ride with an OTP is not verified until the code is entered', async () => {
+  const ride = await createRide(new mongoose.Types.ObjectId());
+  assert.equal(await isRideOtpVerified(await Ride.findById(ride._id)), false);
+
+  const legacy = await createRide(new mongoose.Types.ObjectId(), null);
+  assert.equal(await isRideOtpVerified(await Ride.findById(legacy._id)), true);
+});
+
+test('only the booking customer gets the OTP back', async () => {
+  const customer = new mongoose.Types.ObjectId();
+  const booked = await createRide(customer, '1111');
+  const joined = await createRide(new mongoose.Types.ObjectId(), '2222');
+
+  const rides = await withCustomerOtps(await Ride.find({ _id: { $in: [booked._id, joined._id] } }), customer);
+  const byId = new Map(rides.map(ride => [ride._id.toString(), ride]));
+  assert.equal(byId.get(booked._id.toString()).otp, '1111');
+  assert.equal(byId.get(joined._id.toString()).otp, undefined);
+});
+
+test('wrong codes sent in parallel never get past the attempt limit', async () => {
+  const rider = new mongoose.Types.ObjectId();
+  const ride = await createRide(new mongoose.Types.ObjectId(), '1234', rider);
+  const guesses = Array.from({ length: 20 }, (_, i) => String(5000 + i));
+
+  const results = await Promise.all(guesses.map(guess => verifyRideOtp(ride._id, rider, guess)));
+
+  const stored = await Ride.findById(ride._id);
+  const checked = stored.otpVerification.attempts.filter(attempt => attempt.result === OTP_RESULT.INVALID);
+  assert.equal(checked.length, OTP_CONFIG.MAX_ATTEMPTS);
+  assert.equal(stored.otpVerification.failedAttempts, OTP_CONFIG.MAX_ATTEMPTS);
+  assert.ok(stored.otpVerification.lockedUntil > new Date());
+  assert.equal(results.filter(result => result.result === OTP_RESULT.INVALID).length, OTP_CONFIG.MAX_ATTEMPTS - 1);
+
+  // Locked out: even the right code is not checked
+  assert.equal((await verifyRideOtp(ride._id, rider, '1234')).result, OTP_RESULT.LOCKED);
+});
+
+test('a correct code verifies the ride and resets the counter', async () => {
+  const rider = new mongoose.Types.ObjectId();
+  const ride = await createRide(new mongoose.Types.ObjectId(), '1234', rider);
+
+  assert.equal((await verifyRideOtp(ride._id, rider, '9999')).result, OTP_RESULT.INVALID);
+  assert.equal((await verifyRideOtp(ride._id, rider, '1234')).result, OTP_RESULT.VERIFIED);
+
+  const stored = await Ride.findById(ride._id);
+  assert.equal(stored.otpVerification.failedAttempts, 0);
+  assert.ok(stored.otpVerification.verifiedAt);
+});
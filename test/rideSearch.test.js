@@ -0,0 +1,72 @@
+import { startTestDatabase, stopTestDatabase, clearTestDatabase } from './helpers/db.js';
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { DISPATCH_CONFIG, startRideSearch, stopRideSearch } from '../utils/dispatchEngine.js';
+
+const createSearchingRide = () => Ride.create({
+  vehicle: 'Tricycle',
+  distance: 2,
+  fare: 25,
+  customer: new mongoose.Types.ObjectId(),
+  pickup: { address: 'Pickup', latitude: 14.5995, longitude: 120.9842 },
+  drop: { address: 'Drop', latitude: 14.6095, longitude: 120.9942 },
+  status: 'SEARCHING_FOR_RIDER',
+});
+
+// Socket.IO stand-in that records every emit
+const createFakeIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+  };
+};
+
+// Let a search retry started by a mocked interval finish its database work
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.fail('condition never became true');
+};
+
+const SEARCH_RETRY_MS = DISPATCH_CONFIG.SEARCH_RETRY_INTERVAL_SECONDS * 1000;
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(async () => {
+  await clearTestDatabase();
+  mock.timers.enable({ apis: ['setInterval'] });
+});
+afterEach(() => mock.timers.reset());
+
+test('each search retry steps the radius without a customer socket', async () => {
+  const ride = await createSearchingRide();
+  const io = createFakeIo();
+
+  await startRideSearch(io, ride._id);
+  mock.timers.tick(SEARCH_RETRY_MS);
+  await waitFor(async () => (await Ride.findById(ride._id)).tripLogs.searchRadiusLog.some(entry => entry.retry === 1));
+
+  mock.timers.tick(SEARCH_RETRY_MS);
+  await waitFor(async () => (await Ride.findById(ride._id)).tripLogs.searchRadiusLog.some(entry => entry.retry === 2));
+
+  stopRideSearch(ride._id);
+  assert.equal((await Ride.findById(ride._id)).status, 'SEARCHING_FOR_RIDER');
+});
+
+test('a search that runs out of retries times the ride out', async () => {
+  const ride = await createSearchingRide();
+  const io = createFakeIo();
+
+  await startRideSearch(io, ride._id, DISPATCH_CONFIG.MAX_SEARCH_RETRIES);
+  mock.timers.tick(SEARCH_RETRY_MS);
+  await waitFor(() => io.emitted.some(({ room, event }) => room === 'onDuty' && event === 'rideOfferTimeout'));
+
+  const customerRoom = `user_${ride.customer}`;
+  assert.equal((await Ride.findById(ride._id)).status, 'TIMEOUT');
+  assert.ok(io.emitted.some(({ room, event }) => room === customerRoom && event === 'error'));
+});
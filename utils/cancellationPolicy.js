@@ -0,0 +1,238 @@
+import Ride from '../models/Ride.js';
+import FareConfig from '../models/FareConfig.js';
+import { PENALTY_RULE_TYPES } from '../models/PenaltyRule.js';
+import {
+  newTransactionId,
+  getUserWallet,
+  postLedgerEntry,
+} from './ledger.js';
+import { evaluateUserPenaltyRules } from './penaltyEngine.js';
+import { calculateDistance } from './mapUtils.js';
+
+/**
+ * Cancellation Policy
+ *
+ * Decides what a cancellation costs:
+ *   - customers cancel for free while the ride is searching, and for a short
+ *     window after a rider accepts
+ *   - after that window they pay a late cancellation fee, and a higher fee
+ *     once the rider has arrived at the pickup
+ *   - a rider who waited long enough at the pickup can mark a no-show,
+ *     which cancels the ride and charges the customer the no-show fee
+ *   - arrival only counts when the rider is within arrivalRadiusMeters of
+ *     the pickup (checkArrivalAtPickup)
+ *   - riders pay no fee, but their cancellations count toward the
+ *     RIDER_CANCELLATIONS penalty rule (utils/penaltyEngine.js)
+ *
+ * Fees move from the customer's wallet to the rider's wallet. A customer
+ * without the balance ends up with a negative wallet (the fee is OWED).
+ */
+
+// Used for any field the vehicle's FareConfig.cancellationPolicy leaves unset
+export const DEFAULT_CANCELLATION_POLICY = {
+  freeWindowMinutes: 2,
+  lateCancellationFee: 10,
+  arrivedCancellationFee: 20,
+  noShowWaitMinutes: 5,
+  noShowFee: 20,
+  arrivalRadiusMeters: 150,
+};
+
+export const CANCELLATION_OUTCOME = {
+  FREE: 'FREE',
+  LATE_CANCELLATION: 'LATE_CANCELLATION',
+  AFTER_ARRIVAL: 'AFTER_ARRIVAL',
+  NO_SHOW: 'NO_SHOW',
+  RIDER_CANCELLATION: 'RIDER_CANCELLATION',
+};
+
+const toId = (value) => (value?._id || value)?.toString();
+
+const minutesSince = (date, now) => (now - new Date(date)) / (60 * 1000);
+
+/**
+ * Cancellation policy from the fare config version a ride was priced with
+ */
+export const getCancellationPolicy = async (ride) => {
+  const config = await FareConfig.getForRide(ride);
+  const saved = config?.cancellationPolicy?.toObject?.() || config?.cancellationPolicy || {};
+  const overrides = Object.fromEntries(
+    Object.entries(saved).filter(([, value]) => value !== null && value !== undefined)
+  );
+  return { ...DEFAULT_CANCELLATION_POLICY, ...overrides };
+};
+
+/**
+ * Whether the rider is close enough to the pickup to report arriving there
+ * @param {Object} ride - Ride heading to the pickup
+ * @param {Object|null} location - Rider's current { latitude, longitude }
+ * @param {Object} policy - From getCancellationPolicy
+ * @returns {Object} { allowed, message, distanceMeters }
+ */
+export const checkArrivalAtPickup = (ride, location, policy) => {
+  if (location?.latitude == null || location?.longitude == null) {
+    return { allowed: false, message: 'Your current location is needed to report arrival at the pickup' };
+  }
+
+  const distanceMeters = calculateDistance(
+    location.latitude,
+    location.longitude,
+    ride.pickup.latitude,
+    ride.pickup.longitude
+  ) * 1000;
+  if (distanceMeters > policy.arrivalRadiusMeters) {
+    return {
+      allowed: false,
+      message: `You are ${Math.round(distanceMeters)}m from the pickup point. Arrival can be reported within ${policy.arrivalRadiusMeters}m.`,
+      distanceMeters,
+    };
+  }
+
+  return { allowed: true, distanceMeters };
+};
+
+/**
+ * Whether the rider has reached the pickup point
+ */
+export const hasRiderArrived = (ride) => {
+  return Boolean(ride.tripLogs?.arrivedAtPickupTime) || ride.status === 'ARRIVED';
+};
+
+/**
+ * Work out the outcome of cancelling a ride now, without changing anything
+ * @param {Object} ride - Ride before it is cancelled
+ * @param {string} cancelledBy - 'customer' | 'rider' | 'system'
+ * @param {Object} policy - From getCancellationPolicy
+ * @returns {Object} { outcome, fee, freeUntil }
+ */
+export const assessCancellation = (ride, cancelledBy, policy, now = new Date()) => {
+  const acceptedAt = ride.tripLogs?.acceptTime;
+  const freeUntil = acceptedAt
+    ? new Date(new Date(acceptedAt).getTime() + policy.freeWindowMinutes * 60 * 1000)
+    : null;
+
+  if (cancelledBy === 'rider') {
+    // A rider backing out of a ride still searching is only declining the offer
+    const accepted = ['START', 'ARRIVED'].includes(ride.status);
+    return { outcome: accepted ? CANCELLATION_OUTCOME.RIDER_CANCELLATION : CANCELLATION_OUTCOME.FREE, fee: 0, freeUntil: null };
+  }
+
+  if (cancelledBy !== 'customer' || !['START', 'ARRIVED'].includes(ride.status)) {
+    return { outcome: CANCELLATION_OUTCOME.FREE, fee: 0, freeUntil: null };
+  }
+
+  // The free window holds even if the rider reaches the pickup within it
+  if (!acceptedAt || minutesSince(acceptedAt, now) <= policy.freeWindowMinutes) {
+    return { outcome: CANCELLATION_OUTCOME.FREE, fee: 0, freeUntil };
+  }
+
+  if (hasRiderArrived(ride)) {
+    return { outcome: CANCELLATION_OUTCOME.AFTER_ARRIVAL, fee: policy.arrivedCancellationFee, freeUntil };
+  }
+
+  return { outcome: CANCELLATION_OUTCOME.LATE_CANCELLATION, fee: policy.lateCancellationFee, freeUntil };
+};
+
+/**
+ * Whether the rider may mark the customer as a no-show yet
+ * @returns {Object} { allowed, message, waitedMinutes, availableAt }
+ */
+export const checkNoShowAllowed = (ride, policy, now = new Date()) => {
+  if (ride.status !== 'START') {
+    return { allowed: false, message: 'A no-show can only be reported before the trip starts' };
+  }
+  if (!ride.tripLogs?.arrivedAtPickupTime) {
+    return { allowed: false, message: 'Report your arrival at the pickup point first' };
+  }
+  if (ride.otpVerification?.verifiedAt) {
+    return { allowed: false, message: "The passenger's OTP has already been verified" };
+  }
+
+  const waitedMinutes = minutesSince(ride.tripLogs.arrivedAtPickupTime, now);
+  const availableAt = new Date(new Date(ride.tripLogs.arrivedAtPickupTime).getTime() + policy.noShowWaitMinutes * 60 * 1000);
+  if (waitedMinutes < policy.noShowWaitMinutes) {
+    const remaining = Math.ceil(policy.noShowWaitMinutes - waitedMinutes);
+    return {
+      allowed: false,
+      message: `Please wait ${remaining} more minute(s) for the passenger before reporting a no-show`,
+      waitedMinutes,
+      availableAt,
+    };
+  }
+
+  return { allowed: true, waitedMinutes, availableAt };
+};
+
+/**
+ * Apply the policy to a ride that has just been cancelled (and saved):
+ * charge the customer any fee and check the rider cancellation / no-show penalty rules.
+ * Safe to call twice - a ride is only assessed once. Never throws; the ride
+ * is already cancelled.
+ * @param {Object} ride - Cancelled ride (status CANCELLED)
+ * @param {Object} options - { cancelledBy, actorId, assessment } - pass the assessment
+ *                           made before the status changed, otherwise it is made now
+ * @returns {Object|null} The ride.cancellation record
+ */
+export const applyCancellationPolicy = async (ride, { cancelledBy, actorId = null, assessment = null } = {}) => {
+  try {
+    const result = assessment || assessCancellation(ride, cancelledBy, await getCancellationPolicy(ride));
+    const fee = ride.rider ? Number(result.fee) || 0 : 0;
+    const transactionId = fee > 0 ? newTransactionId() : null;
+
+    // Claim the assessment atomically so a retried cancel can't charge twice
+    const claimed = await Ride.updateOne(
+      { _id: ride._id, 'cancellation.assessedAt': null },
+      {
+        $set: {
+          'cancellation.outcome': result.outcome,
+          'cancellation.fee': fee,
+          'cancellation.chargedTo': fee > 0 ? toId(ride.customer) : null,
+          'cancellation.transactionId': transactionId,
+          'cancellation.assessedAt': new Date(),
+        },
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return null;
+    }
+
+    let feeStatus = 'NONE';
+    if (fee > 0) {
+      const customerWallet = await getUserWallet(toId(ride.customer));
+      await postLedgerEntry({
+        transactionId,
+        type: 'CANCELLATION_FEE',
+        debitAccount: customerWallet,
+        creditAccount: await getUserWallet(toId(ride.rider)),
+        amount: fee,
+        ride: ride._id,
+        user: toId(ride.customer),
+        description: result.outcome === CANCELLATION_OUTCOME.NO_SHOW ? 'No-show fee' : 'Cancellation fee',
+        createdBy: { actorType: cancelledBy, actorId },
+      });
+      feeStatus = customerWallet.balance >= fee ? 'CHARGED' : 'OWED';
+      await Ride.updateOne({ _id: ride._id }, { $set: { 'cancellation.feeStatus': feeStatus } });
+      console.log(`💸 ${result.outcome} fee of ₱${fee} for ride ${ride._id} (${feeStatus})`);
+    }
+
+    ride.set({
+      'cancellation.outcome': result.outcome,
+      'cancellation.fee': fee,
+      'cancellation.feeStatus': feeStatus,
+      'cancellation.chargedTo': fee > 0 ? toId(ride.customer) : null,
+      'cancellation.transactionId': transactionId,
+    });
+
+    if (result.outcome === CANCELLATION_OUTCOME.RIDER_CANCELLATION && ride.rider) {
+      await evaluateUserPenaltyRules(toId(ride.rider), [PENALTY_RULE_TYPES.RIDER_CANCELLATIONS]);
+    }
+    if (result.outcome === CANCELLATION_OUTCOME.NO_SHOW) {
+      await evaluateUserPenaltyRules(toId(ride.customer), [PENALTY_RULE_TYPES.CUSTOMER_NO_SHOWS]);
+    }
+
+    return ride.cancellation;
+  } catch (error) {
+    console.error(`❌ Error applying cancellation policy to ride ${ride._id}:`, error);
+    return null;
+  }
+};
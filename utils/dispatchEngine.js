@@ -0,0 +1,486 @@
+import Ride from '../models/Ride.js';
+import DispatchConfig from '../models/DispatchConfig.js';
+import { calculateDistance } from './mapUtils.js';
+import presenceStore from './presenceStore.js';
+import { transitionRideAtomic } from './rideStateMachine.js';
+import { refundRideHold } from './ledger.js';
+import { sendRidePushNotification } from './notificationService.js';
+import { releasePromotionUse } from './promotions.js';
+
+/**
+ * Dispatch Engine
+ *
+ * Offers a searching ride to the nearest on-duty riders one batch at a time
+ * instead of broadcasting it to every rider in the onDuty room. Each offer has
+ * an acceptance window; when the rider declines or the window expires, the
+ * ride moves on to the next rider in line. Every offer is recorded on the ride
+ * (ride.dispatchOffers) so admins can audit who was offered what.
+ *
+ * Riders are only considered within the ride's search radius
+ * (ride.tripLogs.searchRadiusKm), which comes from DispatchConfig and widens
+ * as the search goes on.
+ *
+ * Every searching ride has a search loop here (startRideSearch) that retries
+ * the offer round, steps the radius outward and times the ride out when
+ * nobody accepts - whether the ride was booked now, released from a schedule
+ * or the customer's app has gone offline. Loops live in memory, so they are
+ * picked up again from the ride's radius log on startup (resumeRideSearches).
+ */
+
+export const DISPATCH_CONFIG = {
+  // How long a rider has to accept an offer before it moves on
+  OFFER_TIMEOUT_SECONDS: 20,
+  // How many riders receive the same offer at once
+  BATCH_SIZE: 1,
+  // How often a searching ride gets another offer round and radius step
+  SEARCH_RETRY_INTERVAL_SECONDS: 10,
+  // Retries before a search gives up and the ride times out (10 minutes)
+  MAX_SEARCH_RETRIES: 60,
+};
+
+// Open acceptance windows per ride (rideId -> timeout handle)
+const offerTimers = new Map();
+// Rides currently being dispatched, to avoid two overlapping offer rounds
+const dispatchInFlight = new Set();
+// Running search loops per ride (rideId -> { interval, retries, running })
+const searchLoops = new Map();
+
+const toId = (id) => (id?._id || id)?.toString();
+
+const clearOfferTimer = (rideId) => {
+  const key = toId(rideId);
+  const timer = offerTimers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(key);
+  }
+};
+
+// Riders are reached through their personal room so emits work from any server instance
+const emitToRider = (io, riderId, event, ...args) => {
+  io.to(`user_${toId(riderId)}`).emit(event, ...args);
+};
+
+/**
+ * Rank on-duty riders by distance to a pickup point
+ * @param {Array} onDutyRiders - Presence records [{ riderId, coords, distanceKm?, ... }]
+ * @param {Object} pickup - { latitude, longitude }
+ * @param {Object} options - { excludedRiderIds, offerCounts, maxDistanceKm }
+ * @returns {Array} [{ riderId, distanceKm, previousOffers }] best candidate first
+ */
+export const rankRidersByDistance = (onDutyRiders, pickup, { excludedRiderIds = [], offerCounts = {}, maxDistanceKm = null } = {}) => {
+  const excluded = new Set(excludedRiderIds.map(toId));
+  const candidates = [];
+
+  for (const riderData of onDutyRiders) {
+    const { riderId } = riderData;
+    if (excluded.has(riderId)) continue;
+    if (!riderData.coords?.latitude || !riderData.coords?.longitude) continue;
+
+    // Records from getOnDutyRidersNear already carry the $geoNear distance
+    const distanceKm = riderData.distanceKm ?? calculateDistance(
+      riderData.coords.latitude,
+      riderData.coords.longitude,
+      pickup.latitude,
+      pickup.longitude
+    );
+
+    if (maxDistanceKm && distanceKm > maxDistanceKm) continue;
+
+    candidates.push({
+      riderId,
+      distanceKm,
+      previousOffers: offerCounts[riderId] || 0,
+    });
+  }
+
+  // Riders who have not been offered this ride yet go first, then nearest first
+  return candidates.sort((a, b) => a.previousOffers - b.previousOffers || a.distanceKm - b.distanceKm);
+};
+
+// Append a radius entry to the ride's trip log
+const logSearchRadius = (ride, retry, { radiusKm, source }) => {
+  ride.tripLogs.searchRadiusKm = radiusKm;
+  ride.tripLogs.searchRadiusLog.push({ retry, radiusKm, source, loggedAt: new Date() });
+};
+
+/**
+ * Set the search radius for a retry of the rider search from DispatchConfig
+ * (stepping outward, e.g. 1km -> 2km -> 3km) and record it in the trip log.
+ * @returns {number|null} The radius in km, or null if the ride is no longer searching
+ */
+export const applySearchRadius = async (rideId, retry = 0) => {
+  const ride = await Ride.findById(toId(rideId)).select("vehicle status tripLogs.searchRadiusKm tripLogs.requestTime createdAt");
+  if (!ride || ride.status !== "SEARCHING_FOR_RIDER") {
+    return null;
+  }
+
+  const previousRadiusKm = ride.tripLogs?.searchRadiusKm;
+  const radius = await DispatchConfig.getSearchRadius(ride.vehicle, retry, ride.tripLogs?.requestTime || ride.createdAt);
+
+  // Atomic update so it never conflicts with a concurrent offer round saving the ride
+  await Ride.updateOne(
+    { _id: ride._id, status: "SEARCHING_FOR_RIDER" },
+    {
+      $set: { "tripLogs.searchRadiusKm": radius.radiusKm },
+      $push: { "tripLogs.searchRadiusLog": { retry, radiusKm: radius.radiusKm, source: radius.source, loggedAt: new Date() } },
+    }
+  );
+
+  if (previousRadiusKm !== radius.radiusKm) {
+    console.log(`📡 Dispatch: Search radius for ride ${toId(rideId)} is now ${radius.radiusKm}km (retry ${retry}, ${radius.source})`);
+  }
+  return radius.radiusKm;
+};
+
+/**
+ * Offer a searching ride to the next batch of nearest riders.
+ * Does nothing while an acceptance window is still open for the ride.
+ * @returns {Array} The riders who received the offer
+ */
+export const offerRideToNextRiders = async (io, rideId) => {
+  const key = toId(rideId);
+  if (offerTimers.has(key) || dispatchInFlight.has(key)) {
+    return [];
+  }
+
+  dispatchInFlight.add(key);
+  try {
+    const ride = await Ride.findById(key).populate("customer", "firstName lastName phone");
+    if (!ride || ride.status !== "SEARCHING_FOR_RIDER") {
+      return [];
+    }
+
+    // Offers still PENDING without a running timer (e.g. after a restart) are stale
+    const now = new Date();
+    ride.dispatchOffers.forEach(offer => {
+      if (offer.status === "PENDING") {
+        offer.status = "TIMEOUT";
+        offer.respondedAt = now;
+      }
+    });
+
+    const declinedRiderIds = ride.dispatchOffers
+      .filter(offer => offer.status === "DECLINED")
+      .map(offer => offer.rider);
+    const offerCounts = ride.dispatchOffers.reduce((acc, offer) => {
+      const riderId = toId(offer.rider);
+      acc[riderId] = (acc[riderId] || 0) + 1;
+      return acc;
+    }, {});
+
+    // First offer round starts at the initial radius for the vehicle type
+    if (ride.tripLogs.searchRadiusKm == null) {
+      const radius = await DispatchConfig.getSearchRadius(ride.vehicle, 0, ride.tripLogs.requestTime || ride.createdAt);
+      logSearchRadius(ride, 0, radius);
+    }
+    const radiusKm = ride.tripLogs.searchRadiusKm;
+
+    const onDutyRiders = await presenceStore.getOnDutyRidersNear(ride.pickup, radiusKm);
+    const batch = rankRidersByDistance(onDutyRiders, ride.pickup, {
+      excludedRiderIds: [...(ride.blacklistedRiders || []), ...declinedRiderIds],
+      offerCounts,
+      maxDistanceKm: radiusKm,
+    }).slice(0, DISPATCH_CONFIG.BATCH_SIZE);
+
+    if (batch.length === 0) {
+      if (ride.isModified()) {
+        await ride.save();
+      }
+      console.log(`🚧 Dispatch: No eligible riders within ${radiusKm}km of ride ${key} right now`);
+      return [];
+    }
+
+    const expiresAt = new Date(now.getTime() + DISPATCH_CONFIG.OFFER_TIMEOUT_SECONDS * 1000);
+    batch.forEach(candidate => {
+      ride.dispatchOffers.push({
+        rider: candidate.riderId,
+        distanceKm: Math.round(candidate.distanceKm * 1000) / 1000,
+        offeredAt: now,
+        expiresAt,
+        status: "PENDING",
+      });
+    });
+    await ride.save();
+
+    offerTimers.set(
+      key,
+      setTimeout(() => handleOfferTimeout(io, key), DISPATCH_CONFIG.OFFER_TIMEOUT_SECONDS * 1000)
+    );
+
+    batch.forEach(candidate => {
+      emitToRider(io, candidate.riderId, "newRideRequest", ride, {
+        expiresAt,
+        timeoutSeconds: DISPATCH_CONFIG.OFFER_TIMEOUT_SECONDS,
+      });
+      console.log(`📨 Dispatch: Offered ride ${key} to rider ${candidate.riderId} (${candidate.distanceKm.toFixed(2)}km away)`);
+    });
+
+    return batch;
+  } catch (error) {
+    console.error(`❌ Dispatch: Error offering ride ${key}:`, error);
+    return [];
+  } finally {
+    dispatchInFlight.delete(key);
+  }
+};
+
+// Acceptance window expired - mark the pending offers and move on
+const handleOfferTimeout = async (io, rideId) => {
+  offerTimers.delete(rideId);
+
+  try {
+    const ride = await Ride.findById(rideId);
+    if (!ride || ride.status !== "SEARCHING_FOR_RIDER") {
+      return;
+    }
+
+    const now = new Date();
+    const expiredOffers = ride.dispatchOffers.filter(offer => offer.status === "PENDING");
+    expiredOffers.forEach(offer => {
+      offer.status = "TIMEOUT";
+      offer.respondedAt = now;
+    });
+    await ride.save();
+
+    expiredOffers.forEach(offer => {
+      emitToRider(io, offer.rider, "rideOfferTimeout", rideId);
+      console.log(`⏱️ Dispatch: Offer for ride ${rideId} to rider ${offer.rider} timed out`);
+    });
+
+    await offerRideToNextRiders(io, rideId);
+  } catch (error) {
+    console.error(`❌ Dispatch: Error handling offer timeout for ride ${rideId}:`, error);
+  }
+};
+
+/**
+ * Record a rider declining their offer and move on to the next rider
+ * once nobody in the current batch is still deciding.
+ * @returns {boolean} Whether the rider had a pending offer for the ride
+ */
+export const declineRideOffer = async (io, rideId, riderId) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    return false;
+  }
+
+  const offer = ride.dispatchOffers.find(
+    o => toId(o.rider) === toId(riderId) && o.status === "PENDING"
+  );
+  if (!offer) {
+    return false;
+  }
+
+  offer.status = "DECLINED";
+  offer.respondedAt = new Date();
+  await ride.save();
+  console.log(`🙅 Dispatch: Rider ${riderId} declined ride ${rideId}`);
+
+  if (!ride.dispatchOffers.some(o => o.status === "PENDING")) {
+    clearOfferTimer(rideId);
+    await offerRideToNextRiders(io, rideId);
+  }
+
+  return true;
+};
+
+/**
+ * Expire a rider's pending offers (went off duty / disconnected) so their
+ * rides move on without waiting for the acceptance window.
+ */
+export const releaseRiderOffers = async (io, riderId) => {
+  try {
+    const rides = await Ride.find({
+      status: "SEARCHING_FOR_RIDER",
+      dispatchOffers: { $elemMatch: { rider: riderId, status: "PENDING" } },
+    });
+
+    for (const ride of rides) {
+      const now = new Date();
+      ride.dispatchOffers.forEach(offer => {
+        if (toId(offer.rider) === toId(riderId) && offer.status === "PENDING") {
+          offer.status = "TIMEOUT";
+          offer.respondedAt = now;
+        }
+      });
+      await ride.save();
+
+      if (!ride.dispatchOffers.some(o => o.status === "PENDING")) {
+        clearOfferTimer(ride._id);
+        await offerRideToNextRiders(io, ride._id);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Dispatch: Error releasing offers for rider ${riderId}:`, error);
+  }
+};
+
+/**
+ * Close all pending offers on a ride (accepted, cancelled or timed out).
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @param {Object} ride - Ride document
+ * @param {string|null} acceptedRiderId - Rider who accepted, if any
+ */
+export const settleRideOffers = (ride, acceptedRiderId = null) => {
+  clearOfferTimer(ride._id);
+  stopRideSearch(ride._id);
+
+  const now = new Date();
+  (ride.dispatchOffers || []).forEach(offer => {
+    if (offer.status !== "PENDING") return;
+    offer.status = acceptedRiderId && toId(offer.rider) === toId(acceptedRiderId) ? "ACCEPTED" : "CANCELLED";
+    offer.respondedAt = now;
+  });
+};
+
+/**
+ * Whether a rider may accept a ride under sequential dispatch.
+ * Rides that were never dispatched (no offers recorded) stay open to anyone.
+ */
+export const canRiderAcceptRide = (ride, riderId) => {
+  if (!ride.dispatchOffers || ride.dispatchOffers.length === 0) {
+    return true;
+  }
+  return ride.dispatchOffers.some(
+    offer => toId(offer.rider) === toId(riderId) && offer.status === "PENDING"
+  );
+};
+
+/**
+ * Get the searching rides currently offered to a rider
+ */
+export const getOfferedRidesForRider = async (riderId) => {
+  return Ride.find({
+    status: "SEARCHING_FOR_RIDER",
+    dispatchOffers: { $elemMatch: { rider: riderId, status: "PENDING" } },
+  }).populate("customer", "firstName lastName phone");
+};
+
+/**
+ * Start an offer round for every searching ride without an open window
+ * (e.g. when a new rider comes on duty).
+ */
+export const dispatchWaitingRides = async (io) => {
+  try {
+    const waitingRides = await Ride.find({ status: "SEARCHING_FOR_RIDER" }).select("_id");
+    for (const ride of waitingRides) {
+      await offerRideToNextRiders(io, ride._id);
+    }
+  } catch (error) {
+    console.error("❌ Dispatch: Error dispatching waiting rides:", error);
+  }
+};
+
+/**
+ * Stop a ride's search loop (accepted, cancelled or timed out)
+ */
+export const stopRideSearch = (rideId) => {
+  const key = toId(rideId);
+  const search = searchLoops.get(key);
+  if (search) {
+    clearInterval(search.interval);
+    searchLoops.delete(key);
+  }
+};
+
+// Give up on a ride nobody accepted: TIMEOUT, refund the hold and tell everyone
+const timeOutRideSearch = async (io, rideId) => {
+  const searchMinutes = Math.round(DISPATCH_CONFIG.MAX_SEARCH_RETRIES * DISPATCH_CONFIG.SEARCH_RETRY_INTERVAL_SECONDS / 60);
+
+  // Atomic status check so a rider accepting at the same moment wins cleanly
+  const ride = await transitionRideAtomic(rideId, "SEARCHING_FOR_RIDER", "TIMEOUT", {
+    actorType: "system",
+    reason: `No rider accepted after ${DISPATCH_CONFIG.MAX_SEARCH_RETRIES} search retries`,
+  });
+  if (!ride) {
+    return;
+  }
+
+  settleRideOffers(ride);
+  await refundRideHold(ride, { reason: "No rider found" });
+  await releasePromotionUse(ride);
+  await ride.save();
+  console.log(`🕐 Dispatch: Ride ${rideId} timed out after ${DISPATCH_CONFIG.MAX_SEARCH_RETRIES} retries`);
+
+  // Remove it from every on-duty rider's list
+  io.to("onDuty").emit("rideOfferTimeout", rideId);
+  io.to("onDuty").emit("rideCanceled", {
+    ride,
+    rideId,
+    cancelledBy: "system",
+    cancellerName: "System (Timeout)",
+  });
+
+  io.to(`user_${toId(ride.customer)}`).emit("error", { message: `No riders found within ${searchMinutes} minutes.` });
+  sendRidePushNotification(ride.customer, "rideCanceled", ride, {
+    reason: "No riders were available for your ride. Please try booking again.",
+  });
+};
+
+// One retry of a search: widen the radius, offer again, time out at the limit
+const runSearchRetry = async (io, rideId) => {
+  const search = searchLoops.get(rideId);
+  if (!search || search.running) {
+    return;
+  }
+
+  search.running = true;
+  try {
+    if (search.retries >= DISPATCH_CONFIG.MAX_SEARCH_RETRIES) {
+      stopRideSearch(rideId);
+      await timeOutRideSearch(io, rideId);
+      return;
+    }
+
+    search.retries++;
+    const radiusKm = await applySearchRadius(rideId, search.retries);
+    if (radiusKm == null) {
+      // Accepted, cancelled or gone - nothing left to search for
+      stopRideSearch(rideId);
+      return;
+    }
+    await offerRideToNextRiders(io, rideId);
+  } catch (error) {
+    console.error(`❌ Dispatch: Error retrying the search for ride ${rideId}:`, error);
+  } finally {
+    search.running = false;
+  }
+};
+
+/**
+ * Start the search loop for a searching ride and make the first offer round.
+ * Safe to call more than once - a ride only ever has one loop.
+ * @param {number} retries - Retries already spent (when resuming a search)
+ */
+export const startRideSearch = async (io, rideId, retries = 0) => {
+  const key = toId(rideId);
+  if (!searchLoops.has(key)) {
+    searchLoops.set(key, {
+      retries,
+      running: false,
+      interval: setInterval(() => runSearchRetry(io, key), DISPATCH_CONFIG.SEARCH_RETRY_INTERVAL_SECONDS * 1000),
+    });
+    console.log(`🔎 Dispatch: Searching for a rider for ride ${key}${retries ? ` (resumed at retry ${retries})` : ''}`);
+  }
+  return offerRideToNextRiders(io, key);
+};
+
+/**
+ * Restart the search loops of rides left searching when the server stopped,
+ * carrying on from the last retry in their radius log.
+ */
+export const resumeRideSearches = async (io) => {
+  try {
+    const searchingRides = await Ride.find({ status: "SEARCHING_FOR_RIDER" }).select("tripLogs.searchRadiusLog");
+    for (const ride of searchingRides) {
+      const retries = Math.max(0, ...(ride.tripLogs?.searchRadiusLog || []).map(entry => entry.retry || 0));
+      await startRideSearch(io, ride._id, retries);
+    }
+    if (searchingRides.length > 0) {
+      console.log(`🔎 Dispatch: Resumed ${searchingRides.length} rider search(es)`);
+    }
+  } catch (error) {
+    console.error("❌ Dispatch: Error resuming rider searches:", error);
+  }
+};
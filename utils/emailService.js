@@ -139,3 +139,72 @@ export const sendDisapprovalEmail = async (email, userName, userRole, reason) =>
     return false;
   }
 };
+
+// Send automatic penalty notification email
+export const sendPenaltyEmail = async (email, userName, userRole, reason, penaltyLiftDate) => {
+  try {
+    const transporter = createTransporter();
+    const liftDate = new Date(penaltyLiftDate).toLocaleString('en-PH', { timeZone: 'Asia/Manila' });
+    
+    const mailOptions = {
+      from: process.env.EMAIL_USER || 'noreply@Pedismart.com',
+      to: email,
+      subject: '⚠️ Pedismart - Your Account Has Been Temporarily Suspended',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #FF9800; padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Account Temporarily Suspended</h1>
+          </div>
+          <div style="padding: 30px; background-color: #f9f9f9;">
+            <p style="font-size: 16px;">Dear ${userName},</p>
+            <p style="font-size: 16px;">Your Pedismart ${userRole} account has been temporarily suspended because it went over one of our service quality limits.</p>
+            <div style="background-color: white; padding: 20px; border-left: 4px solid #FF9800; margin: 20px 0;">
+              <p style="margin: 0 0 10px 0; font-weight: bold; color: #FF9800;">Reason:</p>
+              <p style="margin: 0 0 15px 0; font-size: 16px;">${reason}</p>
+              <p style="margin: 0 0 10px 0; font-weight: bold; color: #FF9800;">Suspended until:</p>
+              <p style="margin: 0; font-size: 16px;">${liftDate}</p>
+            </div>
+            <p style="font-size: 16px;">Your account will be restored automatically after this date. If you think this is a mistake, please contact our support team.</p>
+          </div>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+          <p style="color: #666; font-size: 12px; text-align: center;">This is an automated message from Pedismart. Please do not reply to this email.</p>
+        </div>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('📧 Penalty email sent successfully to:', email, '- Message ID:', result.messageId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending penalty email:', error);
+    return false;
+  }
+};
+
+// Send a ride receipt (HTML body with the PDF attached)
+export const sendRideReceiptEmail = async (email, userName, receiptNumber, receiptHtml, receiptPdf) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: process.env.EMAIL_USER || 'noreply@Pedismart.com',
+      to: email,
+      subject: `🧾 Pedismart - Your Ride Receipt ${receiptNumber}`,
+      html: receiptHtml,
+      attachments: [
+        {
+          filename: `pedismart-receipt-${receiptNumber}.pdf`,
+          content: receiptPdf,
+          contentType: 'application/pdf',
+        },
+      ],
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`📧 Receipt ${receiptNumber} emailed to ${userName} (${email}) - Message ID:`, result.messageId);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending receipt email:', error);
+    return false;
+  }
+};
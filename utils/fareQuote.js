@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { calculateDistance } from './mapUtils.js';
+import { BadRequestError } from '../errors/index.js';
+
+/**
+ * Fare Quotes
+ *
+ * A fare estimate for a trip with a pickup and drop comes with a signed,
+ * short-lived quote token holding the price and everything it was worked
+ * out from (vehicle, distance, passenger count, breakdown, fare version,
+ * zones, surge and promotion). Booking with the token charges the quoted
+ * price even if the fare config, surge or time-of-day surcharges changed in
+ * between - as long as the booking is for the same trip and any promotion
+ * on it can still be used. Expired or tampered tokens are rejected.
+ */
+
+export const FARE_QUOTE_CONFIG = {
+  // Signing secret (derived from ACCESS_TOKEN_SECRET when not set; quotes
+  // can't be signed or checked when neither is set)
+  SECRET: process.env.FARE_QUOTE_SECRET,
+  TTL_MINUTES: parseInt(process.env.FARE_QUOTE_TTL_MINUTES) || 5,
+  // How far the booked trip's distance may differ from the quoted one (%)
+  DISTANCE_TOLERANCE_PERCENT: parseFloat(process.env.FARE_QUOTE_DISTANCE_TOLERANCE_PERCENT) || 10,
+  // How far the booked pickup/drop may be from the quoted ones (km)
+  LOCATION_TOLERANCE_KM: 0.2,
+};
+
+// Keeps quote tokens and login tokens from being accepted in place of each other
+const QUOTE_AUDIENCE = 'fare-quote';
+
+// Never falls back to a key anyone could work out (an HMAC of an empty secret)
+const getQuoteSecret = () => {
+  if (FARE_QUOTE_CONFIG.SECRET) {
+    return FARE_QUOTE_CONFIG.SECRET;
+  }
+  if (!process.env.ACCESS_TOKEN_SECRET) {
+    throw new Error('Fare quotes cannot be signed: set FARE_QUOTE_SECRET or ACCESS_TOKEN_SECRET');
+  }
+  return crypto.createHmac('sha256', process.env.ACCESS_TOKEN_SECRET).update(QUOTE_AUDIENCE).digest('hex');
+};
+
+const toCoords = (location) => ({ latitude: Number(location.latitude), longitude: Number(location.longitude) });
+
+/**
+ * Sign a quote for a fare estimate
+ * @param {Object} fareEstimate - Result of FareConfig.calculateFare
+ * @param {Object} trip - { vehicleType, distanceKm, passengerCount, pickup, drop, scheduledFor }
+ * @returns {Object} { quoteToken, expiresAt }
+ */
+export const createFareQuoteToken = (fareEstimate, { vehicleType, distanceKm, passengerCount, pickup, drop, scheduledFor = null }) => {
+  const expiresAt = new Date(Date.now() + FARE_QUOTE_CONFIG.TTL_MINUTES * 60 * 1000);
+
+  const quoteToken = jwt.sign(
+    {
+      vehicleType,
+      distanceKm,
+      passengerCount,
+      pickup: toCoords(pickup),
+      drop: toCoords(drop),
+      scheduledFor,
+      pricedAt: fareEstimate.pricedAt,
+      totalFare: fareEstimate.totalFare,
+      breakdown: fareEstimate.breakdown,
+      fareConfigId: fareEstimate.fareConfigId,
+      fareVersion: fareEstimate.fareVersion,
+      zonePricing: fareEstimate.zonePricing,
+      surge: fareEstimate.surge
+        ? { multiplier: fareEstimate.surge.multiplier, zone: fareEstimate.surge.zone, snapshot: fareEstimate.surge.snapshot }
+        : null,
+      promotion: fareEstimate.promotion,
+    },
+    getQuoteSecret(),
+    {
+      audience: QUOTE_AUDIENCE,
+      expiresIn: FARE_QUOTE_CONFIG.TTL_MINUTES * 60,
+      jwtid: crypto.randomBytes(8).toString('hex'),
+    }
+  );
+
+  return { quoteToken, expiresAt };
+};
+
+/**
+ * Read a quote token
+ * @throws {BadRequestError} When the token has expired or was not signed by us
+ */
+export const verifyFareQuoteToken = (quoteToken) => {
+  // A missing secret is a server problem, not an invalid quote
+  const secret = getQuoteSecret();
+  try {
+    return jwt.verify(quoteToken, secret, { audience: QUOTE_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new BadRequestError('Your fare quote has expired. Please get a new fare estimate and book again.');
+    }
+    throw new BadRequestError('Invalid fare quote');
+  }
+};
+
+const isNear = (quoted, booked) => {
+  return calculateDistance(quoted.latitude, quoted.longitude, booked.latitude, booked.longitude)
+    <= FARE_QUOTE_CONFIG.LOCATION_TOLERANCE_KM;
+};
+
+/**
+ * Check that a booking is for the trip a quote was given for
+ * @param {Object} quote - From verifyFareQuoteToken
+ * @param {Object} booking - { vehicle, distance, passengerCount, pickup, drop, scheduledTime }
+ * @throws {BadRequestError} Saying what differs
+ */
+export const assertQuoteMatchesBooking = (quote, { vehicle, distance, passengerCount, pickup, drop, scheduledTime }) => {
+  if (quote.vehicleType !== vehicle) {
+    throw new BadRequestError(`This fare quote is for a ${quote.vehicleType}, not a ${vehicle}`);
+  }
+  if (quote.passengerCount !== passengerCount) {
+    throw new BadRequestError(`This fare quote is for ${quote.passengerCount} passenger(s), not ${passengerCount}`);
+  }
+  if (!isNear(quote.pickup, toCoords(pickup)) || !isNear(quote.drop, toCoords(drop))) {
+    throw new BadRequestError('This fare quote is for a different pickup or drop-off. Please get a new fare estimate.');
+  }
+
+  const allowedKm = quote.distanceKm * FARE_QUOTE_CONFIG.DISTANCE_TOLERANCE_PERCENT / 100;
+  if (Math.abs(distance - quote.distanceKm) > allowedKm) {
+    throw new BadRequestError('This fare quote is for a different route distance. Please get a new fare estimate.');
+  }
+
+  const quotedSchedule = quote.scheduledFor ? new Date(quote.scheduledFor).getTime() : null;
+  const bookedSchedule = scheduledTime ? scheduledTime.getTime() : null;
+  const sameSchedule = quotedSchedule === null || bookedSchedule === null
+    ? quotedSchedule === bookedSchedule
+    : Math.abs(quotedSchedule - bookedSchedule) <= 60 * 1000;
+  if (!sameSchedule) {
+    throw new BadRequestError('This fare quote is for a different pickup time. Please get a new fare estimate.');
+  }
+};
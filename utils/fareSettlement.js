@@ -0,0 +1,142 @@
+import FareConfig from '../models/FareConfig.js';
+import CheckpointSnapshot from '../models/CheckpointSnapshot.js';
+
+/**
+ * Fare Settlement
+ *
+ * When a ride completes, the fare quoted at booking is re-priced with the
+ * ride's fare config version using the distance the rider actually drove
+ * (from the GPS checkpoints). If the route was flagged as a significant
+ * deviation, the billable distance is capped so the passenger doesn't pay
+ * for a detour. The quote and the settlement are both kept on the ride.
+ */
+
+export const FARE_SETTLEMENT_CONFIG = {
+  // With a significant deviation, bill at most this much over the estimated distance (%)
+  DEVIATION_TOLERANCE_PERCENT: parseFloat(process.env.FARE_DEVIATION_TOLERANCE_PERCENT) || 20,
+};
+
+const roundKm = (km) => Math.round(km * 1000) / 1000;
+
+// Same fallback FareConfig.calculateFare's callers use when pricing fails
+const fallbackFare = (distanceKm) => ({
+  totalFare: Math.round(Math.max(20, distanceKm * 2.8) * 100) / 100,
+  breakdown: { fallback: true, distanceFare: Math.round(distanceKm * 2.8 * 100) / 100 },
+});
+
+/**
+ * Build the ride.quotedFare record for the fare shown at booking
+ * @param {Object} quote - { amount, distanceKm, breakdown }
+ */
+export const buildQuotedFare = ({ amount, distanceKm, breakdown = null, pricedAt = null }) => ({
+  amount,
+  distanceKm,
+  breakdown,
+  quotedAt: new Date(),
+  pricedAt,
+});
+
+// Time a ride's fare is priced for: the time it was quoted for, or when it was requested
+export const getFarePricingTime = (ride) => {
+  return ride.quotedFare?.pricedAt || ride.tripLogs?.requestTime || ride.createdAt || new Date();
+};
+
+/**
+ * Work out the distance to bill for a completed ride
+ * @param {Object} ride - Ride document with routeLogs filled in
+ * @returns {Object} { distanceKm, source: 'route'|'capped'|'estimated', routeDistanceKm, capDistanceKm }
+ */
+export const resolveBillableDistance = (ride) => {
+  const estimatedDistance = ride.finalDistance ?? ride.routeLogs?.estimatedDistance ?? ride.distance;
+  const routeDistance = ride.routeLogs?.routeDistance;
+
+  // No usable GPS trace - fall back to the estimate
+  if (!routeDistance || routeDistance <= 0) {
+    return { distanceKm: roundKm(estimatedDistance), source: 'estimated', routeDistanceKm: null, capDistanceKm: null };
+  }
+
+  if (ride.routeLogs?.hasSignificantDeviation) {
+    const capDistanceKm = roundKm(estimatedDistance * (1 + FARE_SETTLEMENT_CONFIG.DEVIATION_TOLERANCE_PERCENT / 100));
+    if (routeDistance > capDistanceKm) {
+      return { distanceKm: capDistanceKm, source: 'capped', routeDistanceKm: roundKm(routeDistance), capDistanceKm };
+    }
+  }
+
+  return { distanceKm: roundKm(routeDistance), source: 'route', routeDistanceKm: roundKm(routeDistance), capDistanceKm: null };
+};
+
+/**
+ * Settle the fare of a completed ride.
+ * Single-passenger rides are re-priced from the billable distance; shared rides
+ * keep the per-passenger split from settlePassengerFares (call that first).
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @param {Object} ride - Ride document
+ * @returns {Object} The settledFare record
+ */
+export const settleRideFare = async (ride) => {
+  // Rides booked before fare settlement existed: the charged fare was the quote
+  if (ride.quotedFare?.amount == null) {
+    ride.quotedFare = buildQuotedFare({
+      amount: ride.fare,
+      distanceKm: ride.routeLogs?.estimatedDistance ?? ride.distance,
+    });
+  }
+
+  if (!ride.routeLogs) {
+    ride.routeLogs = {};
+  }
+  if (ride.routeLogs.routeDistance == null) {
+    try {
+      ride.routeLogs.routeDistance = await CheckpointSnapshot.calculateTotalDistance(ride._id);
+    } catch (checkpointError) {
+      // Settle from the estimate rather than fail the completion
+      console.error(`⚠️ Could not read route distance for ride ${ride._id}:`, checkpointError.message);
+    }
+  }
+
+  const billable = resolveBillableDistance(ride);
+  const passengers = ride.passengers || [];
+
+  let amount;
+  let breakdown;
+  if (passengers.length > 1) {
+    amount = ride.fare;
+    const promoDiscount = Math.round(passengers.reduce((sum, p) => sum + (p.promoDiscount || 0), 0) * 100) / 100;
+    breakdown = {
+      passengerSplit: passengers.map(p => ({
+        userId: p.userId,
+        distanceTravelledKm: p.distanceTravelledKm,
+        fare: p.fare,
+        promoDiscount: p.promoDiscount || 0,
+      })),
+      fareBeforeDiscount: Math.round((amount + promoDiscount) * 100) / 100,
+      promoDiscount,
+    };
+  } else {
+    const bookingTime = getFarePricingTime(ride);
+    let fareResult;
+    try {
+      fareResult = await FareConfig.calculateRideFare(ride, billable.distanceKm, 1, bookingTime);
+    } catch (fareError) {
+      console.log(`⚠️ Could not settle fare for ride ${ride._id}, using default: ${fareError.message}`);
+      fareResult = fallbackFare(billable.distanceKm);
+    }
+    amount = fareResult.totalFare;
+    breakdown = fareResult.breakdown;
+    ride.fare = amount;
+    passengers.forEach(passenger => { passenger.fare = amount; });
+  }
+
+  ride.settledFare = {
+    amount,
+    distanceKm: billable.distanceKm,
+    distanceSource: passengers.length > 1 ? 'passenger_split' : billable.source,
+    routeDistanceKm: billable.routeDistanceKm,
+    capDistanceKm: billable.capDistanceKm,
+    breakdown,
+    settledAt: new Date(),
+  };
+
+  console.log(`💰 Fare settled for ride ${ride._id}: quoted ₱${ride.quotedFare.amount} → settled ₱${amount} (${ride.settledFare.distanceSource}, ${billable.distanceKm}km)`);
+  return ride.settledFare;
+};
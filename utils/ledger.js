@@ -0,0 +1,566 @@
+import crypto from 'crypto';
+import Wallet, { SYSTEM_ACCOUNTS } from '../models/Wallet.js';
+import Ride from '../models/Ride.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { BadRequestError } from '../errors/index.js';
+import { getPaymentGateway } from './paymentGateways.js';
+
+/**
+ * Ledger Service
+ *
+ * Every movement of money is a LedgerEntry from one account to another.
+ * Wallet balances are updated with the entry and can always be rebuilt
+ * from the entries (recomputeWalletBalance).
+ *
+ * Ride payments:
+ *   booking (wallet)  FARE_HOLD       wallet -> FARE_HOLDS      (quoted fare)
+ *   cancellation      HOLD_REFUND     FARE_HOLDS -> wallet      (hold returned, also when an edit lowers the fare)
+ *   completion        HOLD_RELEASE    FARE_HOLDS -> wallet
+ *                     FARE_PAYMENT    wallet|cash -> RIDE_CLEARING (each passenger's fare)
+ *                     PROMO_DISCOUNT  PLATFORM_PROMOTIONS -> RIDE_CLEARING (discount the platform funds)
+ *                     RIDER_EARNING   RIDE_CLEARING -> rider     (undiscounted fare minus commission)
+ *                     PLATFORM_COMMISSION RIDE_CLEARING -> PLATFORM_REVENUE
+ *                     CASH_COLLECTED  rider -> cash            (cash the rider already holds)
+ *   refund            REFUND          rider|PLATFORM_REVENUE -> wallet (only ever a settled fare)
+ */
+
+export const RIDE_PAYMENT_METHODS = ['cash', 'wallet'];
+
+export const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+export const newTransactionId = () => `txn_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Get (or open) a user's wallet
+ */
+export const getUserWallet = async (userId) => {
+  return Wallet.findOneAndUpdate(
+    { owner: userId },
+    { $setOnInsert: { owner: userId } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get (or open) a platform account by SYSTEM_ACCOUNTS code
+ */
+export const getSystemAccount = async (systemCode) => {
+  return Wallet.findOneAndUpdate(
+    { systemCode },
+    { $setOnInsert: { systemCode } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Post one ledger entry and move the amount between the two cached balances.
+ * @param {Object} entry - { transactionId, type, debitAccount, creditAccount, amount, ride, user,
+ *                           method, reference, description, createdBy: { actorType, actorId } }
+ * @param {Object} options - { requireFunds } - refuse if the debit account can't cover the amount
+ * @returns {Object} The LedgerEntry
+ */
+export const postLedgerEntry = async ({ debitAccount, creditAccount, amount, ...details }, { requireFunds = false } = {}) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw new BadRequestError('Amount must be greater than zero');
+  }
+
+  const debitFilter = { _id: toId(debitAccount) };
+  if (requireFunds) {
+    debitFilter.balance = { $gte: value };
+  }
+
+  const debited = await Wallet.findOneAndUpdate(debitFilter, { $inc: { balance: -value } }, { new: true });
+  if (!debited) {
+    throw new BadRequestError('Insufficient wallet balance');
+  }
+
+  let entry;
+  try {
+    entry = await LedgerEntry.create({
+      ...details,
+      transactionId: details.transactionId || newTransactionId(),
+      debitAccount: debited._id,
+      creditAccount: toId(creditAccount),
+      amount: value,
+    });
+  } catch (error) {
+    // Undo the debit so the cached balance matches the entries
+    await Wallet.updateOne({ _id: debited._id }, { $inc: { balance: value } });
+    throw error;
+  }
+
+  await Wallet.updateOne({ _id: toId(creditAccount) }, { $inc: { balance: value } });
+
+  console.log(`📒 Ledger ${entry.type}: ₱${value} ${debited._id} → ${toId(creditAccount)}${entry.ride ? ` (ride ${entry.ride})` : ''}`);
+  return entry;
+};
+
+/**
+ * Rebuild a wallet's cached balance from its ledger entries
+ */
+export const recomputeWalletBalance = async (walletId) => {
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { $or: [{ debitAccount: walletId }, { creditAccount: walletId }] } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$creditAccount', walletId] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$debitAccount', walletId] }, '$amount', 0] } },
+      },
+    },
+  ]);
+
+  const balance = roundMoney((totals?.credits || 0) - (totals?.debits || 0));
+  await Wallet.updateOne({ _id: walletId }, { $set: { balance } });
+  return balance;
+};
+
+/**
+ * Add money to a user's wallet through a payment gateway
+ * @param {Object} topUp - { userId, amount, method, reference, createdBy }
+ * @returns {Object} { entry, wallet }
+ */
+export const topUpWallet = async ({ userId, amount, method = 'cash', reference = null, createdBy = {} }) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw new BadRequestError('Top-up amount must be greater than zero');
+  }
+
+  const gateway = getPaymentGateway(method);
+  const charge = await gateway.charge({ userId, amount: value, reference, description: 'Wallet top-up' });
+  if (!charge.success) {
+    throw new BadRequestError(charge.message || 'Payment was not completed');
+  }
+
+  const wallet = await getUserWallet(userId);
+  const source = await getSystemAccount(gateway.ledgerAccount);
+
+  const entry = await postLedgerEntry({
+    type: 'TOP_UP',
+    debitAccount: source,
+    creditAccount: wallet,
+    amount: value,
+    user: userId,
+    method: gateway.name,
+    reference: charge.reference,
+    description: `Wallet top-up via ${gateway.name}`,
+    createdBy,
+  });
+
+  return { entry, wallet: await Wallet.findById(wallet._id) };
+};
+
+/**
+ * Reserve the quoted fare from the booker's wallet at booking
+ * @param {string} rideId - ID of the ride being created
+ * @param {string} userId - Booker
+ * @param {number} amount - Quoted fare
+ * @returns {Object} The FARE_HOLD entry
+ */
+export const holdRideFare = async (rideId, userId, amount) => {
+  const wallet = await getUserWallet(userId);
+  const holds = await getSystemAccount(SYSTEM_ACCOUNTS.FARE_HOLDS);
+
+  return postLedgerEntry({
+    type: 'FARE_HOLD',
+    debitAccount: wallet,
+    creditAccount: holds,
+    amount,
+    ride: rideId,
+    user: userId,
+    description: 'Quoted fare reserved at booking',
+    createdBy: { actorType: 'customer', actorId: userId },
+  }, { requireFunds: true });
+};
+
+/**
+ * Post the HOLD_REFUND that returns a booking hold to the booker's wallet
+ */
+export const returnFareHold = async (rideId, userId, amount, { reason = 'Ride cancelled', createdBy = {} } = {}) => {
+  const wallet = await getUserWallet(userId);
+  const holds = await getSystemAccount(SYSTEM_ACCOUNTS.FARE_HOLDS);
+
+  return postLedgerEntry({
+    type: 'HOLD_REFUND',
+    debitAccount: holds,
+    creditAccount: wallet,
+    amount,
+    ride: rideId,
+    user: userId,
+    description: `Fare hold refunded: ${reason}`,
+    createdBy,
+  });
+};
+
+/**
+ * Return the booking hold of a cancelled ride to the booker's wallet.
+ * Mutates ride.payment - the caller is responsible for saving the ride.
+ * @returns {Object|null} The REFUND entry, or null if nothing was held
+ */
+export const refundRideHold = async (ride, { reason = 'Ride cancelled', createdBy = {} } = {}) => {
+  if (ride.payment?.status !== 'HELD' || !(ride.payment.heldAmount > 0)) {
+    return null;
+  }
+
+  // Claim the refund atomically so two cancel paths can't both refund the hold
+  const heldAmount = ride.payment.heldAmount;
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, 'payment.status': 'HELD' },
+    { $set: { 'payment.status': 'REFUNDED' }, $inc: { 'payment.refundedAmount': heldAmount } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const entry = await returnFareHold(ride._id, toId(ride.customer), heldAmount, { reason, createdBy });
+
+  ride.payment.status = 'REFUNDED';
+  ride.payment.refundedAmount = roundMoney((ride.payment.refundedAmount || 0) + heldAmount);
+  console.log(`💸 Refunded ₱${heldAmount} fare hold for cancelled ride ${ride._id}`);
+  return entry;
+};
+
+/**
+ * Move a ride's booking hold to a new fare (e.g. a scheduled ride edited
+ * before release): the difference is held from, or returned to, the
+ * booker's wallet. A top-up the wallet can't cover is refused.
+ * Mutates ride.payment - the caller is responsible for saving the ride.
+ * @returns {Object|null} The FARE_HOLD or REFUND entry, or null if nothing changed
+ */
+export const adjustRideHold = async (ride, amount, { reason = 'Fare changed', createdBy = {} } = {}) => {
+  const heldAmount = ride.payment?.heldAmount || 0;
+  const newAmount = roundMoney(amount);
+  const difference = roundMoney(newAmount - heldAmount);
+  if (ride.payment?.status !== 'HELD' || difference === 0) {
+    return null;
+  }
+
+  // Claim the change atomically so a concurrent cancel/refund sees one amount
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, 'payment.status': 'HELD', 'payment.heldAmount': heldAmount },
+    { $set: { 'payment.heldAmount': newAmount } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new BadRequestError('The payment for this ride changed - please try again');
+  }
+
+  const customerId = toId(ride.customer);
+  let entry;
+  try {
+    entry = difference > 0
+      ? await holdRideFare(ride._id, customerId, difference)
+      : await returnFareHold(ride._id, customerId, -difference, { reason, createdBy });
+  } catch (error) {
+    await Ride.updateOne(
+      { _id: ride._id, 'payment.heldAmount': newAmount },
+      { $set: { 'payment.heldAmount': heldAmount } }
+    );
+    throw error;
+  }
+
+  ride.payment.heldAmount = newAmount;
+  console.log(`💸 Fare hold for ride ${ride._id} moved from ₱${heldAmount} to ₱${newAmount}`);
+  return entry;
+};
+
+// Post a ride's settlement entries, adding each one to `entries` as it is
+// posted (so a failure part-way knows what to undo)
+const postSettlementEntries = async (ride, base, entries) => {
+  const [holds, clearing, cash] = await Promise.all([
+    getSystemAccount(SYSTEM_ACCOUNTS.FARE_HOLDS),
+    getSystemAccount(SYSTEM_ACCOUNTS.RIDE_CLEARING),
+    getSystemAccount(SYSTEM_ACCOUNTS.EXTERNAL_CASH),
+  ]);
+
+  // Give the booking hold back first - the fare is charged in full below
+  if (ride.payment?.status === 'HELD' && ride.payment.heldAmount > 0) {
+    entries.push(await postLedgerEntry({
+      ...base,
+      type: 'HOLD_RELEASE',
+      debitAccount: holds,
+      creditAccount: await getUserWallet(toId(ride.customer)),
+      amount: ride.payment.heldAmount,
+      user: toId(ride.customer),
+      description: 'Booking hold released at completion',
+    }));
+  }
+
+  let walletTotal = 0;
+  let cashTotal = 0;
+  for (const passenger of ride.passengers || []) {
+    const fare = roundMoney(passenger.fare);
+    if (!(fare > 0)) continue;
+    const passengerId = toId(passenger.userId);
+
+    let paidFromWallet = false;
+    if (passenger.paymentMethod === 'wallet') {
+      try {
+        entries.push(await postLedgerEntry({
+          ...base,
+          type: 'FARE_PAYMENT',
+          debitAccount: await getUserWallet(passengerId),
+          creditAccount: clearing,
+          amount: fare,
+          user: passengerId,
+          method: 'wallet',
+          description: `Fare for ${passenger.firstName || 'passenger'}`,
+        }, { requireFunds: true }));
+        walletTotal += fare;
+        paidFromWallet = true;
+      } catch (error) {
+        // Only a wallet that can't cover the fare falls back to cash
+        if (!(error instanceof BadRequestError)) {
+          throw error;
+        }
+        console.log(`⚠️ Wallet of passenger ${passengerId} can't cover ₱${fare} for ride ${ride._id} - collecting cash`);
+      }
+    }
+
+    if (!paidFromWallet) {
+      entries.push(await postLedgerEntry({
+        ...base,
+        type: 'FARE_PAYMENT',
+        debitAccount: cash,
+        creditAccount: clearing,
+        amount: fare,
+        user: passengerId,
+        method: 'cash',
+        description: `Cash fare for ${passenger.firstName || 'passenger'}`,
+      }));
+      cashTotal += fare;
+    }
+  }
+
+  const collected = roundMoney(walletTotal + cashTotal);
+  // The platform pays for the promotion discount, so the rider's share is
+  // worked out on the fare before it (as recordRideEarnings does)
+  const promoDiscount = roundMoney(ride.earnings?.promoDiscount || 0);
+  if (ride.rider && collected + promoDiscount > 0) {
+    const riderWallet = await getUserWallet(toId(ride.rider));
+
+    if (promoDiscount > 0) {
+      entries.push(await postLedgerEntry({
+        ...base,
+        type: 'PROMO_DISCOUNT',
+        debitAccount: await getSystemAccount(SYSTEM_ACCOUNTS.PLATFORM_PROMOTIONS),
+        creditAccount: clearing,
+        amount: promoDiscount,
+        user: toId(ride.customer),
+        description: `Promotion discount${ride.promotion?.code ? ` (${ride.promotion.code})` : ''}`,
+      }));
+    }
+
+    const gross = roundMoney(collected + promoDiscount);
+    const commission = roundMoney(gross * (ride.earnings?.commissionPercent || 0) / 100);
+
+    if (gross - commission > 0) {
+      entries.push(await postLedgerEntry({
+        ...base,
+        type: 'RIDER_EARNING',
+        debitAccount: clearing,
+        creditAccount: riderWallet,
+        amount: roundMoney(gross - commission),
+        user: toId(ride.rider),
+        description: 'Ride earnings',
+      }));
+    }
+
+    if (commission > 0) {
+      entries.push(await postLedgerEntry({
+        ...base,
+        type: 'PLATFORM_COMMISSION',
+        debitAccount: clearing,
+        creditAccount: await getSystemAccount(SYSTEM_ACCOUNTS.PLATFORM_REVENUE),
+        amount: commission,
+        user: toId(ride.rider),
+        description: `Platform commission (${ride.earnings.commissionPercent}%)`,
+      }));
+    }
+
+    // The rider already holds the cash fares
+    if (cashTotal > 0) {
+      entries.push(await postLedgerEntry({
+        ...base,
+        type: 'CASH_COLLECTED',
+        debitAccount: riderWallet,
+        creditAccount: cash,
+        amount: cashTotal,
+        user: toId(ride.rider),
+        method: 'cash',
+        description: 'Cash fares collected by the rider',
+      }));
+    }
+  }
+
+  return { walletTotal, cashTotal, collected };
+};
+
+// Undo the entries of a transaction that failed part-way with REVERSAL
+// entries (newest first), so every balance is back where it started
+const reverseLedgerEntries = async (entries, { transactionId, createdBy = {} }) => {
+  for (const entry of [...entries].reverse()) {
+    await postLedgerEntry({
+      transactionId,
+      type: 'REVERSAL',
+      debitAccount: entry.creditAccount,
+      creditAccount: entry.debitAccount,
+      amount: entry.amount,
+      ride: entry.ride,
+      user: entry.user,
+      method: entry.method,
+      description: `Reversal of ${entry.type} ${entry._id}`,
+      createdBy,
+    });
+  }
+};
+
+/**
+ * Collect every passenger's fare for a completed ride and pay the rider.
+ * Wallet passengers whose balance can't cover the fare pay it in cash instead.
+ * Safe to call twice - a ride is only settled once. If posting fails
+ * part-way, the entries already posted are reversed and the claim is
+ * cleared, so the settlement can simply be retried.
+ * Mutates ride.payment - the caller is responsible for saving the ride.
+ * @returns {Array} The ledger entries posted
+ */
+export const settleRidePayments = async (ride, { createdBy = {} } = {}) => {
+  // Claim the settlement atomically so a retried completion can't charge twice
+  const transactionId = newTransactionId();
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, 'payment.transactionId': null, 'payment.status': { $ne: 'PAID' } },
+    { $set: { 'payment.transactionId': transactionId } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return [];
+  }
+
+  const entries = [];
+  let totals;
+  try {
+    totals = await postSettlementEntries(ride, { transactionId, ride: ride._id, createdBy }, entries);
+  } catch (error) {
+    try {
+      await reverseLedgerEntries(entries, { transactionId, createdBy });
+    } catch (reversalError) {
+      // Keep the claim so nobody settles on top of a half-reversed transaction
+      console.error(`❌ Could not reverse settlement ${transactionId} of ride ${ride._id} - it needs a manual fix:`, reversalError);
+      throw error;
+    }
+    await Ride.updateOne(
+      { _id: ride._id, 'payment.transactionId': transactionId },
+      { $set: { 'payment.transactionId': null } }
+    );
+    console.log(`↩️ Settlement ${transactionId} of ride ${ride._id} failed - reversed ${entries.length} entries, it can be retried`);
+    throw error;
+  }
+
+  const { walletTotal, cashTotal, collected } = totals;
+  ride.set({
+    'payment.status': 'PAID',
+    'payment.paidAmount': collected,
+    'payment.walletAmount': roundMoney(walletTotal),
+    'payment.cashAmount': roundMoney(cashTotal),
+    'payment.paidAt': new Date(),
+    'payment.transactionId': transactionId,
+  });
+
+  console.log(`💳 Ride ${ride._id} paid: ₱${collected} (wallet ₱${roundMoney(walletTotal)}, cash ₱${roundMoney(cashTotal)})`);
+  return entries;
+};
+
+/**
+ * Refund part or all of a passenger's fare on a completed ride to their wallet,
+ * taken back from the rider's earnings and the platform commission in the
+ * same proportion they were paid.
+ * Mutates ride.payment - the caller is responsible for saving the ride.
+ * @param {Object} ride - Completed ride
+ * @param {Object} refund - { userId, amount, reason, createdBy }
+ * @returns {Object} { amount, entries } - the REFUND entries posted
+ */
+export const refundRidePayment = async (ride, { userId, amount, reason = '', createdBy = {} }) => {
+  if (ride.status !== 'COMPLETED' || !['PAID', 'REFUNDED'].includes(ride.payment?.status)) {
+    throw new BadRequestError('This ride has no settled payment to refund');
+  }
+
+  const passenger = (ride.passengers || []).find(p => toId(p.userId) === toId(userId));
+  if (!passenger) {
+    throw new BadRequestError('This user was not a passenger on the ride');
+  }
+
+  // Only refunds of the settled fare count - not booking holds given back
+  // (entries posted before HOLD_REFUND existed are REFUNDs out of FARE_HOLDS)
+  const holds = await getSystemAccount(SYSTEM_ACCOUNTS.FARE_HOLDS);
+  const alreadyRefunded = await LedgerEntry.aggregate([
+    {
+      $match: {
+        ride: ride._id,
+        type: 'REFUND',
+        user: passenger.userId?._id || passenger.userId,
+        debitAccount: { $ne: holds._id },
+      },
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  const refundable = roundMoney(passenger.fare - (alreadyRefunded[0]?.total || 0));
+  const value = roundMoney(amount ?? refundable);
+  if (!(value > 0) || value > refundable) {
+    throw new BadRequestError(`Refund must be between ₱0.01 and ₱${refundable}`);
+  }
+
+  const passengerWallet = await getUserWallet(toId(userId));
+  const fromPlatform = roundMoney(value * (ride.earnings?.commissionPercent || 0) / 100);
+  const fromRider = roundMoney(value - fromPlatform);
+  const base = {
+    transactionId: newTransactionId(),
+    type: 'REFUND',
+    creditAccount: passengerWallet,
+    ride: ride._id,
+    user: toId(userId),
+    description: reason ? `Fare refund: ${reason}` : 'Fare refund',
+    createdBy,
+  };
+
+  const entries = [];
+  if (fromRider > 0) {
+    entries.push(await postLedgerEntry({
+      ...base,
+      debitAccount: await getUserWallet(toId(ride.rider)),
+      amount: fromRider,
+    }));
+  }
+  if (fromPlatform > 0) {
+    entries.push(await postLedgerEntry({
+      ...base,
+      debitAccount: await getSystemAccount(SYSTEM_ACCOUNTS.PLATFORM_REVENUE),
+      amount: fromPlatform,
+    }));
+  }
+
+  ride.payment.refundedAmount = roundMoney((ride.payment.refundedAmount || 0) + value);
+  ride.payment.status = 'REFUNDED';
+  return { amount: value, entries };
+};
+
+/**
+ * Ledger entries for a wallet, newest first
+ */
+export const getWalletEntries = async (walletId, { limit = 50, before = null } = {}) => {
+  const query = { $or: [{ debitAccount: walletId }, { creditAccount: walletId }] };
+  if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+  const entries = await LedgerEntry.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200))
+    .lean();
+
+  // Signed amount from this wallet's point of view
+  return entries.map(entry => ({
+    ...entry,
+    direction: entry.creditAccount.toString() === walletId.toString() ? 'credit' : 'debit',
+    signedAmount: entry.creditAccount.toString() === walletId.toString() ? entry.amount : -entry.amount,
+  }));
+};
@@ -4,9 +4,45 @@
 // Set to 1 to enable 1KM max distance filtering
 // Riders beyond this distance from passenger pickup won't see the ride
 // Set to null to disable: export const MAX_DISTANCE_KM = null;
+// Note: ride dispatch uses the admin-editable DispatchConfig radius;
+// this is the fallback initial radius when no config exists.
 export const MAX_DISTANCE_KM = 1;
 // ============================================
 
+// Build a GeoJSON point (used by the 2dsphere indexes) from latitude/longitude.
+// Returns null when the coordinates are missing or out of range.
+export const toGeoPoint = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude == null || longitude == null || Number.isNaN(lat) || Number.isNaN(lng)) {
+    return null;
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Whether a point lies inside a GeoJSON polygon's outer ring (ray casting)
+export const isPointInPolygon = (latitude, longitude, polygon) => {
+  const ring = polygon?.coordinates?.[0];
+  if (!ring || latitude == null || longitude == null) {
+    return false;
+  }
+
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    const crosses = (latI > latitude) !== (latJ > latitude)
+      && longitude < ((lngJ - lngI) * (latitude - latI)) / (latJ - latI) + lngI;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
 export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   const R = 6371;
   const dLat = (lat2 - lat1) * (Math.PI / 180);
@@ -0,0 +1,283 @@
+import User from '../models/User.js';
+import DeviceToken from '../models/DeviceToken.js';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { getPushTransport } from './pushTransports.js';
+
+/**
+ * Notification Service
+ *
+ * Sends push notifications to a user's registered devices so events reach
+ * apps that are in the background (Socket.IO emits only reach open apps).
+ * Each notification has a category the user can switch off. Pushes in
+ * non-exempt categories that fall in the user's quiet hours are dropped, not
+ * queued - nothing is sent when the quiet hours end. Inbox notifications are
+ * still saved (only the device alert is skipped) and chat messages stay in
+ * the chat.
+ *
+ * Notifications worth keeping (account decisions, penalties, cancellations)
+ * also go to the user's inbox: they are saved, emitted to the user's socket
+ * room as "newNotification" and pushed.
+ *
+ * Sending never throws - a failed push must not fail the ride or chat
+ * action that triggered it, so callers don't need to await it.
+ */
+
+export const NOTIFICATION_CATEGORIES = {
+  RIDE_UPDATES: 'rideUpdates',
+  CHAT_MESSAGES: 'chatMessages',
+  ACCOUNT_UPDATES: 'accountUpdates',
+};
+
+export const NOTIFICATION_CONFIG = {
+  // Quiet hours are read in this timezone
+  TIMEZONE: process.env.NOTIFICATION_TIMEZONE || 'Asia/Manila',
+};
+
+// Updates about a ride in progress go through even during quiet hours
+const QUIET_HOURS_EXEMPT_CATEGORIES = [NOTIFICATION_CATEGORIES.RIDE_UPDATES];
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  pushEnabled: true,
+  rideUpdates: true,
+  chatMessages: true,
+  accountUpdates: true,
+  smsRideAlerts: false,
+  resetCodeChannel: 'email',
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidQuietHoursTime = (value) => TIME_PATTERN.test(value || '');
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const localMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: NOTIFICATION_CONFIG.TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * Whether a time falls inside a quiet hours window (which may wrap past midnight)
+ */
+export const isWithinQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !isValidQuietHoursTime(quietHours.start) || !isValidQuietHoursTime(quietHours.end)) {
+    return false;
+  }
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = localMinutes(now);
+
+  if (start === end) {
+    return false;
+  }
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * A user's preferences with defaults filled in
+ */
+export const getNotificationPreferences = (user) => {
+  const saved = user?.notificationPreferences?.toObject?.() || user?.notificationPreferences || {};
+  return {
+    ...DEFAULT_NOTIFICATION_PREFERENCES,
+    ...saved,
+    quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, ...(saved.quietHours || {}) },
+  };
+};
+
+/**
+ * Register (or refresh) a device token for a user. A token that was
+ * registered to another account moves to this one.
+ */
+export const registerDeviceToken = async (userId, { token, platform, appVersion = '' }) => {
+  return DeviceToken.findOneAndUpdate(
+    { token },
+    { $set: { user: userId, platform, appVersion, lastSeenAt: new Date() } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Remove one of a user's device tokens (e.g. on logout)
+ * @returns {boolean} Whether a token was removed
+ */
+export const removeDeviceToken = async (userId, token) => {
+  const result = await DeviceToken.deleteOne({ user: userId, token });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Send a push notification to all of a user's devices
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { category, title, body, data }
+ * @returns {Object} { sent, skipped } - skipped says why nothing was sent
+ *   (a QUIET_HOURS push is dropped, not sent later)
+ */
+export const sendPushNotification = async (userId, { category, title, body, data = {} }) => {
+  try {
+    const user = await User.findById(userId).select('notificationPreferences');
+    if (!user) {
+      return { sent: 0, skipped: 'USER_NOT_FOUND' };
+    }
+
+    const preferences = getNotificationPreferences(user);
+    if (!preferences.pushEnabled || preferences[category] === false) {
+      return { sent: 0, skipped: 'DISABLED' };
+    }
+    if (!QUIET_HOURS_EXEMPT_CATEGORIES.includes(category) && isWithinQuietHours(preferences.quietHours)) {
+      console.log(`🌙 Push "${title}" to user ${userId} dropped - quiet hours`);
+      return { sent: 0, skipped: 'QUIET_HOURS' };
+    }
+
+    const devices = await DeviceToken.find({ user: userId }).select('token');
+    if (devices.length === 0) {
+      return { sent: 0, skipped: 'NO_DEVICES' };
+    }
+
+    const result = await getPushTransport().send({
+      tokens: devices.map(device => device.token),
+      title,
+      body,
+      data: { ...data, category },
+    });
+
+    if (result.invalidTokens?.length > 0) {
+      await DeviceToken.deleteMany({ token: { $in: result.invalidTokens } });
+      console.log(`🧹 Removed ${result.invalidTokens.length} invalid device token(s) for user ${userId}`);
+    }
+
+    return { sent: result.sent, skipped: null };
+  } catch (error) {
+    console.error(`❌ Error sending push notification to user ${userId}:`, error);
+    return { sent: 0, skipped: 'ERROR' };
+  }
+};
+
+// Push text for each ride event (context comes from the caller)
+const RIDE_PUSH_MESSAGES = {
+  rideAccepted: ({ riderName }) => ({
+    title: 'Ride accepted',
+    body: `${riderName || 'Your rider'} is on the way to pick you up`,
+  }),
+  riderArrivedAtPickup: () => ({
+    title: 'Your rider has arrived',
+    body: 'Your rider is waiting at the pickup point',
+  }),
+  rideStarted: () => ({
+    title: 'Trip started',
+    body: 'You are on your way',
+  }),
+  rideCompleted: () => ({
+    title: 'Ride completed',
+    body: 'You have arrived. Thanks for riding with Pedismart!',
+  }),
+  rideCanceled: ({ cancellerName, reason }) => ({
+    title: 'Ride cancelled',
+    body: reason || (cancellerName ? `${cancellerName} has cancelled the ride` : 'Your ride has been cancelled'),
+  }),
+};
+
+/**
+ * Push a ride lifecycle event to one or more users
+ * @param {Array|string} userIds - Recipients
+ * @param {string} event - Key of RIDE_PUSH_MESSAGES (matches the socket event name)
+ * @param {Object} ride - Ride the event is about
+ * @param {Object} context - Values used in the message text
+ */
+export const sendRidePushNotification = async (userIds, event, ride, context = {}) => {
+  const recipients = [...new Set([].concat(userIds).filter(Boolean).map(id => (id._id || id).toString()))];
+  const message = RIDE_PUSH_MESSAGES[event](context);
+
+  return Promise.all(recipients.map(userId => sendPushNotification(userId, {
+    category: NOTIFICATION_CATEGORIES.RIDE_UPDATES,
+    ...message,
+    data: { type: event, rideId: ride._id.toString(), status: ride.status },
+  })));
+};
+
+/**
+ * Push a new chat message to the recipient
+ */
+export const sendChatPushNotification = async (recipientId, message, senderName) => {
+  return sendPushNotification(recipientId, {
+    category: NOTIFICATION_CATEGORIES.CHAT_MESSAGES,
+    title: senderName || 'New message',
+    body: message.messageType === 'image' ? '📷 Sent a photo' : message.content,
+    data: { type: 'newMessage', chatId: message.chatId.toString(), messageId: message._id.toString() },
+  });
+};
+
+// ============================================
+// INBOX
+// ============================================
+
+// Push category each inbox notification type is sent under
+const NOTIFICATION_TYPE_CATEGORIES = {
+  [NOTIFICATION_TYPES.ACCOUNT_APPROVED]: NOTIFICATION_CATEGORIES.ACCOUNT_UPDATES,
+  [NOTIFICATION_TYPES.ACCOUNT_DISAPPROVED]: NOTIFICATION_CATEGORIES.ACCOUNT_UPDATES,
+  [NOTIFICATION_TYPES.PENALTY_ADDED]: NOTIFICATION_CATEGORIES.ACCOUNT_UPDATES,
+  [NOTIFICATION_TYPES.PENALTY_REMOVED]: NOTIFICATION_CATEGORIES.ACCOUNT_UPDATES,
+  [NOTIFICATION_TYPES.RIDE_CANCELLED]: NOTIFICATION_CATEGORIES.RIDE_UPDATES,
+  [NOTIFICATION_TYPES.EARLY_STOP_CONFIRMED]: NOTIFICATION_CATEGORIES.RIDE_UPDATES,
+  [NOTIFICATION_TYPES.EARLY_STOP_DECLINED]: NOTIFICATION_CATEGORIES.RIDE_UPDATES,
+};
+
+// Socket.IO server used to announce new inbox items (set once at startup)
+let notificationIo = null;
+
+export const attachNotificationSocket = (io) => {
+  notificationIo = io;
+};
+
+export const countUnreadNotifications = (userId) => {
+  return Notification.countDocuments({ user: userId, readAt: null });
+};
+
+/**
+ * Save a notification to a user's inbox, announce it on their socket room
+ * and push it to their devices
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { type, title, body, data }
+ * @param {Object} options - { push } - false when the event was already pushed
+ * @returns {Object|null} The saved notification
+ */
+export const createNotification = async (userId, { type, title, body = '', data = {} }, { push = true } = {}) => {
+  try {
+    const recipientId = (userId?._id || userId).toString();
+    const notification = await Notification.create({ user: recipientId, type, title, body, data });
+
+    if (notificationIo) {
+      notificationIo.to(`user_${recipientId}`).emit('newNotification', {
+        notification,
+        unreadCount: await countUnreadNotifications(recipientId),
+      });
+    }
+
+    if (push) {
+      sendPushNotification(recipientId, {
+        category: NOTIFICATION_TYPE_CATEGORIES[type],
+        title,
+        body,
+        data: { ...data, type, notificationId: notification._id.toString() },
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`❌ Error creating ${type} notification for user ${userId}:`, error);
+    return null;
+  }
+};
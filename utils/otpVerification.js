@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import Ride from '../models/Ride.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+
+/**
+ * Ride OTP Verification
+ *
+ * The rider enters the code the passenger reads out before the trip can
+ * start. Wrong codes count towards a lockout, every attempt is logged on
+ * the ride (ride.otpVerification.attempts) and the code itself is never
+ * logged or stored with the attempt.
+ *
+ * ride.otp is select: false, so rides loaded anywhere else - and every
+ * payload built from them for riders and ride rooms - don't carry it. Only
+ * the booking customer's own views add it back (withCustomerOtp).
+ */
+
+export const OTP_CONFIG = {
+  // Wrong codes allowed before the ride is locked
+  MAX_ATTEMPTS: parseInt(process.env.RIDE_OTP_MAX_ATTEMPTS) || 5,
+  // How long the ride stays locked after too many wrong codes
+  LOCKOUT_MINUTES: parseInt(process.env.RIDE_OTP_LOCKOUT_MINUTES) || 10,
+};
+
+export const OTP_RESULT = {
+  VERIFIED: 'VERIFIED',
+  ALREADY_VERIFIED: 'ALREADY_VERIFIED',
+  INVALID: 'INVALID',
+  LOCKED: 'LOCKED',
+};
+
+// Constant-time comparison so response timing doesn't leak the code
+// (also used for phone verification codes)
+export const otpMatches = (expected, provided) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided).trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * The ride's OTP (it isn't loaded with the ride - see the Ride model)
+ * @returns {string|null}
+ */
+export const getRideOtp = async (rideId) => {
+  const ride = await Ride.findById(rideId).select('otp').lean();
+  return ride?.otp || null;
+};
+
+/**
+ * Whether the ride has passed OTP verification (rides created without an OTP never need it)
+ */
+export const isRideOtpVerified = async (ride) => {
+  return !!ride.otpVerification?.verifiedAt || !await getRideOtp(ride._id);
+};
+
+const attemptEntry = (riderId, result, source) => ({
+  rider: riderId,
+  result,
+  source,
+  at: new Date(),
+});
+
+/**
+ * Check the code a rider entered for a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} riderId - Rider entering the code (must be the assigned rider)
+ * @param {string} code - Code read out by the passenger
+ * @param {Object} options - { source: 'http'|'socket' }
+ * @returns {Object} { result, ride, attemptsRemaining, lockedUntil }
+ */
+export const verifyRideOtp = async (rideId, riderId, code, { source = 'http' } = {}) => {
+  if (!code) {
+    throw new BadRequestError('OTP is required');
+  }
+
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    throw new NotFoundError('Ride not found');
+  }
+
+  if (!ride.rider || ride.rider.toString() !== riderId.toString()) {
+    throw new BadRequestError('Only the assigned rider can verify the OTP');
+  }
+
+  const expectedOtp = await getRideOtp(rideId);
+  if (!expectedOtp || ride.otpVerification?.verifiedAt) {
+    return { result: OTP_RESULT.ALREADY_VERIFIED, ride, attemptsRemaining: null, lockedUntil: null };
+  }
+
+  if (ride.status !== 'START') {
+    throw new BadRequestError(`OTP can only be verified before the trip starts (ride is ${ride.status})`);
+  }
+
+  const now = new Date();
+
+  // Lockout expired - start a fresh round of attempts
+  await Ride.updateOne(
+    { _id: rideId, 'otpVerification.lockedUntil': { $ne: null, $lte: now } },
+    { $set: { 'otpVerification.failedAttempts': 0, 'otpVerification.lockedUntil': null } }
+  );
+
+  // Take the attempt before comparing, in one guarded update, so guesses sent
+  // in parallel can't get past MAX_ATTEMPTS or the lockout
+  const attemptRide = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: 'START',
+      'otpVerification.verifiedAt': null,
+      'otpVerification.failedAttempts': { $not: { $gte: OTP_CONFIG.MAX_ATTEMPTS } },
+      'otpVerification.lockedUntil': { $not: { $gt: now } },
+    },
+    { $inc: { 'otpVerification.failedAttempts': 1 } },
+    { new: true }
+  );
+
+  if (!attemptRide) {
+    const current = await Ride.findById(rideId);
+    if (current?.otpVerification?.verifiedAt) {
+      return { result: OTP_RESULT.ALREADY_VERIFIED, ride: current, attemptsRemaining: null, lockedUntil: null };
+    }
+    if (current?.status !== 'START') {
+      throw new BadRequestError(`OTP can only be verified before the trip starts (ride is ${current?.status})`);
+    }
+
+    // Out of attempts - log the attempt without checking the code
+    const lockedUntil = current.otpVerification?.lockedUntil
+      || new Date(now.getTime() + OTP_CONFIG.LOCKOUT_MINUTES * 60 * 1000);
+    await Ride.updateOne(
+      { _id: rideId },
+      { $push: { 'otpVerification.attempts': attemptEntry(riderId, OTP_RESULT.LOCKED, source) } }
+    );
+    console.log(`🔒 OTP attempt for ride ${rideId} by rider ${riderId} rejected - locked until ${lockedUntil.toISOString()}`);
+    return { result: OTP_RESULT.LOCKED, ride: current, attemptsRemaining: 0, lockedUntil };
+  }
+
+  if (otpMatches(expectedOtp, code)) {
+    // Only a correct code resets the counter
+    const verifiedRide = await Ride.findOneAndUpdate(
+      { _id: rideId, status: 'START', 'otpVerification.verifiedAt': null },
+      {
+        $set: {
+          'otpVerification.verifiedAt': now,
+          'otpVerification.verifiedBy': riderId,
+          'otpVerification.failedAttempts': 0,
+          'otpVerification.lockedUntil': null,
+        },
+        $push: { 'otpVerification.attempts': attemptEntry(riderId, OTP_RESULT.VERIFIED, source) },
+      },
+      { new: true }
+    );
+    console.log(`✅ OTP verified for ride ${rideId} by rider ${riderId} (${source})`);
+    return {
+      result: verifiedRide ? OTP_RESULT.VERIFIED : OTP_RESULT.ALREADY_VERIFIED,
+      ride: verifiedRide || await Ride.findById(rideId),
+      attemptsRemaining: null,
+      lockedUntil: null,
+    };
+  }
+
+  // Wrong code - the attempt was already counted above
+  const failedAttempts = attemptRide.otpVerification.failedAttempts;
+  const attemptsRemaining = Math.max(0, OTP_CONFIG.MAX_ATTEMPTS - failedAttempts);
+  const lockedUntil = attemptsRemaining === 0
+    ? new Date(now.getTime() + OTP_CONFIG.LOCKOUT_MINUTES * 60 * 1000)
+    : null;
+
+  const failedRide = await Ride.findOneAndUpdate(
+    { _id: rideId },
+    {
+      ...(lockedUntil ? { $set: { 'otpVerification.lockedUntil': lockedUntil } } : {}),
+      $push: { 'otpVerification.attempts': attemptEntry(riderId, OTP_RESULT.INVALID, source) },
+    },
+    { new: true }
+  );
+  console.log(`❌ Wrong OTP for ride ${rideId} by rider ${riderId} (${failedAttempts}/${OTP_CONFIG.MAX_ATTEMPTS})`);
+
+  if (lockedUntil) {
+    console.log(`🔒 OTP for ride ${rideId} locked for ${OTP_CONFIG.LOCKOUT_MINUTES} minutes after ${failedAttempts} wrong attempts`);
+    return { result: OTP_RESULT.LOCKED, ride: failedRide, attemptsRemaining: 0, lockedUntil };
+  }
+
+  return { result: OTP_RESULT.INVALID, ride: failedRide, attemptsRemaining, lockedUntil: null };
+};
+
+/**
+ * User-facing message for a verification outcome (shared by the HTTP and socket paths)
+ */
+export const describeOtpResult = ({ result, attemptsRemaining, lockedUntil }) => {
+  switch (result) {
+    case OTP_RESULT.VERIFIED:
+      return 'OTP verified. You can now start the trip.';
+    case OTP_RESULT.ALREADY_VERIFIED:
+      return 'OTP already verified';
+    case OTP_RESULT.LOCKED: {
+      const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - new Date()) / (1000 * 60)));
+      return `Too many incorrect codes. Try again in ${minutes} minute(s).`;
+    }
+    default:
+      return `Incorrect OTP. ${attemptsRemaining} attempt(s) remaining.`;
+  }
+};
+
+/**
+ * Plain ride object with its OTP, for the booking customer's own view only
+ */
+export const withCustomerOtp = async (ride) => {
+  const rideObject = typeof ride?.toObject === 'function' ? ride.toObject() : { ...ride };
+  rideObject.otp = await getRideOtp(rideObject._id);
+  return rideObject;
+};
+
+/**
+ * Plain ride objects with the OTP filled in on the ones the customer booked
+ */
+export const withCustomerOtps = async (rides, customerId) => {
+  const booked = await Ride.find({ _id: { $in: rides.map(ride => ride._id) }, customer: customerId })
+    .select('otp')
+    .lean();
+  const otps = new Map(booked.map(ride => [ride._id.toString(), ride.otp]));
+
+  return rides.map(ride => {
+    const rideObject = typeof ride?.toObject === 'function' ? ride.toObject() : { ...ride };
+    if (otps.has(rideObject._id.toString())) {
+      rideObject.otp = otps.get(rideObject._id.toString());
+    }
+    return rideObject;
+  });
+};
+
+/**
+ * Plain ride object without the OTP, for payloads sent to the rider
+ */
+export const withoutOtp = (ride) => {
+  const rideObject = typeof ride?.toObject === 'function' ? ride.toObject() : { ...ride };
+  delete rideObject.otp;
+  return rideObject;
+};
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { BadRequestError } from '../errors/index.js';
+import { SYSTEM_ACCOUNTS } from '../models/Wallet.js';
+
+/**
+ * Payment Gateways
+ *
+ * Money entering the platform goes through a gateway adapter. Cash is
+ * the only adapter for now; an online gateway is added by registering
+ * another adapter with the same interface:
+ *
+ *   name              - method name used in requests and ledger entries
+ *   ledgerAccount     - SYSTEM_ACCOUNTS code the money comes from
+ *   selfServiceTopUp  - whether users may top up on their own (cash is taken by an admin)
+ *   charge({ userId, amount, reference, description })
+ *       -> { success, reference, message }
+ *   refund({ userId, amount, reference, description })
+ *       -> { success, reference, message }
+ */
+
+const newReference = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Cash handed over in person - always succeeds, the admin or rider
+ * recording it is the confirmation
+ */
+export const createCashGateway = () => ({
+  name: 'cash',
+  ledgerAccount: SYSTEM_ACCOUNTS.EXTERNAL_CASH,
+  selfServiceTopUp: false,
+
+  async charge({ reference }) {
+    return { success: true, reference: reference || newReference('cash'), message: 'Cash received' };
+  },
+
+  async refund({ reference }) {
+    return { success: true, reference: reference || newReference('cash_refund'), message: 'Cash paid out' };
+  },
+});
+
+const gateways = new Map();
+
+/**
+ * Add (or replace) a gateway adapter
+ */
+export const registerPaymentGateway = (gateway) => {
+  if (!gateway?.name || typeof gateway.charge !== 'function' || typeof gateway.refund !== 'function') {
+    throw new Error('Payment gateway must have a name, charge() and refund()');
+  }
+  gateways.set(gateway.name, {
+    ledgerAccount: SYSTEM_ACCOUNTS.EXTERNAL_GATEWAY,
+    selfServiceTopUp: true,
+    ...gateway,
+  });
+  console.log(`💳 Payment gateway registered: ${gateway.name}`);
+};
+
+/**
+ * Get a gateway adapter by method name (throws BadRequestError if unknown)
+ */
+export const getPaymentGateway = (name) => {
+  const gateway = gateways.get(name);
+  if (!gateway) {
+    throw new BadRequestError(`Unsupported payment method: ${name}. Available: ${[...gateways.keys()].join(', ')}`);
+  }
+  return gateway;
+};
+
+export const listPaymentGateways = () => {
+  return [...gateways.values()].map(({ name, selfServiceTopUp }) => ({ name, selfServiceTopUp }));
+};
+
+registerPaymentGateway(createCashGateway());
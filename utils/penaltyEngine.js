@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import Rating from '../models/Rating.js';
+import PenaltyRule, { PENALTY_RULE_TYPES, PENALTY_RULE_ROLES, DEFAULT_PENALTY_RULES } from '../models/PenaltyRule.js';
+import { sendPenaltyEmail } from './emailService.js';
+import { logSystemActivity } from '../controllers/adminManagement.js';
+import presenceStore from './presenceStore.js';
+import { createNotification } from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+
+/**
+ * Penalty Engine
+ *
+ * Evaluates PenaltyRules against recent behaviour. A user who breaks a rule
+ * is disapproved with a penaltyComment and penaltyLiftDate; rejectionDeadline
+ * is set to the same date so the auto-approval job restores the account when
+ * the penalty ends. The user gets an email and the penalty is written to the
+ * activity log as a system action.
+ *
+ * Only approved users are penalized - accounts an admin already disapproved
+ * are left alone. Behaviour from before a user's last automatic penalty
+ * doesn't count again.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each rule type counts: collection, the user it belongs to, and when it happened
+const RULE_SOURCES = {
+  [PENALTY_RULE_TYPES.RIDER_CANCELLATIONS]: {
+    model: Ride,
+    userField: 'rider',
+    dateField: 'cancelledAt',
+    filter: { status: 'CANCELLED', 'cancellation.outcome': 'RIDER_CANCELLATION' },
+  },
+  [PENALTY_RULE_TYPES.CUSTOMER_NO_SHOWS]: {
+    model: Ride,
+    userField: 'customer',
+    dateField: 'cancelledAt',
+    filter: { status: 'CANCELLED', 'cancellation.outcome': 'NO_SHOW' },
+  },
+  [PENALTY_RULE_TYPES.LOW_RATING]: {
+    model: Rating,
+    userField: 'rider',
+    dateField: 'createdAt',
+    filter: {},
+  },
+  [PENALTY_RULE_TYPES.ROUTE_DEVIATIONS]: {
+    model: Ride,
+    userField: 'rider',
+    dateField: 'tripLogs.endTime',
+    filter: { status: 'COMPLETED', 'routeLogs.hasSignificantDeviation': true },
+  },
+};
+
+/**
+ * Count (and for LOW_RATING, average) what a rule looks at since a date
+ * @param {Object} rule - PenaltyRule
+ * @param {Object} scope - { since, userId } - userId limits it to one user
+ * @returns {Array} [{ userId, count, average }]
+ */
+const measureRule = async (rule, { since, userId = null }) => {
+  const source = RULE_SOURCES[rule.type];
+  const match = {
+    ...source.filter,
+    [source.dateField]: { $gte: since },
+    [source.userField]: userId ? new mongoose.Types.ObjectId(userId) : { $ne: null },
+  };
+
+  const results = await source.model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: `$${source.userField}`,
+        count: { $sum: 1 },
+        ...(rule.type === PENALTY_RULE_TYPES.LOW_RATING ? { average: { $avg: '$rating' } } : {}),
+      },
+    },
+  ]);
+
+  return results.map(result => ({ userId: result._id, count: result.count, average: result.average ?? null }));
+};
+
+/**
+ * Whether a measurement breaks the rule
+ */
+const isRuleBroken = (rule, measurement) => {
+  if (rule.type === PENALTY_RULE_TYPES.LOW_RATING) {
+    return measurement.count >= (rule.minimumSamples || 1) && measurement.average < rule.threshold;
+  }
+  return measurement.count >= rule.threshold;
+};
+
+/**
+ * Penalty reason shown to the user and admins
+ */
+export const describeRuleBreach = (rule, measurement) => {
+  switch (rule.type) {
+    case PENALTY_RULE_TYPES.RIDER_CANCELLATIONS:
+      return `Automatic penalty: ${measurement.count} accepted rides cancelled in the last ${rule.windowDays} days`;
+    case PENALTY_RULE_TYPES.CUSTOMER_NO_SHOWS:
+      return `Automatic penalty: ${measurement.count} ride no-shows in the last ${rule.windowDays} days`;
+    case PENALTY_RULE_TYPES.LOW_RATING:
+      return `Automatic penalty: average rating of ${measurement.average.toFixed(2)} over ${measurement.count} ratings in the last ${rule.windowDays} days (minimum ${rule.threshold})`;
+    case PENALTY_RULE_TYPES.ROUTE_DEVIATIONS:
+      return `Automatic penalty: ${measurement.count} rides with a significant route deviation in the last ${rule.windowDays} days`;
+    default:
+      return `Automatic penalty: ${rule.name}`;
+  }
+};
+
+/**
+ * Disapprove a user under an automatic penalty, then email them and log it.
+ * @returns {Object|null} The penalized user, or null if they were no longer eligible
+ */
+const applyAutomaticPenalty = async (user, rule, measurement, now) => {
+  const reason = describeRuleBreach(rule, measurement);
+  const penaltyLiftDate = new Date(now.getTime() + rule.penaltyHours * 60 * 60 * 1000);
+
+  // Only approved users without an active penalty (guards against two runs racing)
+  const penalized = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      status: 'approved',
+      $or: [{ penaltyLiftDate: null }, { penaltyLiftDate: { $lte: now } }],
+    },
+    {
+      $set: {
+        status: 'disapproved',
+        disapprovalReason: reason,
+        penaltyComment: reason,
+        penaltyLiftDate,
+        rejectionDeadline: penaltyLiftDate,
+        lastAutoPenaltyAt: now,
+      },
+    },
+    { new: true }
+  );
+
+  if (!penalized) {
+    return null;
+  }
+
+  const userName = `${penalized.firstName} ${penalized.lastName}`;
+  console.log(`⛔ Penalty rule "${rule.name}" applied to ${penalized.role} ${penalized._id} until ${penaltyLiftDate.toISOString()}`);
+
+  // Penalized riders drop off duty; goOnDuty refuses them until the penalty lifts
+  if (penalized.role === 'rider') {
+    await presenceStore.setOffDuty(penalized._id.toString());
+  }
+
+  if (penalized.email) {
+    await sendPenaltyEmail(penalized.email, userName, penalized.role, reason, penaltyLiftDate);
+  }
+  await createNotification(penalized._id, {
+    type: NOTIFICATION_TYPES.PENALTY_ADDED,
+    title: 'Penalty added to your account',
+    body: `Reason: ${reason} (until ${penaltyLiftDate.toLocaleString('en-PH', { timeZone: 'Asia/Manila' })})`,
+    data: { penaltyComment: reason, penaltyLiftDate, rule: rule.type },
+  });
+
+  await logSystemActivity(
+    'ADDED_PENALTY',
+    'USER',
+    penalized._id,
+    userName,
+    `Automatically penalized ${penalized.role} account: ${userName}. Reason: ${reason}. Lift date: ${penaltyLiftDate.toISOString()}`,
+    {
+      userId: penalized._id,
+      email: penalized.email,
+      role: penalized.role,
+      penaltyComment: reason,
+      penaltyLiftDate,
+      rule: { id: rule._id, name: rule.name, type: rule.type, threshold: rule.threshold, windowDays: rule.windowDays },
+      measurement: { count: measurement.count, average: measurement.average },
+    }
+  );
+
+  return penalized;
+};
+
+/**
+ * Check one rule for one user and penalize them if they broke it
+ * @returns {Object|null} The penalized user, or null
+ */
+const evaluateRuleForUser = async (rule, user, now) => {
+  if (user.role !== PENALTY_RULE_ROLES[rule.type] || user.status !== 'approved') {
+    return null;
+  }
+  if (user.penaltyLiftDate && user.penaltyLiftDate > now) {
+    return null;
+  }
+
+  const windowStart = new Date(now.getTime() - rule.windowDays * DAY_MS);
+  const since = user.lastAutoPenaltyAt && user.lastAutoPenaltyAt > windowStart ? user.lastAutoPenaltyAt : windowStart;
+
+  const [measurement] = await measureRule(rule, { since, userId: user._id });
+  if (!measurement || !isRuleBroken(rule, measurement)) {
+    return null;
+  }
+
+  return applyAutomaticPenalty(user, rule, measurement, now);
+};
+
+const USER_FIELDS = 'firstName lastName email role status penaltyLiftDate lastAutoPenaltyAt';
+
+/**
+ * Evaluate every active rule against everyone it applies to
+ * @returns {Object} { rulesEvaluated, penalized: [{ userId, rule }] }
+ */
+export const runPenaltyRules = async (now = new Date()) => {
+  const rules = await PenaltyRule.find({ isActive: true });
+  const penalized = [];
+
+  for (const rule of rules) {
+    const windowStart = new Date(now.getTime() - rule.windowDays * DAY_MS);
+    const candidates = (await measureRule(rule, { since: windowStart })).filter(m => isRuleBroken(rule, m));
+
+    for (const candidate of candidates) {
+      const user = await User.findById(candidate.userId).select(USER_FIELDS);
+      if (!user) continue;
+
+      // Re-measured per user: behaviour before their last penalty doesn't count
+      const result = await evaluateRuleForUser(rule, user, now);
+      if (result) {
+        penalized.push({ userId: result._id, rule: rule.name });
+      }
+    }
+  }
+
+  return { rulesEvaluated: rules.length, penalized };
+};
+
+/**
+ * Evaluate the active rules of the given types for one user right away
+ * (e.g. after a rider cancels, instead of waiting for the next job run)
+ * @returns {boolean} Whether the user was penalized
+ */
+export const evaluateUserPenaltyRules = async (userId, types = Object.values(PENALTY_RULE_TYPES), now = new Date()) => {
+  try {
+    const user = await User.findById(userId).select(USER_FIELDS);
+    if (!user) {
+      return false;
+    }
+
+    const rules = await PenaltyRule.find({ isActive: true, type: { $in: types } });
+    for (const rule of rules) {
+      if (await evaluateRuleForUser(rule, user, now)) {
+        return true;
+      }
+    }
+    return false;
+  } catch (error) {
+    console.error(`❌ Error evaluating penalty rules for user ${userId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Create the default rules if none exist yet
+ */
+export const ensureDefaultPenaltyRules = async () => {
+  const existing = await PenaltyRule.countDocuments();
+  if (existing > 0) {
+    return 0;
+  }
+
+  await PenaltyRule.insertMany(DEFAULT_PENALTY_RULES.map(rule => ({
+    ...rule,
+    description: 'Default rule',
+  })));
+  console.log(`📋 Created ${DEFAULT_PENALTY_RULES.length} default penalty rules`);
+  return DEFAULT_PENALTY_RULES.length;
+};
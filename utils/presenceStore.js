@@ -0,0 +1,266 @@
+import RiderPresence from '../models/RiderPresence.js';
+import { calculateDistance, toGeoPoint } from './mapUtils.js';
+
+/**
+ * Rider Presence Store
+ *
+ * Holds the on-duty rider registry (coordinates, duty state, last-seen time)
+ * behind a small async interface so it can live in process memory, in MongoDB,
+ * or in any other backend (e.g. a Redis adapter) without touching callers.
+ *
+ * Every store implements:
+ *   setOnDuty(riderId, { socketId, coords, vehicleType, name }) -> record
+ *   setOffDuty(riderId)                                          -> void
+ *   updateLocation(riderId, coords)                              -> record | null (null when not on duty)
+ *   touch(riderId, socketId?)                                    -> record | null
+ *   get(riderId)                                                 -> record | null
+ *   getOnDutyRiders()                                            -> [record]
+ *   getOnDutyRidersNear({ latitude, longitude }, maxDistanceKm?) -> [record + distanceKm], nearest first
+ *   countOnDuty()                                                -> number
+ *   getLastCheckpointTime(riderId, rideId)                       -> number (ms epoch, 0 if none)
+ *   setLastCheckpointTime(riderId, rideId, time)                 -> void
+ *
+ * A record looks like:
+ *   { riderId, socketId, coords, vehicleType, name, isOnDuty, lastSeenAt }
+ *
+ * Records whose lastSeenAt is older than PRESENCE_CONFIG.TTL_SECONDS are treated
+ * as expired (off duty) by every store. Location updates and the rider socket's
+ * heartbeat event keep a record alive; a rider whose record expired while their
+ * socket stayed on duty is registered again by the socket layer.
+ */
+
+export const PRESENCE_CONFIG = {
+  // Which store to use: 'mongodb' (shared, survives restarts) or 'memory'
+  STORE: process.env.PRESENCE_STORE || 'mongodb',
+  // A rider who has not reported for this long is considered off duty
+  TTL_SECONDS: parseInt(process.env.PRESENCE_TTL_SECONDS) || 300,
+};
+
+const isExpired = (lastSeenAt) => {
+  return !lastSeenAt || (Date.now() - new Date(lastSeenAt).getTime()) > PRESENCE_CONFIG.TTL_SECONDS * 1000;
+};
+
+/**
+ * In-memory presence store (single process, cleared on restart)
+ */
+export const createMemoryPresenceStore = () => {
+  const riders = new Map();
+  const checkpointTimes = new Map();
+
+  const getLive = (riderId) => {
+    const record = riders.get(riderId?.toString());
+    if (!record) return null;
+    if (isExpired(record.lastSeenAt)) {
+      riders.delete(record.riderId);
+      return null;
+    }
+    return record;
+  };
+
+  return {
+    name: 'memory',
+
+    async setOnDuty(riderId, { socketId = null, coords = null, vehicleType = 'Tricycle', name = '' } = {}) {
+      const record = {
+        riderId: riderId.toString(),
+        socketId,
+        coords,
+        vehicleType,
+        name,
+        isOnDuty: true,
+        lastSeenAt: new Date(),
+      };
+      riders.set(record.riderId, record);
+      return record;
+    },
+
+    async setOffDuty(riderId) {
+      riders.delete(riderId.toString());
+    },
+
+    async updateLocation(riderId, coords) {
+      const record = getLive(riderId);
+      if (!record || !record.isOnDuty) return null;
+      record.coords = coords;
+      record.lastSeenAt = new Date();
+      return record;
+    },
+
+    async touch(riderId, socketId = null) {
+      const record = getLive(riderId);
+      if (!record) return null;
+      if (socketId) record.socketId = socketId;
+      record.lastSeenAt = new Date();
+      return record;
+    },
+
+    async get(riderId) {
+      return getLive(riderId);
+    },
+
+    async getOnDutyRiders() {
+      return [...riders.keys()].map(getLive).filter(record => record && record.isOnDuty);
+    },
+
+    // No spatial index in memory - compute distances and sort
+    async getOnDutyRidersNear({ latitude, longitude }, maxDistanceKm = null) {
+      return (await this.getOnDutyRiders())
+        .filter(record => record.coords?.latitude != null && record.coords?.longitude != null)
+        .map(record => ({
+          ...record,
+          distanceKm: calculateDistance(record.coords.latitude, record.coords.longitude, latitude, longitude),
+        }))
+        .filter(record => !maxDistanceKm || record.distanceKm <= maxDistanceKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+    },
+
+    async countOnDuty() {
+      return (await this.getOnDutyRiders()).length;
+    },
+
+    async getLastCheckpointTime(riderId, rideId) {
+      return checkpointTimes.get(rideId.toString()) || 0;
+    },
+
+    async setLastCheckpointTime(riderId, rideId, time) {
+      checkpointTimes.set(rideId.toString(), time);
+    },
+  };
+};
+
+// Set coords together with their GeoJSON point (or drop the point when coords are unusable)
+const coordsUpdate = (coords) => {
+  const location = toGeoPoint(coords?.latitude, coords?.longitude);
+  return location
+    ? { $set: { coords: coords || {}, location } }
+    : { $set: { coords: coords || {} }, $unset: { location: 1 } };
+};
+
+// Convert a RiderPresence document into a store record
+const toRecord = (doc) => {
+  if (!doc) return null;
+  return {
+    riderId: doc.rider.toString(),
+    socketId: doc.socketId,
+    coords: doc.coords,
+    vehicleType: doc.vehicleType,
+    name: doc.name,
+    isOnDuty: doc.isOnDuty,
+    lastSeenAt: doc.lastSeenAt,
+  };
+};
+
+/**
+ * MongoDB-backed presence store (shared between instances, survives restarts)
+ */
+export const createMongoPresenceStore = () => {
+  const liveSince = () => new Date(Date.now() - PRESENCE_CONFIG.TTL_SECONDS * 1000);
+
+  return {
+    name: 'mongodb',
+
+    async setOnDuty(riderId, { socketId = null, coords = null, vehicleType = 'Tricycle', name = '' } = {}) {
+      const update = coordsUpdate(coords);
+      Object.assign(update.$set, {
+        socketId,
+        vehicleType,
+        name,
+        isOnDuty: true,
+        lastSeenAt: new Date(),
+      });
+      const doc = await RiderPresence.findOneAndUpdate(
+        { rider: riderId },
+        update,
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      ).lean();
+      return toRecord(doc);
+    },
+
+    async setOffDuty(riderId) {
+      await RiderPresence.updateOne({ rider: riderId }, { isOnDuty: false, lastSeenAt: new Date() });
+    },
+
+    async updateLocation(riderId, coords) {
+      const update = coordsUpdate(coords);
+      update.$set.lastSeenAt = new Date();
+      const doc = await RiderPresence.findOneAndUpdate(
+        { rider: riderId, isOnDuty: true, lastSeenAt: { $gte: liveSince() } },
+        update,
+        { new: true }
+      ).lean();
+      return toRecord(doc);
+    },
+
+    async touch(riderId, socketId = null) {
+      const update = { lastSeenAt: new Date() };
+      if (socketId) update.socketId = socketId;
+      const doc = await RiderPresence.findOneAndUpdate(
+        { rider: riderId, lastSeenAt: { $gte: liveSince() } },
+        update,
+        { new: true }
+      ).lean();
+      return toRecord(doc);
+    },
+
+    async get(riderId) {
+      const doc = await RiderPresence.findOne({ rider: riderId, lastSeenAt: { $gte: liveSince() } }).lean();
+      return toRecord(doc);
+    },
+
+    async getOnDutyRiders() {
+      const docs = await RiderPresence.find({ isOnDuty: true, lastSeenAt: { $gte: liveSince() } }).lean();
+      return docs.map(toRecord);
+    },
+
+    // Indexed $geoNear on the rider's last location
+    async getOnDutyRidersNear({ latitude, longitude }, maxDistanceKm = null) {
+      const near = toGeoPoint(latitude, longitude);
+      if (!near) return [];
+
+      const geoNear = {
+        near,
+        key: 'location',
+        distanceField: 'distanceMeters',
+        spherical: true,
+        query: { isOnDuty: true, lastSeenAt: { $gte: liveSince() } },
+      };
+      if (maxDistanceKm) {
+        geoNear.maxDistance = maxDistanceKm * 1000;
+      }
+
+      const docs = await RiderPresence.aggregate([{ $geoNear: geoNear }]);
+      return docs.map(doc => ({ ...toRecord(doc), distanceKm: doc.distanceMeters / 1000 }));
+    },
+
+    async countOnDuty() {
+      return RiderPresence.countDocuments({ isOnDuty: true, lastSeenAt: { $gte: liveSince() } });
+    },
+
+    async getLastCheckpointTime(riderId, rideId) {
+      const doc = await RiderPresence.findOne({ rider: riderId }).select('lastCheckpoint').lean();
+      if (!doc?.lastCheckpoint?.at || doc.lastCheckpoint.rideId?.toString() !== rideId.toString()) {
+        return 0;
+      }
+      return new Date(doc.lastCheckpoint.at).getTime();
+    },
+
+    async setLastCheckpointTime(riderId, rideId, time) {
+      await RiderPresence.updateOne(
+        { rider: riderId },
+        { lastCheckpoint: { rideId, at: new Date(time) } }
+      );
+    },
+  };
+};
+
+const createPresenceStore = () => {
+  if (PRESENCE_CONFIG.STORE === 'memory') {
+    return createMemoryPresenceStore();
+  }
+  return createMongoPresenceStore();
+};
+
+// Shared presence store used by sockets, the dispatch engine and debug endpoints
+const presenceStore = createPresenceStore();
+
+export default presenceStore;
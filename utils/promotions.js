@@ -0,0 +1,319 @@
+import mongoose from 'mongoose';
+import Promotion from '../models/Promotion.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import { BadRequestError } from '../errors/index.js';
+
+/**
+ * Promotions
+ *
+ * A booking gets the promo code the customer entered, or when they didn't
+ * enter one, the eligible campaign that takes the most off the fare. The
+ * discount comes off the total after every surcharge (percentage discounts
+ * up to maxDiscount) and never takes the fare below zero. The promotion's
+ * terms are kept on the ride (ride.promotion) so the discount is worked out
+ * the same way when the fare is settled, whatever the admin changes later.
+ *
+ * A use is reserved when the ride is booked (reservePromotionUse): a guarded
+ * $inc on the promotion's usageCount and on the customer's
+ * PromotionRedemption, so two bookings at once can't both take the last use.
+ * A cancelled or timed out ride gives its use back (releasePromotionUse).
+ */
+
+// Rides that don't use up a promotion (the customer never rode)
+const UNUSED_STATUSES = ['CANCELLED', 'TIMEOUT'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const FULLY_REDEEMED = 'has been fully redeemed';
+const USED_UP_BY_CUSTOMER = 'has already been used the maximum number of times on your account';
+
+const describePromotion = (promotion) => promotion.code ? `Promo code ${promotion.code}` : `The ${promotion.name} promotion`;
+
+/**
+ * Rides that used a promotion (optionally only one customer's)
+ */
+export const countPromotionUses = (promotionId, customerId = null) => {
+  return Ride.countDocuments({
+    'promotion.promotionId': promotionId,
+    status: { $nin: UNUSED_STATUSES },
+    ...(customerId ? { customer: customerId } : {}),
+  });
+};
+
+/**
+ * Uses and discount given for a set of promotions
+ * @returns {Map} promotionId -> { uses, customers, totalDiscount }
+ */
+export const getPromotionUsage = async (promotionIds) => {
+  const usage = await Ride.aggregate([
+    {
+      $match: {
+        'promotion.promotionId': { $in: promotionIds.map(id => new mongoose.Types.ObjectId(id)) },
+        status: { $nin: UNUSED_STATUSES },
+      },
+    },
+    {
+      $group: {
+        _id: '$promotion.promotionId',
+        uses: { $sum: 1 },
+        customers: { $addToSet: '$customer' },
+        totalDiscount: { $sum: { $ifNull: ['$settledFare.breakdown.promoDiscount', { $ifNull: ['$quotedFare.breakdown.promoDiscount', 0] }] } },
+      },
+    },
+  ]);
+
+  return new Map(usage.map(({ _id, uses, customers, totalDiscount }) => [
+    _id.toString(),
+    { uses, customers: customers.length, totalDiscount: round(totalDiscount) },
+  ]));
+};
+
+/**
+ * Amount a promotion takes off a fare (0 when the fare is under its minimum)
+ * @param {Object} promotion - Promotion document or the terms kept on a ride
+ */
+export const computeDiscount = (promotion, fare) => {
+  if (!promotion?.discountType || fare < (promotion.minimumFare || 0)) {
+    return 0;
+  }
+  let discount = promotion.discountType === 'percent'
+    ? fare * promotion.discountValue / 100
+    : promotion.discountValue;
+  if (promotion.discountType === 'percent' && promotion.maxDiscount != null) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+  return round(Math.min(discount, fare));
+};
+
+/**
+ * The promotion terms kept on a ride (ride.promotion)
+ */
+export const toPromotionSnapshot = (promotion) => ({
+  promotionId: promotion.promotionId || promotion._id,
+  code: promotion.code || null,
+  name: promotion.name,
+  discountType: promotion.discountType,
+  discountValue: promotion.discountValue,
+  maxDiscount: promotion.maxDiscount ?? null,
+  minimumFare: promotion.minimumFare || 0,
+});
+
+/**
+ * Why a promotion can't be used for a booking, or null when it can
+ * @param {Object} promotion - Promotion document
+ * @param {Object} booking - { customer, vehicleType, at }; without a customer
+ *   (a guest fare estimate) the customer's own checks are skipped
+ * @returns {string|null} e.g. 'has expired'
+ */
+export const getIneligibilityReason = async (promotion, { customer = null, vehicleType, at = new Date() }) => {
+  if (!promotion.isActive) {
+    return 'is no longer available';
+  }
+  if (promotion.startsAt > at) {
+    return 'has not started yet';
+  }
+  if (promotion.endsAt && promotion.endsAt <= at) {
+    return 'has expired';
+  }
+
+  const { vehicleTypes, studentsOnly, firstRideOnly } = promotion.eligibility || {};
+  if (vehicleType && vehicleTypes?.length > 0 && !vehicleTypes.includes(vehicleType)) {
+    return `is not valid for ${vehicleType} rides`;
+  }
+  if (promotion.usageLimit != null && promotion.usageCount >= promotion.usageLimit) {
+    return FULLY_REDEEMED;
+  }
+
+  if (!customer) {
+    return null;
+  }
+  if (studentsOnly && (customer.userRole !== 'Student' || customer.status !== 'approved')) {
+    return 'is only for verified students';
+  }
+  if (firstRideOnly && await Ride.exists({ customer: customer._id, status: 'COMPLETED' })) {
+    return 'is only for your first ride';
+  }
+  if (promotion.perUserLimit != null) {
+    const redemption = await PromotionRedemption.findOne({ promotion: promotion._id, customer: customer._id }).select('uses');
+    if ((redemption?.uses || 0) >= promotion.perUserLimit) {
+      return USED_UP_BY_CUSTOMER;
+    }
+  }
+  return null;
+};
+
+const findRunningCampaigns = (at) => {
+  return Promotion.find({
+    type: 'campaign',
+    isActive: true,
+    startsAt: { $lte: at },
+    $or: [{ endsAt: null }, { endsAt: { $gt: at } }],
+  });
+};
+
+const findCustomer = (customerId) => {
+  return customerId ? User.findById(customerId).select('userRole status') : null;
+};
+
+/**
+ * The promotion a booking gets: the promo code entered, or else the eligible
+ * campaign that takes the most off the fare (campaigns need the customer)
+ * @param {Object} booking - { code, customerId, vehicleType, fare, at }
+ * @returns {Object|null} Promotion document, or null when none applies
+ * @throws {BadRequestError} When the code doesn't exist or can't be used
+ */
+export const findPromotionForBooking = async ({ code, customerId = null, vehicleType, fare, at = new Date() }) => {
+  const customer = await findCustomer(customerId);
+
+  if (code) {
+    const promotion = await Promotion.findOne({ type: 'code', code: String(code).trim().toUpperCase() });
+    if (!promotion) {
+      throw new BadRequestError(`Promo code ${code} does not exist`);
+    }
+    const reason = await getIneligibilityReason(promotion, { customer, vehicleType, at });
+    if (reason) {
+      throw new BadRequestError(`Promo code ${promotion.code} ${reason}`);
+    }
+    if (fare < promotion.minimumFare) {
+      throw new BadRequestError(`Promo code ${promotion.code} needs a fare of at least ₱${promotion.minimumFare}`);
+    }
+    return promotion;
+  }
+
+  if (!customer) {
+    return null;
+  }
+
+  const campaigns = await findRunningCampaigns(at);
+  const byDiscount = campaigns
+    .map(campaign => ({ campaign, discount: computeDiscount(campaign, fare) }))
+    .filter(({ discount }) => discount > 0)
+    .sort((a, b) => b.discount - a.discount);
+
+  for (const { campaign } of byDiscount) {
+    if (!await getIneligibilityReason(campaign, { customer, vehicleType, at })) {
+      return campaign;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that the promotion on a fare quote can still be used by the customer
+ * booking with it
+ * @param {Object} snapshot - Promotion terms from the quote
+ * @throws {BadRequestError} Saying why it can't
+ */
+export const assertQuotedPromotionUsable = async (snapshot, { customerId, vehicleType }) => {
+  const [promotion, customer] = await Promise.all([
+    Promotion.findById(snapshot.promotionId),
+    findCustomer(customerId),
+  ]);
+  const reason = promotion
+    ? await getIneligibilityReason(promotion, { customer, vehicleType })
+    : 'is no longer available';
+  if (reason) {
+    throw new BadRequestError(`The ${snapshot.code ? `promo code ${snapshot.code}` : `${snapshot.name} promotion`} on this fare quote ${reason}. Please get a new fare estimate.`);
+  }
+};
+
+/**
+ * Running campaigns a customer can get
+ */
+export const getAvailableCampaigns = async (customerId, at = new Date()) => {
+  const [customer, campaigns] = await Promise.all([
+    findCustomer(customerId),
+    findRunningCampaigns(at).select('-lastUpdatedBy').sort({ endsAt: 1 }),
+  ]);
+
+  const eligible = [];
+  for (const campaign of campaigns) {
+    if (!await getIneligibilityReason(campaign, { customer, at })) {
+      eligible.push(campaign);
+    }
+  }
+  return eligible;
+};
+
+/**
+ * Reserve a use of a promotion for a ride being booked. Both limits are
+ * checked and counted in one guarded update each, so concurrent bookings
+ * can't go over them. Give the use back with releasePromotionUse (or
+ * returnPromotionUse if the ride is never created).
+ * @param {Object} promotion - Promotion document or the terms kept on a ride
+ * @throws {BadRequestError} When the promotion or the customer's share is used up
+ */
+export const reservePromotionUse = async (promotion, customerId) => {
+  const promotionId = promotion.promotionId || promotion._id;
+
+  const reserved = await Promotion.findOneAndUpdate(
+    {
+      _id: promotionId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  ).select('perUserLimit');
+  if (!reserved) {
+    throw new BadRequestError(`${describePromotion(promotion)} ${FULLY_REDEEMED}`);
+  }
+
+  try {
+    // An upsert that finds the customer at their limit tries to insert a
+    // second counter and hits the unique index
+    await PromotionRedemption.findOneAndUpdate(
+      {
+        promotion: promotionId,
+        customer: customerId,
+        ...(reserved.perUserLimit != null ? { uses: { $lt: reserved.perUserLimit } } : {}),
+      },
+      { $inc: { uses: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+    if (error.code === 11000) {
+      throw new BadRequestError(`${describePromotion(promotion)} ${USED_UP_BY_CUSTOMER}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give back a use reserved for a customer (the ride was never created)
+ */
+export const returnPromotionUse = async (promotionId, customerId) => {
+  await Promise.all([
+    Promotion.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }),
+    PromotionRedemption.updateOne({ promotion: promotionId, customer: customerId, uses: { $gt: 0 } }, { $inc: { uses: -1 } }),
+  ]);
+};
+
+/**
+ * Give back the promotion use of a cancelled or timed out ride.
+ * Safe to call more than once (e.g. TIMEOUT then CANCELLED) - a ride gives
+ * its use back only once.
+ * @returns {boolean} Whether a use was given back
+ */
+export const releasePromotionUse = async (ride) => {
+  const promotionId = ride.promotion?.promotionId;
+  if (!promotionId || ride.promotion.releasedAt) {
+    return false;
+  }
+
+  const releasedAt = new Date();
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, 'promotion.promotionId': promotionId, 'promotion.releasedAt': null },
+    { $set: { 'promotion.releasedAt': releasedAt } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  await returnPromotionUse(promotionId, ride.customer?._id || ride.customer);
+  ride.promotion.releasedAt = releasedAt;
+  console.log(`🎟️ Gave back the ${ride.promotion.code || ride.promotion.name} promotion use of ride ${ride._id}`);
+  return true;
+};
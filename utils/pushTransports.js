@@ -0,0 +1,179 @@
+import jwt from 'jsonwebtoken';
+
+/**
+ * Push Transports
+ *
+ * The notification service hands push messages to a transport, which talks
+ * to the push provider. Which one is used comes from PUSH_TRANSPORT; another
+ * provider is added by registering a transport with the same interface:
+ *
+ *   name                                  - value of PUSH_TRANSPORT that selects it
+ *   send({ tokens, title, body, data })   -> { sent, failed, invalidTokens }
+ *
+ * invalidTokens are tokens the provider says no longer exist - the caller
+ * deletes them. `data` values are sent as strings.
+ */
+
+export const PUSH_CONFIG = {
+  // 'stub' (log and keep in memory) or 'fcm' (Firebase Cloud Messaging)
+  TRANSPORT: process.env.PUSH_TRANSPORT || 'stub',
+  FCM_PROJECT_ID: process.env.FCM_PROJECT_ID,
+  FCM_CLIENT_EMAIL: process.env.FCM_CLIENT_EMAIL,
+  // Service account key; "\n" escapes from .env files are turned into newlines
+  FCM_PRIVATE_KEY: process.env.FCM_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+};
+
+const toStringData = (data = {}) => Object.fromEntries(
+  Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+);
+
+/**
+ * Local stub - logs each push and keeps the latest ones in memory
+ * (for development and tests; nothing leaves the server)
+ */
+export const createStubPushTransport = ({ keep = 100 } = {}) => {
+  const outbox = [];
+
+  return {
+    name: 'stub',
+    outbox,
+
+    async send({ tokens, title, body, data }) {
+      outbox.push({ tokens, title, body, data: toStringData(data), sentAt: new Date() });
+      if (outbox.length > keep) {
+        outbox.splice(0, outbox.length - keep);
+      }
+      // Only the title and type - bodies carry chat text and other personal details
+      console.log(`📲 [push stub] "${title}"${data?.type ? ` (${data.type})` : ''} to ${tokens.length} device(s)`);
+      return { sent: tokens.length, failed: 0, invalidTokens: [] };
+    },
+
+    clear() {
+      outbox.length = 0;
+    },
+  };
+};
+
+/**
+ * Firebase Cloud Messaging (HTTP v1 API) using a service account
+ */
+export const createFcmPushTransport = ({ projectId, clientEmail, privateKey }) => {
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt - 60 * 1000) {
+      return accessToken;
+    }
+
+    const assertion = jwt.sign(
+      { scope: 'https://www.googleapis.com/auth/firebase.messaging' },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        issuer: clientEmail,
+        audience: 'https://oauth2.googleapis.com/token',
+        expiresIn: '1h',
+      }
+    );
+
+    const response = await fetch('https://oauth2.googleapis.com/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`FCM auth failed with status ${response.status}`);
+    }
+
+    const result = await response.json();
+    accessToken = result.access_token;
+    accessTokenExpiresAt = Date.now() + result.expires_in * 1000;
+    return accessToken;
+  };
+
+  return {
+    name: 'fcm',
+
+    async send({ tokens, title, body, data }) {
+      const authToken = await getAccessToken();
+      const invalidTokens = [];
+      let sent = 0;
+
+      // The v1 API takes one device per request
+      for (const token of tokens) {
+        const response = await fetch(`https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${authToken}`,
+          },
+          body: JSON.stringify({
+            message: {
+              token,
+              notification: { title, body },
+              data: toStringData(data),
+              android: { priority: 'high' },
+              apns: { payload: { aps: { sound: 'default' } } },
+            },
+          }),
+        });
+
+        if (response.ok) {
+          sent += 1;
+          continue;
+        }
+
+        const error = await response.json().catch(() => ({}));
+        const errorCode = error.error?.details?.find(detail => detail.errorCode)?.errorCode;
+        if (response.status === 404 || errorCode === 'UNREGISTERED') {
+          invalidTokens.push(token);
+        } else {
+          console.error(`❌ FCM send failed (${response.status}):`, error.error?.message || errorCode);
+        }
+      }
+
+      return { sent, failed: tokens.length - sent, invalidTokens };
+    },
+  };
+};
+
+const transports = new Map();
+
+/**
+ * Add (or replace) a push transport
+ */
+export const registerPushTransport = (transport) => {
+  if (!transport?.name || typeof transport.send !== 'function') {
+    throw new Error('Push transport must have a name and send()');
+  }
+  transports.set(transport.name, transport);
+  console.log(`📲 Push transport registered: ${transport.name}`);
+};
+
+/**
+ * The transport selected by PUSH_TRANSPORT (falls back to the stub)
+ */
+export const getPushTransport = () => {
+  const transport = transports.get(PUSH_CONFIG.TRANSPORT);
+  if (!transport) {
+    console.warn(`⚠️ Push transport "${PUSH_CONFIG.TRANSPORT}" is not registered, using the stub`);
+    return transports.get('stub');
+  }
+  return transport;
+};
+
+registerPushTransport(createStubPushTransport());
+
+if (PUSH_CONFIG.FCM_PROJECT_ID && PUSH_CONFIG.FCM_CLIENT_EMAIL && PUSH_CONFIG.FCM_PRIVATE_KEY) {
+  registerPushTransport(createFcmPushTransport({
+    projectId: PUSH_CONFIG.FCM_PROJECT_ID,
+    clientEmail: PUSH_CONFIG.FCM_CLIENT_EMAIL,
+    privateKey: PUSH_CONFIG.FCM_PRIVATE_KEY,
+  }));
+}
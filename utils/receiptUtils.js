@@ -0,0 +1,299 @@
+import PDFDocument from 'pdfkit';
+import Ride from '../models/Ride.js';
+import { getOrderedStops } from './stopUtils.js';
+import { sendRideReceiptEmail } from './emailService.js';
+import { roundMoney } from './ledger.js';
+
+/**
+ * Ride Receipt Utility Functions
+ *
+ * Turns a completed ride into a receipt (plain data), then renders it as
+ * HTML or PDF. Customers who opted in (user.emailRideReceipts) get a copy
+ * by email when the ride completes.
+ */
+
+// Fare breakdown keys shown as receipt lines, in order. A zone flat fare
+// replaces base + distance (both are 0 in its breakdown).
+const FARE_LINE_LABELS = {
+  zoneFlatFare: 'Zone flat fare',
+  baseFare: 'Base fare',
+  distanceFare: 'Distance fare',
+  nightSurcharge: 'Night surcharge',
+  peakSurcharge: 'Peak hour surcharge',
+  surgeCharge: 'Demand surge',
+  passengerCharge: 'Additional passengers',
+  zoneSurcharge: 'Zone surcharge',
+};
+
+const formatMoney = (amount) => `${Number(amount) < 0 ? '-' : ''}₱${Math.abs(Number(amount) || 0).toFixed(2)}`;
+
+/**
+ * Receipt lines for a fare breakdown, adding up to the total charged:
+ * the priced components, any minimum fare top-up, then the promotion
+ * discount as a negative line
+ */
+const buildFareLines = (breakdown, totalFare) => {
+  const promoDiscount = roundMoney(breakdown.promoDiscount);
+  const fareBeforeDiscount = roundMoney(breakdown.fareBeforeDiscount ?? totalFare + promoDiscount);
+
+  const lines = breakdown.passengerSplit
+    ? [{ label: 'Passenger fares', amount: fareBeforeDiscount }]
+    : Object.entries(FARE_LINE_LABELS)
+      .filter(([key]) => Number(breakdown[key]) > 0)
+      .map(([key, label]) => ({ label, amount: Number(breakdown[key]) }));
+
+  const remainder = roundMoney(fareBeforeDiscount - lines.reduce((sum, line) => sum + line.amount, 0));
+  if (remainder > 0) {
+    lines.push({ label: lines.length > 0 ? 'Minimum fare adjustment' : 'Fare', amount: remainder });
+  }
+
+  if (promoDiscount > 0) {
+    const promotion = breakdown.promotion?.code || breakdown.promotion?.name;
+    lines.push({ label: promotion ? `Promotion (${promotion})` : 'Promotion', amount: -promoDiscount });
+  }
+  return lines;
+};
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-PH', { timeZone: 'Asia/Manila' }) : '-');
+
+const fullName = (person) => [person?.firstName, person?.lastName].filter(Boolean).join(' ') || '-';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Receipt number shown to the customer (date + end of the ride ID)
+ */
+export const getReceiptNumber = (ride) => {
+  const date = new Date(ride.tripLogs?.endTime || ride.updatedAt || ride.createdAt);
+  const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `PS-${datePart}-${ride._id.toString().slice(-6).toUpperCase()}`;
+};
+
+/**
+ * Build the receipt for a completed ride
+ * @param {Object} ride - Ride document with customer and rider populated
+ * @returns {Object} Receipt data used by the HTML and PDF renderers
+ */
+export const buildRideReceipt = (ride) => {
+  const fareRecord = ride.settledFare?.amount != null ? ride.settledFare : ride.quotedFare;
+  const fareLines = buildFareLines(fareRecord?.breakdown || {}, fareRecord?.amount ?? ride.fare);
+
+  const route = [
+    { label: 'Pickup', address: ride.pickup?.address },
+    ...getOrderedStops(ride)
+      .filter(stop => stop.status === 'REACHED')
+      .map((stop, index) => ({ label: `Stop ${index + 1}`, address: stop.address })),
+    ride.earlyStop?.completedEarly
+      ? { label: 'Dropped off early', address: ride.earlyStop.address }
+      : { label: 'Drop-off', address: ride.drop?.address },
+  ];
+
+  return {
+    receiptNumber: getReceiptNumber(ride),
+    rideId: ride._id.toString(),
+    vehicle: ride.vehicle,
+    customer: fullName(ride.customer),
+    rider: fullName(ride.rider),
+    requestedAt: ride.tripLogs?.requestTime || ride.createdAt,
+    pickedUpAt: ride.tripLogs?.pickupTime,
+    completedAt: ride.tripLogs?.endTime,
+    route,
+    earlyStop: ride.earlyStop?.completedEarly
+      ? { requestedBy: ride.earlyStop.requestedBy, reason: ride.earlyStop.reason }
+      : null,
+    estimatedDistanceKm: ride.quotedFare?.distanceKm ?? ride.distance,
+    billedDistanceKm: ride.settledFare?.distanceKm ?? ride.finalDistance ?? ride.distance,
+    passengers: (ride.passengers || []).map(passenger => ({
+      name: fullName(passenger),
+      distanceTravelledKm: passenger.distanceTravelledKm,
+      fare: passenger.fare,
+    })),
+    fareLines,
+    quotedFare: ride.quotedFare?.amount ?? null,
+    totalFare: ride.fare,
+  };
+};
+
+/**
+ * Render a receipt as a standalone HTML page
+ */
+export const renderReceiptHtml = (receipt) => {
+  const row = (label, value) => `
+          <tr>
+            <td style="padding: 6px 0; color: #666;">${escapeHtml(label)}</td>
+            <td style="padding: 6px 0; text-align: right;">${escapeHtml(value)}</td>
+          </tr>`;
+
+  const passengerRows = receipt.passengers.length > 1
+    ? `
+        <h3 style="margin-bottom: 8px;">Passengers</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${receipt.passengers.map(p => row(`${p.name} (${(p.distanceTravelledKm ?? 0).toFixed(2)} km)`, formatMoney(p.fare))).join('')}
+        </table>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Pedismart Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+  </head>
+  <body style="margin: 0; background-color: #f5f5f5;">
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: white;">
+      <div style="background-color: #4CAF50; padding: 20px; text-align: center;">
+        <h1 style="color: white; margin: 0;">Pedismart Receipt</h1>
+        <p style="color: white; margin: 8px 0 0 0;">${escapeHtml(receipt.receiptNumber)}</p>
+      </div>
+      <div style="padding: 30px;">
+        <table style="width: 100%; border-collapse: collapse;">
+          ${row('Passenger', receipt.customer)}
+          ${row('Driver', receipt.rider)}
+          ${row('Vehicle', receipt.vehicle)}
+          ${row('Requested', formatDateTime(receipt.requestedAt))}
+          ${row('Picked up', formatDateTime(receipt.pickedUpAt))}
+          ${row('Completed', formatDateTime(receipt.completedAt))}
+        </table>
+
+        <h3 style="margin-bottom: 8px;">Route</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${receipt.route.map(point => row(point.label, point.address || '-')).join('')}
+          ${row('Estimated distance', `${(receipt.estimatedDistanceKm ?? 0).toFixed(2)} km`)}
+          ${row('Billed distance', `${(receipt.billedDistanceKm ?? 0).toFixed(2)} km`)}
+        </table>
+        ${receipt.earlyStop ? `<p style="color: #666; font-size: 14px;">Ride ended early at the ${escapeHtml(receipt.earlyStop.requestedBy)}'s request${receipt.earlyStop.reason ? `: ${escapeHtml(receipt.earlyStop.reason)}` : ''}.</p>` : ''}
+        ${passengerRows}
+
+        <h3 style="margin-bottom: 8px;">Fare</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${receipt.fareLines.map(line => row(line.label, formatMoney(line.amount))).join('')}
+          ${receipt.quotedFare != null && receipt.quotedFare !== receipt.totalFare ? row('Quoted at booking', formatMoney(receipt.quotedFare)) : ''}
+          <tr>
+            <td style="padding: 12px 0; border-top: 2px solid #333; font-weight: bold;">Total</td>
+            <td style="padding: 12px 0; border-top: 2px solid #333; font-weight: bold; text-align: right;">${escapeHtml(formatMoney(receipt.totalFare))}</td>
+          </tr>
+        </table>
+      </div>
+      <hr style="border: none; border-top: 1px solid #eee; margin: 0;">
+      <p style="color: #666; font-size: 12px; text-align: center; padding: 10px;">Thank you for riding with Pedismart. Ride ID: ${escapeHtml(receipt.rideId)}</p>
+    </div>
+  </body>
+</html>`;
+};
+
+/**
+ * Render a receipt as a PDF
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // The built-in PDF fonts have no peso sign
+    const money = (amount) => formatMoney(amount).replace('₱', 'PHP ');
+    const line = (label, value) => {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+      const y = doc.y;
+      doc.fillColor('#666666').text(label, left, y, { width: width * 0.4 });
+      const labelBottom = doc.y;
+      doc.fillColor('#000000').text(String(value), left + width * 0.4, y, { width: width * 0.6, align: 'right' });
+      doc.x = left;
+      doc.y = Math.max(labelBottom, doc.y);
+    };
+    const heading = (text) => {
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(text).font('Helvetica').fontSize(9).moveDown(0.3);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#4CAF50').text('Pedismart Receipt', { align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(receipt.receiptNumber, { align: 'center' }).moveDown();
+
+    doc.fontSize(9);
+    line('Passenger', receipt.customer);
+    line('Driver', receipt.rider);
+    line('Vehicle', receipt.vehicle || '-');
+    line('Requested', formatDateTime(receipt.requestedAt));
+    line('Picked up', formatDateTime(receipt.pickedUpAt));
+    line('Completed', formatDateTime(receipt.completedAt));
+
+    heading('Route');
+    receipt.route.forEach(point => line(point.label, point.address || '-'));
+    line('Estimated distance', `${(receipt.estimatedDistanceKm ?? 0).toFixed(2)} km`);
+    line('Billed distance', `${(receipt.billedDistanceKm ?? 0).toFixed(2)} km`);
+    if (receipt.earlyStop) {
+      doc.moveDown(0.3).fillColor('#666666').text(
+        `Ride ended early at the ${receipt.earlyStop.requestedBy}'s request${receipt.earlyStop.reason ? `: ${receipt.earlyStop.reason}` : ''}.`
+      );
+    }
+
+    if (receipt.passengers.length > 1) {
+      heading('Passengers');
+      receipt.passengers.forEach(p => line(`${p.name} (${(p.distanceTravelledKm ?? 0).toFixed(2)} km)`, money(p.fare)));
+    }
+
+    heading('Fare');
+    receipt.fareLines.forEach(fareLine => line(fareLine.label, money(fareLine.amount)));
+    if (receipt.quotedFare != null && receipt.quotedFare !== receipt.totalFare) {
+      line('Quoted at booking', money(receipt.quotedFare));
+    }
+    doc.moveDown(0.3).font('Helvetica-Bold');
+    line('Total', money(receipt.totalFare));
+
+    doc.moveDown(2).font('Helvetica').fontSize(8).fillColor('#666666')
+      .text(`Thank you for riding with Pedismart. Ride ID: ${receipt.rideId}`, { align: 'center' });
+
+    doc.end();
+  });
+};
+
+/**
+ * Email the receipt of a completed ride to every passenger who opted in.
+ * Never throws - a failed email must not affect the ride.
+ * @param {string} rideId - Ride ID
+ * @returns {number} How many receipts were sent
+ */
+export const emailRideReceipts = async (rideId) => {
+  try {
+    const ride = await Ride.findById(rideId)
+      .populate('customer', 'firstName lastName')
+      .populate('rider', 'firstName lastName')
+      .populate('passengers.userId', 'firstName lastName email emailRideReceipts');
+
+    if (!ride || ride.status !== 'COMPLETED') {
+      return 0;
+    }
+
+    const recipients = (ride.passengers || [])
+      .map(passenger => passenger.userId)
+      .filter(user => user?.email && user.emailRideReceipts);
+
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    const receipt = buildRideReceipt(ride);
+    const html = renderReceiptHtml(receipt);
+    const pdf = await renderReceiptPdf(receipt);
+
+    let sent = 0;
+    for (const user of recipients) {
+      if (await sendRideReceiptEmail(user.email, fullName(user), receipt.receiptNumber, html, pdf)) {
+        sent++;
+      }
+    }
+
+    console.log(`🧾 Emailed ${sent}/${recipients.length} receipt(s) for ride ${rideId}`);
+    return sent;
+  } catch (error) {
+    console.error(`❌ Error emailing receipts for ride ${rideId}:`, error);
+    return 0;
+  }
+};
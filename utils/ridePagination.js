@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { BadRequestError } from '../errors/index.js';
+
+/**
+ * Ride History Pagination
+ *
+ * Cursor pagination over rides, newest first. The cursor is the
+ * (createdAt, _id) of the last ride on the previous page, so pages stay
+ * stable while new rides are being created.
+ */
+
+export const RIDE_PAGE_CONFIG = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+};
+
+// Fields returned by the lightweight summary view (?view=summary)
+export const RIDE_SUMMARY_FIELDS = [
+  'status',
+  'vehicle',
+  'fare',
+  'distance',
+  'customer',
+  'rider',
+  'pickup.address',
+  'drop.address',
+  'scheduledFor',
+  'currentPassengerCount',
+  'passengers.userId',
+  'passengers.status',
+  'passengers.isOriginalBooker',
+  'tripLogs.endTime',
+  'createdAt',
+].join(' ');
+
+export const RIDE_HISTORY_ROLES = ['customer', 'rider', 'passenger'];
+
+const RIDE_SORT = { createdAt: -1, _id: -1 };
+
+/**
+ * Opaque cursor for the ride a page ended on
+ */
+export const encodeRideCursor = (ride) => {
+  return Buffer.from(JSON.stringify({
+    createdAt: new Date(ride.createdAt).toISOString(),
+    id: ride._id.toString(),
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from the query string (throws BadRequestError if malformed)
+ */
+export const decodeRideCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor');
+    }
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new BadRequestError('Invalid pagination cursor');
+  }
+};
+
+/**
+ * Page size from the query string, clamped to MAX_LIMIT
+ */
+export const parsePageLimit = (limit) => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return RIDE_PAGE_CONFIG.DEFAULT_LIMIT;
+  }
+  return Math.min(parsed, RIDE_PAGE_CONFIG.MAX_LIMIT);
+};
+
+/**
+ * createdAt filter for a date range (either end optional)
+ * @returns {Object|null} Mongo condition, or null when no range was given
+ */
+export const buildDateRangeFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) {
+    return null;
+  }
+
+  const range = {};
+  if (startDate) {
+    const from = new Date(startDate);
+    if (Number.isNaN(from.getTime())) {
+      throw new BadRequestError('Invalid start date');
+    }
+    range.$gte = from;
+  }
+  if (endDate) {
+    const to = new Date(endDate);
+    if (Number.isNaN(to.getTime())) {
+      throw new BadRequestError('Invalid end date');
+    }
+    range.$lte = to;
+  }
+  return { createdAt: range };
+};
+
+/**
+ * Rides a user took part in, optionally limited to one role
+ * @param {string} userId - User ID
+ * @param {string} role - 'customer' (booked it), 'rider' (drove it), 'passenger' (joined it), or empty for all
+ */
+export const buildRideRoleFilter = (userId, role) => {
+  if (role && !RIDE_HISTORY_ROLES.includes(role)) {
+    throw new BadRequestError(`Invalid role. Must be one of: ${RIDE_HISTORY_ROLES.join(', ')}`);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new BadRequestError('Invalid user ID');
+  }
+
+  const id = new mongoose.Types.ObjectId(userId);
+  switch (role) {
+    case 'customer':
+      return { customer: id };
+    case 'rider':
+      return { rider: id };
+    case 'passenger':
+      return { passengers: { $elemMatch: { userId: id, isOriginalBooker: { $ne: true } } } };
+    default:
+      return {
+        $or: [
+          { customer: id },
+          { rider: id },
+          { 'passengers.userId': id },
+        ],
+      };
+  }
+};
+
+/**
+ * Fetch one page of rides, newest first
+ * @param {Array} conditions - Mongo conditions to AND together (nulls are ignored)
+ * @param {Object} options - { cursor, limit, select, populate: [[path, fields], ...] }
+ * @returns {Object} { rides, nextCursor, hasMore }
+ */
+export const findRidePage = async (conditions, { cursor, limit, select = null, populate = [] } = {}) => {
+  const pageLimit = parsePageLimit(limit);
+  const filters = conditions.filter(Boolean);
+
+  if (cursor) {
+    const { createdAt, id } = decodeRideCursor(cursor);
+    filters.push({
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: id } },
+      ],
+    });
+  }
+
+  let query = Ride.find(filters.length > 0 ? { $and: filters } : {})
+    .sort(RIDE_SORT)
+    .limit(pageLimit + 1);
+  if (select) {
+    query = query.select(select);
+  }
+  populate.forEach(([path, fields]) => {
+    query = query.populate(path, fields);
+  });
+
+  const rides = await query;
+  const hasMore = rides.length > pageLimit;
+  if (hasMore) {
+    rides.pop();
+  }
+
+  return {
+    rides,
+    hasMore,
+    nextCursor: hasMore ? encodeRideCursor(rides[rides.length - 1]) : null,
+  };
+};
@@ -0,0 +1,129 @@
+import Ride from '../models/Ride.js';
+import { BadRequestError } from '../errors/index.js';
+
+/**
+ * Ride State Machine
+ *
+ * The single place that knows which ride status changes are legal.
+ * Every status change goes through transitionRide (document callers) or
+ * transitionRideAtomic (findOneAndUpdate callers), which also append the
+ * change to ride.statusHistory with who made it, when and why.
+ *
+ *   SCHEDULED ───────────► SEARCHING_FOR_RIDER ──► START ──► ARRIVED ──► COMPLETED
+ *       │                     │        │             │          │
+ *       └──► CANCELLED ◄──────┘        └► TIMEOUT    └──────────┴──► CANCELLED
+ *                 ▲                        │
+ *                 └────────────────────────┘ (cleanup)
+ */
+
+export const RIDE_STATUS = {
+  SCHEDULED: 'SCHEDULED',
+  SEARCHING_FOR_RIDER: 'SEARCHING_FOR_RIDER',
+  START: 'START',
+  ARRIVED: 'ARRIVED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  TIMEOUT: 'TIMEOUT',
+};
+
+// Legal transitions: from status -> statuses it may move to
+export const RIDE_TRANSITIONS = {
+  SCHEDULED: ['SEARCHING_FOR_RIDER', 'CANCELLED'],
+  SEARCHING_FOR_RIDER: ['START', 'CANCELLED', 'TIMEOUT'],
+  START: ['ARRIVED', 'CANCELLED'],
+  ARRIVED: ['COMPLETED', 'CANCELLED'],
+  TIMEOUT: ['CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+/**
+ * Whether a ride may move from one status to another
+ */
+export const canTransition = (from, to) => {
+  return (RIDE_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Throw a BadRequestError unless the transition is legal
+ */
+export const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    const message = RIDE_TRANSITIONS[from]?.length === 0
+      ? `Ride is already ${from.toLowerCase()} and cannot be changed to ${to}`
+      : `Ride cannot move from ${from} to ${to}`;
+    throw new BadRequestError(message);
+  }
+};
+
+/**
+ * statusHistory actor type for a user role (customer, rider, admin)
+ */
+export const actorTypeForRole = (role) => {
+  return ['customer', 'rider', 'admin'].includes(role) ? role : 'system';
+};
+
+/**
+ * Build a statusHistory entry
+ * @param {string|null} from - Previous status (null when the ride is created)
+ * @param {string} to - New status
+ * @param {Object} options - { actorType: 'customer'|'rider'|'admin'|'system', actorId, reason }
+ */
+export const buildStatusHistoryEntry = (from, to, { actorType = 'system', actorId = null, reason = null } = {}) => ({
+  from,
+  to,
+  actorType,
+  actor: actorId,
+  reason,
+  at: new Date(),
+});
+
+/**
+ * Move a ride document to a new status and record it in statusHistory.
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @param {Object} ride - Ride document
+ * @param {string} to - New status
+ * @param {Object} options - { actorType, actorId, reason }
+ * @returns {Object} The ride
+ */
+export const transitionRide = (ride, to, options = {}) => {
+  const from = ride.status;
+  assertTransition(from, to);
+
+  ride.status = to;
+  if (!ride.statusHistory) {
+    ride.statusHistory = [];
+  }
+  ride.statusHistory.push(buildStatusHistoryEntry(from, to, options));
+
+  console.log(`🔀 Ride ${ride._id}: ${from} → ${to} (${options.actorType || 'system'}${options.reason ? `: ${options.reason}` : ''})`);
+  return ride;
+};
+
+/**
+ * Atomically move a ride from one status to another (only if it is still in
+ * `from`) and record it in statusHistory.
+ * @param {string} rideId - Ride ID
+ * @param {string} from - Status the ride must currently have
+ * @param {string} to - New status
+ * @param {Object} options - { actorType, actorId, reason, update, filter }
+ *   update: extra fields to $set; filter: extra conditions the ride must still match
+ * @returns {Object|null} The updated ride, or null if it no longer matched
+ */
+export const transitionRideAtomic = async (rideId, from, to, { update = {}, filter = {}, ...options } = {}) => {
+  assertTransition(from, to);
+
+  const ride = await Ride.findOneAndUpdate(
+    { ...filter, _id: rideId, status: from },
+    {
+      $set: { ...update, status: to },
+      $push: { statusHistory: buildStatusHistoryEntry(from, to, options) },
+    },
+    { new: true }
+  );
+
+  if (ride) {
+    console.log(`🔀 Ride ${rideId}: ${from} → ${to} (${options.actorType || 'system'}${options.reason ? `: ${options.reason}` : ''})`);
+  }
+  return ride;
+};
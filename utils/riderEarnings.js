@@ -0,0 +1,408 @@
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import FareConfig from '../models/FareConfig.js';
+import PayoutStatement from '../models/PayoutStatement.js';
+import { SYSTEM_ACCOUNTS } from '../models/Wallet.js';
+import { BadRequestError, NotFoundError, ConflictError } from '../errors/index.js';
+import {
+  roundMoney,
+  newTransactionId,
+  getUserWallet,
+  getSystemAccount,
+  postLedgerEntry,
+} from './ledger.js';
+
+/**
+ * Rider Earnings
+ *
+ * When a ride completes, the platform commission for its vehicle type is
+ * fixed on the ride (ride.earnings), so later commission changes don't
+ * rewrite past earnings. Earnings are reported by completion time, and
+ * admins close payout periods into PayoutStatements.
+ */
+
+export const EARNINGS_CONFIG = {
+  // Commission when the vehicle's FareConfig doesn't set platformCommissionPercent (%)
+  DEFAULT_COMMISSION_PERCENT: parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 0,
+  // Days, weeks and months are counted in local time
+  TIMEZONE: process.env.EARNINGS_TIMEZONE || 'Asia/Manila',
+};
+
+// Summary period -> $dateToString format (weekly uses ISO weeks)
+const PERIOD_FORMATS = {
+  daily: '%Y-%m-%d',
+  weekly: '%G-W%V',
+  monthly: '%Y-%m',
+};
+
+// How far back a summary goes when no start date is given (days)
+const DEFAULT_LOOKBACK_DAYS = {
+  daily: 30,
+  weekly: 12 * 7,
+  monthly: 365,
+};
+
+export const EARNINGS_PERIODS = Object.keys(PERIOD_FORMATS);
+
+// Fields from rides recorded before earnings existed fall back to the fare
+const grossExpr = { $ifNull: ['$earnings.grossFare', '$fare'] };
+const commissionExpr = { $ifNull: ['$earnings.commission', 0] };
+const netExpr = { $ifNull: ['$earnings.netEarning', '$fare'] };
+
+/**
+ * Commission percentage from the fare config version a ride was priced with
+ */
+export const getCommissionPercent = async (ride) => {
+  const config = await FareConfig.getForRide(ride);
+  return config?.platformCommissionPercent ?? EARNINGS_CONFIG.DEFAULT_COMMISSION_PERCENT;
+};
+
+/**
+ * Promotion discount taken off a ride's fare, from its settled (or else quoted) breakdown
+ */
+export const getRidePromoDiscount = (ride) => {
+  const breakdown = ride.settledFare?.settledAt ? ride.settledFare.breakdown : ride.quotedFare?.breakdown;
+  return roundMoney(breakdown?.promoDiscount || 0);
+};
+
+/**
+ * Fix the rider's share of a completed ride's fare. Call after the fare is
+ * settled and before settleRidePayments (which splits the payment with it).
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @returns {Object} The earnings record
+ */
+export const recordRideEarnings = async (ride) => {
+  if (ride.earnings?.recordedAt) {
+    return ride.earnings;
+  }
+
+  let commissionPercent = EARNINGS_CONFIG.DEFAULT_COMMISSION_PERCENT;
+  try {
+    commissionPercent = await getCommissionPercent(ride);
+  } catch (configError) {
+    console.error(`⚠️ Could not read commission for ride ${ride._id}, using default:`, configError.message);
+  }
+
+  // The platform funds promotion discounts - the rider earns on the fare before
+  // the discount (settlement pays the discount into ride clearing)
+  const promoDiscount = getRidePromoDiscount(ride);
+  const grossFare = roundMoney(ride.fare + promoDiscount);
+  const commission = roundMoney(grossFare * commissionPercent / 100);
+
+  ride.set({
+    'earnings.grossFare': grossFare,
+    'earnings.promoDiscount': promoDiscount,
+    'earnings.commissionPercent': commissionPercent,
+    'earnings.commission': commission,
+    'earnings.netEarning': roundMoney(grossFare - commission),
+    'earnings.recordedAt': new Date(),
+  });
+
+  console.log(`💵 Rider earnings for ride ${ride._id}: ₱${ride.earnings.netEarning} (₱${grossFare} - ${commissionPercent}% commission${promoDiscount > 0 ? `, incl. ₱${promoDiscount} promotion` : ''})`);
+  return ride.earnings;
+};
+
+/**
+ * Completed rides of a rider in a date range (by completion time)
+ */
+const completedRidesMatch = (riderId, from, to) => {
+  const endTime = {};
+  if (from) endTime.$gte = from;
+  if (to) endTime.$lt = to;
+
+  return {
+    rider: new mongoose.Types.ObjectId(riderId),
+    status: 'COMPLETED',
+    ...(from || to ? { 'tripLogs.endTime': endTime } : {}),
+  };
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Invalid ${label}`);
+  }
+  return date;
+};
+
+/**
+ * Earnings totals per day, week or month
+ * @param {string} riderId - Rider
+ * @param {Object} options - { period: 'daily'|'weekly'|'monthly', startDate, endDate }
+ * @returns {Object} { period, range, totals, buckets }
+ */
+export const getEarningsSummary = async (riderId, { period = 'daily', startDate, endDate } = {}) => {
+  if (!EARNINGS_PERIODS.includes(period)) {
+    throw new BadRequestError(`Invalid period. Must be one of: ${EARNINGS_PERIODS.join(', ')}`);
+  }
+
+  const to = endDate ? parseDate(endDate, 'end date') : new Date();
+  const from = startDate
+    ? parseDate(startDate, 'start date')
+    : new Date(to.getTime() - DEFAULT_LOOKBACK_DAYS[period] * 24 * 60 * 60 * 1000);
+
+  const sums = {
+    rides: { $sum: 1 },
+    grossFare: { $sum: grossExpr },
+    commission: { $sum: commissionExpr },
+    netEarning: { $sum: netExpr },
+    cashCollected: { $sum: { $ifNull: ['$payment.cashAmount', 0] } },
+    walletPaid: { $sum: { $ifNull: ['$payment.walletAmount', 0] } },
+    distanceKm: { $sum: { $ifNull: ['$finalDistance', '$distance'] } },
+  };
+
+  const [result] = await Ride.aggregate([
+    { $match: completedRidesMatch(riderId, from, to) },
+    {
+      $facet: {
+        buckets: [
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: PERIOD_FORMATS[period], date: '$tripLogs.endTime', timezone: EARNINGS_CONFIG.TIMEZONE },
+              },
+              ...sums,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        totals: [{ $group: { _id: null, ...sums } }],
+      },
+    },
+  ]);
+
+  const roundSums = ({ _id, ...values }) => ({
+    ...values,
+    grossFare: roundMoney(values.grossFare),
+    commission: roundMoney(values.commission),
+    netEarning: roundMoney(values.netEarning),
+    cashCollected: roundMoney(values.cashCollected),
+    walletPaid: roundMoney(values.walletPaid),
+    distanceKm: Math.round((values.distanceKm || 0) * 100) / 100,
+  });
+
+  return {
+    period,
+    range: { start: from, end: to },
+    totals: result.totals[0]
+      ? roundSums(result.totals[0])
+      : roundSums({ rides: 0, grossFare: 0, commission: 0, netEarning: 0, cashCollected: 0, walletPaid: 0, distanceKm: 0 }),
+    buckets: result.buckets.map(bucket => ({ label: bucket._id, ...roundSums(bucket) })),
+  };
+};
+
+/**
+ * One statement line per ride
+ */
+const buildStatementLine = (ride) => {
+  const grossFare = roundMoney(ride.earnings?.grossFare ?? ride.fare);
+  const commission = roundMoney(ride.earnings?.commission ?? 0);
+  const paid = ['PAID', 'REFUNDED'].includes(ride.payment?.status);
+
+  return {
+    ride: ride._id,
+    completedAt: ride.tripLogs?.endTime || null,
+    vehicle: ride.vehicle,
+    distanceKm: ride.finalDistance ?? ride.distance ?? 0,
+    grossFare,
+    commissionPercent: ride.earnings?.commissionPercent ?? 0,
+    commission,
+    netEarning: roundMoney(ride.earnings?.netEarning ?? grossFare - commission),
+    // Rides completed before wallet payments were all paid in cash
+    cashCollected: paid ? roundMoney(ride.payment.cashAmount) : grossFare,
+    walletPaid: paid ? roundMoney(ride.payment.walletAmount) : 0,
+  };
+};
+
+const sumLines = (lines, key) => roundMoney(lines.reduce((total, line) => total + (line[key] || 0), 0));
+
+const getStatementNumber = (statementId, periodEnd) => {
+  const datePart = new Date(periodEnd).toISOString().slice(0, 10).replace(/-/g, '');
+  return `PO-${datePart}-${statementId.toString().slice(-6).toUpperCase()}`;
+};
+
+/**
+ * Close a payout period: every completed ride in [periodStart, periodEnd) that
+ * isn't on a statement yet goes onto one statement per rider.
+ * @param {Object} period - { periodStart, periodEnd, riderId (optional), closedBy }
+ * @returns {Array} The statements created
+ */
+export const closePayoutPeriod = async ({ periodStart, periodEnd, riderId = null, closedBy = null }) => {
+  const from = parseDate(periodStart, 'period start');
+  const to = parseDate(periodEnd, 'period end');
+
+  if (from >= to) {
+    throw new BadRequestError('Period start must be before period end');
+  }
+  if (to > new Date()) {
+    throw new BadRequestError('Cannot close a payout period that has not ended yet');
+  }
+  if (riderId && !mongoose.Types.ObjectId.isValid(riderId)) {
+    throw new BadRequestError('Invalid rider ID');
+  }
+
+  const unclosed = {
+    status: 'COMPLETED',
+    'tripLogs.endTime': { $gte: from, $lt: to },
+    'earnings.payoutStatement': null,
+  };
+  const riderIds = riderId
+    ? [new mongoose.Types.ObjectId(riderId)]
+    : await Ride.distinct('rider', { ...unclosed, rider: { $ne: null } });
+
+  const statements = [];
+  for (const rider of riderIds) {
+    // Claim the rides first so an overlapping close can't put a ride on two statements
+    const statementId = new mongoose.Types.ObjectId();
+    const claimed = await Ride.updateMany(
+      { ...unclosed, rider },
+      { $set: { 'earnings.payoutStatement': statementId } }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    try {
+      const rides = await Ride.find({ 'earnings.payoutStatement': statementId })
+        .select('vehicle fare distance finalDistance earnings payment tripLogs.endTime')
+        .sort({ 'tripLogs.endTime': 1 });
+      const lines = rides.map(buildStatementLine);
+
+      const netEarning = sumLines(lines, 'netEarning');
+      const cashCollected = sumLines(lines, 'cashCollected');
+
+      statements.push(await PayoutStatement.create({
+        _id: statementId,
+        statementNumber: getStatementNumber(statementId, to),
+        rider,
+        periodStart: from,
+        periodEnd: to,
+        rides: lines,
+        totals: {
+          rideCount: lines.length,
+          grossFare: sumLines(lines, 'grossFare'),
+          commission: sumLines(lines, 'commission'),
+          netEarning,
+          cashCollected,
+          walletPaid: sumLines(lines, 'walletPaid'),
+          netPayable: roundMoney(netEarning - cashCollected),
+        },
+        closedBy,
+      }));
+    } catch (error) {
+      // Release the rides so the period can be closed again
+      await Ride.updateMany(
+        { 'earnings.payoutStatement': statementId },
+        { $set: { 'earnings.payoutStatement': null } }
+      );
+      throw error;
+    }
+  }
+
+  console.log(`📑 Payout period ${from.toISOString()} - ${to.toISOString()} closed: ${statements.length} statement(s)`);
+  return statements;
+};
+
+/**
+ * Record that a statement was paid out. A positive balance is paid from the
+ * rider's wallet as a PAYOUT ledger entry; a negative balance (commission owed
+ * on cash fares) is collected by topping up the rider's wallet instead.
+ * @returns {Object} The updated statement
+ */
+export const markStatementPaid = async (statementId, { reference = null, paidBy = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(statementId)) {
+    throw new BadRequestError('Invalid statement ID');
+  }
+
+  const transactionId = newTransactionId();
+  const statement = await PayoutStatement.findOneAndUpdate(
+    { _id: statementId, status: 'CLOSED' },
+    { $set: { status: 'PAID', paidAt: new Date(), paidBy, paymentReference: reference, ledgerTransactionId: transactionId } },
+    { new: true }
+  );
+
+  if (!statement) {
+    const existing = await PayoutStatement.exists({ _id: statementId });
+    if (!existing) {
+      throw new NotFoundError('Payout statement not found');
+    }
+    throw new ConflictError('This statement has already been paid');
+  }
+
+  if (statement.totals.netPayable > 0) {
+    try {
+      await postLedgerEntry({
+        transactionId,
+        type: 'PAYOUT',
+        debitAccount: await getUserWallet(statement.rider),
+        creditAccount: await getSystemAccount(SYSTEM_ACCOUNTS.EXTERNAL_CASH),
+        amount: statement.totals.netPayable,
+        user: statement.rider,
+        method: 'cash',
+        reference,
+        description: `Payout for statement ${statement.statementNumber}`,
+        createdBy: { actorType: 'admin', actorId: paidBy },
+      });
+    } catch (error) {
+      // Reopen the statement so the payout can be retried
+      await PayoutStatement.updateOne(
+        { _id: statement._id },
+        { $set: { status: 'CLOSED', paidAt: null, paidBy: null, paymentReference: null, ledgerTransactionId: null } }
+      );
+      throw error;
+    }
+  }
+
+  console.log(`✅ Payout statement ${statement.statementNumber} marked paid (₱${statement.totals.netPayable})`);
+  return statement;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvCell).join(',');
+
+/**
+ * Render a payout statement as CSV (one row per ride, then the totals)
+ */
+export const statementToCsv = (statement) => {
+  const { totals } = statement;
+  const rows = [
+    csvRow(['Statement', statement.statementNumber]),
+    csvRow(['Period start', statement.periodStart]),
+    csvRow(['Period end', statement.periodEnd]),
+    csvRow(['Status', statement.status]),
+    '',
+    csvRow(['Ride ID', 'Completed at', 'Vehicle', 'Distance (km)', 'Gross fare', 'Commission %', 'Commission', 'Net earning', 'Cash collected', 'Wallet paid']),
+    ...statement.rides.map(line => csvRow([
+      line.ride?._id || line.ride,
+      line.completedAt,
+      line.vehicle,
+      line.distanceKm,
+      line.grossFare.toFixed(2),
+      line.commissionPercent,
+      line.commission.toFixed(2),
+      line.netEarning.toFixed(2),
+      line.cashCollected.toFixed(2),
+      line.walletPaid.toFixed(2),
+    ])),
+    csvRow([
+      'TOTAL',
+      '',
+      '',
+      '',
+      totals.grossFare.toFixed(2),
+      '',
+      totals.commission.toFixed(2),
+      totals.netEarning.toFixed(2),
+      totals.cashCollected.toFixed(2),
+      totals.walletPaid.toFixed(2),
+    ]),
+    '',
+    csvRow(['Net payable', totals.netPayable.toFixed(2)]),
+  ];
+  return `${rows.join('\n')}\n`;
+};
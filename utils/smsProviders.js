@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * SMS Providers
+ *
+ * Text messages go out through the provider selected by SMS_PROVIDER.
+ * Another gateway is added by registering a provider with the same
+ * interface:
+ *
+ *   name                   - value of SMS_PROVIDER that selects it
+ *   send({ to, message })  -> { success, reference, message }
+ *
+ * `to` is an E.164 number (+639171234567).
+ *
+ * The console and file providers are for local development only: they mask
+ * the digits of any code in the message (ride OTPs, verification and reset
+ * codes must never end up in logs) and are refused in production.
+ */
+
+export const SMS_CONFIG = {
+  // 'console' (log only), 'file' (append to SMS_FILE_PATH) or 'semaphore'.
+  // Production must name a real gateway.
+  PROVIDER: process.env.SMS_PROVIDER || 'console',
+  FILE_PATH: process.env.SMS_FILE_PATH || 'logs/sms.log',
+  SENDER_NAME: process.env.SMS_SENDER_NAME || 'Pedismart',
+  SEMAPHORE_API_KEY: process.env.SEMAPHORE_API_KEY,
+};
+
+// Providers that only write messages locally
+const DEVELOPMENT_PROVIDERS = ['console', 'file'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const newReference = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Message with every code (4+ digit run) replaced by asterisks, for local sinks
+ */
+export const maskCodes = (message) => String(message).replace(/\d{4,}/g, digits => '*'.repeat(digits.length));
+
+/**
+ * Prints each message to the server log (local development)
+ */
+export const createConsoleSmsProvider = () => ({
+  name: 'console',
+
+  async send({ to, message }) {
+    console.log(`📱 [sms] to ${to}: ${maskCodes(message)}`);
+    return { success: true, reference: newReference('console'), message: 'Logged to console' };
+  },
+});
+
+/**
+ * Appends each message to a JSON-lines file (local development and tests)
+ */
+export const createFileSmsProvider = ({ filePath = SMS_CONFIG.FILE_PATH } = {}) => ({
+  name: 'file',
+
+  async send({ to, message }) {
+    const reference = newReference('file');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify({ reference, to, message: maskCodes(message), sentAt: new Date() })}\n`);
+    return { success: true, reference, message: `Written to ${filePath}` };
+  },
+});
+
+/**
+ * Semaphore (Philippine SMS gateway)
+ */
+export const createSemaphoreSmsProvider = ({ apiKey, senderName = SMS_CONFIG.SENDER_NAME }) => ({
+  name: 'semaphore',
+
+  async send({ to, message }) {
+    const response = await fetch('https://api.semaphore.co/api/v4/messages', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ apikey: apiKey, number: to.replace(/^\+/, ''), message, sendername: senderName }),
+    });
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !Array.isArray(result) || result.length === 0) {
+      return { success: false, reference: null, message: `Semaphore returned status ${response.status}` };
+    }
+    return { success: true, reference: String(result[0].message_id), message: result[0].status };
+  },
+});
+
+const providers = new Map();
+
+/**
+ * Add (or replace) an SMS provider
+ */
+export const registerSmsProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must have a name and send()');
+  }
+  providers.set(provider.name, provider);
+  console.log(`📱 SMS provider registered: ${provider.name}`);
+};
+
+/**
+ * The provider selected by SMS_PROVIDER (falls back to the console, except in production)
+ * @throws {Error} In production, when SMS_PROVIDER isn't a registered gateway
+ */
+export const getSmsProvider = () => {
+  const provider = providers.get(SMS_CONFIG.PROVIDER);
+  if (isProduction() && (!provider || DEVELOPMENT_PROVIDERS.includes(provider.name))) {
+    throw new Error(`SMS provider "${SMS_CONFIG.PROVIDER}" can't be used in production - set SMS_PROVIDER to a configured gateway`);
+  }
+  if (!provider) {
+    console.warn(`⚠️ SMS provider "${SMS_CONFIG.PROVIDER}" is not registered, using the console`);
+    return providers.get('console');
+  }
+  return provider;
+};
+
+registerSmsProvider(createConsoleSmsProvider());
+registerSmsProvider(createFileSmsProvider());
+
+if (SMS_CONFIG.SEMAPHORE_API_KEY) {
+  registerSmsProvider(createSemaphoreSmsProvider({ apiKey: SMS_CONFIG.SEMAPHORE_API_KEY }));
+}
+
+if (isProduction() && DEVELOPMENT_PROVIDERS.includes(SMS_CONFIG.PROVIDER)) {
+  console.error(`❌ SMS provider "${SMS_CONFIG.PROVIDER}" can't be used in production - no text messages will be sent until SMS_PROVIDER names a configured gateway`);
+}
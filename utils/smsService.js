@@ -0,0 +1,215 @@
+import User from '../models/User.js';
+import { getSmsProvider } from './smsProviders.js';
+import { generateVerificationCode } from './emailService.js';
+import { otpMatches } from './otpVerification.js';
+import { BadRequestError } from '../errors/index.js';
+
+/**
+ * SMS Service
+ *
+ * Phone number verification, password reset codes by text, and SMS alerts
+ * for the key ride events (accepted - with the ride OTP -, rider at the
+ * pickup, rider cancelled). Ride alerts only go to verified numbers of
+ * users who turned on notificationPreferences.smsRideAlerts.
+ *
+ * sendSms never throws; it returns whether the provider accepted the message.
+ */
+
+export const CODE_CHANNELS = ['email', 'sms'];
+
+export const PHONE_VERIFICATION_CONFIG = {
+  CODE_TTL_MINUTES: 10,
+  RESEND_COOLDOWN_SECONDS: 60,
+  MAX_ATTEMPTS: 5,
+};
+
+/**
+ * Normalize a Philippine mobile number to E.164 (+639XXXXXXXXX).
+ * Numbers already in international format are kept as they are.
+ * @returns {string|null} null when the number can't be used for SMS
+ */
+export const normalizePhoneNumber = (phone) => {
+  if (!phone) return null;
+  const cleaned = String(phone).replace(/[\s\-().]/g, '');
+
+  const local = cleaned.match(/^(?:\+?63|0)?(9\d{9})$/);
+  if (local) {
+    return `+63${local[1]}`;
+  }
+  if (/^\+\d{8,15}$/.test(cleaned)) {
+    return cleaned;
+  }
+  return null;
+};
+
+// Last four digits, for "sent to the number ending in 1234" messages
+export const maskPhoneNumber = (phone) => `•••${String(phone).slice(-4)}`;
+
+/**
+ * Send a text message
+ * @returns {boolean} Whether the provider accepted it
+ */
+export const sendSms = async (phone, message) => {
+  const to = normalizePhoneNumber(phone);
+  if (!to) {
+    console.log(`⚠️ Not sending SMS - "${phone}" is not a valid mobile number`);
+    return false;
+  }
+
+  try {
+    const result = await getSmsProvider().send({ to, message });
+    if (!result.success) {
+      console.error(`❌ SMS to ${maskPhoneNumber(to)} failed: ${result.message}`);
+    }
+    return result.success;
+  } catch (error) {
+    console.error(`❌ Error sending SMS to ${maskPhoneNumber(to)}:`, error);
+    return false;
+  }
+};
+
+// ============================================
+// PHONE VERIFICATION
+// ============================================
+
+/**
+ * Text a verification code to the user's phone number
+ * @returns {Object} { sent, phone, expiresAt }
+ */
+export const sendPhoneVerificationCode = async (userId) => {
+  const user = await User.findById(userId).select('phone phoneVerified +phoneVerificationSentAt');
+  if (!user?.phone) {
+    throw new BadRequestError('Add a phone number to your profile first');
+  }
+  if (user.phoneVerified) {
+    throw new BadRequestError('Your phone number is already verified');
+  }
+  if (!normalizePhoneNumber(user.phone)) {
+    throw new BadRequestError('Your phone number is not a valid mobile number');
+  }
+
+  const now = new Date();
+  if (user.phoneVerificationSentAt) {
+    const waitSeconds = Math.ceil(
+      PHONE_VERIFICATION_CONFIG.RESEND_COOLDOWN_SECONDS - (now - user.phoneVerificationSentAt) / 1000
+    );
+    if (waitSeconds > 0) {
+      throw new BadRequestError(`Please wait ${waitSeconds} seconds before requesting another code`);
+    }
+  }
+
+  const code = generateVerificationCode();
+  const expiresAt = new Date(now.getTime() + PHONE_VERIFICATION_CONFIG.CODE_TTL_MINUTES * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        phoneVerificationCode: code,
+        phoneVerificationExpires: expiresAt,
+        phoneVerificationSentAt: now,
+        phoneVerificationAttempts: 0,
+      },
+    }
+  );
+
+  const sent = await sendSms(
+    user.phone,
+    `Your Pedismart verification code is ${code}. It expires in ${PHONE_VERIFICATION_CONFIG.CODE_TTL_MINUTES} minutes.`
+  );
+  return { sent, phone: maskPhoneNumber(user.phone), expiresAt };
+};
+
+/**
+ * Check a phone verification code and mark the number verified
+ * @returns {Object} { verified, message }
+ */
+export const verifyPhoneCode = async (userId, code) => {
+  const user = await User.findById(userId)
+    .select('phone phoneVerified +phoneVerificationCode +phoneVerificationExpires +phoneVerificationAttempts');
+
+  if (!user) {
+    return { verified: false, message: 'User not found' };
+  }
+  if (user.phoneVerified) {
+    return { verified: true, message: 'Your phone number is already verified' };
+  }
+  if (!user.phoneVerificationCode) {
+    return { verified: false, message: 'Request a verification code first' };
+  }
+  if (!user.phoneVerificationExpires || user.phoneVerificationExpires < new Date()) {
+    return { verified: false, message: 'Verification code has expired' };
+  }
+
+  // Count the attempt before comparing, in one guarded update, so guesses
+  // sent in parallel can't get past MAX_ATTEMPTS
+  const attempt = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      phoneVerificationAttempts: { $not: { $gte: PHONE_VERIFICATION_CONFIG.MAX_ATTEMPTS } },
+    },
+    { $inc: { phoneVerificationAttempts: 1 } }
+  );
+  if (!attempt) {
+    return { verified: false, message: 'Too many attempts. Please request a new code' };
+  }
+  if (!otpMatches(user.phoneVerificationCode, code)) {
+    return { verified: false, message: 'Invalid verification code' };
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { phoneVerified: true, phoneVerifiedAt: new Date() },
+      $unset: { phoneVerificationCode: 1, phoneVerificationExpires: 1, phoneVerificationAttempts: 1 },
+    }
+  );
+  return { verified: true, message: 'Phone number verified' };
+};
+
+// ============================================
+// PASSWORD RESET AND RIDE ALERTS
+// ============================================
+
+export const sendPasswordResetSms = (phone, code) => {
+  return sendSms(phone, `Your Pedismart password reset code is ${code}. It expires in 10 minutes. Don't share it with anyone.`);
+};
+
+// SMS text for each ride alert (context comes from the caller)
+const RIDE_SMS_MESSAGES = {
+  rideAccepted: ({ riderName, otp }) =>
+    `Pedismart: ${riderName || 'Your rider'} accepted your ride and is on the way.${otp ? ` Your ride OTP is ${otp} - give it to your rider at pickup.` : ''}`,
+  riderArrivedAtPickup: () =>
+    'Pedismart: Your rider has arrived and is waiting at the pickup point.',
+  rideCanceled: ({ cancellerName, reason }) =>
+    `Pedismart: ${reason || (cancellerName ? `${cancellerName} has cancelled your ride.` : 'Your ride has been cancelled.')}`,
+};
+
+/**
+ * Text a ride alert to users who opted in and have a verified number
+ * @param {Array|string} userIds - Recipients
+ * @param {string} event - Key of RIDE_SMS_MESSAGES
+ * @param {Object} context - Values used in the message text
+ * @returns {number} Messages sent
+ */
+export const sendRideSmsAlert = async (userIds, event, context = {}) => {
+  try {
+    const ids = [].concat(userIds).filter(Boolean).map(id => id._id || id);
+    const recipients = await User.find({
+      _id: { $in: ids },
+      phoneVerified: true,
+      'notificationPreferences.smsRideAlerts': true,
+    }).select('phone');
+
+    const message = RIDE_SMS_MESSAGES[event](context);
+    let sent = 0;
+    for (const recipient of recipients) {
+      if (await sendSms(recipient.phone, message)) {
+        sent++;
+      }
+    }
+    return sent;
+  } catch (error) {
+    console.error(`❌ Error sending ${event} SMS alert:`, error);
+    return 0;
+  }
+};
@@ -0,0 +1,210 @@
+import FareConfig from '../models/FareConfig.js';
+import { calculateDistance } from './mapUtils.js';
+import { getFarePricingTime } from './fareSettlement.js';
+
+/**
+ * Multi-Stop Utility Functions
+ *
+ * Helpers for rides with ordered drop-off stops (ride.stops) and for
+ * splitting the fare between passengers by the distance each one
+ * actually travelled.
+ */
+
+const toPoint = (location) => (
+  location && location.latitude != null && location.longitude != null
+    ? { latitude: location.latitude, longitude: location.longitude }
+    : null
+);
+
+/**
+ * Total distance along an ordered list of points
+ * @param {Array} points - [{ latitude, longitude }]
+ * @returns {number} Distance in kilometers
+ */
+export const getRouteDistanceKm = (points) => {
+  const route = points.map(toPoint).filter(Boolean);
+  let total = 0;
+  for (let i = 1; i < route.length; i++) {
+    total += calculateDistance(
+      route[i - 1].latitude,
+      route[i - 1].longitude,
+      route[i].latitude,
+      route[i].longitude
+    );
+  }
+  return total;
+};
+
+/**
+ * Stops sorted by their position in the route
+ */
+export const getOrderedStops = (ride) => {
+  return [...(ride.stops || [])].sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Planned route: pickup -> stops (in order) -> final drop
+ */
+export const getPlannedRoute = (ride) => {
+  return [ride.pickup, ...getOrderedStops(ride), ride.drop];
+};
+
+/**
+ * Insert a drop-off stop into the ride's pending stops at the position that
+ * adds the least distance to the route. Stops already reached keep their place.
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @param {Object} ride - Ride document
+ * @param {Object} stopData - { address, latitude, longitude, addedBy }
+ * @returns {Object} The new stop subdocument
+ */
+export const insertStop = (ride, { address = '', latitude, longitude, addedBy = null }) => {
+  const ordered = getOrderedStops(ride);
+  const reached = ordered.filter(stop => stop.status === 'REACHED');
+  const pending = ordered.filter(stop => stop.status !== 'REACHED');
+  const newStop = { address, latitude, longitude };
+
+  // Route starts from the last reached stop (or the pickup) and ends at the final drop
+  const start = reached.length > 0 ? reached[reached.length - 1] : ride.pickup;
+  let bestIndex = pending.length;
+  let bestDistance = Infinity;
+  for (let i = 0; i <= pending.length; i++) {
+    const candidate = [start, ...pending.slice(0, i), newStop, ...pending.slice(i), ride.drop];
+    const distance = getRouteDistanceKm(candidate);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = i;
+    }
+  }
+
+  ride.stops.push({ ...newStop, order: 0, status: 'PENDING', addedBy });
+  const stop = ride.stops[ride.stops.length - 1];
+
+  // Renumber the whole route
+  [...reached, ...pending.slice(0, bestIndex), stop, ...pending.slice(bestIndex)]
+    .forEach((s, index) => { s.order = index; });
+
+  return stop;
+};
+
+/**
+ * Record where a passenger got on
+ */
+export const markPassengerBoarded = (passenger, location, boardedAt = new Date()) => {
+  if (!passenger.boardedAt) {
+    passenger.boardedAt = boardedAt;
+  }
+  const point = toPoint(location);
+  if (point && passenger.boardedLocation?.latitude == null) {
+    passenger.boardedLocation = point;
+  }
+};
+
+/**
+ * Add a passenger whose join request the rider approved. Their own drop-off
+ * becomes a stop on the route, and joining mid-trip boards them where the
+ * rider currently is.
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @param {Object} ride - Ride document
+ * @param {Object} user - Joining user ({ _id, firstName, lastName, phone })
+ * @param {Object|null} drop - Passenger's drop-off from the join request
+ * @returns {Object} The new passenger subdocument
+ */
+export const addJoinedPassenger = (ride, user, drop = null) => {
+  const passengerId = user._id.toString();
+
+  let dropStop = null;
+  if (drop && drop.latitude != null && drop.longitude != null) {
+    dropStop = insertStop(ride, { ...drop, addedBy: passengerId });
+    console.log(`📍 Added drop-off stop #${dropStop.order + 1} for passenger ${passengerId} on ride ${ride._id}`);
+  }
+
+  ride.passengers.push({
+    userId: passengerId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phone: user.phone,
+    status: ride.status === 'ARRIVED' ? 'ONBOARD' : 'WAITING',
+    isOriginalBooker: false,
+    joinedAt: new Date(),
+    dropStop: dropStop?._id || null,
+  });
+  const passenger = ride.passengers[ride.passengers.length - 1];
+
+  if (ride.status === 'ARRIVED') {
+    markPassengerBoarded(passenger, ride.riderLocation?.latitude != null ? ride.riderLocation : ride.pickup);
+  }
+
+  ride.currentPassengerCount = ride.passengers.length;
+  return passenger;
+};
+
+/**
+ * Record where a passenger got off and the distance they actually travelled:
+ * boarding point -> stops reached while they were on board -> drop-off point
+ */
+export const markPassengerDropped = (ride, passenger, location, droppedAt = new Date()) => {
+  passenger.status = 'DROPPED';
+  passenger.droppedAt = droppedAt;
+  passenger.droppedLocation = toPoint(location) || toPoint(ride.drop);
+
+  const boardedAt = passenger.boardedAt || ride.tripLogs?.pickupTime || ride.createdAt;
+  const boardedLocation = toPoint(passenger.boardedLocation) || toPoint(ride.pickup);
+  const stopsOnBoard = (ride.stops || [])
+    .filter(stop => stop.reachedAt && stop.reachedAt >= boardedAt && stop.reachedAt <= droppedAt)
+    .sort((a, b) => a.reachedAt - b.reachedAt);
+
+  passenger.distanceTravelledKm = Math.round(
+    getRouteDistanceKm([boardedLocation, ...stopsOnBoard, passenger.droppedLocation]) * 1000
+  ) / 1000;
+};
+
+/**
+ * Drop everyone still on the ride at the end of the trip and split the fare:
+ * each passenger pays the ride's fare version for the distance they travelled.
+ * Mutates the ride document - the caller is responsible for saving it.
+ * @param {Object} ride - Ride document
+ * @param {Object} finalLocation - Where the trip ended ({ latitude, longitude })
+ * @returns {Array} [{ userId, distanceTravelledKm, fare }]
+ */
+export const settlePassengerFares = async (ride, finalLocation = ride.drop) => {
+  const now = new Date();
+  const passengers = ride.passengers || [];
+
+  passengers.forEach(passenger => {
+    if (passenger.status !== 'DROPPED' || passenger.distanceTravelledKm == null) {
+      markPassengerBoarded(passenger, ride.pickup, passenger.boardedAt || ride.tripLogs?.pickupTime || now);
+      markPassengerDropped(ride, passenger, passenger.droppedLocation?.latitude != null ? passenger.droppedLocation : finalLocation, passenger.droppedAt || now);
+    }
+  });
+
+  // A single passenger keeps the quoted fare
+  if (passengers.length <= 1) {
+    passengers.forEach(passenger => { passenger.fare = ride.fare; });
+    return passengers.map(p => ({ userId: p.userId, distanceTravelledKm: p.distanceTravelledKm, fare: p.fare }));
+  }
+
+  const bookingTime = getFarePricingTime(ride);
+  let totalFare = 0;
+  for (const passenger of passengers) {
+    try {
+      // The booker's promotion only discounts their own share
+      const fareResult = await FareConfig.calculateRideFare(ride, passenger.distanceTravelledKm, 1, bookingTime, {
+        endToEnd: false,
+        withPromotion: passenger.isOriginalBooker,
+      });
+      passenger.fare = fareResult.totalFare;
+      passenger.promoDiscount = fareResult.breakdown?.promoDiscount || 0;
+    } catch (fareError) {
+      console.log(`⚠️ Could not calculate fare for passenger ${passenger.userId}, using default: ${fareError.message}`);
+      passenger.fare = Math.round(Math.max(20, passenger.distanceTravelledKm * 2.8) * 100) / 100;
+      passenger.promoDiscount = 0;
+    }
+    totalFare += passenger.fare;
+  }
+
+  // The ride fare becomes the sum of what each passenger pays
+  ride.fare = Math.round(totalFare * 100) / 100;
+  console.log(`💰 Fare split for ride ${ride._id}: ${passengers.map(p => `${p.firstName} ₱${p.fare} (${p.distanceTravelledKm}km)`).join(', ')}`);
+
+  return passengers.map(p => ({ userId: p.userId, distanceTravelledKm: p.distanceTravelledKm, fare: p.fare }));
+};
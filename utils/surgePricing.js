@@ -0,0 +1,144 @@
+import Ride from '../models/Ride.js';
+import FareZone from '../models/FareZone.js';
+import SurgeConfig from '../models/SurgeConfig.js';
+import SurgeSnapshot from '../models/SurgeSnapshot.js';
+import presenceStore from './presenceStore.js';
+import { isPointInPolygon } from './mapUtils.js';
+
+/**
+ * Surge Pricing
+ *
+ * Every minute the surge job takes a reading for each active fare zone:
+ * demand is the rides searching for a rider with a pickup in the zone,
+ * supply is the on-duty riders in it. Once the ratio passes
+ * demandRatioThreshold, the multiplier grows by multiplierPerRatio for each
+ * unit above it. Readings are smoothed against the previous multiplier so
+ * prices don't jump around, capped (globally and per zone) and rounded to
+ * multiplierStep. Every reading is saved as a SurgeSnapshot.
+ *
+ * A ride picked up in a surging zone is quoted with the zone's latest
+ * multiplier, which is locked into ride.surge at booking. Turning the kill
+ * switch off (SurgeConfig.enabled) stops surge pricing at once.
+ */
+
+export const SURGE_PRICING_CONFIG = {
+  // Readings older than this are ignored (the job may have stopped)
+  MAX_SNAPSHOT_AGE_MINUTES: parseInt(process.env.SURGE_MAX_SNAPSHOT_AGE_MINUTES) || 5,
+};
+
+const roundToStep = (value, step) => Math.round(value / step) * step;
+
+const appliesToVehicle = (zone, vehicleType) => {
+  return zone.vehicleTypes.length === 0 || zone.vehicleTypes.includes(vehicleType);
+};
+
+const zoneCap = (zone, config) => Math.min(config.maxMultiplier, zone.maxSurgeMultiplier ?? Infinity);
+
+/**
+ * Multiplier for a single reading, before smoothing
+ */
+export const computeRawMultiplier = (demand, supply, config) => {
+  if (demand < config.minimumDemand) {
+    return 1;
+  }
+  const demandRatio = demand / Math.max(supply, 1);
+  if (demandRatio <= config.demandRatioThreshold) {
+    return 1;
+  }
+  return 1 + (demandRatio - config.demandRatioThreshold) * config.multiplierPerRatio;
+};
+
+const isFresh = (snapshot, now) => {
+  return snapshot && now - snapshot.computedAt <= SURGE_PRICING_CONFIG.MAX_SNAPSHOT_AGE_MINUTES * 60 * 1000;
+};
+
+/**
+ * Take a surge reading for every active zone and save it
+ * @returns {Array} The saved snapshots
+ */
+export const runSurgeUpdate = async (now = new Date()) => {
+  const [config, zones, riders] = await Promise.all([
+    SurgeConfig.getConfig(),
+    FareZone.find({ isActive: true }),
+    presenceStore.getOnDutyRiders(),
+  ]);
+
+  const readings = [];
+  for (const zone of zones) {
+    const surgeEnabled = config.enabled && zone.surgeEnabled;
+
+    const demand = await Ride.countDocuments({
+      status: 'SEARCHING_FOR_RIDER',
+      'pickup.location': { $geoWithin: { $geometry: zone.area } },
+      ...(zone.vehicleTypes.length > 0 ? { vehicle: { $in: zone.vehicleTypes } } : {}),
+    });
+    const supply = riders.filter(rider =>
+      appliesToVehicle(zone, rider.vehicleType)
+      && isPointInPolygon(rider.coords?.latitude, rider.coords?.longitude, zone.area)
+    ).length;
+
+    const cap = zoneCap(zone, config);
+    const rawMultiplier = computeRawMultiplier(demand, supply, config);
+
+    // Smooth from the previous reading (a stale or disabled one counts as no surge)
+    let smoothedMultiplier = 1;
+    if (surgeEnabled) {
+      const previous = await SurgeSnapshot.findOne({ zone: zone._id }).sort({ computedAt: -1 }).lean();
+      const base = isFresh(previous, now) && previous.surgeEnabled ? previous.smoothedMultiplier : 1;
+      smoothedMultiplier = Math.min(base + config.smoothingFactor * (rawMultiplier - base), cap);
+    }
+
+    const multiplier = Math.max(1, Math.min(cap, Math.round(roundToStep(smoothedMultiplier, config.multiplierStep) * 100) / 100));
+
+    readings.push({
+      zone: zone._id,
+      zoneName: zone.name,
+      demand,
+      supply,
+      demandRatio: Math.round((demand / Math.max(supply, 1)) * 100) / 100,
+      rawMultiplier: Math.round(rawMultiplier * 1000) / 1000,
+      smoothedMultiplier,
+      multiplier,
+      maxMultiplier: cap,
+      surgeEnabled,
+      computedAt: now,
+    });
+  }
+
+  if (readings.length === 0) {
+    return [];
+  }
+  return SurgeSnapshot.insertMany(readings);
+};
+
+/**
+ * The surge in force for rides picked up in a zone
+ * @returns {Object|null} { multiplier, zone, zoneName, snapshot, computedAt } or null when there is no surge
+ */
+export const getCurrentSurge = async (zoneId, now = new Date()) => {
+  if (!zoneId) {
+    return null;
+  }
+
+  const [config, zone, snapshot] = await Promise.all([
+    SurgeConfig.getConfig(),
+    FareZone.findById(zoneId).select('isActive surgeEnabled maxSurgeMultiplier'),
+    SurgeSnapshot.findOne({ zone: zoneId }).sort({ computedAt: -1 }).lean(),
+  ]);
+
+  if (!config.enabled || !zone?.isActive || !zone.surgeEnabled) {
+    return null;
+  }
+  if (!isFresh(snapshot, now) || !snapshot.surgeEnabled || snapshot.multiplier <= 1) {
+    return null;
+  }
+
+  return {
+    // Caps lowered since the reading apply straight away
+    multiplier: Math.min(snapshot.multiplier, zoneCap(zone, config)),
+    zone: snapshot.zone,
+    zoneName: snapshot.zoneName,
+    snapshot: snapshot._id,
+    computedAt: snapshot.computedAt,
+  };
+};
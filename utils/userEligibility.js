@@ -0,0 +1,144 @@
+import User from '../models/User.js';
+import { logSystemActivity } from '../controllers/adminManagement.js';
+import { createNotification } from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+
+/**
+ * User Eligibility
+ *
+ * The single place that decides whether a user may log in, go on duty,
+ * accept a ride or book one. Disapproved, pending and penalized accounts
+ * are refused with a reasonCode the app can act on. A penalty whose
+ * penaltyLiftDate has passed is lifted on the spot (the auto-approval job
+ * lifts the rest).
+ */
+
+export const ELIGIBILITY_REASONS = {
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  ACCOUNT_PENDING: 'ACCOUNT_PENDING',
+  ACCOUNT_DISAPPROVED: 'ACCOUNT_DISAPPROVED',
+  PENALTY_ACTIVE: 'PENALTY_ACTIVE',
+};
+
+export const ELIGIBILITY_ACTIONS = {
+  LOGIN: 'login',
+  GO_ON_DUTY: 'goOnDuty',
+  ACCEPT_RIDE: 'acceptRide',
+  BOOK_RIDE: 'bookRide',
+};
+
+const ACTION_LABELS = {
+  login: 'log in',
+  goOnDuty: 'go on duty',
+  acceptRide: 'accept rides',
+  bookRide: 'book rides',
+};
+
+const ELIGIBILITY_FIELDS = 'firstName lastName email role status disapprovalReason penaltyComment penaltyLiftDate rejectionDeadline';
+
+const LIFTED_PENALTY = {
+  status: 'approved',
+  disapprovalReason: '',
+  penaltyComment: '',
+  penaltyLiftDate: null,
+  rejectionDeadline: null,
+};
+
+/**
+ * Restore a disapproved user whose penalty lift date has passed
+ * @param {Object} user - User document (updated in place when lifted)
+ * @returns {boolean} Whether a penalty was lifted
+ */
+export const liftExpiredPenalty = async (user, now = new Date()) => {
+  if (!user || user.status !== 'disapproved' || !user.penaltyLiftDate || user.penaltyLiftDate > now) {
+    return false;
+  }
+
+  const lifted = await User.updateOne(
+    { _id: user._id, status: 'disapproved', penaltyLiftDate: { $ne: null, $lte: now } },
+    { $set: LIFTED_PENALTY }
+  );
+  if (lifted.modifiedCount === 0) {
+    return false;
+  }
+
+  const penaltyComment = user.penaltyComment;
+  user.set(LIFTED_PENALTY);
+
+  console.log(`✅ Penalty lifted for ${user.role} ${user._id} - lift date passed`);
+  await logSystemActivity(
+    'REMOVED_PENALTY',
+    'USER',
+    user._id,
+    `${user.firstName} ${user.lastName}`,
+    `Penalty lifted automatically for ${user.role} account: ${user.firstName} ${user.lastName}`,
+    { userId: user._id, email: user.email, role: user.role, penaltyComment }
+  );
+  await createNotification(user._id, {
+    type: NOTIFICATION_TYPES.PENALTY_REMOVED,
+    title: 'Penalty lifted',
+    body: 'The penalty on your account has ended. Welcome back!',
+  });
+  return true;
+};
+
+/**
+ * Whether a user may perform an action right now
+ * @param {Object|string} userOrId - User document or ID
+ * @param {string} action - One of ELIGIBILITY_ACTIONS
+ * @returns {Object} { eligible, reasonCode, message, penaltyComment, penaltyLiftDate, user }
+ */
+export const checkUserEligibility = async (userOrId, action) => {
+  const user = typeof userOrId === 'object' && userOrId?._id
+    ? userOrId
+    : await User.findById(userOrId).select(ELIGIBILITY_FIELDS);
+  const label = ACTION_LABELS[action] || action;
+
+  if (!user) {
+    return { eligible: false, reasonCode: ELIGIBILITY_REASONS.USER_NOT_FOUND, message: 'User not found', user: null };
+  }
+
+  await liftExpiredPenalty(user);
+
+  if (user.penaltyLiftDate && user.penaltyLiftDate > new Date()) {
+    return {
+      eligible: false,
+      reasonCode: ELIGIBILITY_REASONS.PENALTY_ACTIVE,
+      message: `You can't ${label} until your penalty is lifted`,
+      penaltyComment: user.penaltyComment || 'No reason provided',
+      penaltyLiftDate: user.penaltyLiftDate,
+      user,
+    };
+  }
+
+  if (user.status === 'disapproved') {
+    return {
+      eligible: false,
+      reasonCode: ELIGIBILITY_REASONS.ACCOUNT_DISAPPROVED,
+      message: `Your account has been disapproved, so you can't ${label}`,
+      disapprovalReason: user.disapprovalReason || 'No reason provided',
+      user,
+    };
+  }
+
+  if (user.status === 'pending') {
+    return {
+      eligible: false,
+      reasonCode: ELIGIBILITY_REASONS.ACCOUNT_PENDING,
+      message: `Your account is pending approval, so you can't ${label} yet`,
+      user,
+    };
+  }
+
+  return { eligible: true, reasonCode: null, message: null, user };
+};
+
+/**
+ * Response body for an ineligible user (HTTP 403 or a socket event)
+ */
+export const eligibilityErrorBody = ({ reasonCode, message, penaltyComment, penaltyLiftDate, disapprovalReason }) => ({
+  message,
+  reasonCode,
+  ...(penaltyLiftDate ? { penaltyComment, penaltyLiftDate } : {}),
+  ...(disapprovalReason ? { disapprovalReason } : {}),
+});